@@ -6,6 +6,36 @@
 const { getSlackClient } = require('./slackClient');
 const logger = require('./toolUtils/logger');
 
+/**
+ * Reads what was chosen from a block action, whatever element sent it.
+ * Buttons carry text and value, menus a selected_option, date pickers a selected_date.
+ * @param {Object} action - One entry of payload.actions
+ * @returns {Object} - { type, text, value }
+ */
+function readActionSelection(action) {
+    if (action.selected_option) {
+        return {
+            type: action.type,
+            text: action.selected_option.text?.text || action.selected_option.value,
+            value: action.selected_option.value
+        };
+    }
+
+    if (action.type === 'datepicker') {
+        return {
+            type: action.type,
+            text: action.selected_date || 'no date',
+            value: action.selected_date || ''
+        };
+    }
+
+    return {
+        type: action.type || 'button',
+        text: action.text?.text || action.value,
+        value: action.value
+    };
+}
+
 /**
  * Updates a button message in Slack to reflect a selection
  * @param {Object} payload - The payload from the button interaction
@@ -20,8 +50,7 @@ async function updateButtonMessage(payload, threadContext) {
 
         // Extract key information
         const clickedActionId = payload.actions[0].action_id;
-        const selectedValue = payload.actions[0].value;
-        const buttonText = payload.actions[0].text?.text || selectedValue;
+        const { type: actionType, value: selectedValue, text: buttonText } = readActionSelection(payload.actions[0]);
         const messageTs = payload.container.message_ts;
         const channelId = payload.channel.id;
         const responseUrl = payload.response_url;
@@ -108,7 +137,7 @@ async function updateButtonMessage(payload, threadContext) {
                 // Selection text with formatting
                 {
                     type: 'mrkdwn',
-                    text: `*<@${userId}>* selected: *${buttonText}*`
+                    text: `*<@${userId}>* ${actionType === 'datepicker' ? 'picked' : 'selected'}: *${buttonText}*`
                 }
             ]
         };
@@ -213,5 +242,6 @@ async function updateButtonMessage(payload, threadContext) {
 }
 
 module.exports = {
-    updateButtonMessage
+    updateButtonMessage,
+    readActionSelection
 }; 
\ No newline at end of file
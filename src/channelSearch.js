@@ -0,0 +1,513 @@
+/**
+ * Channel message search
+ *
+ * Slack's search.messages needs a user token, so the bot searches by reading
+ * history itself: conversations.history for the channel and
+ * conversations.replies for threads, filtered locally by keywords, dates and
+ * author.
+ *
+ * Scanned messages are cached per channel, together with the time range the
+ * cache covers. A search only fetches what is missing: messages newer than the
+ * cache (plus the last day again, to pick up edits and deletions), older
+ * history down to the requested start date, and threads whose latest reply
+ * changed. Each search spends at most SEARCH_MAX_PAGES API pages; when it runs
+ * out, the result says how far back it got and the next search carries on from
+ * there. With SEARCH_CACHE_DIR set, caches are kept as one JSON file per
+ * channel and survive restarts.
+ *
+ * Which channels can be searched:
+ *   - the conversation the request came from, always
+ *   - channels listed in SEARCH_CHANNELS ("*" = any channel the bot is in),
+ *     as long as the requesting user is a member too
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSlackClient, getWorkspaceUrl } = require('./slackClient.js');
+const { SEARCH_CHANNELS, SEARCH_MAX_PAGES, SEARCH_CACHE_DIR } = require('./config.js');
+const logger = require('./toolUtils/logger.js');
+
+const PAGE_SIZE = 200;
+// Each refresh re-reads recent history so edits and deletions show up
+const REFRESH_OVERLAP_SECONDS = 24 * 60 * 60;
+// Back-to-back searches (e.g. refining a query) reuse the cache without refreshing it
+const REFRESH_MIN_AGE_SECONDS = 60;
+// Oldest messages are dropped past this, so a busy channel can't grow the cache forever
+const MAX_CACHED_MESSAGES = 50000;
+const SNIPPET_LENGTH = 200;
+const MEMBER_CACHE_TTL_MS = 5 * 60 * 1000;
+// Join/leave notices and similar carry no content worth searching
+const SKIPPED_SUBTYPES = ['channel_join', 'channel_leave', 'group_join', 'group_leave', 'tombstone'];
+
+const caches = new Map();        // channelId -> cache (see emptyCache)
+const scanChains = new Map();    // channelId -> promise of the running scan
+const memberCache = new Map();   // channelId -> { members: Set, fetchedAt }
+
+const allowedChannels = SEARCH_CHANNELS.split(',').map(id => id.trim()).filter(Boolean);
+
+function emptyCache(channelId) {
+  return {
+    channelId,
+    oldestTs: null,     // oldest message the scan reached
+    newestTs: null,     // everything from oldestTs up to here has been scanned
+    complete: false,    // reached the start of the channel
+    messages: {},       // ts -> compact message
+    threads: {}         // parent ts -> latest_reply already fetched
+  };
+}
+
+function cacheFile(channelId) {
+  return path.resolve(SEARCH_CACHE_DIR, `${channelId}.json`);
+}
+
+/**
+ * Cached history of a channel, read from disk on first use
+ * @param {string} channelId - Channel ID
+ * @returns {Object} - Cache
+ */
+function loadCache(channelId) {
+  if (caches.has(channelId)) return caches.get(channelId);
+
+  let cache = emptyCache(channelId);
+  if (SEARCH_CACHE_DIR) {
+    try {
+      if (fs.existsSync(cacheFile(channelId))) {
+        cache = { ...cache, ...JSON.parse(fs.readFileSync(cacheFile(channelId), 'utf8')) };
+        logger.info(`💾 Loaded search cache for ${channelId} (${Object.keys(cache.messages).length} messages)`);
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable search cache for ${channelId}: ${error.message}`);
+    }
+  }
+
+  caches.set(channelId, cache);
+  return cache;
+}
+
+/**
+ * Writes a channel's cache to SEARCH_CACHE_DIR (temp file + rename, like the JSON state store)
+ * @param {Object} cache - Cache
+ * @returns {Promise<void>}
+ */
+async function saveCache(cache) {
+  if (!SEARCH_CACHE_DIR) return;
+  try {
+    const filePath = cacheFile(cache.channelId);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(cache));
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    logger.warn(`Could not save search cache for ${cache.channelId}: ${error.message}`);
+  }
+}
+
+/**
+ * Searchable text of a message: its text plus attachment titles and text,
+ * where the bot's own formatted replies keep their content
+ * @param {Object} message - Slack message
+ * @returns {string}
+ */
+function messageText(message) {
+  const parts = [];
+  if (message.text && message.text.trim()) parts.push(message.text);
+
+  for (const attachment of message.attachments || []) {
+    if (attachment.title) parts.push(attachment.title);
+    if (attachment.text) {
+      parts.push(attachment.text);
+    } else if (attachment.blocks) {
+      attachment.blocks.forEach(block => {
+        if (block.text?.text) parts.push(block.text.text);
+      });
+    } else if (attachment.fallback) {
+      parts.push(attachment.fallback);
+    }
+  }
+
+  for (const file of message.files || []) {
+    if (file.title || file.name) parts.push(`[file: ${file.title || file.name}]`);
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Adds a page of Slack messages to the cache
+ * @param {Object} cache - Cache
+ * @param {Array<Object>} messages - Slack messages
+ */
+function addMessages(cache, messages) {
+  for (const message of messages) {
+    if (!message.ts) continue;
+    if (SKIPPED_SUBTYPES.includes(message.subtype)) {
+      delete cache.messages[message.ts];
+      continue;
+    }
+    cache.messages[message.ts] = {
+      ts: message.ts,
+      user: message.user || null,
+      botName: message.bot_id ? (message.username || message.bot_profile?.name || 'bot') : null,
+      text: messageText(message),
+      threadTs: message.thread_ts && message.thread_ts !== message.ts ? message.thread_ts : null,
+      replyCount: message.reply_count || 0,
+      latestReply: message.latest_reply || null
+    };
+  }
+}
+
+/**
+ * Drops the oldest cached messages once the cache is over MAX_CACHED_MESSAGES
+ * @param {Object} cache - Cache
+ */
+function trimCache(cache) {
+  const timestamps = Object.keys(cache.messages);
+  if (timestamps.length <= MAX_CACHED_MESSAGES) return;
+
+  timestamps.sort((a, b) => Number(a) - Number(b));
+  const dropped = timestamps.slice(0, timestamps.length - MAX_CACHED_MESSAGES);
+  dropped.forEach(ts => {
+    delete cache.messages[ts];
+    delete cache.threads[ts];
+  });
+  cache.oldestTs = timestamps[dropped.length];
+  cache.complete = false;
+}
+
+/**
+ * Deletes cached messages in a time range that Slack no longer returns
+ * @param {Object} cache - Cache
+ * @param {number} from - Range start (Slack ts as a number)
+ * @param {Set<string>} seen - Top-level timestamps Slack returned for the range
+ */
+function forgetDeleted(cache, from, seen) {
+  for (const message of Object.values(cache.messages)) {
+    if (!message.threadTs && Number(message.ts) >= from && !seen.has(message.ts)) {
+      delete cache.messages[message.ts];
+    }
+  }
+}
+
+/**
+ * Pages through conversations.history within the page budget
+ * @param {Object} params - channel, oldest, latest
+ * @param {Object} budget - { pages } left, decremented per call
+ * @returns {Promise<Object>} - { messages, finished } (finished: no pages left in the range)
+ */
+async function fetchHistory(params, budget) {
+  const client = getSlackClient();
+  const messages = [];
+  let cursor;
+
+  do {
+    if (budget.pages <= 0) return { messages, finished: false };
+    budget.pages--;
+    budget.used++;
+
+    const response = await client.conversations.history({ ...params, limit: PAGE_SIZE, cursor });
+    messages.push(...(response.messages || []));
+    cursor = response.has_more ? response.response_metadata?.next_cursor : null;
+  } while (cursor);
+
+  return { messages, finished: true };
+}
+
+/**
+ * Fetches the replies of one thread within the page budget
+ * @param {string} channelId - Channel ID
+ * @param {string} threadTs - Parent message ts
+ * @param {Object} budget - Page budget
+ * @returns {Promise<Array<Object>|null>} - Replies, or null when the budget ran out
+ */
+async function fetchReplies(channelId, threadTs, budget) {
+  const client = getSlackClient();
+  const replies = [];
+  let cursor;
+
+  do {
+    if (budget.pages <= 0) return null;
+    budget.pages--;
+    budget.used++;
+
+    const response = await client.conversations.replies({ channel: channelId, ts: threadTs, limit: PAGE_SIZE, cursor });
+    replies.push(...(response.messages || []).filter(message => message.ts !== threadTs));
+    cursor = response.has_more ? response.response_metadata?.next_cursor : null;
+  } while (cursor);
+
+  return replies;
+}
+
+/**
+ * Brings a channel's cache up to date for a search starting at `afterTs`
+ * @param {string} channelId - Channel ID
+ * @param {Object} range - { afterTs, beforeTs } as numbers (null = open)
+ * @returns {Promise<Object>} - { cache, pagesFetched, threadsSkipped }
+ */
+async function scanChannel(channelId, range) {
+  const cache = loadCache(channelId);
+  const budget = { pages: SEARCH_MAX_PAGES, used: 0 };
+  const startedAt = (Date.now() / 1000).toFixed(6);
+
+  // 1. Newer messages since the last scan, re-reading the last day
+  if (cache.newestTs && Number(startedAt) - Number(cache.newestTs) >= REFRESH_MIN_AGE_SECONDS) {
+    const from = Math.max(Number(cache.newestTs) - REFRESH_OVERLAP_SECONDS, Number(cache.oldestTs || 0));
+    const { messages, finished } = await fetchHistory({ channel: channelId, oldest: from.toFixed(6), inclusive: true }, budget);
+    addMessages(cache, messages);
+    if (finished) {
+      forgetDeleted(cache, from, new Set(messages.map(message => message.ts)));
+      cache.newestTs = startedAt;
+    }
+  }
+
+  // 2. Older history, down to the start of the requested range
+  while (!cache.complete && budget.pages > 0 && (range.afterTs === null || !cache.oldestTs || Number(cache.oldestTs) > range.afterTs)) {
+    budget.pages--;
+    budget.used++;
+    const response = await getSlackClient().conversations.history({
+      channel: channelId,
+      latest: cache.oldestTs || undefined,
+      inclusive: false,
+      limit: PAGE_SIZE
+    });
+    const messages = response.messages || [];
+    addMessages(cache, messages);
+
+    if (!cache.newestTs) cache.newestTs = startedAt;
+    if (messages.length > 0) {
+      cache.oldestTs = messages.reduce((oldest, message) => Number(message.ts) < Number(oldest) ? message.ts : oldest, messages[0].ts);
+    }
+    if (!response.has_more || messages.length === 0) {
+      cache.complete = true;
+    }
+  }
+
+  // 3. Threads in range with replies we haven't fetched yet
+  let threadsSkipped = 0;
+  const parents = Object.values(cache.messages).filter(message =>
+    message.replyCount > 0 &&
+    message.latestReply &&
+    cache.threads[message.ts] !== message.latestReply &&
+    (range.beforeTs === null || Number(message.ts) < range.beforeTs) &&
+    (range.afterTs === null || Number(message.latestReply) >= range.afterTs)
+  ).sort((a, b) => Number(b.ts) - Number(a.ts));
+
+  for (const parent of parents) {
+    const replies = budget.pages > 0 ? await fetchReplies(channelId, parent.ts, budget) : null;
+    if (!replies) {
+      threadsSkipped++;
+      continue;
+    }
+    // Replace the thread's cached replies so deleted ones go away
+    Object.values(cache.messages)
+      .filter(message => message.threadTs === parent.ts)
+      .forEach(message => delete cache.messages[message.ts]);
+    addMessages(cache, replies);
+    cache.threads[parent.ts] = parent.latestReply;
+  }
+
+  trimCache(cache);
+  if (budget.used > 0) {
+    await saveCache(cache);
+  }
+
+  return { cache, pagesFetched: budget.used, threadsSkipped };
+}
+
+/**
+ * Splits a query into lowercase terms; "quoted phrases" stay together
+ * @param {string} query - Search query
+ * @returns {Array<string>}
+ */
+function parseQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * A short excerpt of the text around the first matching term
+ * @param {string} text - Message text
+ * @param {Array<string>} terms - Query terms
+ * @returns {string}
+ */
+function makeSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) return flat;
+
+  const lower = flat.toLowerCase();
+  const hit = terms.reduce((first, term) => {
+    const index = lower.indexOf(term);
+    return index !== -1 && (first === -1 || index < first) ? index : first;
+  }, -1);
+
+  const start = Math.max(0, Math.min(hit - Math.floor(SNIPPET_LENGTH / 3), flat.length - SNIPPET_LENGTH));
+  const excerpt = flat.slice(start, start + SNIPPET_LENGTH).trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${start + SNIPPET_LENGTH < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Link to a message (a reply links into its thread)
+ * @param {string} channelId - Channel ID
+ * @param {Object} message - Cached message
+ * @param {string|null} workspaceUrl - From auth.test
+ * @returns {Promise<string|null>}
+ */
+async function permalinkFor(channelId, message, workspaceUrl) {
+  if (workspaceUrl) {
+    const base = `${workspaceUrl.replace(/\/?$/, '/')}archives/${channelId}/p${message.ts.replace('.', '')}`;
+    return message.threadTs ? `${base}?thread_ts=${message.threadTs}&cid=${channelId}` : base;
+  }
+
+  try {
+    const response = await getSlackClient().chat.getPermalink({ channel: channelId, message_ts: message.ts });
+    return response.permalink || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Searches a channel's messages and thread replies
+ * @param {string} channelId - Channel ID
+ * @param {Object} filters - Search filters
+ * @param {string} [filters.query] - Keywords, all of which must appear ("quoted phrases" allowed)
+ * @param {string|null} [filters.userId] - Only messages by this user
+ * @param {Date|null} [filters.after] - Only messages at or after this moment
+ * @param {Date|null} [filters.before] - Only messages before this moment
+ * @param {number} [filters.limit=20] - Maximum results
+ * @returns {Promise<Object>} - { matches, results, coverage, pagesFetched, threadsSkipped }
+ */
+async function searchChannel(channelId, filters = {}) {
+  const range = {
+    afterTs: filters.after ? filters.after.getTime() / 1000 : null,
+    beforeTs: filters.before ? filters.before.getTime() / 1000 : null
+  };
+
+  // One scan per channel at a time; a second search waits and reuses its pages
+  const previous = scanChains.get(channelId) || Promise.resolve();
+  const scan = previous.catch(() => {}).then(() => scanChannel(channelId, range));
+  scanChains.set(channelId, scan);
+  let scanned;
+  try {
+    scanned = await scan;
+  } finally {
+    if (scanChains.get(channelId) === scan) scanChains.delete(channelId);
+  }
+
+  const { cache, pagesFetched, threadsSkipped } = scanned;
+  const terms = parseQuery(filters.query);
+
+  const matching = Object.values(cache.messages).filter(message => {
+    const ts = Number(message.ts);
+    if (range.afterTs !== null && ts < range.afterTs) return false;
+    if (range.beforeTs !== null && ts >= range.beforeTs) return false;
+    if (filters.userId && message.user !== filters.userId) return false;
+    const text = message.text.toLowerCase();
+    return terms.every(term => text.includes(term));
+  }).sort((a, b) => Number(b.ts) - Number(a.ts));
+
+  const workspaceUrl = await getWorkspaceUrl();
+  const results = [];
+  for (const message of matching.slice(0, filters.limit || 20)) {
+    results.push({
+      ts: message.ts,
+      threadTs: message.threadTs,
+      author: message.user ? `<@${message.user}>` : (message.botName || 'unknown'),
+      postedAt: new Date(Number(message.ts) * 1000).toISOString(),
+      snippet: makeSnippet(message.text, terms),
+      replyCount: message.replyCount || undefined,
+      permalink: await permalinkFor(channelId, message, workspaceUrl)
+    });
+  }
+
+  logger.info(`🔎 Searched ${channelId} for "${filters.query || ''}": ${matching.length} matches (${pagesFetched} pages fetched, ${Object.keys(cache.messages).length} cached)`);
+
+  return {
+    matches: matching.length,
+    results,
+    coverage: {
+      from: cache.oldestTs ? new Date(Number(cache.oldestTs) * 1000).toISOString() : null,
+      to: cache.newestTs ? new Date(Number(cache.newestTs) * 1000).toISOString() : null,
+      reachedChannelStart: cache.complete
+    },
+    pagesFetched,
+    threadsSkipped
+  };
+}
+
+/**
+ * Members of a channel (needs channels:read / groups:read)
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Set<string>>}
+ */
+async function getChannelMembers(channelId) {
+  const cached = memberCache.get(channelId);
+  if (cached && Date.now() - cached.fetchedAt < MEMBER_CACHE_TTL_MS) {
+    return cached.members;
+  }
+
+  const members = new Set();
+  let cursor;
+  do {
+    const response = await getSlackClient().conversations.members({ channel: channelId, limit: 1000, cursor });
+    (response.members || []).forEach(member => members.add(member));
+    cursor = response.response_metadata?.next_cursor;
+  } while (cursor);
+
+  memberCache.set(channelId, { members, fetchedAt: Date.now() });
+  return members;
+}
+
+/**
+ * Reads a channel reference: "C0123", "<#C0123>" or "<#C0123|general>"
+ * @param {string} value - Channel reference
+ * @returns {string|null} - Channel ID
+ */
+function parseChannelId(value) {
+  const match = String(value || '').trim().match(/^<#([A-Z0-9]+)(?:\|[^>]*)?>$|^([CGD][A-Z0-9]+)$/);
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Access check for searchChannel: the current conversation is always
+ * searchable; other channels need to be allowed by SEARCH_CHANNELS and have
+ * the requester as a member, so the bot never reveals a channel the user
+ * can't read themselves
+ * @param {Object} args - Tool arguments ({ channel })
+ * @param {Object} requester - From getRequester
+ * @returns {Promise<true|string>}
+ */
+async function searchableChannel(args, requester) {
+  if (!args.channel) return true;
+
+  const channelId = parseChannelId(args.channel);
+  if (!channelId) return `"${args.channel}" is not a channel ID or #channel mention`;
+  if (channelId === requester.channelId) return true;
+
+  if (!allowedChannels.includes('*') && !allowedChannels.includes(channelId)) {
+    return allowedChannels.length > 0
+      ? `only this conversation and ${allowedChannels.map(id => `<#${id}>`).join(', ')} can be searched`
+      : 'only this conversation can be searched';
+  }
+
+  try {
+    const members = await getChannelMembers(channelId);
+    if (!requester.userId || !members.has(requester.userId)) {
+      return `<#${channelId}> can only be searched by its members`;
+    }
+  } catch (error) {
+    return `the bot can't read <#${channelId}> (${error.data?.error || error.message})`;
+  }
+  return true;
+}
+
+module.exports = {
+  searchChannel,
+  parseChannelId,
+  searchableChannel
+};
@@ -10,6 +10,73 @@ const LLM_API_KEY = process.env.LLM_API_KEY || '';
 const LLM_API_URL = process.env.LLM_API_URL || 'https://api.openai.com/v1/chat/completions'; 
 const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4';
 
+// LLM provider selection: openai, anthropic, local (OpenAI-compatible server) or mock
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS || '1024', 10);
+// Overrides the model registry's context window (0 = use the registry)
+const LLM_CONTEXT_WINDOW = parseInt(process.env.LLM_CONTEXT_WINDOW || '0', 10);
+const ANTHROPIC_API_URL = process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = process.env.ANTHROPIC_VERSION || '2023-06-01';
+const LOCAL_LLM_API_URL = process.env.LOCAL_LLM_API_URL || 'http://localhost:11434/v1/chat/completions';
+const LLM_MOCK_SCRIPT = process.env.LLM_MOCK_SCRIPT || '';
+
+// Streaming replies: post a placeholder and update it as tokens arrive
+const LLM_STREAMING = process.env.LLM_STREAMING === 'true';
+const STREAM_UPDATE_INTERVAL_MS = parseInt(process.env.STREAM_UPDATE_INTERVAL_MS || '1200', 10);
+
+// Replies over Slack's per-message limits: "thread" posts each page as its own message,
+// "showMore" keeps one message and pages through it with a button
+const LONG_MESSAGE_MODE = process.env.LONG_MESSAGE_MODE === 'showMore' ? 'showMore' : 'thread';
+
+// LLM resilience: retries with exponential backoff, request timeout and circuit breaker
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '3', 10);
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000', 10);
+const LLM_RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000', 10);
+const LLM_REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS || '60000', 10);
+const LLM_CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD || '5', 10);
+const LLM_CIRCUIT_RESET_MS = parseInt(process.env.LLM_CIRCUIT_RESET_MS || '60000', 10);
+
+// State persistence: memory (default, nothing survives a restart), json or sqlite
+const STATE_STORE = (process.env.STATE_STORE || 'memory').toLowerCase();
+const STATE_STORE_PATH = process.env.STATE_STORE_PATH || '';
+const STATE_FLUSH_INTERVAL_MS = parseInt(process.env.STATE_FLUSH_INTERVAL_MS || '1000', 10);
+
+// Loop policy for the LLM loop (see loopPolicy.js) and per-channel overrides, e.g. "C0123=research,C0456=research"
+const LOOP_POLICY = process.env.LOOP_POLICY || 'default';
+const LOOP_POLICY_CHANNELS = process.env.LOOP_POLICY_CHANNELS || '';
+
+// Tools offered in this deployment, as comma-separated names (TOOLS_ENABLED empty = all tools)
+const TOOLS_ENABLED = process.env.TOOLS_ENABLED || '';
+const TOOLS_DISABLED = process.env.TOOLS_DISABLED || '';
+// Per-deployment tool access rules as JSON, e.g. {"updateMessage": {"usergroups": ["S0123"]}} (see toolAccess.js)
+const TOOL_ACCESS = process.env.TOOL_ACCESS || '';
+
+// Timezone for scheduled messages when a user's Slack profile has none
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Sao_Paulo';
+
+// Whether directory tools may return email addresses: none, self, dm or all (see directory.js)
+const USER_EMAIL_VISIBILITY = (process.env.USER_EMAIL_VISIBILITY || 'none').toLowerCase();
+
+// Channel search (see channelSearch.js): channels searchable besides the current
+// conversation ("C0123,C0456", or "*" for any channel the bot is in), API pages per
+// search, and where scanned history is cached (empty = memory only)
+const SEARCH_CHANNELS = process.env.SEARCH_CHANNELS || '';
+const SEARCH_MAX_PAGES = parseInt(process.env.SEARCH_MAX_PAGES || '20', 10);
+const SEARCH_CACHE_DIR = process.env.SEARCH_CACHE_DIR ?? 'data/search-cache';
+
+// Files shared in threads (see sharedFiles.js): download limit and readFile part size
+const FILE_MAX_BYTES = parseInt(process.env.FILE_MAX_BYTES || String(1024 * 1024), 10);
+const FILE_PART_CHARS = parseInt(process.env.FILE_PART_CHARS || '8000', 10);
+
+// Images in threads for vision-capable models (see images.js): LLM_VISION is auto
+// (the model registry decides), true or false; images per request, longest side in
+// pixels, download limit and cache location (empty = memory only)
+const LLM_VISION = (process.env.LLM_VISION || 'auto').toLowerCase();
+const VISION_MAX_IMAGES = parseInt(process.env.VISION_MAX_IMAGES || '4', 10);
+const VISION_MAX_IMAGE_PX = parseInt(process.env.VISION_MAX_IMAGE_PX || '1024', 10);
+const VISION_MAX_BYTES = parseInt(process.env.VISION_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const VISION_CACHE_DIR = process.env.VISION_CACHE_DIR ?? 'data/image-cache';
+
 // Application settings
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
 const DEV_MODE = process.env.NODE_ENV !== 'production';
@@ -18,10 +85,14 @@ const DEV_MODE = process.env.NODE_ENV !== 'production';
 const requiredEnvVars = [
   'SLACK_BOT_TOKEN',
   'SLACK_SIGNING_SECRET',
-  'SLACK_APP_TOKEN',
-  'LLM_API_KEY'
+  'SLACK_APP_TOKEN'
 ];
 
+// Local servers and the mock provider run without an API key
+if (!['local', 'mock'].includes(LLM_PROVIDER)) {
+  requiredEnvVars.push('LLM_API_KEY');
+}
+
 // Check for missing required environment variables
 const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 if (missingEnvVars.length > 0) {
@@ -41,6 +112,42 @@ module.exports = {
   LLM_API_KEY,
   LLM_API_URL,
   LLM_MODEL,
+  LLM_PROVIDER,
+  LLM_MAX_TOKENS,
+  LLM_CONTEXT_WINDOW,
+  ANTHROPIC_API_URL,
+  ANTHROPIC_VERSION,
+  LOCAL_LLM_API_URL,
+  LLM_MOCK_SCRIPT,
+  LLM_STREAMING,
+  STREAM_UPDATE_INTERVAL_MS,
+  LONG_MESSAGE_MODE,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_BASE_DELAY_MS,
+  LLM_RETRY_MAX_DELAY_MS,
+  LLM_REQUEST_TIMEOUT_MS,
+  LLM_CIRCUIT_FAILURE_THRESHOLD,
+  LLM_CIRCUIT_RESET_MS,
+  STATE_STORE,
+  STATE_STORE_PATH,
+  STATE_FLUSH_INTERVAL_MS,
+  LOOP_POLICY,
+  LOOP_POLICY_CHANNELS,
+  TOOLS_ENABLED,
+  TOOLS_DISABLED,
+  TOOL_ACCESS,
+  DEFAULT_TIMEZONE,
+  USER_EMAIL_VISIBILITY,
+  SEARCH_CHANNELS,
+  SEARCH_MAX_PAGES,
+  SEARCH_CACHE_DIR,
+  FILE_MAX_BYTES,
+  FILE_PART_CHARS,
+  LLM_VISION,
+  VISION_MAX_IMAGES,
+  VISION_MAX_IMAGE_PX,
+  VISION_MAX_BYTES,
+  VISION_CACHE_DIR,
   DEBUG_MODE,
   DEV_MODE
 }; 
\ No newline at end of file
@@ -37,9 +37,15 @@
  */
 
 const { logError } = require('./errors.js');
+const { describeUsergroupMentions } = require('./directory.js');
+const { describeMessageFiles, formatFileLine } = require('./sharedFiles.js');
 const logger = require('./toolUtils/logger.js');
 const { formatTimestamp, formatRelativeTime, formatContextTimestamp } = require('./toolUtils/dateUtils.js');
 const { calculateTextSimilarity } = require('./toolUtils/messageFormatUtils');
+const { formatToolResponse } = require('./toolUtils/toolResponseFormatter.js');
+const { updateSummary } = require('./toolUtils/threadSummarizer.js');
+const { getStore, SCHEMA_VERSION, migrateSnapshot } = require('./storage');
+const { STATE_FLUSH_INTERVAL_MS } = require('./config.js');
 const crypto = require('crypto');
 
 /**
@@ -59,7 +65,8 @@ const THREAD_PRUNING = {
   TARGET_MESSAGES: 50,     // Target number to keep
   MIN_MESSAGES_TO_KEEP: 10, // Minimum to always keep
   ALWAYS_KEEP_TYPES: ['error', 'button_click'],
-  ALWAYS_KEEP_FIRST_MESSAGE: true // Always keep thread parent
+  ALWAYS_KEEP_FIRST_MESSAGE: true, // Always keep thread parent
+  MAX_SUMMARY_BACKLOG: 200 // Pruned messages held for the next summary pass if one fails
 };
 
 // Message types - extensible enum of supported message types
@@ -169,6 +176,15 @@ function formatRichContent(message) {
   return formattedText.trim();
 }
 
+/**
+ * List the files shared with a message; their contents are read on demand with readFile
+ * @param {Object} message - Slack message
+ * @returns {string} One line per file
+ */
+function formatFiles(message) {
+  return (describeMessageFiles(message) || []).map(formatFileLine).join('\n');
+}
+
 /**
  * Format blocks into readable text
  * @param {Array} blocks - Slack blocks
@@ -218,6 +234,19 @@ function formatBlocks(blocks) {
           if (buttons.length > 0) {
             text += `\nButtons: ${buttons.join(', ')}`;
           }
+          
+          // Menus list their options like buttons do
+          block.elements
+            .filter(el => el.type === 'static_select' || el.type === 'overflow')
+            .forEach(menu => {
+              const options = (menu.options || []).map(option => `[${option.text?.text}: ${option.value}]`);
+              text += `\n${menu.type === 'overflow' ? 'Overflow menu' : 'Select menu'}: ${options.join(', ')}`;
+            });
+          block.elements
+            .filter(el => el.type === 'datepicker')
+            .forEach(picker => {
+              text += `\nDate picker${picker.initial_date ? ` (starts at ${picker.initial_date})` : ''}`;
+            });
         }
         break;
         
@@ -314,6 +343,15 @@ class ContextBuilder {
     this.toolExecutionCache = new Map();
     
     this.buttonStates = new Map(); // ThreadTS -> Map of button states 
+    
+    // Pending rolling-summary passes - maps thread IDs to the latest pass promise
+    this.summaryUpdates = new Map();
+    
+    // Persistence - changed threads are snapshotted to the store in the background
+    this.store = getStore();
+    this.dirtyThreads = new Set();
+    this.threadLoads = new Map(); // threadId -> rehydration promise
+    this.flushTimer = null;
     this.debug = process.env.DEBUG_CONTEXT === 'true';
     
     logger.info('ContextBuilder initialized');
@@ -339,8 +377,11 @@ class ContextBuilder {
 
   /**
    * Records a tool execution with hash-based caching
+   * @param {Object} [callInfo] - Which LLM tool call this execution answers
+   * @param {string} [callInfo.toolCallId] - ID of the tool call
+   * @param {string} [callInfo.batchId] - ID shared by all calls from the same LLM response
    */
-  recordToolExecution(threadId, toolName, args, result, error = null, skipped = false) {
+  recordToolExecution(threadId, toolName, args, result, error = null, skipped = false, callInfo = {}) {
     // Initialize tool executions array for thread if not exists
     if (!this.toolExecutions.has(threadId)) {
       this.toolExecutions.set(threadId, []);
@@ -367,7 +408,9 @@ class ContextBuilder {
       error,
       skipped,
       timestamp: new Date().toISOString(),
-      hash
+      hash,
+      toolCallId: callInfo.toolCallId || `call_${hash.substring(0, 12)}_${Date.now()}`,
+      batchId: callInfo.batchId || null
     };
     
     // Add to cache by hash
@@ -385,6 +428,8 @@ class ContextBuilder {
       this.pruneToolExecutionCache(threadId);
     }
     
+    this._markDirty(threadId);
+    
     if (this.debug) {
       logger.info(`Recorded tool execution for ${threadId}: ${toolName}`);
     }
@@ -517,6 +562,7 @@ class ContextBuilder {
         
         // Update the map
         this.threadMessages.set(processedMessage.threadTs, threadMsgs);
+        this._markDirty(processedMessage.threadTs);
         logger.info(`Added message ${processedMessage.id} to thread ${processedMessage.threadTs} (now has ${threadMsgs.length} messages)`);
       } else {
         logger.warn(`Message has no threadTs, not adding to any thread: ${processedMessage.id}`);
@@ -613,6 +659,11 @@ class ContextBuilder {
       }
     }
     
+    const fileList = formatFiles(slackMsg);
+    if (fileList) {
+      textContent = textContent ? `${textContent}\n${fileList}` : fileList;
+    }
+    
     // Determine message type
     let messageType = MessageTypes.TEXT;
     
@@ -635,7 +686,8 @@ class ContextBuilder {
         channel: slackMsg.channel,
         isBot: isBot,
         hasAttachments: !!slackMsg.attachments?.length,
-        hasBlocks: !!slackMsg.blocks?.length
+        hasBlocks: !!slackMsg.blocks?.length,
+        hasFiles: !!slackMsg.files?.length
       }
     };
   }
@@ -770,6 +822,7 @@ class ContextBuilder {
       
       // Set the button state
       threadButtonStates.set(actionId, { state, metadata });
+      this._markDirty(threadTs);
       logger.info(`Set button ${actionId} state to ${state} in thread ${threadTs}`);
       return true;
     } catch (error) {
@@ -812,6 +865,7 @@ class ContextBuilder {
       
       // Set the metadata
       threadMetadata.set(key, value);
+      this._markDirty(threadTs);
       
       // Special handling for context metadata to extract channel
       if (key === 'context' && value && value.channelId) {
@@ -1089,7 +1143,7 @@ class ContextBuilder {
         }
         
         content = {
-          text: textContent,
+          text: describeUsergroupMentions(textContent),
           userid: message.sourceId || 'unknown'
         };
       } else if (role === 'assistant' && message.llmResponse) {
@@ -1217,7 +1271,13 @@ class ContextBuilder {
     
     // Update thread messages
     if (removedCount > 0) {
+      const prunedMessages = messages
+        .filter(msgId => !keepSet.has(msgId))
+        .map(msgId => this.messages.get(msgId))
+        .filter(Boolean);
+      
       this.threadMessages.set(threadTs, newThreadMessages);
+      this._markDirty(threadTs);
       
       // Add a system message about pruning
       this.addMessage({
@@ -1226,17 +1286,121 @@ class ContextBuilder {
         id: `prune_${Date.now()}`,
         timestamp: new Date().toISOString(),
         threadTs,
-        text: `${removedCount} older messages have been summarized to optimize context.`,
+        text: `${removedCount} older messages were condensed into the thread summary.`,
         type: 'system_note',
         metadata: { isPruneNotice: true }
       });
       
+      // Runs in the background; the summary shows up in the next context build
+      this.summarizePrunedMessages(threadTs, prunedMessages);
+      
       logger.info(`Pruned ${removedCount} messages from thread ${threadTs}`);
     }
     
     return removedCount;
   }
   
+  /**
+   * Folds pruned messages into the thread's rolling summary (metadata key
+   * `rollingSummary`). Passes for the same thread run one after another so
+   * each one builds on the previous summary. If a pass fails, its messages
+   * are kept and retried with the next prune.
+   * @param {string} threadTs - Thread timestamp
+   * @param {Array<Object>} prunedMessages - Messages removed from the thread, oldest first
+   * @returns {Promise<Object|null>} - The summary record after this pass
+   */
+  summarizePrunedMessages(threadTs, prunedMessages) {
+    const previousPass = this.summaryUpdates.get(threadTs) || Promise.resolve();
+    
+    const pass = previousPass.then(async () => {
+      const current = this.getRollingSummary(threadTs);
+      const backlog = this.getMetadata(threadTs, 'summaryBacklog') || [];
+      const batch = [...backlog, ...prunedMessages];
+      
+      try {
+        const text = await updateSummary(current?.text, batch);
+        const summary = {
+          text,
+          messageCount: (current?.messageCount || 0) + batch.length,
+          passes: (current?.passes || 0) + 1,
+          updatedAt: new Date().toISOString()
+        };
+        
+        this.setMetadata(threadTs, 'rollingSummary', summary);
+        this.setMetadata(threadTs, 'summaryBacklog', []);
+        return summary;
+      } catch (error) {
+        logger.warn(`⚠️ Could not update summary for thread ${threadTs}, retrying with the next prune: ${error.message}`);
+        this.setMetadata(threadTs, 'summaryBacklog', batch.slice(-THREAD_PRUNING.MAX_SUMMARY_BACKLOG));
+        return current;
+      }
+    });
+    
+    this.summaryUpdates.set(threadTs, pass);
+    pass.then(() => {
+      if (this.summaryUpdates.get(threadTs) === pass) {
+        this.summaryUpdates.delete(threadTs);
+      }
+    });
+    
+    return pass;
+  }
+  
+  /**
+   * Folds messages that no longer fit the model's context window into the
+   * rolling summary. Called with the entries the context budget leaves out;
+   * entries up to the last queued timestamp are skipped, so each message is
+   * summarized once even though it is left out on every later turn.
+   * @param {string} threadTs - Thread timestamp
+   * @param {Array<Object>} entries - Omitted context entries ({role, content, tool_calls, timestamp}), oldest first
+   * @returns {Promise<Object|null>|null} - The summary pass, or null when there was nothing new
+   */
+  summarizeOmittedMessages(threadTs, entries) {
+    const queuedUntil = this.getMetadata(threadTs, 'summaryQueuedUntil');
+    const messages = entries
+      .filter(entry => entry.timestamp && (!queuedUntil || entry.timestamp > queuedUntil))
+      .map(entry => {
+        // Slack messages carry {userid, text}; tool calls are native tool_calls
+        const content = entry.content && typeof entry.content === 'object' ? entry.content.text : entry.content;
+        if (entry.role === 'user') {
+          const sourceId = entry.content?.userid?.replace(/^<@|>$/g, '');
+          return { source: 'user', sourceId, text: content, timestamp: entry.timestamp };
+        }
+        if (entry.role === 'assistant') {
+          // A reply lives in the postMessage arguments; other calls are named
+          const calls = (entry.tool_calls || []).map(call => {
+            if (call.function.name !== 'postMessage') return `(called ${call.function.name})`;
+            try {
+              const args = typeof call.function.arguments === 'string' ? JSON.parse(call.function.arguments) : call.function.arguments;
+              return args?.text || '';
+            } catch (error) {
+              return '';
+            }
+          });
+          return { source: 'assistant', text: [content, ...calls].filter(Boolean).join('\n'), timestamp: entry.timestamp };
+        }
+        return null;
+      })
+      .filter(message => message && typeof message.text === 'string' && message.text.trim());
+    
+    if (messages.length === 0) {
+      return null;
+    }
+    
+    this.setMetadata(threadTs, 'summaryQueuedUntil', messages[messages.length - 1].timestamp);
+    logger.info(`📝 Summarizing ${messages.length} messages that no longer fit the context of thread ${threadTs}`);
+    return this.summarizePrunedMessages(threadTs, messages);
+  }
+  
+  /**
+   * Get the rolling summary of pruned messages for a thread
+   * @param {string} threadTs - Thread timestamp
+   * @returns {Object|null} - { text, messageCount, passes, updatedAt } or null
+   */
+  getRollingSummary(threadTs) {
+    return this.getMetadata(threadTs, 'rollingSummary');
+  }
+  
   /**
    * Builds context for the LLM for a specific thread in the new JSON format
    * @param {string} threadTs - Thread timestamp
@@ -1392,6 +1556,17 @@ class ContextBuilder {
         }
       }
       
+      // Earlier, pruned messages are represented by the rolling summary
+      const rollingSummary = this.getRollingSummary(threadTs);
+      if (rollingSummary?.text) {
+        jsonContext.unshift({
+          role: 'system',
+          content: `Summary of ${rollingSummary.messageCount} earlier messages in this thread:\n${rollingSummary.text}`,
+          timestamp: rollingSummary.updatedAt,
+          turn: 0
+        });
+      }
+      
       if (!skipLogging && process.env.DEBUG_CONTEXT === 'true') {
         logger.info(`Formatted ${jsonContext.length} messages for LLM context`);
       }
@@ -1465,6 +1640,67 @@ class ContextBuilder {
     return parameters;
   }
   
+  /**
+   * Builds native tool-call messages for a thread's tool executions.
+   * Calls that came from the same LLM response (same batchId) share one
+   * assistant message with several `tool_calls`, followed by one
+   * `role: "tool"` result per call, linked by tool_call_id.
+   * @param {string} threadId - Thread ID
+   * @returns {Array<{timestamp: string, slackTs: string|null, partTs: Array<string>, messages: Array}>}
+   */
+  getToolCallMessages(threadId) {
+    const executions = this.toolExecutions.get(threadId) || [];
+    const groups = new Map();
+
+    executions
+      .filter(execution => !execution.skipped)
+      .forEach(execution => {
+        const groupKey = execution.batchId || execution.toolCallId;
+        if (!groups.has(groupKey)) {
+          groups.set(groupKey, []);
+        }
+        groups.get(groupKey).push(execution);
+      });
+
+    return Array.from(groups.values()).map(group => {
+      const calls = group.map(execution => {
+        // Drop our own bookkeeping fields from the arguments we replay
+        const { metadata, ...args } = execution.args || {};
+        return { execution, args };
+      });
+
+      // postMessage results map onto a Slack message in the thread history
+      const posted = group.find(execution => execution.toolName === 'postMessage' && execution.result?.ts);
+
+      return {
+        timestamp: group[0].timestamp,
+        slackTs: posted ? posted.result.ts : null,
+        // Further messages of a reply that was split into pages
+        partTs: posted?.result.parts || [],
+        messages: [
+          {
+            role: 'assistant',
+            content: null,
+            tool_calls: calls.map(({ execution, args }) => ({
+              id: execution.toolCallId,
+              type: 'function',
+              function: {
+                name: execution.toolName,
+                arguments: JSON.stringify(args)
+              }
+            }))
+          },
+          ...calls.map(({ execution, args }) => ({
+            role: 'tool',
+            tool_call_id: execution.toolCallId,
+            name: execution.toolName,
+            content: formatToolResponse(execution.toolName, args, execution.result, execution.error)
+          }))
+        ]
+      };
+    });
+  }
+
   /**
    * Gets tool execution history for a thread
    * @param {string} threadId - Thread ID
@@ -1691,6 +1927,164 @@ class ContextBuilder {
       ];
     }
   }
+  
+  /**
+   * Marks a thread as changed so its snapshot is saved on the next flush
+   * @param {string} threadTs - Thread timestamp
+   * @private
+   */
+  _markDirty(threadTs) {
+    if (!threadTs || !this.store.persistent) return;
+    
+    this.dirtyThreads.add(threadTs);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flushState(), STATE_FLUSH_INTERVAL_MS);
+      this.flushTimer.unref?.();
+    }
+  }
+  
+  /**
+   * Builds a serializable snapshot of everything known about a thread
+   * @param {string} threadId - Thread ID
+   * @returns {Object} - Snapshot in the storage schema (see src/storage/schema.js)
+   */
+  exportThread(threadId) {
+    const messages = (this.threadMessages.get(threadId) || [])
+      .map(msgId => this.messages.get(msgId))
+      .filter(Boolean);
+    
+    const toolExecutions = (this.toolExecutions.get(threadId) || []).map(execution => ({
+      ...execution,
+      // Error instances don't survive JSON.stringify
+      error: execution.error ? {
+        name: execution.error.name,
+        message: execution.error.message || String(execution.error),
+        code: execution.error.code,
+        details: execution.error.details?.errors ? { errors: execution.error.details.errors } : undefined
+      } : null
+    }));
+    
+    // Round-trip through JSON to drop functions and anything else that can't be stored
+    return JSON.parse(JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      threadId,
+      savedAt: new Date().toISOString(),
+      messages,
+      metadata: Object.fromEntries(this.threadMetadata.get(threadId) || []),
+      buttonStates: Object.fromEntries(this.buttonStates.get(threadId) || []),
+      toolExecutions,
+      sequence: this.sequenceCounters.get(threadId) || 0
+    }));
+  }
+  
+  /**
+   * Restores a thread from a snapshot, replacing its in-memory state
+   * @param {Object} snapshot - Snapshot at the current schema version
+   */
+  importThread(snapshot) {
+    const { threadId } = snapshot;
+    
+    const messageIds = [];
+    for (const message of snapshot.messages || []) {
+      this.messages.set(message.id, message);
+      messageIds.push(message.id);
+    }
+    this.threadMessages.set(threadId, messageIds);
+    
+    this.threadMetadata.set(threadId, new Map(Object.entries(snapshot.metadata || {})));
+    this.buttonStates.set(threadId, new Map(Object.entries(snapshot.buttonStates || {})));
+    this.sequenceCounters.set(threadId, snapshot.sequence || 0);
+    
+    const executions = snapshot.toolExecutions || [];
+    this.toolExecutions.set(threadId, executions);
+    this.toolExecutionCache.set(threadId, {
+      hashToExecution: new Map(executions.map(execution => [execution.hash, execution])),
+      executions: executions.slice(-CACHE_CONFIG.MAX_EXECUTIONS_PER_THREAD)
+    });
+  }
+  
+  /**
+   * Rehydrates a thread from the state store the first time an event arrives
+   * for it. Threads already in memory are left alone - memory is newer.
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<boolean>} - True if state was loaded from the store
+   */
+  ensureThreadLoaded(threadId) {
+    if (!threadId || !this.store.persistent) return Promise.resolve(false);
+    
+    if (!this.threadLoads.has(threadId)) {
+      this.threadLoads.set(threadId, (async () => {
+        if (this.threadMessages.has(threadId) || this.threadMetadata.has(threadId)) {
+          return false;
+        }
+        
+        try {
+          const stored = await this.store.loadThread(threadId);
+          if (!stored) return false;
+          
+          this.importThread(migrateSnapshot(stored));
+          logger.info(`💾 Rehydrated thread ${threadId} from ${this.store.name} store (${stored.messages?.length || 0} messages, saved ${stored.savedAt})`);
+          return true;
+        } catch (error) {
+          logError('Error loading thread state', error, { threadId });
+          return false;
+        }
+      })());
+    }
+    
+    return this.threadLoads.get(threadId);
+  }
+  
+  /**
+   * Loads every stored thread whose saved metadata matches a predicate.
+   * Used at startup to pick up work that outlives a request (open polls,
+   * pending reminders).
+   * @param {Function} predicate - (metadata) => boolean
+   * @returns {Promise<Array<string>>} - IDs of the matching threads, now in memory
+   */
+  async loadThreadsWhere(predicate) {
+    if (!this.store.persistent) return [];
+    
+    const matching = [];
+    for (const threadId of await this.store.listThreads()) {
+      try {
+        const stored = await this.store.loadThread(threadId);
+        if (stored && predicate(stored.metadata || {})) {
+          await this.ensureThreadLoaded(threadId);
+          matching.push(threadId);
+        }
+      } catch (error) {
+        logError('Error reading stored thread', error, { threadId });
+      }
+    }
+    return matching;
+  }
+  
+  /**
+   * Saves every changed thread to the state store
+   * @returns {Promise<void>}
+   */
+  async flushState() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    
+    const threadIds = Array.from(this.dirtyThreads);
+    this.dirtyThreads.clear();
+    
+    for (const threadId of threadIds) {
+      try {
+        await this.store.saveThread(threadId, this.exportThread(threadId));
+      } catch (error) {
+        logError('Error saving thread state', error, { threadId });
+        // Keep the changes; the next flush tries again
+        this._markDirty(threadId);
+      }
+    }
+    
+    if (threadIds.length > 0 && this.debug) {
+      logger.info(`💾 Saved ${threadIds.length} threads to ${this.store.name} store`);
+    }
+  }
 }
 
 // Singleton instance
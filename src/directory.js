@@ -0,0 +1,224 @@
+/**
+ * User and user group directory
+ *
+ * Cached lookups of Slack profiles and user groups for the directory tools,
+ * access rules (toolAccess.js), scheduling (user timezones) and the LLM
+ * context, where `<!subteam^S0123>` mentions are spelled out with the group's
+ * handle and name.
+ *
+ * Email addresses are personal data. Whether the tools may return them is set
+ * by USER_EMAIL_VISIBILITY:
+ *   none   - never (default)
+ *   self   - only the requesting user's own address
+ *   dm     - only in direct messages with the bot
+ *   all    - whenever the bot can see them (needs users:read.email)
+ */
+
+const { getSlackClient } = require('./slackClient.js');
+const { USER_EMAIL_VISIBILITY } = require('./config.js');
+const logger = require('./toolUtils/logger.js');
+
+const EMAIL_VISIBILITY_OPTIONS = ['none', 'self', 'dm', 'all'];
+// Profiles and groups change rarely; refetch every 5 minutes
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const SUBTEAM_MENTION = /<!subteam\^([A-Z0-9]+)(?:\|([^>]*))?>/g;
+
+if (!EMAIL_VISIBILITY_OPTIONS.includes(USER_EMAIL_VISIBILITY)) {
+  logger.warn(`Unknown USER_EMAIL_VISIBILITY "${USER_EMAIL_VISIBILITY}" - email addresses stay hidden. Use one of: ${EMAIL_VISIBILITY_OPTIONS.join(', ')}`);
+}
+
+const userCache = new Map();    // userId -> { user, fetchedAt }
+const memberCache = new Map();  // groupId -> { members: Set, fetchedAt }
+let usergroupCache = null;      // { groups: Map(groupId -> group), fetchedAt }
+let usergroupLoad = null;       // in-flight usergroups.list
+
+/**
+ * A user's Slack profile (needs users:read)
+ * @param {string} userId - User ID (U...)
+ * @returns {Promise<Object>} - users.info `user` object
+ */
+async function getUserInfo(userId) {
+  const cached = userCache.get(userId);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.user;
+  }
+
+  const response = await getSlackClient().users.info({ user: userId });
+  if (!response.ok || !response.user) {
+    throw new Error(`Could not look up user ${userId}`);
+  }
+  userCache.set(userId, { user: response.user, fetchedAt: Date.now() });
+  return response.user;
+}
+
+/**
+ * All user groups of the workspace, including disabled ones (needs usergroups:read)
+ * @returns {Promise<Map<string, Object>>} - groupId -> { id, handle, name, description, userCount, disabled }
+ */
+async function listUsergroups() {
+  if (usergroupCache && Date.now() - usergroupCache.fetchedAt < CACHE_TTL_MS) {
+    return usergroupCache.groups;
+  }
+
+  if (!usergroupLoad) {
+    usergroupLoad = (async () => {
+      try {
+        const response = await getSlackClient().usergroups.list({ include_count: true, include_disabled: true });
+        const groups = new Map((response.usergroups || []).map(group => [group.id, {
+          id: group.id,
+          handle: group.handle,
+          name: group.name,
+          description: group.description || '',
+          userCount: group.user_count ?? null,
+          disabled: !!group.date_delete
+        }]));
+        usergroupCache = { groups, fetchedAt: Date.now() };
+        return groups;
+      } finally {
+        usergroupLoad = null;
+      }
+    })();
+  }
+  return usergroupLoad;
+}
+
+/**
+ * Finds a user group by ID, handle or name
+ * @param {string} reference - "S0123ABCD", "<!subteam^S0123ABCD>", "@designteam", "designteam" or "Design Team"
+ * @returns {Promise<Object|null>} - Group from listUsergroups, or null
+ */
+async function findUsergroup(reference) {
+  const value = String(reference || '').trim();
+  const idMatch = value.match(/^<!subteam\^([A-Z0-9]+)/) || value.match(/^(S[A-Z0-9]{6,})$/);
+  const groups = await listUsergroups();
+
+  if (idMatch) return groups.get(idMatch[1]) || null;
+
+  const wanted = value.replace(/^@/, '').toLowerCase();
+  for (const group of groups.values()) {
+    if (group.handle?.toLowerCase() === wanted || group.name?.toLowerCase() === wanted) {
+      return group;
+    }
+  }
+  return null;
+}
+
+/**
+ * Members of a Slack user group (needs usergroups:read)
+ * @param {string} groupId - User group ID (S...)
+ * @returns {Promise<Set<string>>} - Member user IDs
+ * @throws {Error} - When Slack can't list the members
+ */
+async function fetchUsergroupMembers(groupId) {
+  const cached = memberCache.get(groupId);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.members;
+  }
+
+  const response = await getSlackClient().usergroups.users.list({ usergroup: groupId });
+  const members = new Set(response.users || []);
+  memberCache.set(groupId, { members, fetchedAt: Date.now() });
+  return members;
+}
+
+/**
+ * Members of a Slack user group for access checks
+ * @param {string} groupId - User group ID (S...)
+ * @returns {Promise<Set<string>>} - Member user IDs; the last known ones, or none, when the lookup fails
+ */
+async function getUsergroupMembers(groupId) {
+  try {
+    return await fetchUsergroupMembers(groupId);
+  } catch (error) {
+    // Fail closed: access rules built on a group stay denied until the lookup works
+    logger.warn(`Could not load members of user group ${groupId}: ${error.message}`);
+    const cached = memberCache.get(groupId);
+    return cached ? cached.members : new Set();
+  }
+}
+
+/**
+ * Loads group names for any `<!subteam^...>` mentions in the given texts so
+ * describeUsergroupMentions can spell them out. Never throws.
+ * @param {Array<string>} texts - Message texts
+ * @returns {Promise<void>}
+ */
+async function loadUsergroupNames(texts) {
+  if (!texts.some(text => text && text.includes('<!subteam^'))) return;
+  try {
+    await listUsergroups();
+  } catch (error) {
+    logger.warn(`Could not load user group names: ${error.message}`);
+  }
+}
+
+/**
+ * Spells out user group mentions with the group's handle and name, e.g.
+ * `<!subteam^S0123>` -> `@designteam (user group "Design Team", <!subteam^S0123>)`.
+ * Uses the cached group list only; unknown groups keep Slack's label.
+ * @param {string} text - Message text
+ * @returns {string} - Text with readable group mentions
+ */
+function describeUsergroupMentions(text) {
+  if (!text || !text.includes('<!subteam^')) return text;
+  const groups = usergroupCache ? usergroupCache.groups : new Map();
+
+  return text.replace(SUBTEAM_MENTION, (mention, groupId, label) => {
+    const group = groups.get(groupId);
+    if (group) {
+      return `@${group.handle} (user group "${group.name}", <!subteam^${groupId}>)`;
+    }
+    return label ? `${label} (user group, <!subteam^${groupId}>)` : `user group <!subteam^${groupId}>`;
+  });
+}
+
+/**
+ * Whether email addresses may be returned to the requester
+ * @param {Object} requester - From getRequester ({ userId, isDirectMessage })
+ * @param {string} [subjectUserId] - Whose address (for the 'self' rule)
+ * @returns {string|null} - Why the address is withheld, or null when it may be shown
+ */
+function emailWithheldReason(requester, subjectUserId = null) {
+  switch (USER_EMAIL_VISIBILITY) {
+    case 'all':
+      return null;
+    case 'dm':
+      return requester.isDirectMessage ? null : 'email addresses are only shared in direct messages with the bot';
+    case 'self':
+      return subjectUserId && subjectUserId === requester.userId ? null : 'users can only look up their own email address';
+    default:
+      return 'this workspace does not share email addresses through the bot';
+  }
+}
+
+/**
+ * A user as the directory tools report it
+ * @param {Object} user - users.info `user` object
+ * @returns {Object} - { userId, name, realName, displayName, title, timezone, isBot, deleted }
+ */
+function summarizeUser(user) {
+  const profile = user.profile || {};
+  return {
+    userId: user.id,
+    name: user.name,
+    realName: profile.real_name || user.real_name || '',
+    displayName: profile.display_name || '',
+    title: profile.title || '',
+    timezone: user.tz || null,
+    isBot: !!user.is_bot,
+    deleted: !!user.deleted
+  };
+}
+
+module.exports = {
+  EMAIL_VISIBILITY_OPTIONS,
+  getUserInfo,
+  listUsergroups,
+  findUsergroup,
+  fetchUsergroupMembers,
+  getUsergroupMembers,
+  loadUsergroupNames,
+  describeUsergroupMentions,
+  emailWithheldReason,
+  summarizeUser
+};
@@ -1,5 +1,6 @@
 // Error handling and logging utilities
 const { DEBUG_MODE } = require('./config.js');
+const logger = require('./toolUtils/logger.js');
 
 /**
  * Custom error class for bot-specific errors
@@ -13,6 +14,51 @@ class BotError extends Error {
   }
 }
 
+/**
+ * Tool call arguments that don't match the tool's schema. `details.errors`
+ * lists each problem as { path, expected, got } for the model to fix.
+ */
+class ToolArgumentsError extends BotError {
+  constructor(toolName, errors) {
+    const summary = errors.slice(0, 3).map(error => `${error.path} expected ${error.expected}, got ${error.got}`).join('; ');
+    super(`Invalid arguments for ${toolName}: ${summary}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`, {
+      code: 'invalid_arguments',
+      toolName,
+      errors
+    });
+    this.name = 'ToolArgumentsError';
+    this.code = 'invalid_arguments';
+  }
+}
+
+/**
+ * A tool call the requesting user isn't allowed to make (see toolAccess.js)
+ */
+class ToolAccessError extends BotError {
+  constructor(toolName, reason) {
+    super(`${toolName} is not available for this request: ${reason}`, { code: 'access_denied', toolName, reason });
+    this.name = 'ToolAccessError';
+    this.code = 'access_denied';
+  }
+}
+
+/**
+ * Message text whose #block syntax can't be rendered. `details.errors`
+ * lists each problem as { line, column, message } so the model can
+ * find and fix it.
+ */
+class MessageSyntaxError extends BotError {
+  constructor(errors) {
+    const summary = errors.slice(0, 3).map(error => `line ${error.line}, column ${error.column}: ${error.message}`).join('; ');
+    super(`Invalid message syntax: ${summary}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`, {
+      code: 'invalid_message_syntax',
+      errors
+    });
+    this.name = 'MessageSyntaxError';
+    this.code = 'invalid_message_syntax';
+  }
+}
+
 /**
  * Logs an error with optional context and returns the error object
  * @param {string} message - Error message
@@ -98,7 +144,8 @@ function getUserFriendlyExplanation(error, context) {
     'API_ERROR': 'I\'m having trouble with an external service.',
     'SLACK_API_ERROR': 'I\'m having trouble communicating with Slack.',
     'INTERNAL_ERROR': 'I\'m experiencing an internal processing issue.',
-    'TIMEOUT_ERROR': 'The operation took too long to complete.'
+    'TIMEOUT_ERROR': 'The operation took too long to complete.',
+    'LLM_UNAVAILABLE': 'My language model service is temporarily unavailable.'
   };
   
   // Get error code from the error object or context
@@ -145,6 +192,12 @@ function getRecoverySuggestions(error, context) {
         'Try a different operation that doesn\'t require elevated permissions'
       );
       break;
+    case 'LLM_UNAVAILABLE':
+      suggestions.push(
+        'Try again in a minute or two',
+        'Check the LLM provider status page if this keeps happening'
+      );
+      break;
     case 'TIMEOUT_ERROR':
       suggestions.push(
         'Try again with a simpler request',
@@ -175,6 +228,55 @@ function formatErrorForLLM(error) {
   };
 }
 
+/**
+ * Whether an error means the LLM itself can't be reached right now
+ * (circuit open, or retries exhausted on a transient failure)
+ * @param {Error} error - The error to check
+ * @returns {boolean}
+ */
+function isLLMUnavailableError(error) {
+  const { isRetryableError } = require('./llmProviders');
+  return error?.code === 'LLM_UNAVAILABLE' ||
+    (error?.name === 'ProviderError' && isRetryableError(error));
+}
+
+/**
+ * Degraded-mode path used when the LLM is unavailable. Routing the error back
+ * through the LLM would only fail again, so a short status notice is posted
+ * directly - once per thread per outage.
+ * @param {Error} error - The LLM error
+ * @param {Object} slackContext - Context about the Slack environment
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<void>}
+ */
+async function notifyLLMUnavailable(error, slackContext, threadId) {
+  const { getContextBuilder } = require('./contextBuilder.js');
+  const { getSlackClient } = require('./slackClient.js');
+  const contextBuilder = getContextBuilder();
+  
+  const channelId = slackContext.channelId;
+  if (!channelId) {
+    logger.error('🚨 No channel ID available for degraded-mode notice');
+    return;
+  }
+  
+  // Don't repeat the notice for every message in the same outage
+  const lastNotice = contextBuilder.getMetadata(threadId, 'llmUnavailableNoticeAt');
+  const retryAfterMs = error.retryAfterMs || 60000;
+  if (lastNotice && Date.now() - lastNotice < retryAfterMs) {
+    logger.info(`🔇 Skipping repeated degraded-mode notice for thread ${threadId}`);
+    return;
+  }
+  contextBuilder.setMetadata(threadId, 'llmUnavailableNoticeAt', Date.now());
+  
+  const retrySeconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  await getSlackClient().chat.postMessage({
+    channel: channelId,
+    thread_ts: slackContext.threadTs || slackContext.timestamp,
+    text: `:warning: I can't reach my language model right now, so I can't answer this yet. Please try again in about ${retrySeconds} seconds.`
+  });
+}
+
 /**
  * Handles an error by routing it through the LLM for response generation
  * This maintains the LLM-driven architecture by letting the LLM decide how to respond to errors
@@ -233,6 +335,13 @@ async function handleErrorWithLLM(error, slackContext) {
       }
     });
     
+    // The LLM is down - asking it how to phrase the error would just fail again
+    if (isLLMUnavailableError(error)) {
+      logger.warn(`⚠️ LLM unavailable (${error.code || error.status}), using degraded-mode notice`);
+      await notifyLLMUnavailable(error, slackContext, threadId);
+      return;
+    }
+    
     // Build additional system message for error context
     const errorPrompt = {
       role: "system",
@@ -264,7 +373,7 @@ GUIDANCE:
     // Execute the tool call recommended by the LLM
     if (nextAction && nextAction.toolCalls && nextAction.toolCalls.length > 0) {
       for (const toolCall of nextAction.toolCalls) {
-        await executeTool(toolCall.tool, toolCall.parameters, threadId);
+        await executeTool(toolCall.tool, toolCall.parameters, threadId, { toolCallId: toolCall.id, argumentsError: toolCall.argumentsError });
       }
     }
   } catch (secondaryError) {
@@ -293,9 +402,13 @@ GUIDANCE:
 
 module.exports = {
   BotError,
+  ToolArgumentsError,
+  ToolAccessError,
+  MessageSyntaxError,
   logError,
   formatErrorForLLM,
   handleErrorWithLLM,
+  isLLMUnavailableError,
   createStandardizedErrorContext,
   getUserFriendlyExplanation,
   getRecoverySuggestions
@@ -0,0 +1,377 @@
+/**
+ * Modal forms
+ *
+ * openForm registers a form here and posts a message with an "open form"
+ * button in the thread. Slack only lets an app open a modal with the
+ * trigger_id of an interaction, and that ID expires after three seconds - far
+ * sooner than an LLM turn - so the modal is opened by the button click rather
+ * than by the tool itself. Forms are kept in the thread's `formRegistry`
+ * metadata, which means a button still works after a restart.
+ *
+ * On view_submission the answers are checked and acknowledged, the form
+ * message is rewritten to show who submitted what (thread history is what the
+ * model remembers on later turns), and the orchestrator starts a new LLM turn
+ * in the form's thread. A form takes one submission.
+ *
+ * Field names become block IDs (`field_<name>`), so Slack's per-field errors
+ * line up with the spec the model wrote.
+ */
+
+const { getContextBuilder } = require('./contextBuilder.js');
+const { getSlackClient } = require('./slackClient.js');
+const { formatSlackMessage } = require('./slackFormat.js');
+const logger = require('./toolUtils/logger.js');
+
+const FORM_ACTION_PREFIX = 'form_open:';
+const FORM_CALLBACK_ID = 'aya_form';
+const FIELD_TYPES = ['text', 'multiline', 'number', 'email', 'url', 'date', 'select', 'multiselect'];
+const MAX_FIELDS = 20;
+const MAX_OPTIONS = 100;
+// Slack's limits for modal texts
+const MAX_TITLE_CHARS = 24;
+const MAX_OPTION_CHARS = 75;
+const MAX_PLACEHOLDER_CHARS = 150;
+const MAX_LABEL_CHARS = 2000;
+
+function plainText(text) {
+  return { type: 'plain_text', text, emoji: true };
+}
+
+/**
+ * Finds a form in a thread's registry
+ * @param {string} threadId - Thread ID
+ * @param {string} formId - Form ID
+ * @returns {Object|null}
+ */
+function findForm(threadId, formId) {
+  const registry = getContextBuilder().getMetadata(threadId, 'formRegistry') || {};
+  return registry[formId] || null;
+}
+
+function saveForm(threadId, form) {
+  const contextBuilder = getContextBuilder();
+  const registry = contextBuilder.getMetadata(threadId, 'formRegistry') || {};
+  contextBuilder.setMetadata(threadId, 'formRegistry', { ...registry, [form.formId]: form });
+}
+
+/**
+ * Checks a field spec from the model against what a Slack modal accepts
+ * @param {Object} form - { title, submitLabel, fields }
+ * @returns {Array<string>} - Problems (empty when the form can be opened)
+ */
+function validateFormSpec(form) {
+  const problems = [];
+  if (!form.title || form.title.length > MAX_TITLE_CHARS) {
+    problems.push(`title must be 1-${MAX_TITLE_CHARS} characters`);
+  }
+  if (form.submitLabel && form.submitLabel.length > MAX_TITLE_CHARS) {
+    problems.push(`submitLabel must be at most ${MAX_TITLE_CHARS} characters`);
+  }
+  if (form.fields.length === 0 || form.fields.length > MAX_FIELDS) {
+    problems.push(`a form needs 1-${MAX_FIELDS} fields`);
+  }
+
+  const names = new Set();
+  form.fields.forEach((field, index) => {
+    const where = `fields[${index}]${field.name ? ` (${field.name})` : ''}`;
+    if (!/^[a-z][a-z0-9_]{0,49}$/i.test(field.name || '')) {
+      problems.push(`${where}: name must start with a letter and use only letters, digits and _`);
+    } else if (names.has(field.name)) {
+      problems.push(`${where}: name is used by another field`);
+    }
+    names.add(field.name);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      problems.push(`${where}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    if (!field.label || field.label.length > MAX_LABEL_CHARS) {
+      problems.push(`${where}: label must be 1-${MAX_LABEL_CHARS} characters`);
+    }
+    if (field.placeholder && field.placeholder.length > MAX_PLACEHOLDER_CHARS) {
+      problems.push(`${where}: placeholder must be at most ${MAX_PLACEHOLDER_CHARS} characters`);
+    }
+
+    const options = field.options || [];
+    if (field.type === 'select' || field.type === 'multiselect') {
+      if (options.length === 0 || options.length > MAX_OPTIONS) {
+        problems.push(`${where}: ${field.type} fields need 1-${MAX_OPTIONS} options`);
+      }
+      if (options.some(option => !option || option.length > MAX_OPTION_CHARS)) {
+        problems.push(`${where}: options must be 1-${MAX_OPTION_CHARS} characters`);
+      }
+      if (new Set(options).size !== options.length) {
+        problems.push(`${where}: options must be unique`);
+      }
+      if (field.initialValue && !options.includes(field.initialValue)) {
+        problems.push(`${where}: initialValue must be one of the options`);
+      }
+    }
+    if (field.type === 'date' && field.initialValue && !/^\d{4}-\d{2}-\d{2}$/.test(field.initialValue)) {
+      problems.push(`${where}: initialValue must be a YYYY-MM-DD date`);
+    }
+    if (field.type === 'number' && field.initialValue && !Number.isFinite(Number(field.initialValue))) {
+      problems.push(`${where}: initialValue must be a number`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Builds the input element for one field
+ * @param {Object} field - Field spec
+ * @returns {Object} - Block Kit element
+ */
+function buildFieldElement(field) {
+  const element = { action_id: 'value' };
+  const option = text => ({ text: plainText(text), value: text });
+
+  switch (field.type) {
+    case 'multiline':
+      Object.assign(element, { type: 'plain_text_input', multiline: true });
+      break;
+    case 'number':
+      Object.assign(element, { type: 'number_input', is_decimal_allowed: true });
+      break;
+    case 'email':
+      element.type = 'email_text_input';
+      break;
+    case 'url':
+      element.type = 'url_text_input';
+      break;
+    case 'date':
+      element.type = 'datepicker';
+      if (field.initialValue) element.initial_date = field.initialValue;
+      break;
+    case 'select':
+      Object.assign(element, { type: 'static_select', options: field.options.map(option) });
+      if (field.initialValue) element.initial_option = option(field.initialValue);
+      break;
+    case 'multiselect':
+      Object.assign(element, { type: 'multi_static_select', options: field.options.map(option) });
+      if (field.initialValue) element.initial_options = [option(field.initialValue)];
+      break;
+    default:
+      element.type = 'plain_text_input';
+  }
+
+  if (field.placeholder) {
+    element.placeholder = plainText(field.placeholder);
+  }
+  if (field.initialValue && ['plain_text_input', 'number_input', 'email_text_input', 'url_text_input'].includes(element.type)) {
+    element.initial_value = field.initialValue;
+  }
+  return element;
+}
+
+/**
+ * Builds the modal view for a form
+ * @param {Object} form - Form from the registry
+ * @param {string} threadId - Thread the form belongs to
+ * @returns {Object} - View for views.open
+ */
+function buildFormView(form, threadId) {
+  return {
+    type: 'modal',
+    callback_id: FORM_CALLBACK_ID,
+    private_metadata: JSON.stringify({ threadId, formId: form.formId }),
+    title: plainText(form.title),
+    submit: plainText(form.submitLabel || 'Submit'),
+    close: plainText('Cancel'),
+    blocks: form.fields.map(field => ({
+      type: 'input',
+      block_id: `field_${field.name}`,
+      optional: !!field.optional,
+      label: plainText(field.label),
+      element: buildFieldElement(field)
+    }))
+  };
+}
+
+/**
+ * Answers as readable lines ("• *Label:* value")
+ * @param {Object} form - Form from the registry
+ * @param {Object} values - Answers keyed by field name
+ * @returns {string}
+ */
+function formatAnswers(form, values) {
+  return form.fields.map(field => {
+    const value = values[field.name];
+    const shown = Array.isArray(value) ? value.join(', ') : value;
+    return `• *${field.label}:* ${shown === null || shown === '' ? '_(empty)_' : String(shown).replace(/\n/g, '\n   ')}`;
+  }).join('\n');
+}
+
+/**
+ * Builds the form message: the model's text and the button, or the answers once submitted
+ * @param {Object} form - Form from the registry
+ * @returns {Object} - { text, blocks, attachments } from formatSlackMessage
+ */
+function renderFormMessage(form) {
+  if (form.submission) {
+    return formatSlackMessage({
+      text: `${form.text}\n\n*Submitted by <@${form.submission.userId}>:*\n${formatAnswers(form, form.submission.values)}`,
+      color: form.color
+    });
+  }
+
+  return formatSlackMessage({
+    text: form.text,
+    color: form.color,
+    actions: [{
+      text: form.buttonText || 'Open form',
+      value: form.formId,
+      actionId: `${FORM_ACTION_PREFIX}${form.formId}`,
+      style: 'primary'
+    }]
+  });
+}
+
+/**
+ * Starts tracking a newly posted form
+ * @param {string} threadId - Thread the form was posted in
+ * @param {Object} form - Form with formId, channelId and messageTs
+ */
+function registerForm(threadId, form) {
+  saveForm(threadId, form);
+  logger.info(`📝 Form ${form.formId} posted in ${form.channelId} (${form.fields.length} fields)`);
+}
+
+/**
+ * Whether a block action is a form's open button
+ * @param {string} actionId - action_id of the clicked element
+ * @returns {boolean}
+ */
+function isFormAction(actionId) {
+  return typeof actionId === 'string' && actionId.startsWith(FORM_ACTION_PREFIX);
+}
+
+/**
+ * Opens the modal for a clicked form button. Must run within three seconds of the click.
+ * @param {Object} body - Block action payload
+ * @returns {Promise<boolean>} - Whether the modal was opened
+ */
+async function openFormModal(body) {
+  const formId = body.actions[0].action_id.slice(FORM_ACTION_PREFIX.length);
+  const threadId = body.message?.thread_ts || body.container?.message_ts;
+  const slackClient = getSlackClient();
+
+  await getContextBuilder().ensureThreadLoaded(threadId);
+  const form = findForm(threadId, formId);
+
+  if (!form || form.submission) {
+    await slackClient.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      thread_ts: threadId,
+      text: form ? 'This form has already been submitted.' : 'This form is no longer available.'
+    });
+    return false;
+  }
+
+  await slackClient.views.open({
+    trigger_id: body.trigger_id,
+    view: buildFormView(form, threadId)
+  });
+  logger.info(`📝 Form ${formId} opened by ${body.user.id}`);
+  return true;
+}
+
+/**
+ * Reads the answers out of a submitted view's state
+ * @param {Object} form - Form from the registry
+ * @param {Object} stateValues - view.state.values
+ * @returns {Object} - Answers keyed by field name (null when left empty)
+ */
+function readAnswers(form, stateValues) {
+  const values = {};
+  for (const field of form.fields) {
+    const input = stateValues[`field_${field.name}`]?.value || {};
+    switch (field.type) {
+      case 'date':
+        values[field.name] = input.selected_date || null;
+        break;
+      case 'select':
+        values[field.name] = input.selected_option?.value || null;
+        break;
+      case 'multiselect':
+        values[field.name] = (input.selected_options || []).map(option => option.value);
+        break;
+      case 'number':
+        values[field.name] = input.value ? Number(input.value) : null;
+        break;
+      default:
+        values[field.name] = input.value ?? null;
+    }
+  }
+  return values;
+}
+
+/**
+ * Checks a view_submission before it is acknowledged. Slack has already
+ * enforced required fields and the email, URL and number formats.
+ * @param {Object} view - Submitted view
+ * @returns {Promise<Object>} - { errors } to show in the modal, or { threadId, form, values }
+ */
+async function readFormSubmission(view) {
+  const { threadId, formId } = JSON.parse(view.private_metadata || '{}');
+  await getContextBuilder().ensureThreadLoaded(threadId);
+  const form = threadId && formId ? findForm(threadId, formId) : null;
+  const firstBlock = view.blocks?.[0]?.block_id;
+
+  if (!form || form.submission) {
+    return { errors: { [firstBlock]: form ? 'This form has already been submitted.' : 'This form is no longer available.' } };
+  }
+  return { threadId, form, values: readAnswers(form, view.state?.values || {}) };
+}
+
+/**
+ * Stores a submission and shows the answers on the form message
+ * @param {string} threadId - Thread the form belongs to
+ * @param {Object} form - Form from readFormSubmission
+ * @param {string} userId - Who submitted
+ * @param {Object} values - Answers keyed by field name
+ * @returns {Promise<Object|null>} - The updated form, or null when someone else submitted first
+ */
+async function recordFormSubmission(threadId, form, userId, values) {
+  const latest = findForm(threadId, form.formId);
+  if (!latest || latest.submission) {
+    logger.warn(`Form ${form.formId} was already submitted; ignoring the submission from ${userId}`);
+    return null;
+  }
+
+  const updated = { ...latest, submission: { userId, values, submittedAt: new Date().toISOString() } };
+  saveForm(threadId, updated);
+
+  try {
+    const message = renderFormMessage(updated);
+    await getSlackClient().chat.update({
+      channel: updated.channelId,
+      ts: updated.messageTs,
+      text: message.text,
+      blocks: message.blocks,
+      attachments: message.attachments
+    });
+  } catch (error) {
+    // The new turn still gets the answers; only the thread history misses them
+    logger.warn(`Could not show the answers on form ${form.formId}: ${error.message}`);
+  }
+
+  logger.info(`📝 Form ${form.formId} submitted by ${userId}`);
+  return updated;
+}
+
+module.exports = {
+  FORM_CALLBACK_ID,
+  FIELD_TYPES,
+  findForm,
+  validateFormSpec,
+  buildFormView,
+  renderFormMessage,
+  formatAnswers,
+  registerForm,
+  isFormAction,
+  openFormModal,
+  readFormSubmission,
+  recordFormSubmission
+};
@@ -0,0 +1,324 @@
+/**
+ * Images in threads for vision-capable models
+ *
+ * Image files and image blocks on user messages are sent to the model as
+ * image content parts when the model supports it (`vision` in the model
+ * registry, or LLM_VISION). Only the newest VISION_MAX_IMAGES images of a
+ * thread are attached; older ones stay in the context as file metadata.
+ *
+ * Slack renders thumbnails of every uploaded image, so the largest thumbnail
+ * that fits VISION_MAX_IMAGE_PX is downloaded instead of the original. Images
+ * linked from image blocks can't be resized here and are skipped when they
+ * exceed VISION_MAX_BYTES. Downloads are cached under VISION_CACHE_DIR (or in
+ * memory), so a long thread doesn't fetch its images again on every turn.
+ *
+ * Context entries only carry a reference ({ imageId, name }); the image data
+ * is filled in when the message for the provider is built (imageContentPart).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { getSlackClient } = require('./slackClient.js');
+const { getModelInfo } = require('./llmProviders/modelRegistry.js');
+const {
+  SLACK_BOT_TOKEN,
+  LLM_MODEL,
+  LLM_VISION,
+  VISION_MAX_IMAGES,
+  VISION_MAX_IMAGE_PX,
+  VISION_MAX_BYTES,
+  VISION_CACHE_DIR
+} = require('./config.js');
+const logger = require('./toolUtils/logger.js');
+
+// Formats accepted by both OpenAI and Anthropic
+const SUPPORTED_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+// Slack thumbnail sizes, by longest side
+const THUMB_SIZES = [1024, 960, 800, 720, 480, 360];
+const MEMORY_CACHE_MAX = 50;
+// An image that failed (too big, unsupported type) isn't tried again on every turn
+const FAILURE_TTL_MS = 10 * 60 * 1000;
+const DISK_CACHE_MAX_FILES = 500;
+
+if (!['auto', 'true', 'false'].includes(LLM_VISION)) {
+  logger.warn(`Unknown LLM_VISION "${LLM_VISION}" - images are not sent. Use one of: auto, true, false`);
+}
+
+const memoryCache = new Map();  // imageId -> { mimetype, data (base64) }
+const failures = new Map();     // imageId -> { reason, failedAt }
+
+/**
+ * Whether images are sent to the model
+ * @param {string} [model] - Model name (defaults to LLM_MODEL)
+ * @returns {boolean}
+ */
+function visionEnabled(model = LLM_MODEL) {
+  return getModelInfo(model).vision && VISION_MAX_IMAGES > 0;
+}
+
+/**
+ * Images on a message: image files plus image blocks (also inside attachments)
+ * @param {Object} message - Slack message
+ * @returns {Array<Object>} - [{ kind: 'file', file } | { kind: 'url', url, name }]
+ */
+function collectMessageImages(message) {
+  const images = [];
+
+  for (const file of message.files || []) {
+    if (file.mode !== 'tombstone' && file.mode !== 'hidden_by_limit' && (file.mimetype || '').startsWith('image/')) {
+      images.push({ kind: 'file', file });
+    }
+  }
+
+  const blocks = [
+    ...(message.blocks || []),
+    ...(message.attachments || []).flatMap(attachment => attachment.blocks || [])
+  ];
+  for (const block of blocks) {
+    if (block.type !== 'image') continue;
+    const name = block.alt_text || block.title?.text || 'image';
+    if (block.image_url) {
+      images.push({ kind: 'url', url: block.image_url, name });
+    } else if (block.slack_file?.id) {
+      images.push({ kind: 'file', file: { id: block.slack_file.id }, name });
+    } else if (block.slack_file?.url) {
+      images.push({ kind: 'url', url: block.slack_file.url, name });
+    }
+  }
+
+  return images;
+}
+
+function cacheKey(image) {
+  const source = image.kind === 'file' ? image.file.id : crypto.createHash('sha1').update(image.url).digest('hex');
+  return `${source}_${VISION_MAX_IMAGE_PX}`;
+}
+
+function diskPath(imageId, mimetype) {
+  return path.resolve(VISION_CACHE_DIR, `${imageId}.${SUPPORTED_TYPES[mimetype]}`);
+}
+
+function remember(imageId, entry) {
+  memoryCache.set(imageId, entry);
+  if (memoryCache.size > MEMORY_CACHE_MAX) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * A cached image, from memory or VISION_CACHE_DIR
+ * @param {string} imageId - Cache key
+ * @returns {Object|null} - { mimetype, data } or null
+ */
+function readCached(imageId) {
+  if (memoryCache.has(imageId)) return memoryCache.get(imageId);
+  if (!VISION_CACHE_DIR) return null;
+
+  for (const mimetype of Object.keys(SUPPORTED_TYPES)) {
+    const filePath = diskPath(imageId, mimetype);
+    if (fs.existsSync(filePath)) {
+      const entry = { mimetype, data: fs.readFileSync(filePath).toString('base64') };
+      remember(imageId, entry);
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Writes an image to VISION_CACHE_DIR, removing the oldest files past DISK_CACHE_MAX_FILES
+ * @param {string} imageId - Cache key
+ * @param {string} mimetype - Image type
+ * @param {Buffer} buffer - Image bytes
+ */
+async function writeCached(imageId, mimetype, buffer) {
+  if (!VISION_CACHE_DIR) return;
+  try {
+    await fs.promises.mkdir(path.resolve(VISION_CACHE_DIR), { recursive: true });
+    await fs.promises.writeFile(diskPath(imageId, mimetype), buffer);
+
+    const names = await fs.promises.readdir(path.resolve(VISION_CACHE_DIR));
+    if (names.length > DISK_CACHE_MAX_FILES) {
+      const files = await Promise.all(names.map(async name => {
+        const filePath = path.resolve(VISION_CACHE_DIR, name);
+        return { filePath, mtime: (await fs.promises.stat(filePath)).mtimeMs };
+      }));
+      files.sort((a, b) => a.mtime - b.mtime)
+        .slice(0, files.length - DISK_CACHE_MAX_FILES)
+        .forEach(file => fs.promises.unlink(file.filePath).catch(() => {}));
+    }
+  } catch (error) {
+    logger.warn(`Could not cache image ${imageId}: ${error.message}`);
+  }
+}
+
+/**
+ * The URL of the largest rendition of a Slack file that fits VISION_MAX_IMAGE_PX
+ * @param {Object} file - Slack file object (from files.info or a message)
+ * @returns {string|null}
+ */
+function pickRendition(file) {
+  const longestSide = Math.max(file.original_w || 0, file.original_h || 0);
+  if (longestSide > 0 && longestSide <= VISION_MAX_IMAGE_PX && SUPPORTED_TYPES[file.mimetype]) {
+    return file.url_private;
+  }
+
+  const fitting = THUMB_SIZES.filter(size => size <= VISION_MAX_IMAGE_PX && file[`thumb_${size}`]);
+  if (fitting.length > 0) return file[`thumb_${fitting[0]}`];
+
+  // Smaller limit than any thumbnail - take the smallest one there is
+  const smallest = [...THUMB_SIZES].reverse().find(size => file[`thumb_${size}`]);
+  return smallest ? file[`thumb_${smallest}`] : null;
+}
+
+/**
+ * Downloads an image, refusing anything over VISION_MAX_BYTES
+ * @param {string} url - Image URL
+ * @returns {Promise<Object>} - { mimetype, buffer }
+ */
+async function download(url) {
+  // Slack-hosted files need the bot token; public image links must not get it
+  const isSlackFile = /^https:\/\/files\.slack\.com\//.test(url);
+  const response = await fetch(url, {
+    headers: isSlackFile ? { Authorization: `Bearer ${SLACK_BOT_TOKEN}` } : {},
+    redirect: 'follow'
+  });
+  if (!response.ok) {
+    throw new Error(`download failed with HTTP ${response.status}`);
+  }
+
+  const mimetype = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!SUPPORTED_TYPES[mimetype]) {
+    throw new Error(`unsupported image type "${mimetype || 'unknown'}"`);
+  }
+  const declaredSize = Number(response.headers.get('content-length') || 0);
+  if (declaredSize > VISION_MAX_BYTES) {
+    throw new Error(`image is larger than ${Math.round(VISION_MAX_BYTES / 1024)} KB`);
+  }
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of response.body) {
+    received += chunk.length;
+    if (received > VISION_MAX_BYTES) {
+      if (typeof response.body.destroy === 'function') response.body.destroy();
+      throw new Error(`image is larger than ${Math.round(VISION_MAX_BYTES / 1024)} KB`);
+    }
+    chunks.push(chunk);
+  }
+
+  return { mimetype, buffer: Buffer.concat(chunks) };
+}
+
+/**
+ * Downloads (or finds in the cache) one image
+ * @param {Object} image - From collectMessageImages
+ * @returns {Promise<string>} - imageId for imageContentPart
+ */
+async function loadImage(image) {
+  const imageId = cacheKey(image);
+  if (readCached(imageId)) return imageId;
+
+  const failure = failures.get(imageId);
+  if (failure && Date.now() - failure.failedAt < FAILURE_TTL_MS) {
+    throw new Error(failure.reason);
+  }
+
+  try {
+    await fetchImage(image, imageId);
+  } catch (error) {
+    failures.set(imageId, { reason: error.message, failedAt: Date.now() });
+    throw error;
+  }
+  return imageId;
+}
+
+/**
+ * Downloads an image into the caches
+ * @param {Object} image - From collectMessageImages
+ * @param {string} imageId - Cache key
+ * @returns {Promise<void>}
+ */
+async function fetchImage(image, imageId) {
+
+  let url = image.url;
+  if (image.kind === 'file') {
+    let file = image.file;
+    // Image blocks only reference the file; messages from events can lack the thumbnails
+    if (!file.thumb_360 && !file.url_private) {
+      file = (await getSlackClient().files.info({ file: file.id })).file || file;
+    }
+    url = pickRendition(file);
+    if (!url) {
+      throw new Error('Slack has no preview of this image');
+    }
+  }
+
+  const { mimetype, buffer } = await download(url);
+  remember(imageId, { mimetype, data: buffer.toString('base64') });
+  await writeCached(imageId, mimetype, buffer);
+}
+
+/**
+ * Attaches the newest images of a thread to their context entries.
+ * Sets `content.images` ([{ imageId, name }]) on each entry that got images
+ * and marks attached files in `content.files`. Failures leave the entry as is.
+ * @param {Array<Object>} entries - [{ content, message }] for user messages, oldest first
+ * @returns {Promise<number>} - Number of images attached
+ */
+async function attachImages(entries) {
+  if (!visionEnabled()) return 0;
+
+  let attached = 0;
+  for (let i = entries.length - 1; i >= 0 && attached < VISION_MAX_IMAGES; i--) {
+    const { content, message } = entries[i];
+    const images = collectMessageImages(message);
+
+    for (let j = images.length - 1; j >= 0 && attached < VISION_MAX_IMAGES; j--) {
+      const image = images[j];
+      const name = image.name || image.file?.name || image.file?.title || 'image';
+      try {
+        const imageId = await loadImage(image);
+        content.images = [{ imageId, name }, ...(content.images || [])];
+        attached++;
+
+        const description = image.kind === 'file' && (content.files || []).find(file => file.fileId === image.file.id);
+        if (description) {
+          description.note = 'image - attached to this message for you to see';
+        }
+      } catch (error) {
+        logger.warn(`Could not load image ${name} for the model: ${error.message}`);
+      }
+    }
+  }
+
+  if (attached > 0) {
+    logger.info(`🖼️ Attached ${attached} image${attached === 1 ? '' : 's'} to the context`);
+  }
+  return attached;
+}
+
+/**
+ * An image as an OpenAI-style content part (provider adapters convert it)
+ * @param {Object} image - { imageId, name } from attachImages
+ * @returns {Object|null} - { type: 'image_url', image_url: { url } } or null when the image is gone
+ */
+function imageContentPart(image) {
+  const cached = readCached(image.imageId);
+  if (!cached) return null;
+  return { type: 'image_url', image_url: { url: `data:${cached.mimetype};base64,${cached.data}` } };
+}
+
+module.exports = {
+  visionEnabled,
+  collectMessageImages,
+  attachImages,
+  imageContentPart
+};
@@ -3,14 +3,19 @@ const { LLM_API_KEY, LLM_API_URL, LLM_MODEL } = require('./config.js');
 const { logError, formatErrorForLLM } = require('./errors.js');
 const fetch = require('node-fetch');
 const { getToolsForLLM } = require('./tools');
+const { getRequester, filterToolsForRequester, describeDeniedTools } = require('./toolAccess.js');
 const { getContextBuilder } = require('./contextBuilder.js');
 const { getThreadContextBuilder } = require('./threadContextBuilder.js');
+const { formatFileLine } = require('./sharedFiles.js');
+const { imageContentPart } = require('./images.js');
 const { readFileSync } = require('fs');
 const path = require('path');
 const { callOpenAI } = require('./openai.js');
 const logger = require('./toolUtils/logger.js');
 const llmDebugLogger = require('./toolUtils/llmDebugLogger.js');
 const ayaPrompts = require('./prompts/aya.js');
+const { getModelInfo, getOutputReserve } = require('./llmProviders/modelRegistry.js');
+const { countTokens, countMessageTokens, countToolTokens, truncateToTokens } = require('./toolUtils/tokenCounter.js');
 
 // Turn on debug context logging in non-production environments
 if (process.env.NODE_ENV !== 'production' && process.env.DEBUG_CONTEXT !== 'false') {
@@ -36,29 +41,87 @@ const FORMAT_REQUIREMENTS = ayaPrompts.TECHNICAL_GUIDELINES.formatRequirements;
 // Critical workflow for tool execution
 const REMEMBER_CRITICAL = ayaPrompts.TECHNICAL_GUIDELINES.workflowRules;
 
-// Simple GPT token estimator
-const GPT_TOKENS_PER_CHAR = 0.25; // Rough estimate for English text
-
 /**
- * Token budget constants
+ * Context budget shares
  */
-const TOKEN_BUDGET = {
-  MAX_TOTAL: 4000,  // Target max tokens
-  MIN_USER_MESSAGES: 800  // Ensure some space for user messages
+const CONTEXT_BUDGET = {
+  SAFETY_MARGIN: 0.05,      // Share of the window left free for tokenizer drift
+  TOOL_RESULT_SHARE: 0.3    // Max share of the history budget spent on tool results
 };
 
 /**
- * Estimates token count for a text
+ * Converts a context entry into the message sent to the provider
+ * @param {Object} contextMsg - Entry from ThreadContextBuilder.buildContext
+ * @returns {Object} - OpenAI-style message
  */
-function estimateTokenCount(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length * GPT_TOKENS_PER_CHAR);
+function toLLMMessage(contextMsg) {
+  // Convert user message content object to plain text, listing any shared files
+  if (contextMsg.role === 'user' && contextMsg.content && typeof contextMsg.content === 'object') {
+    const fileLines = (contextMsg.content.files || []).map(formatFileLine);
+    const text = [contextMsg.content.text, ...fileLines].filter(Boolean).join('\n');
+    
+    // Images attached for vision-capable models go along as content parts
+    const imageParts = (contextMsg.content.images || []).map(imageContentPart).filter(Boolean);
+    if (imageParts.length > 0) {
+      return { role: 'user', content: [{ type: 'text', text: text || '[image]' }, ...imageParts] };
+    }
+    return { role: 'user', content: text || '[empty message]' };
+  }
+
+  // Native tool call - its result follows as a role:"tool" message
+  if (contextMsg.role === 'assistant' && Array.isArray(contextMsg.tool_calls)) {
+    return { role: 'assistant', content: contextMsg.content || null, tool_calls: contextMsg.tool_calls };
+  }
+
+  if (contextMsg.role === 'tool') {
+    return { role: 'tool', tool_call_id: contextMsg.tool_call_id, content: contextMsg.content };
+  }
+
+  // Bot messages that weren't produced by a recorded tool call - keep just the text
+  if (contextMsg.role === 'assistant' && typeof contextMsg.content === 'object') {
+    return { role: 'assistant', content: contextMsg.content.text || '' };
+  }
+
+  // For system messages or other simple content
+  return { role: contextMsg.role, content: contextMsg.content };
 }
 
 /**
- * Ensures context stays within token limits
+ * Groups conversation entries so a tool call is never separated from its results
+ * @param {Array} entries - Non-system context entries
+ * @returns {Array<Array>} - Units in chronological order
  */
-function ensureContextWithinLimits(context) {
+function groupContextUnits(entries) {
+  const units = [];
+  for (const entry of entries) {
+    const lastUnit = units[units.length - 1];
+    if (entry.role === 'tool' && lastUnit) {
+      lastUnit.push(entry);
+    } else {
+      units.push([entry]);
+    }
+  }
+  return units;
+}
+
+/**
+ * Ensures context stays within the model's context window.
+ * The window is split between the reply reserve, tool schemas, system
+ * messages, tool results and thread history, in that order of priority:
+ * tool results are trimmed first (oldest first), then the oldest history
+ * is dropped. Dropped history is represented by the thread's rolling summary
+ * once one exists, and handed to `onOmitted` so it can be folded into it.
+ * @param {Array} context - Context entries from the thread context builder
+ * @param {Object} [options] - Budget options
+ * @param {string} [options.model] - Model name (defaults to LLM_MODEL)
+ * @param {Array} [options.tools] - Tool schemas sent with the request
+ * @param {Object} [options.additionalSystemMessage] - Extra system message sent with the request
+ * @param {Object} [options.additionalUserMessage] - Extra user message sent after the context
+ * @param {Object} [options.summary] - Rolling summary of the thread ({text, messageCount, updatedAt})
+ * @param {Function} [options.onOmitted] - Called with the entries that were left out, oldest first
+ * @returns {Array} - Context that fits the budget
+ */
+function ensureContextWithinLimits(context, options = {}) {
   // Add fallback for empty context
   if (!context || !Array.isArray(context) || context.length === 0) {
     logger.warn('⚠️ Empty context detected, adding fallback system message');
@@ -71,54 +134,93 @@ function ensureContextWithinLimits(context) {
   // Clone the context
   const result = JSON.parse(JSON.stringify(context));
   
-  // Get total token estimate
-  const totalTokens = estimateTokenCount(JSON.stringify(result));
+  const model = options.model || LLM_MODEL;
+  const modelInfo = getModelInfo(model);
+  const countEntry = entry => countMessageTokens(toLLMMessage(entry), model);
+  
+  // Fixed costs: the reply, tool schemas and any extra system or user message
+  const replyReserve = getOutputReserve(model);
+  const toolTokens = countToolTokens(options.tools, model);
+  const extraTokens = [options.additionalSystemMessage, options.additionalUserMessage]
+    .reduce((total, message) => total + (message ? countMessageTokens(message, model) : 0), 0);
+  const budget = Math.floor(modelInfo.contextWindow * (1 - CONTEXT_BUDGET.SAFETY_MARGIN)) - replyReserve - toolTokens - extraTokens;
+  
+  const systemEntries = result.filter(entry => entry.role === 'system');
+  const conversationEntries = result.filter(entry => entry.role !== 'system');
+  const systemTokens = systemEntries.reduce((total, entry) => total + countEntry(entry), 0);
+  const historyBudget = Math.max(0, budget - systemTokens);
+  let historyTokens = conversationEntries.reduce((total, entry) => total + countEntry(entry), 0);
+  
+  logger.info(`Context budget for ${model}${modelInfo.known ? '' : ' (unknown model, using defaults)'}: window ${modelInfo.contextWindow}, reply ${replyReserve}, tools ${toolTokens}, system ${systemTokens}, history ${historyTokens}/${historyBudget}`);
   
   // If we're within limits, just return the context as is
-  if (totalTokens <= TOKEN_BUDGET.MAX_TOTAL) {
+  if (historyTokens <= historyBudget) {
     return result;
   }
   
-  logger.info(`Context size (${totalTokens} tokens) exceeds target (${TOKEN_BUDGET.MAX_TOTAL}). Optimizing...`);
-  
-  // If we have messages, keep only the most recent ones
-  if (result.messages && result.messages.length > 0) {
-    // Always keep the first message (system message) 
-    const systemMessages = result.messages.filter(m => m.role === 'system');
-    
-    // Sort user and assistant messages by recency
-    const otherMessages = result.messages
-      .filter(m => m.role !== 'system')
-      .sort((a, b) => {
-        // Try to extract timestamps if available
-        const timeA = a.timestamp || a.ts || 0;
-        const timeB = b.timestamp || b.ts || 0;
-        return timeB - timeA; // Sort descending (newest first)
-      });
-    
-    // Keep reducing context until we're under the limit
-    while (estimateTokenCount(JSON.stringify(result)) > TOKEN_BUDGET.MAX_TOTAL && otherMessages.length > 0) {
-      // Remove the oldest non-system message
-      otherMessages.pop();
-      
-      // Rebuild the messages array
-      result.messages = [...systemMessages, ...otherMessages];
+  // Step 1: cap tool results, newest get their full size first
+  let toolResultBudget = Math.floor(historyBudget * CONTEXT_BUDGET.TOOL_RESULT_SHARE);
+  const toolEntries = conversationEntries.filter(entry => entry.role === 'tool');
+  let trimmedResults = 0;
+  for (let i = toolEntries.length - 1; i >= 0; i--) {
+    const entry = toolEntries[i];
+    const tokens = countTokens(entry.content, model);
+    if (tokens <= toolResultBudget) {
+      toolResultBudget -= tokens;
+      continue;
     }
     
-    // Add a note about truncation
-    if (otherMessages.length < context.messages.length - systemMessages.length) {
-      result.messages.push({
-        role: 'system',
-        content: `Note: Some older messages were omitted due to context length limits.`
-      });
+    const allowance = Math.max(0, toolResultBudget);
+    entry.content = allowance > 0
+      ? `${truncateToTokens(entry.content, allowance, model)}… [truncated ${tokens - allowance} tokens]`
+      : `[result omitted to save context: ${tokens} tokens]`;
+    toolResultBudget = 0;
+    trimmedResults++;
+  }
+  if (trimmedResults > 0) {
+    historyTokens = conversationEntries.reduce((total, entry) => total + countEntry(entry), 0);
+    logger.info(`Trimmed ${trimmedResults} tool results, history now ${historyTokens} tokens`);
+  }
+  
+  // Step 2: keep the newest history that fits (always at least the latest message),
+  // leaving room for the summary that stands in for what's dropped
+  const summaryEntry = options.summary?.text ? {
+    role: 'system',
+    content: `Summary of ${options.summary.messageCount} earlier messages in this thread:\n${options.summary.text}`,
+    timestamp: options.summary.updatedAt
+  } : null;
+  const keptBudget = historyBudget - (summaryEntry ? countEntry(summaryEntry) : 0);
+  const units = groupContextUnits(conversationEntries);
+  const keptUnits = [];
+  let keptTokens = 0;
+  for (let i = units.length - 1; i >= 0; i--) {
+    const unitTokens = units[i].reduce((total, entry) => total + countEntry(entry), 0);
+    if (keptUnits.length > 0 && keptTokens + unitTokens > keptBudget) {
+      break;
     }
+    keptUnits.unshift(units[i]);
+    keptTokens += unitTokens;
   }
   
-  // Final size after optimization
-  const finalTokens = estimateTokenCount(JSON.stringify(result));
-  logger.info(`Context optimized to ${finalTokens} tokens`);
+  const omitted = units.length - keptUnits.length;
+  const optimized = [...systemEntries];
+  if (omitted > 0) {
+    if (summaryEntry) {
+      optimized.push(summaryEntry);
+    }
+    optimized.push({
+      role: 'system',
+      content: `Note: ${omitted} older messages were omitted to fit the model's context window.`
+    });
+    if (options.onOmitted) {
+      options.onOmitted(units.slice(0, omitted).flat());
+    }
+  }
+  keptUnits.forEach(unit => optimized.push(...unit));
   
-  return result;
+  logger.info(`Context optimized to ${systemTokens + keptTokens} tokens (${omitted} older messages omitted)`);
+  
+  return optimized;
 }
 
 // Load the system prompt
@@ -147,7 +249,9 @@ function getSystemMessage(context) {
  * @param {string} threadId The thread ID to get the next action for
  * @param {Object} options Additional options
  * @param {Object} options.additionalSystemMessage Optional additional system message to include
- * @returns {Promise<{toolCalls: Array<{tool: string, parameters: Object}>}>}
+ * @param {Object} options.additionalUserMessage Optional user message sent after the thread context
+ * @param {Function} options.onDelta Optional callback; when set the response is streamed and each delta is passed to it
+ * @returns {Promise<{toolCalls: Array<{id: string, tool: string, parameters: Object}>}>}
  */
 async function getNextAction(threadId, options = {}) {
     logger.info(`🧠 Getting next action from LLM for thread: ${threadId}`);
@@ -155,8 +259,21 @@ async function getNextAction(threadId, options = {}) {
     // Get thread context
     const threadContext = await getThreadContext(threadId, options);
     
-    // Ensure context is within token limits
-    const optimizedContext = ensureContextWithinLimits(threadContext);
+    // Only the tools this user may trigger here are offered; the provider adapter normalizes them
+    const { tools: availableTools, denied: deniedTools } = await filterToolsForRequester(getToolsForLLM(), getRequester(threadId));
+    const accessNote = describeDeniedTools(deniedTools);
+    
+    // Ensure context fits the model's window alongside the tool schemas
+    // Messages that no longer fit are folded into the rolling summary in the background
+    const contextBuilder = getContextBuilder();
+    const optimizedContext = ensureContextWithinLimits(threadContext, {
+        model: LLM_MODEL,
+        tools: availableTools,
+        additionalSystemMessage: options.additionalSystemMessage,
+        additionalUserMessage: options.additionalUserMessage,
+        summary: contextBuilder.getRollingSummary(threadId),
+        onOmitted: entries => contextBuilder.summarizeOmittedMessages(threadId, entries)
+    });
     
     // Verify that we have a non-empty context after optimization
     if (!optimizedContext || !Array.isArray(optimizedContext) || optimizedContext.length === 0) {
@@ -169,6 +286,7 @@ async function getNextAction(threadId, options = {}) {
         logger.info("Using fallback error context");
         return {
             toolCalls: [{
+                id: `fallback_${Date.now()}`,
                 tool: "postMessage",
                 parameters: {
                     text: "#header: I'm having trouble processing your request\n\n#section: There was an error retrieving the conversation history. Let me help you with something else.",
@@ -188,36 +306,17 @@ async function getNextAction(threadId, options = {}) {
         messages.push(options.additionalSystemMessage);
     }
     
+    if (accessNote) {
+        messages.push({ role: 'system', content: accessNote });
+    }
+    
     // Add each context message as a separate message in the OpenAI format
-    optimizedContext.forEach(contextMsg => {
-        // Convert user message content object to plain text if needed
-        if (contextMsg.role === 'user' && typeof contextMsg.content === 'object' && contextMsg.content.text) {
-            messages.push({
-                role: 'user',
-                content: contextMsg.content.text
-            });
-        } else if (contextMsg.role === 'assistant' && typeof contextMsg.content === 'object') {
-            // For assistant messages with object content, convert to string
-            const toolName = contextMsg.content.toolCall || '';
-            const reasoning = contextMsg.content.reasoning || '';
-            const text = contextMsg.content.text || '';
-            
-            // Create a readable format for the assistant's message
-            const content = text + (toolName ? `\n\n[Tool: ${toolName}]` : '') + 
-                          (reasoning ? `\n[Reasoning: ${reasoning}]` : '');
-            
-            messages.push({
-                role: 'assistant',
-                content: content
-            });
-        } else {
-            // For system messages or other simple content
-            messages.push({
-                role: contextMsg.role,
-                content: contextMsg.content
-            });
-        }
-    });
+    optimizedContext.forEach(contextMsg => messages.push(toLLMMessage(contextMsg)));
+    
+    // Input that isn't a Slack message (a form submission) goes last, as the newest user message
+    if (options.additionalUserMessage) {
+        messages.push(options.additionalUserMessage);
+    }
     
     // Log detailed information about messages being sent
     logger.info(`Sending ${messages.length} messages to LLM:`);
@@ -236,19 +335,19 @@ async function getNextAction(threadId, options = {}) {
         logger.error('Error formatting context for debug output:', error);
     }
     
-    // Get tools directly from the tools module - they are already in the correct format
-    const availableTools = getToolsForLLM();
-    logger.info(`Providing ${availableTools.length} tools to OpenAI API`);
+    logger.info(`Providing ${availableTools.length} tools to the LLM`);
     
-    // Call OpenAI with the tools
+    // Call the configured provider - responses always come back in OpenAI shape
     const response = await callOpenAI({
         messages,
         tools: availableTools,
-        tool_choice: "required"  // Let the model decide whether to use tools
+        tool_choice: "required",  // Let the model decide whether to use tools
+        stream: typeof options.onDelta === 'function',
+        onDelta: options.onDelta
     });
     
     if (!response || !response.choices || response.choices.length === 0) {
-        throw new Error("Invalid response from OpenAI");
+        throw new Error("Invalid response from LLM provider");
     }
     
     // Get the message from the response
@@ -257,7 +356,6 @@ async function getNextAction(threadId, options = {}) {
     // Add the LLM's thinking to the context if content is present
     if (message.content) {
         // Use the old context builder to record thinking (for compatibility)
-        const contextBuilder = getContextBuilder();
         contextBuilder.addMessage({
             source: 'llm_thinking',
             originalContent: message,
@@ -268,6 +366,7 @@ async function getNextAction(threadId, options = {}) {
             type: 'thinking',
             metadata: {
                 model: response.model,
+                provider: response.provider,
                 role: 'assistant'
             }
         });
@@ -295,13 +394,14 @@ async function getNextAction(threadId, options = {}) {
                 
                 // Parse the arguments (they come as a JSON string)
                 let args;
+                let argumentsError = null;
                 try {
                     args = JSON.parse(toolCall.function.arguments);
                 } catch (parseError) {
                     logger.warn(`Error parsing tool arguments: ${parseError.message}`);
                     
                     // Try to clean up any formatting issues before parsing again
-                    const cleanedArgs = toolCall.function.arguments
+                    const cleanedArgs = String(toolCall.function.arguments ?? '')
                         .replace(/\\n/g, '\n')  // Handle escaped newlines
                         .replace(/\n/g, ' ')    // Replace actual newlines with spaces
                         .replace(/\t/g, ' ')    // Replace tabs with spaces
@@ -312,24 +412,29 @@ async function getNextAction(threadId, options = {}) {
                         args = JSON.parse(cleanedArgs);
                         logger.info("Successfully parsed arguments after cleanup");
                     } catch (secondError) {
-                        // If still failing, create a minimal valid object with the required reasoning
+                        // executeTool rejects the call and returns this to the model as the tool result
                         logger.warn(`Could not parse arguments even after cleanup: ${secondError.message}`);
-                        args = {
-                            __parsing_error: true,
-                            __raw_arguments: toolCall.function.arguments,
-                            error: parseError.message,
-                            reasoning: "Error parsing tool arguments"
-                        };
+                        const raw = toolCall.function.arguments || '';
+                        args = {};
+                        argumentsError = `unparseable JSON (${parseError.message}): ${raw.length > 200 ? `${raw.substring(0, 200)}…` : raw}`;
                     }
                 }
                 
+                // Valid JSON that isn't an object ("null", "[]", "42") is rejected the same way
+                if (!args || typeof args !== 'object' || Array.isArray(args)) {
+                    argumentsError = JSON.stringify(args) ?? 'no arguments';
+                    args = {};
+                }
+                
                 // Format the tool call for our orchestrator
                 // Keep the reasoning in the parameters for backward compatibility 
                 // with tools that expect it there
                 return {
+                    id: toolCall.id,
                     tool: functionName,
                     parameters: args,
-                    reasoning: args.reasoning || "No explicit reasoning provided"
+                    reasoning: args.reasoning || "No explicit reasoning provided",
+                    ...(argumentsError ? { argumentsError } : {})
                 };
             } catch (error) {
                 logger.warn(`Error handling tool call: ${error.message}`);
@@ -341,9 +446,11 @@ async function getNextAction(threadId, options = {}) {
         // If no tool calls but there is content, create a postMessage tool call
         logger.info("No tool calls, creating implicit postMessage from content");
         toolCalls = [{
+            id: `implicit_${Date.now()}`,
             tool: "postMessage",
             parameters: {
                 text: message.content.trim(),
+                color: "#842BFF",
                 reasoning: "Implicit response converted to postMessage"
             },
             reasoning: "Implicit response converted to postMessage"
@@ -371,6 +478,7 @@ async function getNextAction(threadId, options = {}) {
         // Call processEmptyResponse which will prompt the LLM again to handle this specific error
         // Use the postMessage tool to route the response through the LLM instead of hardcoding
         toolCalls = [{
+            id: `implicit_${Date.now()}`,
             tool: "postMessage",
             parameters: {
                 reasoning: "Handling empty LLM response"
@@ -422,7 +530,8 @@ async function getThreadContext(threadId, options = {}) {
         const threadContextBuilder = getThreadContextBuilder();
         
         // Build the context
-        const context = await threadContextBuilder.buildContext(threadTs, channelId, options);
+        // threadId keys the recorded tool executions that get woven into the context
+        const context = await threadContextBuilder.buildContext(threadTs, channelId, { ...options, threadId });
         logger.info(`Built context with ${context.length} messages for thread ${threadId}`);
         
         return context;
@@ -527,95 +636,6 @@ function formatMessagesForLLM(messages) {
     }).filter(Boolean);
 }
 
-/**
- * Format tool response in a clear and consistent way
- * @param {string} toolName - Name of the tool
- * @param {Object} args - Tool arguments
- * @param {Object} response - Tool response
- * @returns {string} - Formatted response
- */
-function formatToolResponse(toolName, args, response) {
-  try {
-    let formattedResponse;
-    
-    // Add reasoning to all responses if available
-    const reasoning = args?.reasoning || "No reasoning provided";
-    
-    if (toolName === 'postMessage') {
-      // For postMessage, show what was sent to the user
-      formattedResponse = {
-        message_sent: true,
-        reasoning: reasoning,
-        text: args?.text ? (args.text.length > 100 ? args.text.substring(0, 100) + '...' : args.text) : null
-      };
-    } else if (toolName === 'getThreadHistory') {
-      // For getThreadHistory, show summary of what was retrieved
-      if (response?.loopDetected) {
-        // Loop detected - make this VERY obvious to the LLM
-        formattedResponse = {
-          WARNING: "⚠️ LOOP DETECTED in thread history requests!",
-          message: response.warning || "You've called getThreadHistory too many times. Use existing history.",
-          recommendation: response.recommendation || "Use the thread history you already have. If you need fresh data, use forceRefresh:true",
-          thread_history_calls: response.previousCalls || "multiple",
-          reasoning: reasoning,
-          loopDetected: true
-        };
-      } else {
-        // Normal getThreadHistory response - Make it more helpful for displaying thread history
-        formattedResponse = {
-          thread_history_retrieved: true,
-          reasoning: reasoning,
-          messages_count: response?.messagesRetrieved || 0,
-          has_parent: response?.threadStats?.parentMessageRetrieved || false,
-          // Add the ready-to-use formatted history text at the top level for visibility
-          READY_TO_USE_FORMATTED_HISTORY: response?.formattedHistoryText || "",
-          INSTRUCTION: "Use the READY_TO_USE_FORMATTED_HISTORY text above for displaying thread history. It already contains all messages properly formatted.",
-          message_details: response?.messages || [],
-          indexing: response?.indexInfo ? {
-            message_range: response.indexInfo.indexRange,
-            total_messages: response.indexInfo.messageCount,
-            missing_messages: response.indexInfo.missingMessages,
-            note: "Each message is prefixed with its [index]. The parent message is always [0]. Use indices to understand which messages you have and which might be missing."
-          } : undefined,
-          fromCache: response?.fromCache || false,
-          cachedAt: response?.cachedAt || null,
-          important_note: response?.fromCache 
-            ? "⚠️ This data is from cache. The messages are already in your context. Use forceRefresh:true for fresh data." 
-            : "✅ This is fresh thread history data. All messages have been added to your context."
-        };
-      }
-    } else if (toolName === 'finishRequest') {
-      // For finishRequest, just confirm it was completed
-      formattedResponse = {
-        request_completed: true,
-        reasoning: reasoning,
-        summary: args?.summary || "Request completed"
-      };
-    } else {
-      // For other tools, simplify the response
-      if (response && typeof response === 'object') {
-        if (response.ok !== undefined) {
-          // It's likely a Slack API response, simplify it
-          formattedResponse = { success: true, reasoning: reasoning };
-        } else {
-          // Use the response as is, but ensure it's not overly complex
-          formattedResponse = { ...response, reasoning: reasoning };
-        }
-      } else {
-        formattedResponse = { success: true, reasoning: reasoning, response: response };
-      }
-    }
-    
-    return JSON.stringify(formattedResponse, null, 2);
-  } catch (e) {
-    // Fallback if there's an error formatting the response
-    return JSON.stringify({ 
-      success: true, 
-      error_formatting: e.message 
-    });
-  }
-}
-
 /**
  * Parses the tool call from the LLM response
  * @param {Object} llmResponse - The response from the LLM
@@ -842,6 +862,7 @@ async function parseToolCallFromResponse(llmResponse) {
             tool: 'postMessage',
             parameters: {
               text: assistantMessage.content,
+              color: "#842BFF",
               reasoning: "Converting regular message to tool call"
             },
             reasoning: "Converting regular message to tool call"
@@ -0,0 +1,362 @@
+/**
+ * Anthropic Messages API provider adapter
+ *
+ * Translates OpenAI-style requests (system/user/assistant/tool messages and
+ * function tools) into the Messages API format and converts the response back.
+ */
+
+const fetch = require('node-fetch');
+const { LLM_API_KEY, ANTHROPIC_API_URL, ANTHROPIC_VERSION, LLM_MAX_TOKENS } = require('../config.js');
+const logger = require('../toolUtils/logger.js');
+const { ProviderError, parseRetryAfter, normalizeTools, createChatResponse, readServerSentEvents } = require('./providerUtils.js');
+
+// Anthropic stop reasons mapped onto OpenAI finish reasons
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+class AnthropicProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.apiUrl] - Messages endpoint
+   * @param {string} [options.apiKey] - API key
+   */
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiUrl = options.apiUrl || ANTHROPIC_API_URL;
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : LLM_API_KEY;
+  }
+
+  /**
+   * Converts OpenAI function tools into Anthropic tool definitions
+   * @param {Array} tools - Tools from getToolsForLLM()
+   * @returns {Array} - Anthropic tools
+   */
+  convertTools(tools) {
+    return normalizeTools(tools, { keepStrict: false }).map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      input_schema: tool.function.parameters
+    }));
+  }
+
+  /**
+   * Converts an OpenAI tool_choice value
+   * @param {string|Object} toolChoice - OpenAI tool_choice
+   * @returns {Object|undefined} - Anthropic tool_choice
+   */
+  convertToolChoice(toolChoice) {
+    if (!toolChoice || toolChoice === 'auto') return { type: 'auto' };
+    if (toolChoice === 'required') return { type: 'any' };
+    if (toolChoice === 'none') return undefined;
+    const name = toolChoice.function?.name || toolChoice.name;
+    return name ? { type: 'tool', name } : { type: 'auto' };
+  }
+
+  /**
+   * Converts an OpenAI content part; image_url parts become image blocks
+   * @param {Object} part - { type: 'text', text } or { type: 'image_url', image_url: { url } }
+   * @returns {Object} - Anthropic content block
+   */
+  convertContentPart(part) {
+    if (part.type !== 'image_url') return part;
+
+    const url = part.image_url?.url || '';
+    const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/);
+    return dataUrl
+      ? { type: 'image', source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] } }
+      : { type: 'image', source: { type: 'url', url } };
+  }
+
+  /**
+   * Converts OpenAI messages into a system prompt plus Anthropic messages.
+   * Consecutive messages with the same role are merged because the Messages
+   * API requires strictly alternating user/assistant turns.
+   * @param {Array} messages - OpenAI-style messages
+   * @returns {{system: string, messages: Array}}
+   */
+  convertMessages(messages) {
+    const systemParts = [];
+    const converted = [];
+
+    const push = (role, blocks) => {
+      const last = converted[converted.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...blocks);
+      } else {
+        converted.push({ role, content: [...blocks] });
+      }
+    };
+
+    for (const msg of messages) {
+      if (!msg) continue;
+
+      if (msg.role === 'system') {
+        systemParts.push(typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content));
+      } else if (msg.role === 'tool') {
+        push('user', [{
+          type: 'tool_result',
+          tool_use_id: msg.tool_call_id,
+          content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+        }]);
+      } else if (msg.role === 'assistant') {
+        const blocks = [];
+        if (msg.content) {
+          blocks.push({ type: 'text', text: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content) });
+        }
+        for (const toolCall of msg.tool_calls || []) {
+          let input = {};
+          try {
+            input = typeof toolCall.function.arguments === 'string'
+              ? JSON.parse(toolCall.function.arguments)
+              : (toolCall.function.arguments || {});
+          } catch (error) {
+            logger.warn(`Could not parse tool arguments for ${toolCall.function.name}: ${error.message}`);
+          }
+          blocks.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input });
+        }
+        if (blocks.length > 0) {
+          push('assistant', blocks);
+        }
+      } else {
+        const blocks = Array.isArray(msg.content)
+          ? msg.content.map(part => this.convertContentPart(part))
+          : [{ type: 'text', text: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content) }];
+        push('user', blocks);
+      }
+    }
+
+    // The Messages API requires the conversation to start with a user turn
+    if (converted.length === 0 || converted[0].role !== 'user') {
+      converted.unshift({ role: 'user', content: [{ type: 'text', text: '(conversation start)' }] });
+    }
+
+    return { system: systemParts.join('\n\n'), messages: converted };
+  }
+
+  /**
+   * Builds the Messages API request body
+   * @param {Object} request - Normalized chat request
+   * @returns {Object} - Request body
+   */
+  buildRequestBody(request) {
+    const { system, messages } = this.convertMessages(request.messages || []);
+    const body = {
+      model: request.model,
+      max_tokens: request.max_tokens || LLM_MAX_TOKENS,
+      temperature: request.temperature,
+      messages
+    };
+
+    if (system) {
+      body.system = system;
+    }
+
+    const tools = this.convertTools(request.tools);
+    if (tools.length > 0) {
+      const toolChoice = this.convertToolChoice(request.tool_choice);
+      if (toolChoice) {
+        body.tools = tools;
+        body.tool_choice = toolChoice;
+      }
+    }
+
+    return body;
+  }
+
+  /**
+   * Builds the HTTP headers for a request
+   * @returns {Object} - Headers
+   */
+  buildHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    };
+  }
+
+  /**
+   * Sends a chat request and returns a normalized response
+   * @param {Object} request - Normalized chat request
+   * @param {Object} [options] - Transport options
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request (used for timeouts)
+   * @returns {Promise<Object>} - Response in OpenAI chat/completions shape
+   */
+  async chat(request, options = {}) {
+    logger.info(`API URL: ${this.apiUrl}`);
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      signal: options.signal,
+      headers: this.buildHeaders(),
+      body: JSON.stringify(this.buildRequestBody(request))
+    });
+
+    // Gateways in front of the API can answer 5xx with an HTML page
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new ProviderError(`Anthropic API error: ${data.error?.message || 'Unknown error'}`, {
+        provider: this.name,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        body: data
+      });
+    }
+
+    return this.parseResponse(data, request);
+  }
+
+  /**
+   * Sends a streaming chat request (SSE), reporting deltas in the same
+   * format as OpenAIProvider.chatStream
+   * @param {Object} request - Normalized chat request
+   * @param {Function} onDelta - Delta callback
+   * @param {Object} [options] - Transport options ({ signal })
+   * @returns {Promise<Object>} - Final response in OpenAI chat/completions shape
+   */
+  async chatStream(request, onDelta, options = {}) {
+    logger.info(`API URL (streaming): ${this.apiUrl}`);
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      signal: options.signal,
+      headers: this.buildHeaders(),
+      body: JSON.stringify({ ...this.buildRequestBody(request), stream: true })
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new ProviderError(`Anthropic API error: ${data.error?.message || 'Unknown error'}`, {
+        provider: this.name,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        body: data
+      });
+    }
+
+    let id = null;
+    let model = request.model;
+    let text = '';
+    let stopReason = null;
+    const usage = {};
+    const blocks = []; // content block index -> { type, id, name, arguments }
+    let streamError = null;
+
+    await readServerSentEvents(response.body, ({ data }) => {
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        logger.warn(`Skipping unparseable stream event: ${data.substring(0, 100)}`);
+        return;
+      }
+
+      switch (event.type) {
+        case 'message_start':
+          id = event.message?.id || id;
+          model = event.message?.model || model;
+          Object.assign(usage, event.message?.usage || {});
+          break;
+
+        case 'content_block_start':
+          blocks[event.index] = {
+            type: event.content_block?.type,
+            id: event.content_block?.id,
+            name: event.content_block?.name,
+            arguments: ''
+          };
+          break;
+
+        case 'content_block_delta': {
+          const block = blocks[event.index];
+          if (event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onDelta({ type: 'content', text });
+          } else if (event.delta?.type === 'input_json_delta' && block) {
+            block.arguments += event.delta.partial_json;
+            onDelta({
+              type: 'tool_call',
+              index: blocks.filter(b => b && b.type === 'tool_use').indexOf(block),
+              id: block.id,
+              name: block.name,
+              arguments: block.arguments
+            });
+          }
+          break;
+        }
+
+        case 'message_delta':
+          stopReason = event.delta?.stop_reason || stopReason;
+          Object.assign(usage, event.usage || {});
+          break;
+
+        case 'error':
+          streamError = event.error;
+          break;
+      }
+    });
+
+    if (streamError) {
+      throw new ProviderError(`Anthropic API error: ${streamError.message || 'Stream error'}`, {
+        provider: this.name,
+        body: streamError
+      });
+    }
+
+    const toolCalls = blocks
+      .filter(block => block && block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: block.arguments || '{}' }
+      }));
+
+    return createChatResponse({
+      id,
+      model,
+      content: text || null,
+      toolCalls,
+      finishReason: FINISH_REASONS[stopReason] || 'stop',
+      usage,
+      provider: this.name
+    });
+  }
+
+  /**
+   * Converts a Messages API response into the OpenAI shape
+   * @param {Object} data - Raw response body
+   * @param {Object} request - Original request
+   * @returns {Object} - Normalized response
+   */
+  parseResponse(data, request) {
+    const blocks = Array.isArray(data.content) ? data.content : [];
+    const text = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = blocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+
+    return createChatResponse({
+      id: data.id,
+      model: data.model || request.model,
+      content: text || null,
+      toolCalls,
+      finishReason: FINISH_REASONS[data.stop_reason] || 'stop',
+      usage: data.usage,
+      provider: this.name
+    });
+  }
+}
+
+module.exports = AnthropicProvider;
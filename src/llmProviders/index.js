@@ -0,0 +1,70 @@
+/**
+ * LLM provider registry
+ *
+ * Picks the adapter configured by LLM_PROVIDER. All adapters expose
+ * `chat(request)` taking an OpenAI-style request and returning an
+ * OpenAI-style chat/completions response with normalized usage.
+ */
+
+const { LLM_PROVIDER } = require('../config.js');
+const logger = require('../toolUtils/logger.js');
+const OpenAIProvider = require('./openaiProvider.js');
+const AnthropicProvider = require('./anthropicProvider.js');
+const LocalProvider = require('./localProvider.js');
+const MockProvider = require('./mockProvider.js');
+const { ProviderError, normalizeTools, normalizeUsage } = require('./providerUtils.js');
+const { getCircuitBreaker, withRetry, isRetryableError, CircuitOpenError } = require('./resilience.js');
+
+const providerClasses = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+// Provider instances are cached so stateful adapters (mock) keep their state
+const instances = new Map();
+
+/**
+ * Get the provider adapter for a name (defaults to LLM_PROVIDER)
+ * @param {string} [name] - Provider name
+ * @returns {Object} - Provider instance
+ */
+function getProvider(name = LLM_PROVIDER) {
+  const key = (name || 'openai').toLowerCase();
+
+  if (!instances.has(key)) {
+    const ProviderClass = providerClasses[key];
+    if (!ProviderClass) {
+      throw new ProviderError(`Unknown LLM provider "${name}". Available: ${Object.keys(providerClasses).join(', ')}`, {
+        provider: key
+      });
+    }
+    logger.info(`Initializing LLM provider: ${key}`);
+    instances.set(key, new ProviderClass());
+  }
+
+  return instances.get(key);
+}
+
+/**
+ * Register a custom provider class
+ * @param {string} name - Provider name
+ * @param {Function} ProviderClass - Class with a chat(request) method
+ */
+function registerProvider(name, ProviderClass) {
+  providerClasses[name.toLowerCase()] = ProviderClass;
+  instances.delete(name.toLowerCase());
+}
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  normalizeTools,
+  normalizeUsage,
+  ProviderError,
+  CircuitOpenError,
+  getCircuitBreaker,
+  withRetry,
+  isRetryableError
+};
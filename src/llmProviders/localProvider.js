@@ -0,0 +1,23 @@
+/**
+ * Provider adapter for OpenAI-compatible local servers (Ollama, llama.cpp, vLLM)
+ */
+
+const { LOCAL_LLM_API_URL, LLM_API_KEY } = require('../config.js');
+const OpenAIProvider = require('./openaiProvider.js');
+
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      apiUrl: options.apiUrl || LOCAL_LLM_API_URL,
+      // Most local servers ignore the key, but some proxies in front of them don't
+      apiKey: options.apiKey !== undefined ? options.apiKey : LLM_API_KEY
+    });
+    this.name = 'local';
+    // llama.cpp and older Ollama builds reject the `strict` flag on tools
+    this.supportsStrictTools = false;
+    // stream_options is an OpenAI extension that not every local server accepts
+    this.supportsStreamUsage = false;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,170 @@
+/**
+ * Deterministic scripted provider for running the bot offline
+ *
+ * With LLM_MOCK_SCRIPT pointing at a JSON file, responses are replayed in
+ * order. Each step looks like:
+ *   { "content": "optional text", "tool_calls": [{ "name": "postMessage", "arguments": { ... } }] }
+ * Once the script runs out (or without a script) the provider answers every
+ * new user message with a postMessage echo followed by finishRequest.
+ * Requests without tools (e.g. thread summaries) get a plain text echo.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LLM_MOCK_SCRIPT } = require('../config.js');
+const logger = require('../toolUtils/logger.js');
+const { ProviderError, createChatResponse } = require('./providerUtils.js');
+
+class MockProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {Array|string} [options.script] - Script steps or path to a JSON script file
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.script = this.loadScript(options.script !== undefined ? options.script : LLM_MOCK_SCRIPT);
+    this.cursor = 0;
+    this.turnCounts = new Map(); // last user message -> calls answered for it
+  }
+
+  /**
+   * Loads script steps from an array or a JSON file
+   * @param {Array|string} script - Steps or file path
+   * @returns {Array} - Script steps
+   */
+  loadScript(script) {
+    if (Array.isArray(script)) return script;
+    if (!script) return [];
+
+    try {
+      const steps = JSON.parse(fs.readFileSync(path.resolve(script), 'utf8'));
+      if (!Array.isArray(steps)) {
+        throw new Error('script must be a JSON array of steps');
+      }
+      logger.info(`Loaded ${steps.length} mock LLM steps from ${script}`);
+      return steps;
+    } catch (error) {
+      throw new ProviderError(`Mock provider could not load script ${script}: ${error.message}`, {
+        provider: this.name
+      });
+    }
+  }
+
+  /**
+   * Returns the next scripted or default response
+   * @param {Object} request - Normalized chat request
+   * @returns {Promise<Object>} - Response in OpenAI chat/completions shape
+   */
+  async chat(request) {
+    const step = this.cursor < this.script.length
+      ? this.script[this.cursor]
+      : this.defaultStep(request.messages || [], request.tools);
+    // Counts default responses too, so their tool call IDs stay unique
+    this.cursor++;
+
+    const toolCalls = (step.tool_calls || []).map((call, index) => ({
+      id: call.id || `mock_call_${this.cursor}_${index}`,
+      type: 'function',
+      function: { name: call.name, arguments: call.arguments || {} }
+    }));
+
+    const promptChars = JSON.stringify(request.messages || []).length;
+    const completionChars = JSON.stringify(step).length;
+
+    return createChatResponse({
+      model: request.model || 'mock',
+      content: step.content || null,
+      toolCalls,
+      usage: {
+        prompt_tokens: Math.ceil(promptChars / 4),
+        completion_tokens: Math.ceil(completionChars / 4)
+      },
+      provider: this.name
+    });
+  }
+
+  /**
+   * Replays the next response as a stream of small deltas
+   * @param {Object} request - Normalized chat request
+   * @param {Function} onDelta - Delta callback (same format as OpenAIProvider.chatStream)
+   * @returns {Promise<Object>} - Final response in OpenAI chat/completions shape
+   */
+  async chatStream(request, onDelta) {
+    const response = await this.chat(request);
+    const message = response.choices[0].message;
+    const CHUNK_SIZE = 20;
+
+    if (message.content) {
+      for (let end = CHUNK_SIZE; end < message.content.length + CHUNK_SIZE; end += CHUNK_SIZE) {
+        onDelta({ type: 'content', text: message.content.substring(0, end) });
+      }
+    }
+
+    (message.tool_calls || []).forEach((call, index) => {
+      const args = call.function.arguments;
+      for (let end = CHUNK_SIZE; end < args.length + CHUNK_SIZE; end += CHUNK_SIZE) {
+        onDelta({
+          type: 'tool_call',
+          index,
+          id: call.id,
+          name: call.function.name,
+          arguments: args.substring(0, end)
+        });
+      }
+    });
+
+    return response;
+  }
+
+  /**
+   * Default behavior: echo the latest user message once, then finish
+   * @param {Array} messages - OpenAI-style messages
+   * @param {Array} [tools] - Tools offered with the request
+   * @returns {Object} - Script step
+   */
+  defaultStep(messages, tools) {
+    const lastUser = [...messages].reverse().find(msg => msg.role === 'user');
+    let userText = '';
+    if (lastUser && typeof lastUser.content === 'string') {
+      userText = lastUser.content;
+    } else if (Array.isArray(lastUser?.content)) {
+      // Content parts: echo the text and count the images
+      userText = lastUser.content.map(part => part.type === 'text' ? part.text : '[image]').join(' ');
+    } else if (lastUser) {
+      userText = JSON.stringify(lastUser.content);
+    }
+
+    if (!tools || tools.length === 0) {
+      return { content: `Mock reply to: ${userText.substring(0, 200)}` };
+    }
+
+    const count = this.turnCounts.get(userText) || 0;
+    this.turnCounts.set(userText, count + 1);
+
+    if (count === 0) {
+      return {
+        tool_calls: [{
+          name: 'postMessage',
+          arguments: {
+            text: `#section: Mock reply to: ${userText || '(empty message)'}`,
+            color: '#842BFF',
+            reasoning: 'Mock provider echo'
+          }
+        }]
+      };
+    }
+
+    return {
+      tool_calls: [{
+        name: 'finishRequest',
+        arguments: {
+          summary: 'Mock provider finished the request',
+          clearCache: false,
+          reasoning: 'Mock provider already replied to this message'
+        }
+      }]
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,94 @@
+/**
+ * Model registry - context window, output limit, tokenizer and image input per model
+ *
+ * Models are matched by the longest prefix of LLM_MODEL, so dated snapshots
+ * like "gpt-4o-2024-08-06" resolve to the "gpt-4o" entry. Anthropic and open
+ * models don't publish a BPE vocabulary we can bundle; they are counted with
+ * the closest OpenAI encoding, which is accurate to within a few percent.
+ */
+
+const { LLM_MODEL, LLM_MAX_TOKENS, LLM_CONTEXT_WINDOW, LLM_VISION } = require('../config.js');
+
+const MODELS = {
+  // OpenAI
+  'gpt-4.1': { contextWindow: 1047576, maxOutputTokens: 32768, encoding: 'o200k_base', vision: true },
+  'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384, encoding: 'o200k_base', vision: true },
+  'gpt-4-turbo': { contextWindow: 128000, maxOutputTokens: 4096, encoding: 'cl100k_base', vision: true },
+  'gpt-4-32k': { contextWindow: 32768, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+  'gpt-4': { contextWindow: 8192, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+  'gpt-3.5-turbo': { contextWindow: 16385, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+  'o1': { contextWindow: 200000, maxOutputTokens: 100000, encoding: 'o200k_base', vision: true },
+  'o3': { contextWindow: 200000, maxOutputTokens: 100000, encoding: 'o200k_base', vision: true },
+  'o4-mini': { contextWindow: 200000, maxOutputTokens: 100000, encoding: 'o200k_base', vision: true },
+
+  // Anthropic
+  'claude-3-haiku': { contextWindow: 200000, maxOutputTokens: 4096, encoding: 'o200k_base', vision: true },
+  'claude-3-5': { contextWindow: 200000, maxOutputTokens: 8192, encoding: 'o200k_base', vision: true },
+  'claude-3-7': { contextWindow: 200000, maxOutputTokens: 64000, encoding: 'o200k_base', vision: true },
+  'claude-sonnet-4': { contextWindow: 200000, maxOutputTokens: 64000, encoding: 'o200k_base', vision: true },
+  'claude-opus-4': { contextWindow: 200000, maxOutputTokens: 32000, encoding: 'o200k_base', vision: true },
+
+  // Common local models (Ollama tags)
+  'llama3.1': { contextWindow: 131072, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+  'llama3.2': { contextWindow: 131072, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+  'llama3.2-vision': { contextWindow: 131072, maxOutputTokens: 4096, encoding: 'cl100k_base', vision: true },
+  'llama3': { contextWindow: 8192, maxOutputTokens: 2048, encoding: 'cl100k_base' },
+  'mistral': { contextWindow: 32768, maxOutputTokens: 4096, encoding: 'cl100k_base' },
+  'qwen2.5': { contextWindow: 32768, maxOutputTokens: 8192, encoding: 'cl100k_base' },
+  'qwen2.5vl': { contextWindow: 128000, maxOutputTokens: 8192, encoding: 'cl100k_base', vision: true },
+  'llava': { contextWindow: 4096, maxOutputTokens: 2048, encoding: 'cl100k_base', vision: true },
+
+  // Mock provider
+  'mock': { contextWindow: 32768, maxOutputTokens: 1024, encoding: 'cl100k_base', vision: true }
+};
+
+// Used when a model isn't in the registry - small enough to be safe almost anywhere
+const DEFAULT_MODEL_INFO = { contextWindow: 8192, maxOutputTokens: 1024, encoding: 'cl100k_base', vision: false };
+
+/**
+ * Looks up a model by longest matching prefix
+ * @param {string} [model] - Model name (defaults to LLM_MODEL)
+ * @returns {{name: string, contextWindow: number, maxOutputTokens: number, encoding: string, vision: boolean, known: boolean}}
+ */
+function getModelInfo(model = LLM_MODEL) {
+  const name = (model || '').toLowerCase();
+  const key = Object.keys(MODELS)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const info = key ? MODELS[key] : DEFAULT_MODEL_INFO;
+
+  return {
+    name: model,
+    ...info,
+    // LLM_CONTEXT_WINDOW overrides the registry (e.g. Ollama started with a custom num_ctx)
+    contextWindow: LLM_CONTEXT_WINDOW || info.contextWindow,
+    // LLM_VISION=true/false overrides the registry (e.g. a vision model it doesn't list)
+    vision: LLM_VISION === 'auto' ? !!info.vision : LLM_VISION === 'true',
+    known: !!key
+  };
+}
+
+/**
+ * Tokens to keep free for the model's reply
+ * @param {string} [model] - Model name (defaults to LLM_MODEL)
+ * @returns {number}
+ */
+function getOutputReserve(model = LLM_MODEL) {
+  return Math.min(LLM_MAX_TOKENS, getModelInfo(model).maxOutputTokens);
+}
+
+/**
+ * Register or override a model's limits
+ * @param {string} prefix - Model name prefix
+ * @param {Object} info - { contextWindow, maxOutputTokens, encoding, vision }
+ */
+function registerModel(prefix, info) {
+  MODELS[prefix.toLowerCase()] = { ...DEFAULT_MODEL_INFO, ...info };
+}
+
+module.exports = {
+  getModelInfo,
+  getOutputReserve,
+  registerModel
+};
@@ -0,0 +1,218 @@
+/**
+ * OpenAI chat/completions provider adapter
+ */
+
+const fetch = require('node-fetch');
+const { LLM_API_KEY, LLM_API_URL } = require('../config.js');
+const logger = require('../toolUtils/logger.js');
+const { ProviderError, parseRetryAfter, normalizeTools, createChatResponse, readServerSentEvents } = require('./providerUtils.js');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.apiUrl] - chat/completions endpoint
+   * @param {string} [options.apiKey] - Bearer token
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiUrl = options.apiUrl || LLM_API_URL || 'https://api.openai.com/v1/chat/completions';
+    this.apiKey = options.apiKey !== undefined ? options.apiKey : LLM_API_KEY;
+    this.supportsStrictTools = true;
+    this.supportsStreamUsage = true;
+  }
+
+  /**
+   * Builds the HTTP headers for a request
+   * @returns {Object} - Headers
+   */
+  buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Builds the request body in OpenAI format
+   * @param {Object} request - Normalized chat request
+   * @returns {Object} - Request body
+   */
+  buildRequestBody(request) {
+    const body = {
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature
+    };
+
+    if (request.max_tokens) {
+      body.max_tokens = request.max_tokens;
+    }
+
+    const tools = normalizeTools(request.tools, { keepStrict: this.supportsStrictTools });
+    if (tools.length > 0) {
+      body.tools = tools;
+      if (request.tool_choice) {
+        body.tool_choice = request.tool_choice;
+      }
+    }
+
+    return body;
+  }
+
+  /**
+   * Sends a chat request and returns a normalized response
+   * @param {Object} request - Normalized chat request
+   * @param {Object} [options] - Transport options
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request (used for timeouts)
+   * @returns {Promise<Object>} - Response in OpenAI chat/completions shape
+   */
+  async chat(request, options = {}) {
+    logger.info(`API URL: ${this.apiUrl}`);
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      signal: options.signal,
+      headers: this.buildHeaders(),
+      body: JSON.stringify(this.buildRequestBody(request))
+    });
+
+    // Gateways in front of the API can answer 5xx with an HTML page
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new ProviderError(`OpenAI API error: ${data.error?.message || 'Unknown error'}`, {
+        provider: this.name,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        body: data
+      });
+    }
+
+    return this.parseResponse(data, request);
+  }
+
+  /**
+   * Sends a streaming chat request (SSE), reporting deltas as they arrive
+   * @param {Object} request - Normalized chat request
+   * @param {Function} onDelta - Called with { type: 'content', text } or
+   *   { type: 'tool_call', index, id, name, arguments } (accumulated so far)
+   * @param {Object} [options] - Transport options ({ signal })
+   * @returns {Promise<Object>} - Final response in OpenAI chat/completions shape
+   */
+  async chatStream(request, onDelta, options = {}) {
+    logger.info(`API URL (streaming): ${this.apiUrl}`);
+
+    const body = { ...this.buildRequestBody(request), stream: true };
+    if (this.supportsStreamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      signal: options.signal,
+      headers: this.buildHeaders(),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new ProviderError(`OpenAI API error: ${data.error?.message || 'Unknown error'}`, {
+        provider: this.name,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        body: data
+      });
+    }
+
+    let id = null;
+    let model = request.model;
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+
+    await readServerSentEvents(response.body, ({ data }) => {
+      if (!data || data === '[DONE]') return;
+
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch (error) {
+        logger.warn(`Skipping unparseable stream chunk: ${data.substring(0, 100)}`);
+        return;
+      }
+
+      id = chunk.id || id;
+      model = chunk.model || model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) return;
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta({ type: 'content', text: content });
+      }
+
+      for (const part of delta.tool_calls || []) {
+        const index = part.index ?? toolCalls.length;
+        if (!toolCalls[index]) {
+          toolCalls[index] = { id: part.id, type: 'function', function: { name: '', arguments: '' } };
+        }
+        const call = toolCalls[index];
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+
+        onDelta({
+          type: 'tool_call',
+          index,
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments
+        });
+      }
+    });
+
+    return createChatResponse({
+      id,
+      model,
+      content: content || null,
+      toolCalls: toolCalls.filter(Boolean),
+      finishReason,
+      usage,
+      provider: this.name
+    });
+  }
+
+  /**
+   * Normalizes an OpenAI-style response body
+   * @param {Object} data - Raw response body
+   * @param {Object} request - Original request
+   * @returns {Object} - Normalized response
+   */
+  parseResponse(data, request) {
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new ProviderError(`${this.name} returned no choices`, {
+        provider: this.name,
+        body: data
+      });
+    }
+
+    return createChatResponse({
+      id: data.id,
+      model: data.model || request.model,
+      content: choice.message.content,
+      toolCalls: choice.message.tool_calls || [],
+      finishReason: choice.finish_reason,
+      usage: data.usage,
+      provider: this.name
+    });
+  }
+}
+
+module.exports = OpenAIProvider;
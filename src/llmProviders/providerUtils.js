@@ -0,0 +1,214 @@
+/**
+ * Shared helpers for LLM provider adapters
+ *
+ * Every adapter returns responses in the OpenAI chat/completions shape so the
+ * rest of the bot (llmInterface, orchestrator) never has to know which
+ * provider produced them.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Error raised by a provider adapter when the upstream API call fails
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Extra details (provider, status, body, code, retryAfterMs)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = details.provider;
+    this.status = details.status;
+    this.code = details.code || codeForStatus(details.status);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+    this.details = details;
+  }
+}
+
+/**
+ * Maps an HTTP status onto the error codes used by errors.js
+ * @param {number} [status] - HTTP status
+ * @returns {string|undefined} - Error code
+ */
+function codeForStatus(status) {
+  if (!status) return undefined;
+  if (status === 429) return 'RATE_LIMIT_ERROR';
+  if (status === 401) return 'AUTHENTICATION_ERROR';
+  if (status === 403) return 'PERMISSION_ERROR';
+  if (status === 408) return 'TIMEOUT_ERROR';
+  if (status >= 500) return 'API_ERROR';
+  return 'VALIDATION_ERROR';
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Strips registry-only fields (like `implementation`) from tool definitions
+ * @param {Array} tools - Tools as returned by getToolsForLLM()
+ * @param {Object} [options] - Normalization options
+ * @param {boolean} [options.keepStrict=true] - Whether to keep the strict flag
+ * @returns {Array} - Tools in plain OpenAI function format
+ */
+function normalizeTools(tools, options = {}) {
+  const { keepStrict = true } = options;
+  if (!Array.isArray(tools)) return [];
+
+  return tools
+    .filter(tool => tool && tool.function && tool.function.name)
+    .map(tool => {
+      const fn = {
+        name: tool.function.name,
+        description: tool.function.description || '',
+        parameters: tool.function.parameters || { type: 'object', properties: {} }
+      };
+      if (keepStrict && tool.function.strict !== undefined) {
+        fn.strict = tool.function.strict;
+      }
+      return { type: 'function', function: fn };
+    });
+}
+
+/**
+ * Normalizes token usage into prompt/completion/total counts
+ * @param {Object} usage - Usage object from any provider
+ * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+ */
+function normalizeUsage(usage) {
+  if (!usage) {
+    return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  }
+
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? usage.prompt_eval_count ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? usage.eval_count ?? 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens ?? (promptTokens + completionTokens)
+  };
+}
+
+/**
+ * Normalizes a tool call so `function.arguments` is always a JSON string
+ * @param {Object} toolCall - Tool call in (roughly) OpenAI format
+ * @param {number} index - Position of the call, used for generated IDs
+ * @returns {Object} - Normalized tool call
+ */
+function normalizeToolCall(toolCall, index = 0) {
+  const args = toolCall.function?.arguments;
+  return {
+    id: toolCall.id || `call_${Date.now()}_${index}`,
+    type: 'function',
+    function: {
+      name: toolCall.function?.name,
+      arguments: typeof args === 'string' ? args : JSON.stringify(args || {})
+    }
+  };
+}
+
+/**
+ * Builds a response in the OpenAI chat/completions shape
+ * @param {Object} params - Response parts
+ * @param {string} params.model - Model that produced the response
+ * @param {string|null} params.content - Assistant text content
+ * @param {Array} [params.toolCalls] - Tool calls in OpenAI format
+ * @param {string} [params.finishReason] - Finish reason
+ * @param {Object} [params.usage] - Raw usage object
+ * @param {string} [params.id] - Response ID
+ * @param {string} params.provider - Provider name
+ * @returns {Object} - Normalized response
+ */
+function createChatResponse({ model, content, toolCalls = [], finishReason, usage, id, provider }) {
+  const message = { role: 'assistant', content: content || null };
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls.map(normalizeToolCall);
+  }
+
+  return {
+    id: id || `${provider}-${Date.now()}`,
+    object: 'chat.completion',
+    model,
+    provider,
+    choices: [{
+      index: 0,
+      message,
+      finish_reason: finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop')
+    }],
+    usage: normalizeUsage(usage)
+  };
+}
+
+/**
+ * Reads a server-sent events stream, calling onEvent for every complete event
+ * @param {ReadableStream} body - Response body (node-fetch returns a Node stream)
+ * @param {Function} onEvent - Called with { event, data } for each event
+ * @returns {Promise<void>}
+ */
+async function readServerSentEvents(body, onEvent) {
+  // The decoder keeps multi-byte characters intact across chunk boundaries
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let eventName = null;
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName || 'message', data: dataLines.join('\n') });
+    }
+    eventName = null;
+    dataLines = [];
+  };
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line === '') {
+        dispatch();
+      } else if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+      // Comment lines (":") and other fields are ignored
+    }
+  }
+
+  // Flush a trailing event that wasn't followed by a blank line
+  buffer += decoder.end();
+  if (buffer.trim().startsWith('data:')) {
+    dataLines.push(buffer.trim().slice(5).trimStart());
+  }
+  dispatch();
+}
+
+module.exports = {
+  ProviderError,
+  parseRetryAfter,
+  readServerSentEvents,
+  normalizeTools,
+  normalizeUsage,
+  normalizeToolCall,
+  createChatResponse
+};
@@ -0,0 +1,255 @@
+/**
+ * Retry, timeout and circuit breaker helpers for LLM calls
+ *
+ * callOpenAI wraps every provider request with these:
+ * - each attempt gets its own AbortController timeout
+ * - 429/5xx/network failures are retried with exponential backoff,
+ *   waiting at least as long as the provider's Retry-After header asks;
+ *   a Retry-After longer than the maximum delay fails the call right away
+ * - after repeated failed calls the circuit opens and requests fail fast
+ *   with CircuitOpenError until the reset timeout passes
+ */
+
+const {
+  LLM_MAX_RETRIES,
+  LLM_RETRY_BASE_DELAY_MS,
+  LLM_RETRY_MAX_DELAY_MS,
+  LLM_REQUEST_TIMEOUT_MS,
+  LLM_CIRCUIT_FAILURE_THRESHOLD,
+  LLM_CIRCUIT_RESET_MS
+} = require('../config.js');
+const logger = require('../toolUtils/logger.js');
+const { ProviderError } = require('./providerUtils.js');
+
+// Status codes worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Low-level network failures reported by node-fetch
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH'];
+
+/**
+ * Raised instead of calling the provider while its circuit is open
+ */
+class CircuitOpenError extends ProviderError {
+  /**
+   * @param {string} provider - Provider name
+   * @param {number} retryInMs - Time until the circuit allows a trial request
+   */
+  constructor(provider, retryInMs) {
+    super(`LLM provider ${provider} is unavailable (circuit open, retrying in ${Math.ceil(retryInMs / 1000)}s)`, {
+      provider,
+      code: 'LLM_UNAVAILABLE',
+      retryAfterMs: retryInMs
+    });
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Whether a failed LLM call is worth retrying
+ * @param {Error} error - Error from a provider call
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error || error instanceof CircuitOpenError) return false;
+  if (error.code === 'TIMEOUT_ERROR' || error.code === 'NETWORK_ERROR') return true;
+  if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+  return error.type === 'system' && RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Computes the wait before the next attempt
+ * @param {number} attempt - Attempt that just failed (0-based)
+ * @param {Error} error - The failure
+ * @param {Object} [options] - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Delay in milliseconds; only Retry-After can make it longer than maxDelayMs
+ */
+function getRetryDelay(attempt, error, options = {}) {
+  const baseDelayMs = options.baseDelayMs ?? LLM_RETRY_BASE_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs ?? LLM_RETRY_MAX_DELAY_MS;
+
+  // Exponential backoff with up to 25% jitter so parallel threads don't retry in lockstep
+  const backoff = baseDelayMs * Math.pow(2, attempt);
+  const jittered = backoff + Math.random() * backoff * 0.25;
+
+  // The cap is for our own backoff; never retry sooner than the provider asked us to
+  return Math.max(Math.min(jittered, maxDelayMs), error?.retryAfterMs || 0);
+}
+
+/**
+ * Runs one attempt with an abort timeout
+ * @param {Function} fn - (signal) => Promise
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} provider - Provider name (for the error)
+ * @returns {Promise<*>}
+ */
+async function runWithTimeout(fn, timeoutMs, provider) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fn(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new ProviderError(`LLM request to ${provider} timed out after ${timeoutMs}ms`, {
+        provider,
+        code: 'TIMEOUT_ERROR'
+      });
+    }
+    if (error.type === 'system' && !error.status) {
+      // node-fetch FetchError - keep the original code for isRetryableError
+      error.code = RETRYABLE_NETWORK_CODES.includes(error.code) ? error.code : 'NETWORK_ERROR';
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Calls fn with retries, backoff and a per-attempt timeout
+ * @param {Function} fn - (signal, attempt) => Promise
+ * @param {Object} [options] - Retry options
+ * @param {string} [options.provider] - Provider name for logging
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.timeoutMs] - Timeout per attempt
+ * @param {Function} [options.shouldRetry] - Extra check; return false to stop retrying
+ * @param {CircuitBreaker} [options.breaker] - Stop retrying once this circuit opens
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+async function withRetry(fn, options = {}) {
+  const provider = options.provider || 'llm';
+  const maxRetries = options.maxRetries ?? LLM_MAX_RETRIES;
+  const timeoutMs = options.timeoutMs ?? LLM_REQUEST_TIMEOUT_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await runWithTimeout(signal => fn(signal, attempt), timeoutMs, provider);
+    } catch (error) {
+      const canRetry = attempt < maxRetries &&
+        isRetryableError(error) &&
+        (!options.shouldRetry || options.shouldRetry(error)) &&
+        (!options.breaker || options.breaker.state !== 'open');
+
+      if (!canRetry) {
+        throw error;
+      }
+
+      // Waiting that long would hold the thread; report the failure instead
+      const maxDelayMs = options.maxDelayMs ?? LLM_RETRY_MAX_DELAY_MS;
+      if (error.retryAfterMs > maxDelayMs) {
+        logger.warn(`⏳ ${provider} asked to retry in ${Math.round(error.retryAfterMs)}ms, more than the ${maxDelayMs}ms limit; not retrying`);
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error, options);
+      logger.warn(`🔁 ${provider} call failed (${error.status || error.code || error.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} [options] - { failureThreshold, resetTimeoutMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? LLM_CIRCUIT_FAILURE_THRESHOLD;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? LLM_CIRCUIT_RESET_MS;
+    this.state = 'closed'; // closed -> open -> half_open -> closed|open
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Time until an open circuit lets a trial request through
+   * @returns {number} - Milliseconds (0 when not open)
+   */
+  getRetryInMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Throws CircuitOpenError unless a request may go through now.
+   * Once the reset timeout passes, one trial request is let through (half-open).
+   */
+  assertCanRequest() {
+    if (this.state === 'open' && this.getRetryInMs() === 0) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+      logger.info(`🔌 Circuit for ${this.name} is half-open, sending a trial request`);
+    }
+
+    if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+      throw new CircuitOpenError(this.name, this.getRetryInMs() || this.resetTimeoutMs);
+    }
+
+    if (this.state === 'half_open') {
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Records a successful call
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info(`✅ Circuit for ${this.name} closed again`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Records a failed call. Only endpoint failures count - a 400 caused by our
+   * own request says nothing about the provider's health.
+   * @param {Error} error - The failure (after retries)
+   */
+  recordFailure(error) {
+    if (error instanceof CircuitOpenError) return;
+
+    if (!isRetryableError(error)) {
+      if (this.state === 'half_open') this.trialInFlight = false;
+      return;
+    }
+
+    this.failures++;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+      logger.error(`🔌 Circuit for ${this.name} opened after ${this.failures} failed calls; pausing requests for ${this.resetTimeoutMs}ms`);
+    }
+  }
+}
+
+// One breaker per provider
+const breakers = new Map();
+
+/**
+ * Get the circuit breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  getCircuitBreaker,
+  withRetry,
+  isRetryableError,
+  getRetryDelay
+};
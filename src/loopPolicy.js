@@ -0,0 +1,333 @@
+/**
+ * Loop policies for processThread
+ *
+ * A policy is a named set of limits for the LLM loop: how many iterations a
+ * request gets, how many messages it may post and when a request that has
+ * already answered is finished on the model's behalf. The rule checks are
+ * pure functions of (policy, loop state) and need neither Slack nor an LLM:
+ *
+ *   const policy = getLoopPolicy('default');
+ *   checkIterationStart(policy, { iteration: 3, messagePosted: true, ... })
+ *   // -> { rule: 'singleMessage', summary, reasoning, notice, finish: true }
+ *
+ * Which policy a thread uses is decided by resolveLoopPolicy: thread metadata
+ * (`loopPolicy`), then the channel mapping in LOOP_POLICY_CHANNELS, then
+ * LOOP_POLICY. A policy with `escalate` switches a request to another policy
+ * once it has made enough tool calls (tool-heavy tasks get more room).
+ */
+
+const { LOOP_POLICY, LOOP_POLICY_CHANNELS } = require('./config.js');
+
+/**
+ * Built-in policies. A null limit disables the rule.
+ *
+ * - maxIterations: LLM calls per request before the request is auto-finished
+ * - iterationWarningMargin: warn the model this many iterations before the limit
+ * - maxMessagesPerRequest: auto-finish once this many messages were posted
+ * - blockMessagesAfter: further postMessage calls are blocked (and the request
+ *   finished) once this many messages were posted
+ * - stalledAfterIteration / maxIdleIterations: after a reply, finish when more
+ *   than maxIdleIterations iterations in a row did nothing useful
+ * - singleMessageAfterIteration: after a reply, finish on any later iteration
+ * - finishReminderIteration: after a reply without buttons, remind the model
+ *   and finish on exactly this iteration
+ * - waitingAfterIteration / maxWaitingIterations: after a reply without
+ *   buttons, force a finish once the model has ignored it this long
+ * - loopThreshold: consecutive calls of the same tool treated as a loop
+ *   (loopThresholdOverrides raises it per tool)
+ * - finishAfterButtonResponse: finish once the reply to a button click is posted
+ * - escalate: { policy, afterToolCalls } switches policy for tool-heavy requests
+ */
+const LOOP_POLICIES = {
+  default: {
+    maxIterations: 10,
+    iterationWarningMargin: 2,
+    maxMessagesPerRequest: 3,
+    blockMessagesAfter: 1,
+    stalledAfterIteration: 2,
+    maxIdleIterations: 1,
+    singleMessageAfterIteration: 2,
+    finishReminderIteration: 3,
+    waitingAfterIteration: 3,
+    maxWaitingIterations: 2,
+    loopThreshold: 5,
+    loopThresholdOverrides: { getThreadHistory: 7 },
+    finishAfterButtonResponse: true,
+    escalate: { policy: 'research', afterToolCalls: 4 }
+  },
+  research: {
+    maxIterations: 20,
+    iterationWarningMargin: 3,
+    maxMessagesPerRequest: 3,
+    blockMessagesAfter: 1,
+    stalledAfterIteration: 2,
+    maxIdleIterations: 2,
+    singleMessageAfterIteration: null,
+    finishReminderIteration: null,
+    waitingAfterIteration: 2,
+    maxWaitingIterations: 2,
+    loopThreshold: 8,
+    loopThresholdOverrides: { getThreadHistory: 10 },
+    finishAfterButtonResponse: true,
+    escalate: null
+  }
+};
+
+/**
+ * Add or replace a named policy. Missing fields fall back to the default policy.
+ * @param {string} name - Policy name
+ * @param {Object} policy - Policy fields
+ * @returns {Object} - The registered policy
+ */
+function registerLoopPolicy(name, policy) {
+  LOOP_POLICIES[name] = { ...LOOP_POLICIES.default, ...policy };
+  return getLoopPolicy(name);
+}
+
+/**
+ * Get a policy by name
+ * @param {string} name - Policy name
+ * @returns {Object} - Policy with its name, or the default policy if unknown
+ */
+function getLoopPolicy(name) {
+  const key = LOOP_POLICIES[name] ? name : 'default';
+  return { name: key, ...LOOP_POLICIES[key] };
+}
+
+/**
+ * List the registered policy names
+ * @returns {Array<string>}
+ */
+function listLoopPolicies() {
+  return Object.keys(LOOP_POLICIES);
+}
+
+/**
+ * Parse a channel mapping like "C0123=research,C0456=research"
+ * @param {string} value - Mapping string
+ * @returns {Object} - channelId -> policy name
+ */
+function parseChannelPolicies(value) {
+  const mapping = {};
+  for (const entry of (value || '').split(',')) {
+    const [channelId, policyName] = entry.split('=').map(part => part && part.trim());
+    if (channelId && policyName) {
+      mapping[channelId] = policyName;
+    }
+  }
+  return mapping;
+}
+
+const channelPolicies = parseChannelPolicies(LOOP_POLICY_CHANNELS);
+
+/**
+ * Pick the policy for a request
+ * @param {Object} [options] - Selection inputs
+ * @param {string} [options.threadPolicy] - Policy named in thread metadata
+ * @param {string} [options.channelId] - Channel ID
+ * @param {number} [options.toolCalls] - Tool calls the request has made so far
+ * @param {Object} [options.channelPolicies] - Channel mapping (defaults to LOOP_POLICY_CHANNELS)
+ * @param {string} [options.defaultPolicy] - Fallback name (defaults to LOOP_POLICY)
+ * @returns {Object} - Policy, with `source` telling where the choice came from
+ */
+function resolveLoopPolicy(options = {}) {
+  const mapping = options.channelPolicies || channelPolicies;
+  let policy;
+  let source;
+
+  if (options.threadPolicy && LOOP_POLICIES[options.threadPolicy]) {
+    policy = getLoopPolicy(options.threadPolicy);
+    source = 'thread';
+  } else if (options.channelId && LOOP_POLICIES[mapping[options.channelId]]) {
+    policy = getLoopPolicy(mapping[options.channelId]);
+    source = 'channel';
+  } else {
+    policy = getLoopPolicy(options.defaultPolicy || LOOP_POLICY);
+    source = 'default';
+  }
+
+  const escalate = policy.escalate;
+  if (escalate && LOOP_POLICIES[escalate.policy] && (options.toolCalls || 0) >= escalate.afterToolCalls) {
+    return { ...getLoopPolicy(escalate.policy), source: `escalated from ${policy.name}` };
+  }
+
+  return { ...policy, source };
+}
+
+/**
+ * Rules checked before each LLM call
+ * @param {Object} policy - Loop policy
+ * @param {Object} state - { iteration, messagePosted, messagesSent, idleIterations, waitingForFinishRequest }
+ * @returns {Object|null} - Auto-finish decision, or null to keep going
+ */
+function checkIterationStart(policy, state) {
+  const { iteration, messagePosted, messagesSent, idleIterations, waitingForFinishRequest } = state;
+
+  if (policy.maxMessagesPerRequest != null && messagePosted && messagesSent >= policy.maxMessagesPerRequest) {
+    return {
+      rule: 'maxMessages',
+      finish: true,
+      summary: 'Auto-finishing after maximum messages sent',
+      reasoning: `Maximum number of messages (${policy.maxMessagesPerRequest}) reached`,
+      notice: null
+    };
+  }
+
+  if (policy.stalledAfterIteration != null && messagePosted &&
+      iteration > policy.stalledAfterIteration && idleIterations > policy.maxIdleIterations) {
+    return {
+      rule: 'stalled',
+      finish: true,
+      summary: 'Auto-finishing after stalled conversation',
+      reasoning: `Posted message but no finishRequest call after ${idleIterations} iterations`,
+      notice: `⚠️ AUTO-FINISHING: The conversation has stalled after posting a message. The response has been completed and the request will be automatically finished. Next time, please call finishRequest directly after completing your response.`
+    };
+  }
+
+  if (policy.waitingAfterIteration != null && waitingForFinishRequest &&
+      iteration - policy.waitingAfterIteration >= policy.maxWaitingIterations) {
+    return {
+      rule: 'waitingForFinish',
+      finish: true,
+      summary: 'Auto-finishing after response completed',
+      reasoning: `Response was sent but finishRequest wasn't called`,
+      notice: `⚠️ IMPORTANT: Your response has been delivered, but you didn't call finishRequest to complete the interaction. Always call finishRequest after posting your response to the user.`
+    };
+  }
+
+  if (policy.singleMessageAfterIteration != null && messagePosted && iteration > policy.singleMessageAfterIteration) {
+    return {
+      rule: 'singleMessage',
+      finish: true,
+      summary: 'Auto-finishing to enforce one-message policy',
+      reasoning: 'Preventing multiple messages to the same user query',
+      notice: `🛑 AUTO-FINISH: You've already sent a message to the user. To prevent multiple responses, the system is auto-finishing this request.`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Whether the model should be warned that it is running out of iterations
+ * @param {Object} policy - Loop policy
+ * @param {number} iteration - Current iteration
+ * @returns {boolean}
+ */
+function shouldWarnIterationLimit(policy, iteration) {
+  return iteration >= policy.maxIterations - policy.iterationWarningMargin;
+}
+
+/**
+ * Rule for a reply (without buttons) that the model hasn't finished yet
+ * @param {Object} policy - Loop policy
+ * @param {Object} state - { iteration }
+ * @returns {Object|null} - Auto-finish decision, or null to keep going
+ */
+function checkAwaitingFinish(policy, state) {
+  if (policy.finishReminderIteration == null || state.iteration !== policy.finishReminderIteration) {
+    return null;
+  }
+
+  return {
+    rule: 'finishReminder',
+    finish: true,
+    summary: 'Auto-finishing after response completed',
+    reasoning: `Response was sent but finishRequest wasn't called after ${state.iteration - 1} iterations`,
+    notice: `⚠️ REMINDER: You've already responded to the user's request. Please call finishRequest now to complete this interaction.`
+  };
+}
+
+/**
+ * Rule for a postMessage call
+ * @param {Object} policy - Loop policy
+ * @param {Object} state - { messagePosted, messagesSent }
+ * @returns {Object|null} - Block-and-finish decision, or null to let the message through
+ */
+function checkPostMessage(policy, state) {
+  if (policy.blockMessagesAfter == null || !state.messagePosted || state.messagesSent < policy.blockMessagesAfter) {
+    return null;
+  }
+
+  return {
+    rule: 'blockExtraMessage',
+    finish: true,
+    summary: 'Auto-finishing to prevent multiple messages',
+    reasoning: 'Multiple postMessage attempts detected',
+    notice: `⚠️ BLOCKED: Additional message not sent. You should call finishRequest after posting your response to avoid multiple messages.`
+  };
+}
+
+/**
+ * Loop detection for repeated calls of the same tool
+ * @param {Object} policy - Loop policy
+ * @param {Object} state - { toolName, consecutiveSimilarOperations, messagePosted }
+ * @returns {Object|null} - Decision (finish only once a reply was posted), or null below the threshold
+ */
+function checkToolLoop(policy, state) {
+  const { toolName, consecutiveSimilarOperations, messagePosted } = state;
+  if (policy.loopThreshold == null) return null;
+
+  const threshold = (policy.loopThresholdOverrides && policy.loopThresholdOverrides[toolName]) || policy.loopThreshold;
+  if (consecutiveSimilarOperations < threshold) return null;
+
+  return {
+    rule: 'toolLoop',
+    finish: !!messagePosted,
+    summary: 'Auto-finishing to break tool execution loop',
+    reasoning: `Detected ${consecutiveSimilarOperations} consecutive ${toolName} calls`,
+    notice: `⚠️ LOOP DETECTED: You've called ${toolName} ${consecutiveSimilarOperations} times consecutively. Please respond to the user with postMessage and then call finishRequest.`
+  };
+}
+
+/**
+ * Rule checked at the end of an iteration for button-click replies
+ * @param {Object} policy - Loop policy
+ * @param {Object} state - { isButtonSelection, buttonResponses, messagePosted, hasRecentButtonClick }
+ * @returns {Object|null} - Auto-finish decision, or null to keep going
+ */
+function checkButtonResponse(policy, state) {
+  const { isButtonSelection, buttonResponses, messagePosted, hasRecentButtonClick } = state;
+  if (!policy.finishAfterButtonResponse || !isButtonSelection || buttonResponses !== 0 || !messagePosted || !hasRecentButtonClick) {
+    return null;
+  }
+
+  return {
+    rule: 'buttonResponse',
+    finish: true,
+    summary: 'Auto-finishing after button selection response',
+    reasoning: 'Button selection response completed',
+    notice: null
+  };
+}
+
+/**
+ * Decision for a request that used up its iterations
+ * @param {Object} policy - Loop policy
+ * @returns {Object} - Auto-finish decision
+ */
+function iterationLimitDecision(policy) {
+  return {
+    rule: 'maxIterations',
+    finish: true,
+    summary: 'Auto-finishing after reaching maximum iterations',
+    reasoning: `Reached iteration limit (${policy.maxIterations})`,
+    notice: null
+  };
+}
+
+module.exports = {
+  LOOP_POLICIES,
+  registerLoopPolicy,
+  getLoopPolicy,
+  listLoopPolicies,
+  parseChannelPolicies,
+  resolveLoopPolicy,
+  checkIterationStart,
+  shouldWarnIterationLimit,
+  checkAwaitingFinish,
+  checkPostMessage,
+  checkToolLoop,
+  checkButtonResponse,
+  iterationLimitDecision
+};
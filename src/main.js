@@ -13,6 +13,8 @@ const logger = require('./toolUtils/logger.js');
 // Initialize context builders
 const { getContextBuilder } = require('./contextBuilder.js');
 const { getThreadContextBuilder } = require('./threadContextBuilder.js');
+const { restorePolls } = require('./polls.js');
+const { restoreSchedules } = require('./scheduler.js');
 
 
 // Reduce logging noise
@@ -73,6 +75,22 @@ function verifyTools() {
 // Set up Slack event listeners
 setupSlackEvents(app);
 
+// Save pending thread state before exiting
+async function shutdown(signal) {
+  logger.info(`${signal} received, saving state before exit`);
+  try {
+    const contextBuilder = getContextBuilder();
+    await contextBuilder.flushState();
+    await contextBuilder.store.close();
+  } catch (error) {
+    logError('Failed to save state on shutdown', error);
+  }
+  process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 // Start the app
 (async () => {
   try {
@@ -81,6 +99,10 @@ setupSlackEvents(app);
     
     await app.start();
     logger.info('⚡️ Slack bot is running!');
+    
+    // Pick up polls and reminders that were pending when the bot stopped
+    await restorePolls().catch(error => logError('Failed to restore polls', error));
+    await restoreSchedules().catch(error => logError('Failed to restore scheduled messages', error));
   } catch (error) {
     logError('Failed to start Slack bot', error);
     process.exit(1);
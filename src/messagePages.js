@@ -0,0 +1,162 @@
+/**
+ * Replies too big for one Slack message
+ *
+ * Slack rejects a message with more than 50 blocks. The renderer already keeps
+ * single sections and headers within their limits; here a rendered reply is
+ * split into pages at block boundaries and posted in one of two ways
+ * (LONG_MESSAGE_MODE):
+ *
+ * - thread: every page is its own message, posted one after another in the thread
+ * - showMore: only the first page is posted, with a "Show more" button; clicks
+ *   swap the message's content for the next or previous page with chat.update
+ *
+ * Either way the parts form one reply - postMessage records a single context
+ * message with the extra timestamps. showMore pages are kept in the thread's
+ * `pagedReplies` metadata so the buttons keep working after a restart. Page
+ * clicks are handled here without involving the model.
+ */
+
+const { getContextBuilder } = require('./contextBuilder.js');
+const { getSlackClient } = require('./slackClient.js');
+const { paginateMessage, MAX_BLOCKS_PER_MESSAGE } = require('./toolUtils/messageRenderer');
+const { LONG_MESSAGE_MODE } = require('./config.js');
+const logger = require('./toolUtils/logger.js');
+
+const PAGE_ACTION_PREFIX = 'page_show:';
+// The page counter and the button row
+const NAVIGATION_BLOCKS = 2;
+
+/**
+ * Adds the page counter and Previous / Show more buttons to a page
+ * @param {Object} page - Page with blocks and/or attachments
+ * @param {number} index - Zero-based page index
+ * @param {number} total - Number of pages
+ * @returns {Object} - Page with navigation in its last attachment
+ */
+function withNavigation(page, index, total) {
+  const buttons = [];
+  if (index > 0) {
+    buttons.push({
+      type: 'button',
+      text: { type: 'plain_text', text: '◀ Previous', emoji: true },
+      action_id: `${PAGE_ACTION_PREFIX}${index - 1}`,
+      value: String(index - 1)
+    });
+  }
+  if (index < total - 1) {
+    buttons.push({
+      type: 'button',
+      text: { type: 'plain_text', text: 'Show more ▶', emoji: true },
+      style: 'primary',
+      action_id: `${PAGE_ACTION_PREFIX}${index + 1}`,
+      value: String(index + 1)
+    });
+  }
+
+  const navigation = [
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `Page ${index + 1} of ${total}` }] },
+    { type: 'actions', elements: buttons }
+  ];
+
+  const attachments = (page.attachments || []).map(attachment => ({ ...attachment }));
+  const last = attachments[attachments.length - 1];
+  if (last) {
+    last.blocks = [...last.blocks, ...navigation];
+  } else {
+    attachments.push({ blocks: navigation });
+  }
+  return { blocks: page.blocks || [], attachments };
+}
+
+function savePagedReply(threadId, messageTs, reply) {
+  const contextBuilder = getContextBuilder();
+  const registry = contextBuilder.getMetadata(threadId, 'pagedReplies') || {};
+  contextBuilder.setMetadata(threadId, 'pagedReplies', { ...registry, [messageTs]: reply });
+}
+
+/**
+ * Posts a rendered reply, splitting it into pages when it's over Slack's block limit
+ * @param {Object} message - Result of renderMessage()
+ * @param {Object} options
+ * @param {string} options.channel - Channel ID
+ * @param {string} [options.threadTs] - Thread to post in
+ * @param {string} [options.replaceTs] - Existing message (a streaming placeholder) the first page replaces
+ * @param {string} [options.threadId] - Thread whose metadata keeps showMore pages
+ * @returns {Promise<Object>} - Slack's result for the first part, plus `parts` (timestamps of the other messages) and `pages`
+ */
+async function postPagedMessage(message, { channel, threadTs, replaceTs, threadId } = {}) {
+  const slackClient = getSlackClient();
+  const showMore = LONG_MESSAGE_MODE === 'showMore';
+  const pages = paginateMessage(message, showMore ? MAX_BLOCKS_PER_MESSAGE - NAVIGATION_BLOCKS : MAX_BLOCKS_PER_MESSAGE);
+  const firstPage = showMore && pages.length > 1 ? withNavigation(pages[0], 0, pages.length) : pages[0];
+
+  const first = replaceTs
+    ? await slackClient.chat.update({ channel, ts: replaceTs, text: ' ', ...firstPage })
+    : await slackClient.chat.postMessage({ channel, thread_ts: threadTs, text: ' ', ...firstPage });
+
+  const parts = [];
+  if (pages.length > 1) {
+    if (showMore) {
+      savePagedReply(threadId || threadTs || first.ts, first.ts, { channelId: channel, pages, current: 0 });
+    } else {
+      for (const page of pages.slice(1)) {
+        const result = await slackClient.chat.postMessage({ channel, thread_ts: threadTs || first.ts, text: ' ', ...page });
+        parts.push(result.ts);
+      }
+    }
+    logger.info(`📄 Reply ${first.ts} split into ${pages.length} pages (${LONG_MESSAGE_MODE})`);
+  }
+
+  return { ...first, ts: first.ts, parts, pages: pages.length };
+}
+
+/**
+ * Whether a block action is a page button of a showMore reply
+ * @param {string} actionId - action_id of the clicked element
+ * @returns {boolean}
+ */
+function isPageAction(actionId) {
+  return typeof actionId === 'string' && actionId.startsWith(PAGE_ACTION_PREFIX);
+}
+
+/**
+ * Shows the page a Previous / Show more button points to
+ * @param {Object} body - Block action payload
+ * @returns {Promise<boolean>} - Whether the message was updated
+ */
+async function showPage(body) {
+  const messageTs = body.container?.message_ts;
+  const threadId = body.message?.thread_ts || messageTs;
+  const slackClient = getSlackClient();
+
+  await getContextBuilder().ensureThreadLoaded(threadId);
+  const registry = getContextBuilder().getMetadata(threadId, 'pagedReplies') || {};
+  const reply = registry[messageTs];
+  const index = parseInt(body.actions[0].value, 10);
+
+  if (!reply || !reply.pages[index]) {
+    await slackClient.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      thread_ts: threadId,
+      text: 'These pages are no longer available.'
+    });
+    return false;
+  }
+
+  await slackClient.chat.update({
+    channel: reply.channelId,
+    ts: messageTs,
+    text: ' ',
+    ...withNavigation(reply.pages[index], index, reply.pages.length)
+  });
+  savePagedReply(threadId, messageTs, { ...reply, current: index });
+  logger.info(`📄 Page ${index + 1}/${reply.pages.length} of ${messageTs} shown to ${body.user.id}`);
+  return true;
+}
+
+module.exports = {
+  postPagedMessage,
+  isPageAction,
+  showPage
+};
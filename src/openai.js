@@ -1,25 +1,31 @@
 /**
- * OpenAI API interface for making requests to the LLM
+ * LLM API interface for making requests to the LLM.
+ * Requests are built in OpenAI format and dispatched to the provider
+ * adapter selected by LLM_PROVIDER (see src/llmProviders).
  */
 
-const { LLM_API_KEY, LLM_API_URL, LLM_MODEL } = require('./config.js');
+const { LLM_MODEL, LLM_PROVIDER } = require('./config.js');
 const { logError } = require('./errors.js');
-const fetch = require('node-fetch');
+const { getProvider, getCircuitBreaker, withRetry } = require('./llmProviders');
 const logger = require('./toolUtils/logger.js');
 const llmDebugLogger = require('./toolUtils/llmDebugLogger.js');
 
 
 /**
- * Calls the OpenAI API with the given parameters
- * @param {Object} params - Parameters for the OpenAI call
+ * Calls the configured LLM provider with the given parameters
+ * @param {Object} params - Parameters for the LLM call
  * @param {Array<{role: string, content: string}>} params.messages - Messages to send to the API
  * @param {Array} [params.tools] - Tools to include in the API call
  * @param {string|Object} [params.tool_choice] - Whether to force a tool choice
- * @returns {Promise<Object>} - The OpenAI API response
+ * @param {string} [params.provider] - Override the provider from config
+ * @param {boolean} [params.stream] - Stream the response over SSE when the provider supports it
+ * @param {Function} [params.onDelta] - Called with each streamed delta (content or tool call arguments so far)
+ * @returns {Promise<Object>} - Response in OpenAI chat/completions shape, whatever the provider
  */
 async function callOpenAI(params) {
     try {
-        logger.info(`Calling OpenAI with ${params.messages.length} messages`);
+        const provider = getProvider(params.provider || LLM_PROVIDER);
+        logger.info(`Calling ${provider.name} provider with ${params.messages.length} messages`);
         
         // Default to the environment model if not provided
         const model = params.model || LLM_MODEL || 'gpt-3.5-turbo';
@@ -31,15 +37,19 @@ async function callOpenAI(params) {
             temperature: params.temperature || 0.7,
         };
         
+        if (params.max_tokens) {
+            requestBody.max_tokens = params.max_tokens;
+        }
+        
         // Extract threadId for logging
         const threadId = extractThreadId(params);
         
         // Handle tools and tool_choice according to OpenAI's latest API
         if (params.tools && params.tools.length > 0) {
             // Log tool schemas for debugging
-            logger.info(`Providing ${params.tools.length} tools to OpenAI API`);
+            logger.info(`Providing ${params.tools.length} tools to ${provider.name} provider`);
 
-            // Tools are already in the correct format from the tool registry
+            // Tools are in OpenAI format; each adapter converts them as needed
             requestBody.tools = params.tools;
             
             // Handle tool_choice parameter
@@ -67,7 +77,6 @@ async function callOpenAI(params) {
         
         // Log request details
         logger.info(`Using model: ${model}`);
-        logger.info(`API URL: ${LLM_API_URL || 'https://api.openai.com/v1/chat/completions'}`);
         
         // Enhanced logging: log full messages and request body
         logger.info('=== FULL MESSAGES BEING SENT TO LLM ===');
@@ -95,34 +104,47 @@ async function callOpenAI(params) {
         // Track the start time for performance monitoring
         const startTime = Date.now();
         
-        // Make request to OpenAI API
-        const response = await fetch(
-            LLM_API_URL || 'https://api.openai.com/v1/chat/completions',
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${LLM_API_KEY}`
-                },
-                body: JSON.stringify(requestBody)
-            }
-        );
-        
-        // Parse response
-        const data = await response.json();
+        // Fail fast while the provider's circuit is open
+        const breaker = getCircuitBreaker(provider.name);
+        breaker.assertCanRequest();
+        
+        // Once deltas have been shown to the user, a retry would replay them
+        let deltaReceived = false;
+        
+        // Send the request through the provider adapter, retrying transient failures
+        let data;
+        try {
+            data = await withRetry(async (signal) => {
+                if (params.stream && typeof provider.chatStream === 'function') {
+                    logger.info(`Streaming response from ${provider.name} provider`);
+                    return await provider.chatStream(requestBody, (delta) => {
+                        deltaReceived = true;
+                        // A failing consumer (e.g. a Slack update) must never break the stream
+                        try {
+                            if (params.onDelta) params.onDelta(delta);
+                        } catch (deltaError) {
+                            logger.warn(`Error handling stream delta: ${deltaError.message}`);
+                        }
+                    }, { signal });
+                }
+                return await provider.chat(requestBody, { signal });
+            }, {
+                provider: provider.name,
+                breaker,
+                shouldRetry: () => !deltaReceived
+            });
+            breaker.recordSuccess();
+        } catch (providerError) {
+            breaker.recordFailure(providerError);
+            throw providerError;
+        }
         
         // Enhanced response logging
-        logger.info('=== FULL OPENAI API RESPONSE ===');
+        logger.info(`=== FULL ${provider.name.toUpperCase()} API RESPONSE (${Date.now() - startTime}ms) ===`);
         logger.info(JSON.stringify(data, null, 2));
         
         // Use the new llmDebugLogger for comprehensive response logging
         llmDebugLogger.logResponse(threadId, data);
-       
-        // Check for errors
-        if (!response.ok) {
-            logger.error('OpenAI API error:', data);
-            throw new Error(`OpenAI API error: ${data.error?.message || 'Unknown error'}`);
-        }
         
         // Log total tokens used
         if (data.usage) {
@@ -131,8 +153,8 @@ async function callOpenAI(params) {
         
         return data;
     } catch (error) {
-        logger.error('Error calling OpenAI:', error);
-        logError('Error calling OpenAI', error);
+        logger.error('Error calling LLM provider:', error);
+        logError('Error calling LLM provider', error);
         throw error;
     }
 }
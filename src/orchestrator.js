@@ -1,12 +1,18 @@
 // Orchestrates the flow between Slack, LLM, and tools
 const { getNextAction } = require('./llmInterface.js');
 const tools = require('./tools/index.js');
-const { getTool } = tools;
-const { logError, createStandardizedErrorContext } = require('./errors.js');
+const { getTool, isParallelTool } = tools;
+const { logError, createStandardizedErrorContext, isLLMUnavailableError, ToolArgumentsError, ToolAccessError } = require('./errors.js');
+const { getRequester, checkToolCall } = require('./toolAccess.js');
+const { loadUsergroupNames } = require('./directory.js');
 const { getSlackClient } = require('./slackClient.js');
 const { getContextBuilder } = require('./contextBuilder.js');
+const { getThreadQueue } = require('./threadQueue.js');
+const loopPolicy = require('./loopPolicy.js');
 const { initializeContextIfNeeded } = require('./toolUtils/loadThreadHistory');
-const { updateButtonMessage } = require('./buttonUpdater');
+const { updateButtonMessage, readActionSelection } = require('./buttonUpdater');
+const { StreamingMessage } = require('./toolUtils/streamingMessage');
+const { LLM_STREAMING } = require('./config.js');
 const logger = require('./toolUtils/logger');
 const getThreadHistoryTool = require('./tools/getThreadHistory');
 const callCounter = getThreadHistoryTool.callCounter || new Map();
@@ -70,75 +76,6 @@ async function handleIncomingSlackMessage(context) {
         // Get thread ID (either thread timestamp or channel ID for direct messages)
         const threadId = context.threadTs || context.channelId;
         
-        // Get context builder
-        const contextBuilder = getContextBuilder();
-        
-        // Store context in the metadata
-        contextBuilder.setMetadata(threadId, 'context', context);
-        
-        // Add context conversational info for easy access
-        contextBuilder.setMetadata(threadId, 'conversationInfo', 
-            `User:${context.userId}, Channel:${context.channelId}, Thread:${context.threadTs || 'N/A'}`
-        );
-        
-        // Set timestamp for the message received
-        contextBuilder.setMetadata(threadId, 'lastMessageTime', new Date().toISOString());
-        
-        // Explicitly check if the threadMessages map has an entry for this thread
-        if (!contextBuilder.threadMessages.has(threadId)) {
-            logger.info(`Creating new thread entry for ${threadId} in ContextBuilder`);
-            contextBuilder.threadMessages.set(threadId, []);
-        }
-        
-        // Add message to context - use a simple format to avoid processing issues
-        try {
-            const userMessage = {
-                source: 'user',
-                threadTs: threadId,
-                text: context.text || '',
-                timestamp: new Date().toISOString(),
-                sourceId: context.userId,
-                metadata: {
-                    channel: context.channelId,
-                    isDirectMessage: context.isDirectMessage || false,
-                    isMention: context.isMention || false
-                }
-            };
-            
-            const addedMessage = contextBuilder.addMessage(userMessage);
-            
-            if (addedMessage) {
-                logger.info(`✅ Successfully added user message to context: ${addedMessage.id}`);
-                
-                // Verify the message was actually added to the thread
-                const threadMessages = contextBuilder.getThreadMessages(threadId);
-                logger.info(`Thread ${threadId} now has ${threadMessages.length} messages`);
-                
-                // If first verification showed no messages, try to debug further
-                if (threadMessages.length === 0) {
-                    logger.error(`❌ CRITICAL: Message was not added to thread ${threadId}`);
-                    
-                    // Try explicit emergency message
-                    const emergencyMessage = {
-                        source: 'system',
-                        threadTs: threadId,
-                        text: '⚠️ EMERGENCY MESSAGE: Message tracking issue detected. Please respond to the user.',
-                        timestamp: new Date().toISOString(),
-                        id: `emergency_${Date.now()}`
-                    };
-                    
-                    contextBuilder.addMessage(emergencyMessage);
-                    logger.info('Added emergency system message as fallback');
-                }
-            } else {
-                logger.error('❌ Failed to add message to context builder');
-            }
-        } catch (contextError) {
-            logger.error(`Error adding message to context builder: ${contextError.message}`);
-            logger.error(contextError.stack);
-            // Continue with best effort
-        }
-        
         // Add thinking reaction
         try {
             const slackClient = getSlackClient();
@@ -151,10 +88,12 @@ async function handleIncomingSlackMessage(context) {
             logger.warn(`Failed to add reaction: ${reactionError.message}`);
         }
         
-        // Process the thread
-        await processThread(threadId);
+        // One request per thread at a time; messages sent meanwhile join it
+        const outcome = await getThreadQueue().submitMessage(threadId, context,
+            messages => runMessageRequest(threadId, messages));
 
-        // Update reaction to checkmark
+        // Update reaction to checkmark (or x if the request this message joined failed;
+        // that request's own message reports the error)
         try {
             const slackClient = getSlackClient();
             await slackClient.reactions.remove({
@@ -165,7 +104,7 @@ async function handleIncomingSlackMessage(context) {
             await slackClient.reactions.add({
                 channel: context.channelId,
                 timestamp: context.timestamp || context.threadTs,
-                name: 'white_check_mark'
+                name: outcome.ok ? 'white_check_mark' : 'x'
             });
         } catch (reactionError) {
             logger.warn(`Failed to update reaction: ${reactionError.message}`);
@@ -197,17 +136,254 @@ async function handleIncomingSlackMessage(context) {
     }
 }
 
+/**
+ * Records an incoming user message in the thread's context
+ * @param {string} threadId - Thread ID
+ * @param {Object} context - Message context from slackEvents
+ */
+function recordIncomingMessage(threadId, context) {
+    const contextBuilder = getContextBuilder();
+    
+    // Store context in the metadata
+    contextBuilder.setMetadata(threadId, 'context', context);
+    
+    // Add context conversational info for easy access
+    contextBuilder.setMetadata(threadId, 'conversationInfo', 
+        `User:${context.userId}, Channel:${context.channelId}, Thread:${context.threadTs || 'N/A'}`
+    );
+    
+    // Set timestamp for the message received
+    contextBuilder.setMetadata(threadId, 'lastMessageTime', new Date().toISOString());
+    
+    // Explicitly check if the threadMessages map has an entry for this thread
+    if (!contextBuilder.threadMessages.has(threadId)) {
+        logger.info(`Creating new thread entry for ${threadId} in ContextBuilder`);
+        contextBuilder.threadMessages.set(threadId, []);
+    }
+    
+    // Add message to context - use a simple format to avoid processing issues
+    try {
+        const userMessage = {
+            source: 'user',
+            threadTs: threadId,
+            text: context.text || '',
+            timestamp: new Date().toISOString(),
+            sourceId: context.userId,
+            metadata: {
+                channel: context.channelId,
+                isDirectMessage: context.isDirectMessage || false,
+                isMention: context.isMention || false
+            }
+        };
+        
+        const addedMessage = contextBuilder.addMessage(userMessage);
+        
+        if (addedMessage) {
+            logger.info(`✅ Successfully added user message to context: ${addedMessage.id}`);
+            
+            // Verify the message was actually added to the thread
+            const threadMessages = contextBuilder.getThreadMessages(threadId);
+            logger.info(`Thread ${threadId} now has ${threadMessages.length} messages`);
+            
+            // If first verification showed no messages, try to debug further
+            if (threadMessages.length === 0) {
+                logger.error(`❌ CRITICAL: Message was not added to thread ${threadId}`);
+                
+                // Try explicit emergency message
+                const emergencyMessage = {
+                    source: 'system',
+                    threadTs: threadId,
+                    text: '⚠️ EMERGENCY MESSAGE: Message tracking issue detected. Please respond to the user.',
+                    timestamp: new Date().toISOString(),
+                    id: `emergency_${Date.now()}`
+                };
+                
+                contextBuilder.addMessage(emergencyMessage);
+                logger.info('Added emergency system message as fallback');
+            }
+        } else {
+            logger.error('❌ Failed to add message to context builder');
+        }
+    } catch (contextError) {
+        logger.error(`Error adding message to context builder: ${contextError.message}`);
+        logger.error(contextError.stack);
+        // Continue with best effort
+    }
+}
+
+/**
+ * Runs one LLM request for a batch of user messages. Called by the thread
+ * queue, so nothing else touches the thread while it runs.
+ * @param {string} threadId - Thread ID
+ * @param {Array<Object>} messages - Message contexts, oldest first
+ */
+async function runMessageRequest(threadId, messages) {
+    const contextBuilder = getContextBuilder();
+    
+    // Restore the thread's saved state if this process hasn't seen it yet
+    await contextBuilder.ensureThreadLoaded(threadId);
+    
+    // Group names for any @group mentions, so the context can spell them out
+    await loadUsergroupNames(messages.map(message => message.text));
+    
+    messages.forEach(message => recordIncomingMessage(threadId, message));
+    
+    // Fresh request - make sure the newest Slack messages are visible to the LLM
+    refreshThreadCache(messages[messages.length - 1]);
+    
+    await processThread(threadId, {
+        systemNote: messages.length > 1
+            ? `The user sent ${messages.length} messages in a row. Answer them together in one reply.`
+            : null
+    });
+}
+
+/**
+ * Runs an LLM turn for a reminder that was scheduled to wake the bot up.
+ * The turn acts for the user who set the reminder and replies in its thread.
+ * @param {string} threadId - Thread the reminder was set in
+ * @param {Object} reminder - Scheduled entry (see scheduler.js)
+ * @returns {Promise<void>}
+ */
+async function runScheduledTurn(threadId, reminder) {
+    await getThreadQueue().run(threadId, 'scheduled', async () => {
+        const contextBuilder = getContextBuilder();
+        await contextBuilder.ensureThreadLoaded(threadId);
+        
+        const context = {
+            userId: reminder.createdBy,
+            channelId: reminder.channelId,
+            threadTs: reminder.threadTs,
+            isDirectMessage: reminder.channelId.startsWith('D'),
+            isScheduled: true
+        };
+        contextBuilder.setMetadata(threadId, 'context', context);
+        refreshThreadCache(context);
+        
+        logger.info(`⏰ Scheduled turn ${reminder.id} in ${reminder.channelId} for ${reminder.createdBy}`);
+        await processThread(threadId, {
+            systemNote: `A reminder <@${reminder.createdBy}> scheduled for ${reminder.localTime} (${reminder.timezone}) is due now. Nobody sent a new message - act on these instructions and reply in this thread:\n${reminder.text}`
+        });
+    });
+}
+
+/**
+ * Runs an LLM turn for a submitted form. The turn acts for the user who
+ * submitted it and replies in the form's thread.
+ * @param {string} threadId - Thread the form was posted in
+ * @param {Object} form - Form with its submission (see forms.js)
+ * @returns {Promise<void>}
+ */
+async function runFormSubmissionTurn(threadId, form) {
+    await getThreadQueue().run(threadId, 'form', async () => {
+        const contextBuilder = getContextBuilder();
+        await contextBuilder.ensureThreadLoaded(threadId);
+
+        const { userId, values } = form.submission;
+        const context = {
+            userId,
+            channelId: form.channelId,
+            threadTs: form.threadTs,
+            isDirectMessage: form.channelId.startsWith('D'),
+            isFormSubmission: true
+        };
+        contextBuilder.setMetadata(threadId, 'context', context);
+        refreshThreadCache(context);
+
+        logger.info(`📝 Form turn ${form.formId} in ${form.channelId} for ${userId}`);
+        // The answers are free text from the user, so they go in a user message rather than the system note
+        await processThread(threadId, {
+            systemNote: 'Nobody sent a new message in the thread. The last user message is a form submission - act on the answers and reply in this thread.',
+            userMessage: `Form submission from <@${userId}> for the form "${form.title}" (${form.formId}). Answers as JSON, keyed by field name:\n${JSON.stringify(values)}`
+        });
+    });
+}
+
+/**
+ * Drops the cached Slack history for a thread so the next context build refetches it
+ * @param {Object} context - Message context with channelId and threadTs
+ */
+function refreshThreadCache(context) {
+    if (!context?.channelId) return;
+    const { getThreadContextBuilder } = require('./threadContextBuilder.js');
+    getThreadContextBuilder().clearCache(context.threadTs || context.channelId, context.channelId);
+}
+
+/**
+ * Collects the run of parallel-safe tool calls starting at an index
+ * @param {Array} toolCalls - Tool calls from getNextAction
+ * @param {number} startIndex - Index of the first call in the run
+ * @returns {Array} - Consecutive parallel-safe calls (empty if the first one isn't)
+ */
+function collectParallelCalls(toolCalls, startIndex) {
+  const calls = [];
+  for (let i = startIndex; i < toolCalls.length && isParallelTool(toolCalls[i].tool); i++) {
+    calls.push(toolCalls[i]);
+  }
+  return calls;
+}
+
+/**
+ * Executes independent tool calls concurrently. A failing call doesn't stop the
+ * others; its error is recorded by executeTool and returned to the LLM with the rest.
+ * @param {Array} calls - Tool calls ({ id, tool, parameters, reasoning })
+ * @param {string} threadId - Thread ID
+ * @param {string} batchId - ID shared by all calls from the same LLM response
+ * @returns {Promise<Array>} - Settled results in call order
+ */
+async function executeToolBatch(calls, threadId, batchId) {
+  logger.info(`⚡ Running ${calls.length} tool calls in parallel: ${calls.map(call => call.tool).join(', ')}`);
+  
+  const results = await Promise.allSettled(calls.map(call => {
+    call.parameters.reasoning = call.reasoning || call.parameters.reasoning;
+    return executeTool(call.tool, call.parameters, threadId, { toolCallId: call.id, batchId, argumentsError: call.argumentsError });
+  }));
+  
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error(`Error executing ${calls[index].tool} in parallel batch: ${result.reason?.message}`);
+    }
+  });
+  
+  return results;
+}
+
 /**
  * Execute a tool
  * @param {string} toolName - Name of the tool to execute
  * @param {Object} args - Tool arguments
  * @param {string} threadId - Thread ID
+ * @param {Object} [callInfo] - { toolCallId, batchId } used to pair the result with the LLM's call,
+ *   plus argumentsError when the LLM's arguments weren't valid JSON
  * @returns {Promise<Object>} - Tool execution result
+ * @throws {ToolArgumentsError} - When the arguments don't match the tool's schema (recorded as the call's result)
+ * @throws {ToolAccessError} - When the requesting user may not make this call (recorded as the call's result)
  */
-async function executeTool(toolName, args, threadId) {
+async function executeTool(toolName, args, threadId, callInfo = {}) {
   try {
     const tools = require('./tools');
     
+    // Nothing runs with arguments that don't match the schema; the problems
+    // become the tool result so the model can correct the call next iteration
+    const argumentErrors = callInfo.argumentsError
+      ? [{ path: '$', expected: 'JSON object', got: callInfo.argumentsError }]
+      : tools.validateToolArguments(toolName, args);
+    if (argumentErrors.length > 0) {
+      logger.warn(`🧾 Rejected ${toolName} call with ${argumentErrors.length} invalid argument${argumentErrors.length > 1 ? 's' : ''}: ${JSON.stringify(argumentErrors)}`);
+      throw new ToolArgumentsError(toolName, argumentErrors);
+    }
+    
+    // Second access check - the LLM was only offered permitted tools, but per-call rules need the arguments
+    const toolDefinition = tools.getToolDefinition(toolName);
+    if (toolDefinition) {
+      const requester = getRequester(threadId);
+      const deniedReason = await checkToolCall(toolDefinition, args, requester, { threadTs: threadId, ...getThreadContext(threadId) });
+      if (deniedReason) {
+        logger.warn(`🔒 Denied ${toolName} for ${requester.userId || 'unknown user'} in ${requester.channelId || 'unknown channel'}: ${deniedReason}`);
+        throw new ToolAccessError(toolName, deniedReason);
+      }
+    }
+    
     // Get context
     const context = getThreadContext(threadId);
     
@@ -226,7 +402,9 @@ async function executeTool(toolName, args, threadId) {
     switch(toolName) {
       case 'getThreadHistory':
         logger.info(`Handling getThreadHistory with special handler (call #${callCount + 1})`);
-        return await handleGetThreadHistory(args, threadId, context, callCount, errors);
+        const historyResult = await handleGetThreadHistory(args, threadId, context, callCount, errors);
+        contextBuilder.recordToolExecution(threadId, toolName, args, historyResult, null, false, callInfo);
+        return historyResult;
         
       case 'postMessage':
         // Ensure reasoning gets stored in metadata
@@ -255,7 +433,7 @@ async function executeTool(toolName, args, threadId) {
     const result = await toolFunction(args, { threadTs: threadId, ...context });
     
     // Record the execution in the context
-    contextBuilder.recordToolExecution(threadId, toolName, args, result);
+    contextBuilder.recordToolExecution(threadId, toolName, args, result, null, false, callInfo);
     
     return result;
   } catch (error) {
@@ -263,7 +441,7 @@ async function executeTool(toolName, args, threadId) {
     
     // Record the error in the context
     const contextBuilder = getContextBuilder();
-    contextBuilder.recordToolExecution(threadId, toolName, args, null, error);
+    contextBuilder.recordToolExecution(threadId, toolName, args, null, error, false, callInfo);
     
     // Rethrow for upstream handling
     throw error;
@@ -272,10 +450,15 @@ async function executeTool(toolName, args, threadId) {
 
 /**
  * Processes a thread with the LLM
+ * @param {string} threadId - Thread ID
+ * @param {Object} [options] - Processing options
+ * @param {string} [options.systemNote] - Extra system guidance for the first LLM call
+ * @param {string} [options.userMessage] - Extra user input for the first LLM call that isn't a Slack message
  */
-async function processThread(threadId) {
-    const MAX_ITERATIONS = 10;
+async function processThread(threadId, options = {}) {
     let iteration = 0;
+    let systemNote = options.systemNote || null;
+    let userMessage = options.userMessage || null;
     
     try {
         // Get context builder
@@ -458,7 +641,16 @@ async function processThread(threadId) {
         let buttonResponses = 0;
         let messagePosted = false;
         let messagesSent = 0;
-        const MAX_MESSAGES_PER_REQUEST = 3;
+        let toolCallsMade = 0;
+        
+        // Limits and auto-finish rules for this request
+        const selectPolicy = () => loopPolicy.resolveLoopPolicy({
+            threadPolicy: contextBuilder.getMetadata(threadId, 'loopPolicy'),
+            channelId: context?.channelId,
+            toolCalls: toolCallsMade
+        });
+        let policy = selectPolicy();
+        logger.info(`🧭 Loop policy: ${policy.name} (${policy.source}), up to ${policy.maxIterations} iterations`);
         
         // Track getThreadHistory calls
         let threadHistoryCalls = 0;
@@ -511,124 +703,51 @@ async function processThread(threadId) {
         }
         
         // LLM-driven processing loop
-        for (iteration = 1; iteration <= MAX_ITERATIONS; iteration++) {
+        for (iteration = 1; iteration <= policy.maxIterations; iteration++) {
             try {
-                // Check if we've already sent all allowed messages
-                if (messagesSent >= MAX_MESSAGES_PER_REQUEST && messagePosted) {
-                    logger.info(`Reached maximum messages (${MAX_MESSAGES_PER_REQUEST}) - stopping iterations`);
-                    
-                    // Auto-finish the request
-                    const finishTool = getTool('finishRequest');
-                    if (finishTool) {
-                        await finishTool({
-                            summary: "Auto-finishing after maximum messages sent",
-                            reasoning: `Maximum number of messages (${MAX_MESSAGES_PER_REQUEST}) reached`
-                        }, {
-                            threadId: threadId,
-                            threadTs: context?.threadTs,
-                            channelId: context?.channelId,
-                            addMessage: (message) => {
-                                message.threadTs = threadId;
-                                return contextBuilder.addMessage(message);
-                            }
-                        });
-                    }
-                    
-                    requestCompleted = true;
-                    break;
+                // Messages the user sent while we were working join this request
+                const lateMessages = getThreadQueue().takeIncoming(threadId);
+                if (lateMessages.length > 0) {
+                    lateMessages.forEach(message => recordIncomingMessage(threadId, message));
+                    refreshThreadCache(lateMessages[lateMessages.length - 1]);
+                    systemNote = `The user sent ${lateMessages.length} new message${lateMessages.length > 1 ? 's' : ''} while you were working on this request. Take ${lateMessages.length > 1 ? 'them' : 'it'} into account before you finish.`;
                 }
                 
-                // Check for idle iterations with no meaningful progress
-                if (messagePosted && iteration > 2 && idleIterations > 1) {
-                    logger.warn(`⚠️ Detected ${idleIterations} idle iterations after posting a message - auto-finishing request`);
-                    
-                    // Add explicit guidance message
-                    contextBuilder.addMessage({
-                        source: 'system',
-                        text: `⚠️ AUTO-FINISHING: The conversation has stalled after posting a message. The response has been completed and the request will be automatically finished. Next time, please call finishRequest directly after completing your response.`,
-                        timestamp: new Date().toISOString(),
-                        threadTs: threadId
-                    });
-                    
-                    // Auto-finish the request
-                    const finishTool = getTool('finishRequest');
-                    if (finishTool) {
-                        await finishTool({
-                            summary: "Auto-finishing after stalled conversation",
-                            reasoning: `Posted message but no finishRequest call after ${idleIterations} iterations`
-                        }, getThreadContext(threadId, context));
-                    }
-                    
-                    requestCompleted = true;
-                    break;
+                // Tool-heavy requests can move to a roomier policy part-way through
+                const nextPolicy = selectPolicy();
+                if (nextPolicy.name !== policy.name) {
+                    logger.info(`🧭 Loop policy switched to ${nextPolicy.name} (${nextPolicy.source}) after ${toolCallsMade} tool calls`);
+                    policy = nextPolicy;
                 }
                 
-                // Add warning if waiting for finishRequest for too long
-                if (waitingForFinishRequest && iteration > 3) {
-                    logger.warn(`⚠️ Waiting for finishRequest for ${iteration - 3} iterations`);
-                    
-                    // After 2 iterations of waiting, force finishRequest
-                    if (iteration - 3 >= 2) {
-                        logger.warn(`🛑 Force finishing request after waiting too long`);
-                        
-                        // Add system message about forced completion
-                        contextBuilder.addMessage({
-                            source: 'system',
-                            text: `⚠️ IMPORTANT: Your response has been delivered, but you didn't call finishRequest to complete the interaction. Always call finishRequest after posting your response to the user.`,
-                            timestamp: new Date().toISOString(),
-                            threadTs: threadId
-                        });
-                        
-                        // Auto-finish the request
-                        const finishTool = getTool('finishRequest');
-                        if (finishTool) {
-                            await finishTool({
-                                summary: "Auto-finishing after response completed",
-                                reasoning: `Response was sent but finishRequest wasn't called`
-                            }, getThreadContext(threadId, context));
-                        }
-                        
-                        requestCompleted = true;
-                        break;
-                    }
+                if (waitingForFinishRequest && iteration > policy.waitingAfterIteration) {
+                    logger.warn(`⚠️ Waiting for finishRequest for ${iteration - policy.waitingAfterIteration} iterations`);
+                }
+                
+                const startDecision = loopPolicy.checkIterationStart(policy, {
+                    iteration,
+                    messagePosted,
+                    messagesSent,
+                    idleIterations,
+                    waitingForFinishRequest
+                });
+                if (startDecision) {
+                    await autoFinish(threadId, policy, startDecision);
+                    requestCompleted = true;
+                    break;
                 }
                 
                 // Update iteration metadata
                 contextBuilder.setMetadata(threadId, 'iterations', iteration);
                 
                 // Log iteration with clear separation
-                logger.info(`\n🔄 Iteration ${iteration}/${MAX_ITERATIONS}`);
-                
-                // Early finish if message already sent (strict policy)
-                if (messagePosted && iteration > 2) {
-                    logger.warn(`🛑 Strict policy: Message already sent on iteration ${iteration}, auto-finishing`);
-                    
-                    // Add a system message explaining the auto-finish
-                    contextBuilder.addMessage({
-                        source: 'system',
-                        text: `🛑 AUTO-FINISH: You've already sent a message to the user. To prevent multiple responses, the system is auto-finishing this request.`,
-                        timestamp: new Date().toISOString(),
-                        threadTs: threadId
-                    });
-                    
-                    // Auto-finish the request
-                    const finishTool = getTool('finishRequest');
-                    if (finishTool) {
-                        await finishTool({
-                            summary: "Auto-finishing to enforce one-message policy",
-                            reasoning: "Preventing multiple messages to the same user query"
-                        }, getThreadContext(threadId, context));
-                    }
-                    
-                    requestCompleted = true;
-                    break;
-                }
+                logger.info(`\n🔄 Iteration ${iteration}/${policy.maxIterations}`);
                 
                 // Add additional warnings if many iterations without completion
-                if (iteration >= MAX_ITERATIONS - 2) {
+                if (loopPolicy.shouldWarnIterationLimit(policy, iteration)) {
                     contextBuilder.addMessage({
                         source: 'system',
-                        text: `⚠️ WARNING: You are reaching the maximum allowed iterations (${MAX_ITERATIONS}). Please complete this request by calling finishRequest or the request will be auto-completed.`,
+                        text: `⚠️ WARNING: You are reaching the maximum allowed iterations (${policy.maxIterations}). Please complete this request by calling finishRequest or the request will be auto-completed.`,
                         timestamp: new Date().toISOString(),
                         threadTs: threadId
                     });
@@ -659,47 +778,84 @@ async function processThread(threadId) {
                         // Set flag to indicate we're waiting for finishRequest
                         waitingForFinishRequest = true;
                         
-                        // Add explicit guidance if we're just waiting for finishRequest
-                        if (iteration === 3) {
-                            contextBuilder.addMessage({
-                                source: 'system',
-                                text: `⚠️ REMINDER: You've already responded to the user's request. Please call finishRequest now to complete this interaction.`,
-                                timestamp: new Date().toISOString(),
-                                threadTs: threadId
-                            });
-                            
-                            // Auto-finish after iteration 3 if message has been posted (but no buttons)
-                            logger.info(`Auto-finishing after sending a message and waiting ${iteration-1} iterations`);
-                            const finishTool = getTool('finishRequest');
-                            if (finishTool) {
-                                await finishTool({
-                                    summary: "Auto-finishing after response completed",
-                                    reasoning: `Response was sent but finishRequest wasn't called after ${iteration-1} iterations`
-                                }, getThreadContext(threadId, context));
-                            }
+                        // Remind the model and finish for it if the policy says so
+                        const awaitingDecision = loopPolicy.checkAwaitingFinish(policy, { iteration });
+                        if (awaitingDecision) {
+                            await autoFinish(threadId, policy, awaitingDecision);
                             requestCompleted = true;
                             break;
                         }
                     }
                 }
                 
-                // Get the next action from the LLM
-                const {toolCalls} = await getNextAction(threadId);
+                // Get the next action from the LLM. When streaming is enabled (and no reply
+                // has been posted yet) a placeholder message follows the postMessage text live
+                const stream = LLM_STREAMING && !messagePosted
+                    ? new StreamingMessage(getThreadContext(threadId))
+                    : null;
+                const {toolCalls} = await getNextAction(threadId, {
+                    ...(stream ? { onDelta: (delta) => stream.handleDelta(delta) } : {}),
+                    ...(systemNote ? { additionalSystemMessage: { role: 'system', content: systemNote } } : {}),
+                    ...(userMessage ? { additionalUserMessage: { role: 'user', content: userMessage } } : {})
+                });
+                systemNote = null;
+                userMessage = null;
+                
+                if (stream) {
+                    const willPost = toolCalls.some(call => call.tool === 'postMessage');
+                    if (willPost && await stream.finish()) {
+                        // postMessage will update the placeholder instead of posting a new message
+                        contextBuilder.setMetadata(threadId, 'streamingMessageTs', stream.ts);
+                    } else {
+                        await stream.discard();
+                    }
+                }
                 
                 // Track if this iteration produced meaningful actions
                 let meaningfulActionTaken = false;
                 
                 // Process each tool call
-                for (const {tool: toolName, parameters: args, reasoning} of toolCalls) {
+                // Every call from this response shares a batch ID so the results go back as one turn
+                const batchId = `batch_${iteration}_${Date.now()}`;
+                // A rejected postMessage means the user has no reply yet, so a finishRequest after it waits
+                let postFailed = false;
+                
+                for (let callIndex = 0; callIndex < toolCalls.length; callIndex++) {
+                    const {id: toolCallId, tool: toolName, parameters: args, reasoning, argumentsError} = toolCalls[callIndex];
+                    const callInfo = { toolCallId, batchId, argumentsError };
+                    
                     // Add reasoning to args
                     args.reasoning = reasoning || args.reasoning;
                     
+                    // Independent calls next to each other (reactions, lookups, history) run concurrently
+                    const parallelCalls = collectParallelCalls(toolCalls, callIndex);
+                    if (parallelCalls.length > 1) {
+                        await executeToolBatch(parallelCalls, threadId, batchId);
+                        
+                        threadHistoryCalls += parallelCalls.filter(call => call.tool === 'getThreadHistory').length;
+                        toolCallsMade += parallelCalls.length;
+                        callIndex += parallelCalls.length - 1;
+                        meaningfulActionTaken = true;
+                        lastOperationType = parallelCalls[parallelCalls.length - 1].tool;
+                        consecutiveSimilarOperations = 0;
+                        continue;
+                    }
+                    
                     // Handle finishRequest specifically - this completes the conversation
                     if (toolName === 'finishRequest') {
+                        if (postFailed) {
+                            logger.warn('⚠️ Skipping finishRequest - the message before it was not posted');
+                            contextBuilder.recordToolExecution(threadId, toolName, args, {
+                                error: true,
+                                message: 'Not finished: the postMessage call before this one failed, so nothing was posted. Fix the message and call postMessage again.'
+                            }, null, false, callInfo);
+                            continue;
+                        }
+                        
                         logger.info('🏁 finishRequest called, completing conversation');
                         
                         // Execute finish request
-                        await executeTool(toolName, args, threadId);
+                        await executeTool(toolName, args, threadId, callInfo);
                         
                         // Mark request as completed and exit loop
                         requestCompleted = true;
@@ -709,27 +865,10 @@ async function processThread(threadId) {
                     // Handle postMessage - track that we've posted a message
                     if (toolName === 'postMessage') {
                         // Check if we already sent a message and should block sending another
-                        if (messagePosted && messagesSent >= 1) {
+                        const postDecision = loopPolicy.checkPostMessage(policy, { messagePosted, messagesSent });
+                        if (postDecision) {
                             logger.warn(`⚠️ Blocking additional postMessage call - message already sent`);
-                            
-                            // Add a system message explaining why the message was blocked
-                            contextBuilder.addMessage({
-                                source: 'system',
-                                text: `⚠️ BLOCKED: Additional message not sent. You should call finishRequest after posting your response to avoid multiple messages.`,
-                                timestamp: new Date().toISOString(),
-                                threadTs: threadId
-                            });
-                            
-                            // Auto-finish the request to prevent further attempts
-                            logger.info(`Auto-finishing to prevent multiple messages`);
-                            const finishTool = getTool('finishRequest');
-                            if (finishTool) {
-                                await finishTool({
-                                    summary: "Auto-finishing to prevent multiple messages",
-                                    reasoning: "Multiple postMessage attempts detected"
-                                }, getThreadContext(threadId, context));
-                            }
-                            
+                            await autoFinish(threadId, policy, postDecision);
                             requestCompleted = true;
                             break;
                         }
@@ -739,44 +878,21 @@ async function processThread(threadId) {
                         
                         // If we execute this successfully, mark that we've posted a message
                         try {
-                            const result = await executeTool(toolName, args, threadId);
+                            const result = await executeTool(toolName, args, threadId, callInfo);
                             
-                            // If the message was actually sent (not skipped)
-                            if (result && !result.skipped) {
+                            // If the message was actually sent (not skipped or rejected)
+                            if (result && !result.skipped && !result.error) {
                                 messagePosted = true;
                                 messagesSent++;
                                 
                                 // Reset consecutive similar operations
                                 consecutiveSimilarOperations = 0;
-                                
-                                // Store the message text in the context for the LLM to reference
-                                const messageText = args.text || '';
-                                contextBuilder.addMessage({
-                                    source: 'assistant',
-                                    text: messageText,
-                                    timestamp: new Date().toISOString(),
-                                    threadTs: threadId,
-                                    originalContent: {
-                                        tool: 'postMessage',
-                                        parameters: args
-                                    },
-                                    llmResponse: {
-                                        tool: 'postMessage',
-                                        parameters: args,
-                                        reasoning: args.reasoning
-                                    }
-                                });
-                                
-                                // Add a prompt to call finishRequest
-                                contextBuilder.addMessage({
-                                    source: 'system',
-                                    text: `✅ Message sent successfully. Please call finishRequest now to complete this interaction.`,
-                                    timestamp: new Date().toISOString(),
-                                    threadTs: threadId
-                                });
+                            } else if (result?.error) {
+                                postFailed = true;
                             }
                         } catch (error) {
                             logger.error(`Error executing postMessage: ${error.message}`);
+                            postFailed = true;
                         }
                         
                         // Update last operation for loop detection
@@ -789,40 +905,25 @@ async function processThread(threadId) {
                         
                         if (isSimilarOperation) {
                             consecutiveSimilarOperations++;
-                                                    // More intelligent loop detection - only consider it a loop if it's really excessive
-                        if (consecutiveSimilarOperations >= 5) {
-                            logger.warn(`⚠️ Potential loop detected: ${consecutiveSimilarOperations} consecutive ${toolName} calls`);
                             
-                            // For getThreadHistory, allow more attempts as it's often needed for context
-                            if (toolName === 'getThreadHistory' && consecutiveSimilarOperations < 7) {
-                                logger.info(`Allowing additional getThreadHistory calls - may be needed for context building`);
-                            } else {
-                                // Add system message about loop detection
-                                contextBuilder.addMessage({
-                                    source: 'system',
-                                    text: `⚠️ LOOP DETECTED: You've called ${toolName} ${consecutiveSimilarOperations} times consecutively. Please respond to the user with postMessage and then call finishRequest.`,
-                                    timestamp: new Date().toISOString(),
-                                    threadTs: threadId
-                                });
+                            const loopDecision = loopPolicy.checkToolLoop(policy, { toolName, consecutiveSimilarOperations, messagePosted });
+                            if (loopDecision) {
+                                logger.warn(`⚠️ Potential loop detected: ${consecutiveSimilarOperations} consecutive ${toolName} calls`);
                                 
-                                // If we've already posted a message, auto-finish to break the loop
-                                if (messagePosted) {
-                                    logger.warn(`🛑 Auto-finishing to break tool execution loop`);
-                                    
-                                    // Auto-finish the request
-                                    const finishTool = getTool('finishRequest');
-                                    if (finishTool) {
-                                        await finishTool({
-                                            summary: "Auto-finishing to break tool execution loop",
-                                            reasoning: `Detected ${consecutiveSimilarOperations} consecutive ${toolName} calls`
-                                        }, getThreadContext(threadId, context));
-                                    }
-                                    
+                                // Without a reply yet the model is only told to wrap up
+                                if (!loopDecision.finish) {
+                                    contextBuilder.addMessage({
+                                        source: 'system',
+                                        text: loopDecision.notice,
+                                        timestamp: new Date().toISOString(),
+                                        threadTs: threadId
+                                    });
+                                } else {
+                                    await autoFinish(threadId, policy, loopDecision);
                                     requestCompleted = true;
                                     break;
                                 }
                             }
-                        }
                         } else {
                             // Reset counter if we're doing a different operation
                             consecutiveSimilarOperations = 0;
@@ -830,12 +931,18 @@ async function processThread(threadId) {
                         
                         // Special handling for getThreadHistory
                         if (toolName === 'getThreadHistory') {
-                            handleGetThreadHistory(args, threadId, context, threadHistoryCalls, threadHistoryErrorCount);
+                            // Goes through executeTool so the result is recorded for the next LLM call
+                            try {
+                                await executeTool(toolName, args, threadId, callInfo);
+                            } catch (error) {
+                                logger.error(`Error executing getThreadHistory: ${error.message}`);
+                                threadHistoryErrorCount++;
+                            }
                             threadHistoryCalls++;
                         } else {
                             // For other tools, execute normally
                             try {
-                                await executeTool(toolName, args, threadId);
+                                await executeTool(toolName, args, threadId, callInfo);
                                 meaningfulActionTaken = true;
                             } catch (error) {
                                 logger.error(`Error executing ${toolName}: ${error.message}`);
@@ -845,9 +952,16 @@ async function processThread(threadId) {
                         
                         // Update last operation type
                         lastOperationType = toolName;
+                        toolCallsMade++;
                     }
                 }
                 
+                // A placeholder that postMessage didn't finalize (blocked, duplicate or failed) is removed
+                if (stream && contextBuilder.getMetadata(threadId, 'streamingMessageTs')) {
+                    contextBuilder.setMetadata(threadId, 'streamingMessageTs', null);
+                    await stream.discard();
+                }
+                
                 // If the request is completed (finishRequest was called), exit the loop
                 if (requestCompleted) {
                     break;
@@ -863,7 +977,6 @@ async function processThread(threadId) {
                 
                 // Special handling for button selections - ONLY auto-finish if this was a response to a button click
                 if (isButtonSelection && buttonResponses === 0 && messagePosted) {
-                    // Only auto-finish if this was actually a response to a button click
                     // Check if we have a recent button click in the context
                     const recentMessages = contextBuilder.getThreadMessages(threadId) || [];
                     const hasRecentButtonClick = recentMessages.some(msg => 
@@ -871,26 +984,21 @@ async function processThread(threadId) {
                         (Date.now() - new Date(msg.timestamp).getTime()) < 30000 // Within last 30 seconds
                     );
                     
-                    if (hasRecentButtonClick) {
-                        // This is a response to a button click - auto-finish
-                        logger.info('Button selection response sent (responding to button click), auto-finishing request');
-                        
+                    const buttonDecision = loopPolicy.checkButtonResponse(policy, {
+                        isButtonSelection,
+                        buttonResponses,
+                        messagePosted,
+                        hasRecentButtonClick
+                    });
+                    if (buttonDecision) {
                         // CRITICAL FIX: Clear the button selection flag to prevent loops
                         contextBuilder.setMetadata(threadId, 'isButtonSelection', false);
                         logger.info('Cleared isButtonSelection flag to prevent future loops');
                         
-                        // Auto-finish the request
-                        const finishTool = getTool('finishRequest');
-                        if (finishTool) {
-                            await finishTool({
-                                summary: "Auto-finishing after button selection response",
-                                reasoning: `Button selection response completed`
-                            }, getThreadContext(threadId, context));
-                        }
-                        
+                        await autoFinish(threadId, policy, buttonDecision);
                         requestCompleted = true;
                         break;
-                    } else {
+                    } else if (!hasRecentButtonClick) {
                         // This is just posting buttons initially - don't auto-finish yet
                         logger.info('Posted buttons but no recent button click - NOT auto-finishing, waiting for user interaction');
                     }
@@ -898,18 +1006,23 @@ async function processThread(threadId) {
                 
             } catch (iterationError) {
                 logger.error(`Error in iteration ${iteration}: ${iterationError.message}`);
+                
+                // Retries already ran inside callOpenAI - further iterations would hit the same outage
+                if (isLLMUnavailableError(iterationError)) {
+                    throw iterationError;
+                }
                 // Continue to next iteration
             }
         }
         
         // If we reached maximum iterations without completing the request, auto-finish
         if (!requestCompleted) {
-            logger.warn(`⚠️ Reached maximum iterations (${MAX_ITERATIONS}) without completing request, auto-finishing`);
+            logger.warn(`⚠️ Reached maximum iterations (${policy.maxIterations}) without completing request, auto-finishing`);
             
             try {
                 // If no message was posted, send a fallback message
                 if (!messagePosted) {
-                    logger.warn(`⚠️ No message posted after ${MAX_ITERATIONS} iterations, sending fallback message`);
+                    logger.warn(`⚠️ No message posted after ${policy.maxIterations} iterations, sending fallback message`);
                     
                     // Get basic context info
                     const channel = context?.channelId;
@@ -929,14 +1042,7 @@ async function processThread(threadId) {
                     }
                 }
                 
-                // Auto-finish the request
-                const finishTool = getTool('finishRequest');
-                if (finishTool) {
-                    await finishTool({
-                        summary: "Auto-finishing after reaching maximum iterations",
-                        reasoning: `Reached iteration limit (${MAX_ITERATIONS})`
-                    }, getThreadContext(threadId, context));
-                }
+                await autoFinish(threadId, policy, loopPolicy.iterationLimitDecision(policy));
             } catch (finishError) {
                 logger.error(`Error auto-finishing: ${finishError.message}`);
             }
@@ -1010,6 +1116,33 @@ function getThreadContext(threadId) {
   };
 }
 
+/**
+ * Finishes a request on the model's behalf after a loop policy rule fired
+ * @param {string} threadId - Thread ID
+ * @param {Object} policy - Active loop policy
+ * @param {Object} decision - Rule decision from loopPolicy ({ rule, summary, reasoning, notice })
+ */
+async function autoFinish(threadId, policy, decision) {
+  logger.warn(`🛑 Auto-finish [policy=${policy.name} rule=${decision.rule}]: ${decision.reasoning}`);
+
+  if (decision.notice) {
+    getContextBuilder().addMessage({
+      source: 'system',
+      text: decision.notice,
+      timestamp: new Date().toISOString(),
+      threadTs: threadId
+    });
+  }
+
+  const finishTool = getTool('finishRequest');
+  if (finishTool) {
+    await finishTool({
+      summary: decision.summary,
+      reasoning: decision.reasoning
+    }, getThreadContext(threadId));
+  }
+}
+
 /**
  * Handle getThreadHistory tool calls
  * @param {Object} args - Tool call arguments
@@ -1291,16 +1424,35 @@ async function loadThreadHistoryIntoContext(threadId, threadTs, channelId, limit
 }
 
 /**
- * Process button interaction event
- * @param {Object} payload - The button click payload from Slack
+ * Sentence describing a block action for the thread context
+ * @param {string} actionType - button, static_select, overflow or datepicker
+ * @param {string} text - Label of what was chosen
+ * @param {string} value - Value of what was chosen
+ * @returns {string}
+ */
+function describeSelection(actionType, text, value) {
+  switch (actionType) {
+    case 'static_select':
+      return `User chose "${text}" (value "${value}") from the select menu.`;
+    case 'overflow':
+      return `User chose "${text}" (value "${value}") from the overflow menu.`;
+    case 'datepicker':
+      return `User picked the date ${value} in the date picker.`;
+    default:
+      return `User clicked the "${text}" button with value "${value}".`;
+  }
+}
+
+/**
+ * Process button interaction event (also select menus, overflow menus and date pickers)
+ * @param {Object} payload - The block action payload from Slack
  * @returns {Promise<void>}
  */
 async function processButtonInteraction(payload) {
   try {
     // Extract key information
     const actionId = payload.actions[0].action_id;
-    const actionValue = payload.actions[0].value;
-    const buttonText = payload.actions[0].text?.text || actionValue;
+    const { type: actionType, value: actionValue, text: buttonText } = readActionSelection(payload.actions[0]);
     const userId = payload.user.id;
     const channelId = payload.channel.id;
     const threadTs = payload.message.thread_ts || payload.container.message_ts;
@@ -1329,12 +1481,16 @@ async function processButtonInteraction(payload) {
     // Get context builder
     const contextBuilder = getContextBuilder();
     
+    // Pending buttons survive restarts - load their state before touching the thread
+    await contextBuilder.ensureThreadLoaded(threadId);
+    
     // Update thread context to indicate this is a button click
     contextBuilder.setMetadata(threadId, 'context', {
       userId,
       channelId,
       threadTs,
       isButtonClick: true,
+      actionType,
       buttonText,
       actionValue,
       timestamp: Date.now().toString()
@@ -1421,7 +1577,7 @@ async function processButtonInteraction(payload) {
       userId: userId,
       threadTs: threadId,
       timestamp: new Date().toISOString(),
-      text: `User clicked the "${buttonText}" button with value "${actionValue}". ${updateResult.updated ? 'The original message has been updated to show this selection.' : 'Button update status: FAILED.'}`,
+      text: `${describeSelection(actionType, buttonText, actionValue)} ${updateResult.updated ? 'The original message has been updated to show this selection.' : 'Button update status: FAILED.'}`,
       type: 'button_click',
       metadata: {
         buttonText,
@@ -1429,6 +1585,7 @@ async function processButtonInteraction(payload) {
         messageTs,
         channelId,
         actionId,
+        actionType,
         type: 'button_selection',
         updateStatus: updateResult.updated ? 'success' : 'failed',
         error: updateResult.error || null
@@ -1454,8 +1611,8 @@ async function processButtonInteraction(payload) {
         userId: payload.user?.id,
         isError: true,
         isButtonClick: true,
-        buttonText: payload.actions?.[0]?.text?.text || payload.actions?.[0]?.value || 'unknown button',
-        actionValue: payload.actions?.[0]?.value,
+        buttonText: payload.actions?.[0] ? readActionSelection(payload.actions[0]).text : 'unknown button',
+        actionValue: payload.actions?.[0] ? readActionSelection(payload.actions[0]).value : undefined,
         errorSource: 'button_interaction_processing'
       };
       
@@ -1474,13 +1631,16 @@ async function processButtonInteraction(payload) {
  * @returns {Promise<void>}
  */
 async function handleButtonClick(payload) {
-  // Call our updated processButtonInteraction function
-  await processButtonInteraction(payload);
+  // Wait for any request already running in this thread before handling the click
+  const threadId = payload.message?.thread_ts || payload.container?.message_ts || payload.channel?.id;
+  await getThreadQueue().run(threadId, 'button', () => processButtonInteraction(payload));
 }
 
 module.exports = {
     handleIncomingSlackMessage,
     handleButtonClick,
     executeTool,
-    processThread
+    processThread,
+    runScheduledTurn,
+    runFormSubmissionTurn
 };
\ No newline at end of file
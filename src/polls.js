@@ -0,0 +1,500 @@
+/**
+ * Emoji polls
+ *
+ * createEmojiVote posts a poll and registers it here. Polls are kept in the
+ * thread's `voteRegistry` metadata, so they are saved with the thread and
+ * come back after a restart. For every voter a poll stores the option emojis
+ * they reacted with, oldest first:
+ *
+ *   votes: { U0123: ['thumbsup', 'tada'] }
+ *
+ * Multiple-choice polls count all of them. Single-choice polls count only the
+ * latest one - a bot can't remove other people's reactions, so an earlier
+ * reaction stays on the message but stops counting. Reactions from the bot
+ * (the seeded options) and emojis that aren't options never count.
+ *
+ * Tallies follow reaction_added / reaction_removed events; reactions.get
+ * recounts from Slack when a poll is restored, read or closed. Every change
+ * re-renders the poll message with the live tally. A poll with a deadline
+ * closes itself, and closing posts the final results in the poll's thread.
+ */
+
+const { getContextBuilder } = require('./contextBuilder.js');
+const { getSlackClient, getBotUserId } = require('./slackClient.js');
+const { renderMessage, escapeMessageSyntax } = require('./toolUtils/messageRenderer.js');
+const { postPagedMessage } = require('./messagePages.js');
+const { logError } = require('./errors.js');
+const logger = require('./toolUtils/logger.js');
+
+// Reactions often arrive in bursts; re-render the poll at most once a second
+const RENDER_DEBOUNCE_MS = 1000;
+// setTimeout can't wait longer than ~24.8 days; longer deadlines re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const BAR_WIDTH = 10;
+
+const pollIndex = new Map();    // "channel:messageTs" -> { threadId, voteId }
+const closeTimers = new Map();  // "channel:messageTs" -> timeout
+const renderTimers = new Map(); // "channel:messageTs" -> timeout
+const closing = new Map();      // "channel:messageTs" -> promise of a close in progress
+
+function pollKey(channelId, messageTs) {
+  return `${channelId}:${messageTs}`;
+}
+
+/**
+ * Reaction name as Slack reports it: no colons, no skin tone
+ * @param {string} emoji - ":thumbsup:", "thumbsup::skin-tone-3", ...
+ * @returns {string} - "thumbsup"
+ */
+function normalizeEmoji(emoji) {
+  return String(emoji || '').replace(/::skin-tone-\d/, '').replace(/:/g, '');
+}
+
+/**
+ * Finds a poll in a thread's registry
+ * @param {string} threadId - Thread ID
+ * @param {Object} ref - { voteId, messageTs } (either one)
+ * @returns {Object|null} - Poll, or null when the thread has no such poll
+ */
+function findPoll(threadId, { voteId, messageTs } = {}) {
+  const registry = getContextBuilder().getMetadata(threadId, 'voteRegistry') || {};
+  if (voteId && registry[voteId]) return registry[voteId];
+  if (messageTs) {
+    return Object.values(registry).find(poll => poll.messageTs === messageTs) || null;
+  }
+  return null;
+}
+
+function savePoll(threadId, poll) {
+  const contextBuilder = getContextBuilder();
+  const registry = contextBuilder.getMetadata(threadId, 'voteRegistry') || {};
+  contextBuilder.setMetadata(threadId, 'voteRegistry', { ...registry, [poll.voteId]: poll });
+}
+
+/**
+ * Counts the votes of a poll
+ * @param {Object} poll - Poll from the registry
+ * @returns {Object} - { results: [{ text, emoji, count, users }], totalVotes, voters }
+ */
+function tallyPoll(poll) {
+  const results = poll.options.map(option => ({
+    text: option.text,
+    emoji: option.emoji,
+    count: 0,
+    users: []
+  }));
+  const byName = new Map(poll.options.map((option, index) => [normalizeEmoji(option.emoji), results[index]]));
+
+  let voters = 0;
+  for (const [userId, names] of Object.entries(poll.votes || {})) {
+    const counted = poll.multipleChoice ? names : names.slice(-1);
+    if (counted.length > 0) voters++;
+    for (const name of counted) {
+      const result = byName.get(name);
+      if (result) {
+        result.count++;
+        result.users.push(userId);
+      }
+    }
+  }
+
+  return {
+    results,
+    totalVotes: results.reduce((sum, result) => sum + result.count, 0),
+    voters
+  };
+}
+
+function formatTallyLine(result, voters) {
+  const share = voters > 0 ? result.count / voters : 0;
+  const filled = Math.round(share * BAR_WIDTH);
+  const bar = '█'.repeat(filled) + '░'.repeat(BAR_WIDTH - filled);
+  return `${result.emoji} ${result.text}\n\`${bar}\` *${result.count}* ${result.count === 1 ? 'vote' : 'votes'} (${Math.round(share * 100)}%)`;
+}
+
+/**
+ * Builds the poll message: question, options with the live tally, and how to vote
+ * @param {Object} poll - Poll (messageTs not needed)
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw on #block syntax errors in the question
+ *   (when the poll is created) instead of skipping the broken blocks
+ * @returns {Promise<Object>} - { text, blocks, attachments }
+ */
+async function renderPoll(poll, { strict = false } = {}) {
+  const tally = tallyPoll(poll);
+  // Option texts come from the model as plain text, not block syntax
+  const optionLines = tally.results.map(result => escapeMessageSyntax(formatTallyLine(result, tally.voters))).join('\n');
+
+  let footer;
+  if (poll.closed) {
+    footer = `_Voting closed. ${tally.voters} ${tally.voters === 1 ? 'person' : 'people'} voted._`;
+  } else {
+    const rule = poll.multipleChoice
+      ? 'You can vote for more than one option.'
+      : 'One vote per person - only your latest reaction counts.';
+    footer = `_React with the emoji next to your preferred option to vote. ${rule}_`;
+    if (poll.closesAt) {
+      const closesAt = Math.floor(new Date(poll.closesAt).getTime() / 1000);
+      footer += `\n_Closes <!date^${closesAt}^{date_short_pretty} at {time}|${poll.closesAt}>_`;
+    }
+  }
+
+  const rendered = await renderMessage(`${poll.text}\n#section: *Options:*\n${optionLines}\n#context: ${footer}`, {
+    color: poll.color || '#0078D7',
+    strict
+  });
+  return { text: ' ', ...rendered };
+}
+
+/**
+ * Records one reaction change on a poll
+ * @param {Object} poll - Poll (changed in place)
+ * @param {string} userId - Who reacted
+ * @param {string} emoji - Reaction name
+ * @param {boolean} added - true for reaction_added, false for reaction_removed
+ * @returns {boolean} - Whether the votes changed
+ */
+function applyReaction(poll, userId, emoji, added) {
+  const name = normalizeEmoji(emoji);
+  if (!poll.options.some(option => normalizeEmoji(option.emoji) === name)) return false;
+
+  const current = (poll.votes || {})[userId] || [];
+  const withoutName = current.filter(existing => existing !== name);
+  const next = added ? [...withoutName, name] : withoutName;
+  if (next.length === current.length && next.every((value, index) => value === current[index])) {
+    return false;
+  }
+
+  poll.votes = { ...(poll.votes || {}) };
+  if (next.length > 0) {
+    poll.votes[userId] = next;
+  } else {
+    delete poll.votes[userId];
+  }
+  return true;
+}
+
+/**
+ * Recounts a poll from the reactions currently on its message
+ * @param {string} threadId - Thread ID
+ * @param {Object} poll - Poll from the registry
+ * @returns {Promise<Object>} - The updated (and saved) poll
+ */
+async function syncPollFromSlack(threadId, poll) {
+  const response = await getSlackClient().reactions.get({
+    channel: poll.channelId,
+    timestamp: poll.messageTs,
+    full: true
+  });
+  if (!response.ok || !response.message) {
+    throw new Error('Could not retrieve reactions');
+  }
+
+  const botUserId = poll.botUserId || await getBotUserId();
+  const optionNames = new Set(poll.options.map(option => normalizeEmoji(option.emoji)));
+  const present = {}; // userId -> Set of option names on the message now
+
+  for (const reaction of response.message.reactions || []) {
+    const name = normalizeEmoji(reaction.name);
+    if (!optionNames.has(name)) continue;
+    for (const userId of reaction.users || []) {
+      if (userId === botUserId) continue;
+      (present[userId] = present[userId] || new Set()).add(name);
+    }
+  }
+
+  // Keep the order we saw reactions arrive in; reactions.get doesn't have it
+  const votes = {};
+  for (const [userId, names] of Object.entries(present)) {
+    const known = ((poll.votes || {})[userId] || []).filter(name => names.has(name));
+    votes[userId] = [...known, ...[...names].filter(name => !known.includes(name))];
+  }
+
+  const updated = { ...poll, votes, syncedAt: new Date().toISOString() };
+  savePoll(threadId, updated);
+  return updated;
+}
+
+/**
+ * Re-renders the poll message with the current tally
+ * @param {Object} poll - Poll from the registry
+ */
+async function updatePollMessage(poll) {
+  const message = await renderPoll(poll);
+  await getSlackClient().chat.update({
+    channel: poll.channelId,
+    ts: poll.messageTs,
+    text: message.text,
+    blocks: message.blocks,
+    attachments: message.attachments
+  });
+}
+
+function scheduleRender(threadId, poll) {
+  const key = pollKey(poll.channelId, poll.messageTs);
+  if (renderTimers.has(key)) return;
+
+  const timer = setTimeout(async () => {
+    renderTimers.delete(key);
+    const latest = findPoll(threadId, { voteId: poll.voteId });
+    if (!latest) return;
+    try {
+      await updatePollMessage(latest);
+    } catch (error) {
+      logError('Error updating poll message', error, { voteId: poll.voteId });
+    }
+  }, RENDER_DEBOUNCE_MS);
+  timer.unref?.();
+  renderTimers.set(key, timer);
+}
+
+function scheduleClose(threadId, poll) {
+  const key = pollKey(poll.channelId, poll.messageTs);
+  clearTimeout(closeTimers.get(key));
+  closeTimers.delete(key);
+  if (!poll.closesAt || poll.closed) return;
+
+  const remaining = new Date(poll.closesAt).getTime() - Date.now();
+  const timer = setTimeout(() => {
+    closeTimers.delete(key);
+    if (remaining > MAX_TIMER_MS) {
+      scheduleClose(threadId, poll);
+      return;
+    }
+    closePoll(threadId, poll.voteId, { reason: 'deadline' })
+      .catch(error => logError('Error closing poll at its deadline', error, { voteId: poll.voteId }));
+  }, Math.min(Math.max(remaining, 0), MAX_TIMER_MS));
+  timer.unref?.();
+  closeTimers.set(key, timer);
+}
+
+/**
+ * Starts tracking a newly posted poll
+ * @param {string} threadId - Thread the poll belongs to
+ * @param {Object} poll - Poll with voteId, channelId and messageTs
+ */
+function registerPoll(threadId, poll) {
+  savePoll(threadId, poll);
+  pollIndex.set(pollKey(poll.channelId, poll.messageTs), { threadId, voteId: poll.voteId });
+  scheduleClose(threadId, poll);
+  logger.info(`🗳️ Poll ${poll.voteId} opened in ${poll.channelId} (${poll.multipleChoice ? 'multiple' : 'single'} choice${poll.closesAt ? `, closes ${poll.closesAt}` : ''})`);
+}
+
+function summaryTitle(text) {
+  const firstLine = String(text || '').split('\n').find(line => line.trim()) || 'Poll';
+  return firstLine.replace(/^#\w+:\s*|^#+\s*/, '').replace(/[*_]/g, '').trim();
+}
+
+/**
+ * Builds the final results message
+ * @param {Object} poll - Closed poll
+ * @param {Object} tally - From tallyPoll
+ * @returns {string} - Message text
+ */
+function formatResultsSummary(poll, tally) {
+  const ranked = [...tally.results].sort((a, b) => b.count - a.count);
+  const lines = ranked.map(result => formatTallyLine(result, tally.voters));
+
+  let outcome;
+  if (tally.totalVotes === 0) {
+    outcome = 'No votes were cast.';
+  } else {
+    const top = ranked.filter(result => result.count === ranked[0].count);
+    outcome = top.length === 1
+      ? `*Winner:* ${top[0].emoji} ${top[0].text}`
+      : `*Tie:* ${top.map(result => `${result.emoji} ${result.text}`).join(', ')}`;
+  }
+
+  const closedBy = poll.closedBy ? `closed by <@${poll.closedBy}>` : 'closed at its deadline';
+  return `*Poll results:* ${summaryTitle(poll.text)}\n\n${lines.join('\n')}\n\n${outcome}\n_${tally.voters} ${tally.voters === 1 ? 'person' : 'people'} voted · ${closedBy}_`;
+}
+
+/**
+ * Closes a poll: final recount, poll message marked closed, results posted in the thread.
+ * Closing an already closed poll returns it unchanged. A close that arrives while
+ * another is still running (the deadline and a closeVote call at once) waits for
+ * it instead of posting the results a second time.
+ * @param {string} threadId - Thread ID
+ * @param {string} voteId - Poll ID
+ * @param {Object} [options] - { closedBy: userId, reason: 'deadline' | 'requested' }
+ * @returns {Promise<Object>} - { poll, tally, alreadyClosed }
+ */
+async function closePoll(threadId, voteId, options = {}) {
+  const poll = findPoll(threadId, { voteId });
+  if (!poll) {
+    throw new Error(`Poll ${voteId} not found`);
+  }
+  if (poll.closed) {
+    return { poll, tally: tallyPoll(poll), alreadyClosed: true };
+  }
+
+  const key = pollKey(poll.channelId, poll.messageTs);
+  if (closing.has(key)) {
+    const result = await closing.get(key);
+    return { ...result, alreadyClosed: true };
+  }
+
+  // Registered before the first await, so a second close finds it
+  const pending = finishClose(threadId, poll, key, options);
+  closing.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    closing.delete(key);
+  }
+}
+
+async function finishClose(threadId, poll, key, { closedBy = null, reason = 'requested' }) {
+  const { voteId } = poll;
+  clearTimeout(closeTimers.get(key));
+  closeTimers.delete(key);
+  clearTimeout(renderTimers.get(key));
+  renderTimers.delete(key);
+
+  try {
+    poll = await syncPollFromSlack(threadId, poll);
+  } catch (error) {
+    // Close with the tally from events rather than leave the poll open
+    logger.warn(`Could not recount poll ${voteId} before closing: ${error.message}`);
+  }
+
+  poll = { ...poll, closed: true, closedAt: new Date().toISOString(), closedBy };
+  savePoll(threadId, poll);
+  pollIndex.delete(key);
+
+  const tally = tallyPoll(poll);
+  logger.info(`🗳️ Poll ${voteId} closed (${reason}): ${tally.voters} voters, ${tally.results.map(result => `${normalizeEmoji(result.emoji)}=${result.count}`).join(' ')}`);
+
+  try {
+    await updatePollMessage(poll);
+  } catch (error) {
+    logError('Error marking poll message closed', error, { voteId });
+  }
+
+  // Rendered like a postMessage reply; the question and options are the model's text, not block syntax
+  const summary = formatResultsSummary(poll, tally);
+  const message = await renderMessage(escapeMessageSyntax(summary), { color: poll.color || '#0078D7', strict: false });
+  const response = await postPagedMessage(message, {
+    channel: poll.channelId,
+    threadTs: poll.threadTs || poll.messageTs,
+    threadId
+  });
+
+  poll = { ...poll, resultsTs: response.ts };
+  savePoll(threadId, poll);
+
+  // Deadline closes happen outside any request; keep the results in the thread history
+  getContextBuilder().addMessage({
+    source: 'assistant',
+    id: `bot_${response.ts}`,
+    threadTs: threadId,
+    text: summary,
+    originalContent: { tool: 'closeVote', parameters: { voteId } },
+    metadata: {
+      messageTs: response.ts,
+      channelId: poll.channelId,
+      threadTs: poll.threadTs,
+      slackTs: response.ts,
+      update: false,
+      parts: response.parts
+    }
+  });
+
+  return { poll, tally, alreadyClosed: false };
+}
+
+/**
+ * Handles reaction_added / reaction_removed for poll messages
+ * @param {Object} event - Slack reaction event
+ * @param {boolean} added - Whether the reaction was added
+ * @returns {Promise<boolean>} - Whether the event changed a poll
+ */
+async function handleReactionEvent(event, added) {
+  if (!event.item || event.item.type !== 'message') return false;
+
+  const entry = pollIndex.get(pollKey(event.item.channel, event.item.ts));
+  if (!entry) return false;
+
+  await getContextBuilder().ensureThreadLoaded(entry.threadId);
+  const poll = findPoll(entry.threadId, { voteId: entry.voteId });
+  if (!poll || poll.closed) return false;
+
+  if (poll.closesAt && new Date(poll.closesAt).getTime() <= Date.now()) {
+    await closePoll(entry.threadId, poll.voteId, { reason: 'deadline' });
+    return false;
+  }
+
+  const botUserId = poll.botUserId || await getBotUserId();
+  if (event.user === botUserId) return false;
+
+  const updated = { ...poll };
+  if (!applyReaction(updated, event.user, event.reaction, added)) return false;
+
+  savePoll(entry.threadId, updated);
+  scheduleRender(entry.threadId, updated);
+  return true;
+}
+
+/**
+ * Re-indexes open polls from the state store after a restart, recounts them
+ * (reactions may have changed while the bot was down) and re-arms deadlines.
+ * Overdue polls close right away.
+ * @returns {Promise<number>} - Number of open polls restored
+ */
+async function restorePolls() {
+  const isOpen = poll => !poll.closed && poll.messageTs;
+  const threadIds = await getContextBuilder().loadThreadsWhere(
+    metadata => Object.values(metadata.voteRegistry || {}).some(isOpen)
+  );
+
+  let restored = 0;
+  for (const threadId of threadIds) {
+    const registry = getContextBuilder().getMetadata(threadId, 'voteRegistry') || {};
+    for (const poll of Object.values(registry).filter(isOpen)) {
+      pollIndex.set(pollKey(poll.channelId, poll.messageTs), { threadId, voteId: poll.voteId });
+      restored++;
+
+      let current = poll;
+      try {
+        current = await syncPollFromSlack(threadId, poll);
+        scheduleRender(threadId, current);
+      } catch (error) {
+        logger.warn(`Could not recount poll ${poll.voteId}: ${error.message}`);
+      }
+      scheduleClose(threadId, current);
+    }
+  }
+
+  if (restored > 0) {
+    logger.info(`🗳️ Restored ${restored} open polls`);
+  }
+  return restored;
+}
+
+/**
+ * `check` rule for closeVote: only the user a poll was created for can close it early
+ * @param {Object} args - Call arguments with voteId / messageTs
+ * @param {Object} requester - From getRequester
+ * @param {Object} threadState - Thread context handed to tools
+ * @returns {true|string} - true, or why the call is denied
+ */
+function onlyPollCreator(args, requester, threadState) {
+  const registry = threadState.getMetadata('voteRegistry') || {};
+  const poll = registry[args.voteId] || Object.values(registry).find(entry => entry.messageTs === args.messageTs);
+  if (!poll || !poll.createdBy || poll.createdBy === requester.userId) return true;
+  return `poll ${poll.voteId} was created for <@${poll.createdBy}>; only they can close it early`;
+}
+
+module.exports = {
+  normalizeEmoji,
+  findPoll,
+  tallyPoll,
+  renderPoll,
+  applyReaction,
+  syncPollFromSlack,
+  registerPoll,
+  closePoll,
+  handleReactionEvent,
+  restorePolls,
+  onlyPollCreator
+};
@@ -5,6 +5,8 @@
  * and ensure consistent prompting across the application.
  */
 
+const { formatBlockGuide } = require('../toolUtils/blockBuilder.js');
+
 /**
  * Main personality configuration
  * @type {Object}
@@ -31,8 +33,8 @@ const TECHNICAL_GUIDELINES = {
 6. NEVER duplicate the reasoning field inside parameters
 7. NEVER nest a parameters object inside parameters - avoid duplicate keys
 8. Text outside tool calls is NOT sent to users
-9. Send only ONE tool call per response - DO NOT include multiple tool calls
-10. For a normal user interaction: first send postMessage, then after receiving a response, send finishRequest`,
+9. You MAY send several tool calls in one response - they run in the order you list them
+10. For a normal user interaction: send postMessage and finishRequest together in the same response`,
 
   /**
    * Critical workflow rules
@@ -41,8 +43,9 @@ const TECHNICAL_GUIDELINES = {
 - The reasoning field MUST ALWAYS be at the top level, NEVER inside parameters
 - NEVER duplicate fields like reasoning or parameters in nested objects
 - All your responses to users MUST go through the postMessage tool 
-- Send only ONE tool call at a time - DO NOT send multiple tool calls in the same response
-- Wait for each tool call to complete before sending another one
+- Batch tool calls that don't depend on each other into ONE response (e.g. addReaction + postMessage + finishRequest)
+- Independent calls (reactions, avatar lookups, history fetches) run in parallel; the rest run in the order you list them
+- Only wait for a result before the next call when you need that result (e.g. fetch history first, then answer)
 - After sending a postMessage, ALWAYS call finishRequest to complete the interaction
 - ⚠️ ALWAYS FINISH EVERY INTERACTION WITH FINISHREQUEST - THE CORRECT SEQUENCE IS ALWAYS postMessage FIRST, THEN finishRequest`,
 
@@ -160,10 +163,7 @@ const CUSTOM_EMOJIS = [
  * @type {Object}
  */
 const FORMATTING_GUIDELINES = {
-  specialFormatting: `#header: Your header text
-#section: Your regular text content
-#divider:
-#buttons: [First Option|value1|primary, Second Option|value2, Third Option|value3]`,
+  specialFormatting: formatBlockGuide(),
 
   colorFormatting: `#section: This is blue.|color:#0078D7
 #section: This is red.|color:#E01E5A
@@ -333,7 +333,7 @@ Examples:
 
 ## Responding to Button Clicks 🖱️
 
-When a user clicks a button, you'll see a message like "User clicked the 'Button Name' button with value 'button_value'":
+When a user clicks a button, you'll see a message like "User clicked the 'Button Name' button with value 'button_value'" (menus and date pickers read "User chose 'Option' (value 'option_value') from the select menu" or "User picked the date 2026-11-05 in the date picker"):
 
 1. **Acknowledge their choice** - Confirm what they selected
 2. **Take appropriate action** - Do what the button represents
@@ -372,12 +372,7 @@ Always add specific examples of how you can help - be concrete!
 
 ## Special Formatting 📝
 
-\`\`\`
-#header: Your header text
-#section: Your regular text content
-#divider:
-#buttons: [First Option|value1|primary, Second Option|value2, Third Option|value3]
-\`\`\`
+${FORMATTING_GUIDELINES.specialFormatting}
 
 ## Color Formatting 🎨
 
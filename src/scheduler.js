@@ -0,0 +1,377 @@
+/**
+ * Scheduled messages and reminders
+ *
+ * A one-off plain message is handed to Slack with chat.scheduleMessage, so it
+ * is sent even while the bot is down. Everything Slack can't do runs on a
+ * local timer:
+ *   - recurring reminders ('daily', 'weekdays', 'weekly', 'monthly')
+ *   - 'prompt' reminders, which wake the LLM at fire time (orchestrator
+ *     runScheduledTurn) instead of posting fixed text
+ *   - messages further out than Slack's 120-day limit
+ *
+ * Entries are kept in the thread's `scheduledMessages` metadata, so they are
+ * saved with the thread; restoreSchedules re-arms local timers at startup and
+ * fires anything that came due while the bot was down. Times are wall-clock
+ * times in the requesting user's Slack timezone.
+ */
+
+const { getContextBuilder } = require('./contextBuilder.js');
+const { getSlackClient } = require('./slackClient.js');
+const { getUserInfo } = require('./directory.js');
+const { renderMessage, paginateMessage } = require('./toolUtils/messageRenderer.js');
+const { postPagedMessage } = require('./messagePages.js');
+const { DEFAULT_TIMEZONE } = require('./config.js');
+const { parseLocalDateTime, formatInTimezone, nextOccurrence, getZonedParts } = require('./toolUtils/dateUtils.js');
+const { logError } = require('./errors.js');
+const logger = require('./toolUtils/logger.js');
+
+const REPEAT_OPTIONS = ['none', 'daily', 'weekdays', 'weekly', 'monthly'];
+const MODES = ['message', 'prompt'];
+// chat.scheduleMessage refuses post_at more than 120 days ahead
+const SLACK_SCHEDULE_LIMIT_MS = 120 * 24 * 60 * 60 * 1000;
+// Leave Slack (and our own timer) a moment; anything sooner is treated as "now"
+const MIN_LEAD_MS = 30 * 1000;
+// setTimeout can't wait longer than ~24.8 days; longer waits re-arm
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const timers = new Map(); // entry id -> timeout
+
+/**
+ * A user's timezone from their Slack profile
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<string>} - IANA timezone, DEFAULT_TIMEZONE when unknown
+ */
+async function getUserTimezone(userId) {
+  if (!userId) return DEFAULT_TIMEZONE;
+
+  try {
+    return (await getUserInfo(userId)).tz || DEFAULT_TIMEZONE;
+  } catch (error) {
+    logger.warn(`Could not look up the timezone of ${userId}: ${error.message}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+function getEntries(threadId) {
+  return getContextBuilder().getMetadata(threadId, 'scheduledMessages') || {};
+}
+
+function saveEntry(threadId, entry) {
+  getContextBuilder().setMetadata(threadId, 'scheduledMessages', { ...getEntries(threadId), [entry.id]: entry });
+}
+
+/**
+ * What the model sees about an entry
+ * @param {Object} entry - Scheduled entry
+ * @returns {Object} - Summary without internal bookkeeping
+ */
+function describeEntry(entry) {
+  return {
+    id: entry.id,
+    text: entry.text,
+    mode: entry.mode,
+    repeat: entry.repeat,
+    sendAt: entry.sendAt,
+    localTime: formatInTimezone(entry.sendAt, entry.timezone),
+    timezone: entry.timezone,
+    createdBy: entry.createdBy,
+    status: entry.status,
+    via: entry.slackScheduledId ? 'slack' : 'scheduler'
+  };
+}
+
+/**
+ * Schedules a message or reminder in a thread
+ * @param {string} threadId - Thread ID
+ * @param {Object} request - { text, sendAt, repeat, mode, channelId, threadTs, userId }
+ * @returns {Promise<Object>} - Entry summary (describeEntry)
+ */
+async function scheduleEntry(threadId, { text, sendAt, repeat = 'none', mode = 'message', channelId, threadTs, userId }) {
+  if (!REPEAT_OPTIONS.includes(repeat)) {
+    throw new Error(`repeat must be one of ${REPEAT_OPTIONS.join(', ')}`);
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${MODES.join(', ')}`);
+  }
+  if (!text || !text.trim()) {
+    throw new Error('text is empty');
+  }
+
+  const timezone = await getUserTimezone(userId);
+  const when = parseLocalDateTime(sendAt, timezone);
+  if (!when) {
+    throw new Error(`Could not read "${sendAt}" as a date and time; use YYYY-MM-DDTHH:mm`);
+  }
+  if (when.getTime() < Date.now() + MIN_LEAD_MS) {
+    throw new Error(`${formatInTimezone(when, timezone)} (${timezone}) is in the past or less than ${MIN_LEAD_MS / 1000} seconds away`);
+  }
+
+  const entry = {
+    id: `sched_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`,
+    text,
+    mode,
+    repeat,
+    sendAt: when.toISOString(),
+    timezone,
+    channelId,
+    threadTs,
+    createdBy: userId || null,
+    createdAt: new Date().toISOString(),
+    status: 'scheduled',
+    runs: 0
+  };
+  if (repeat !== 'none') {
+    // Every run is built from the requested local time, so a run that a DST
+    // gap moved doesn't shift the ones after it
+    const local = getZonedParts(when, timezone);
+    entry.localHour = local.hour;
+    entry.localMinute = local.minute;
+    entry.localSecond = local.second;
+    if (repeat === 'monthly') {
+      // Months shorter than this day use their last day; longer ones go back to it
+      entry.dayOfMonth = local.day;
+    }
+  }
+
+  // Rendered now so syntax errors reach the model while it can still fix them
+  const message = mode === 'message' ? await renderMessage(text) : null;
+
+  // Slack keeps one-off messages itself, so they don't depend on the bot being up.
+  // A reply that needs several pages is posted by the bot, which can split it
+  if (message && repeat === 'none' && when.getTime() - Date.now() <= SLACK_SCHEDULE_LIMIT_MS &&
+      paginateMessage(message).length === 1) {
+    const response = await getSlackClient().chat.scheduleMessage({
+      channel: channelId,
+      thread_ts: threadTs,
+      post_at: Math.floor(when.getTime() / 1000),
+      text: ' ',
+      blocks: message.blocks,
+      attachments: message.attachments
+    });
+    entry.slackScheduledId = response.scheduled_message_id;
+  }
+
+  saveEntry(threadId, entry);
+  if (!entry.slackScheduledId) {
+    armTimer(threadId, entry);
+  }
+
+  logger.info(`⏰ Scheduled ${entry.id} (${mode}, repeat=${repeat}) for ${entry.sendAt} [${timezone}] via ${entry.slackScheduledId ? 'Slack' : 'local scheduler'}`);
+  return describeEntry(entry);
+}
+
+function armTimer(threadId, entry) {
+  clearTimeout(timers.get(entry.id));
+
+  const remaining = new Date(entry.sendAt).getTime() - Date.now();
+  const timer = setTimeout(() => {
+    timers.delete(entry.id);
+    if (remaining > MAX_TIMER_MS) {
+      armTimer(threadId, entry);
+      return;
+    }
+    fireEntry(threadId, entry.id)
+      .catch(error => logError('Error sending scheduled message', error, { id: entry.id }));
+  }, Math.min(Math.max(remaining, 0), MAX_TIMER_MS));
+  timer.unref?.();
+  timers.set(entry.id, timer);
+}
+
+/**
+ * Sends a locally scheduled entry, then re-arms it if it repeats
+ * @param {string} threadId - Thread ID
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+async function fireEntry(threadId, id) {
+  const entry = getEntries(threadId)[id];
+  if (!entry || entry.status !== 'scheduled') return;
+
+  const localTime = formatInTimezone(entry.sendAt, entry.timezone);
+  try {
+    if (entry.mode === 'prompt') {
+      // Loaded here: the orchestrator loads the tools, which load this module
+      const { runScheduledTurn } = require('./orchestrator.js');
+      await runScheduledTurn(threadId, { ...entry, localTime });
+    } else {
+      const message = await renderMessage(entry.text, { strict: false });
+      const response = await postPagedMessage(message, {
+        channel: entry.channelId,
+        threadTs: entry.threadTs,
+        threadId
+      });
+
+      getContextBuilder().addMessage({
+        source: 'assistant',
+        id: `bot_${response.ts}`,
+        threadTs: threadId,
+        text: entry.text,
+        originalContent: { tool: 'scheduleMessage', parameters: { id } },
+        metadata: {
+          messageTs: response.ts,
+          channelId: entry.channelId,
+          threadTs: entry.threadTs,
+          slackTs: response.ts,
+          update: false,
+          parts: response.parts
+        }
+      });
+    }
+    logger.info(`⏰ Sent ${id} (${entry.mode}) scheduled for ${localTime} [${entry.timezone}]`);
+  } catch (error) {
+    logError('Error sending scheduled message', error, { id });
+    if (entry.repeat === 'none') {
+      saveEntry(threadId, { ...entry, status: 'failed', error: error.message });
+      return;
+    }
+  }
+
+  // Re-read: the entry may have been cancelled while the LLM turn ran
+  const latest = getEntries(threadId)[id] || entry;
+  if (latest.status !== 'scheduled') return;
+
+  const updated = { ...latest, runs: (latest.runs || 0) + 1, lastSentAt: new Date().toISOString() };
+  if (latest.repeat === 'none') {
+    updated.status = 'sent';
+  } else {
+    // Skip occurrences missed while the bot was down
+    const requested = {
+      hour: latest.localHour,
+      minute: latest.localMinute,
+      second: latest.localSecond,
+      dayOfMonth: latest.dayOfMonth
+    };
+    let next = nextOccurrence(latest.sendAt, latest.repeat, latest.timezone, requested);
+    while (next.getTime() <= Date.now()) {
+      next = nextOccurrence(next, latest.repeat, latest.timezone, requested);
+    }
+    updated.sendAt = next.toISOString();
+  }
+
+  saveEntry(threadId, updated);
+  if (updated.status === 'scheduled') {
+    armTimer(threadId, updated);
+  }
+}
+
+/**
+ * Pending entries, newest first
+ * @param {string} threadId - Thread to list
+ * @param {Object} [options] - { channelId } to also include the channel's other threads (in memory)
+ * @returns {Array<Object>} - Entry summaries (describeEntry)
+ */
+function listEntries(threadId, { channelId = null } = {}) {
+  const contextBuilder = getContextBuilder();
+  const threadIds = channelId
+    ? Array.from(contextBuilder.threadMetadata.keys()).filter(id => contextBuilder.getChannel(id) === channelId)
+    : [threadId];
+
+  const now = Date.now();
+  const entries = [];
+  for (const id of new Set([threadId, ...threadIds])) {
+    for (const entry of Object.values(getEntries(id))) {
+      if (entry.status !== 'scheduled') continue;
+      // Slack sends its own entries; past their time they are gone
+      if (entry.slackScheduledId && new Date(entry.sendAt).getTime() <= now) continue;
+      entries.push(describeEntry(entry));
+    }
+  }
+  return entries.sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+}
+
+/**
+ * Finds the thread an entry belongs to among the threads in memory
+ * @param {string} id - Entry ID
+ * @param {string} [preferredThreadId] - Thread to check first
+ * @returns {string|null} - Thread ID
+ */
+function findEntryThread(id, preferredThreadId) {
+  if (preferredThreadId && getEntries(preferredThreadId)[id]) return preferredThreadId;
+  const contextBuilder = getContextBuilder();
+  for (const threadId of contextBuilder.threadMetadata.keys()) {
+    if (getEntries(threadId)[id]) return threadId;
+  }
+  return null;
+}
+
+/**
+ * Cancels a pending entry
+ * @param {string} threadId - Thread the entry belongs to
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} - Entry summary with status 'cancelled'
+ */
+async function cancelEntry(threadId, id) {
+  const entry = getEntries(threadId)[id];
+  if (!entry) {
+    throw new Error(`Scheduled message ${id} not found`);
+  }
+  if (entry.status !== 'scheduled') {
+    throw new Error(`Scheduled message ${id} is already ${entry.status}`);
+  }
+
+  if (entry.slackScheduledId) {
+    await getSlackClient().chat.deleteScheduledMessage({
+      channel: entry.channelId,
+      scheduled_message_id: entry.slackScheduledId
+    });
+  }
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+
+  const cancelled = { ...entry, status: 'cancelled', cancelledAt: new Date().toISOString() };
+  saveEntry(threadId, cancelled);
+  logger.info(`⏰ Cancelled ${id}`);
+  return describeEntry(cancelled);
+}
+
+/**
+ * Re-arms locally scheduled entries from the state store after a restart.
+ * Entries that came due while the bot was down fire right away.
+ * @returns {Promise<number>} - Number of entries re-armed
+ */
+async function restoreSchedules() {
+  const isLocal = entry => entry.status === 'scheduled' && !entry.slackScheduledId;
+  const threadIds = await getContextBuilder().loadThreadsWhere(
+    metadata => Object.values(metadata.scheduledMessages || {}).some(isLocal)
+  );
+
+  let restored = 0;
+  for (const threadId of threadIds) {
+    for (const entry of Object.values(getEntries(threadId)).filter(isLocal)) {
+      armTimer(threadId, entry);
+      restored++;
+    }
+  }
+
+  if (restored > 0) {
+    logger.info(`⏰ Restored ${restored} scheduled messages`);
+  }
+  return restored;
+}
+
+/**
+ * `check` rule for cancelScheduled: only the user who scheduled something can cancel it
+ * @param {Object} args - Call arguments with id
+ * @param {Object} requester - From getRequester
+ * @param {Object} threadState - Thread context handed to tools
+ * @returns {true|string} - true, or why the call is denied
+ */
+function onlyScheduleCreator(args, requester, threadState) {
+  const threadId = findEntryThread(args.id, threadState.threadId);
+  const entry = threadId ? getEntries(threadId)[args.id] : null;
+  if (!entry || !entry.createdBy || entry.createdBy === requester.userId) return true;
+  return `${args.id} was scheduled by <@${entry.createdBy}>; only they can cancel it`;
+}
+
+module.exports = {
+  REPEAT_OPTIONS,
+  MODES,
+  getUserTimezone,
+  scheduleEntry,
+  fireEntry,
+  listEntries,
+  findEntryThread,
+  cancelEntry,
+  restoreSchedules,
+  onlyScheduleCreator
+};
@@ -0,0 +1,304 @@
+/**
+ * Files shared in threads
+ *
+ * Slack messages carry files as metadata only. Text-like files (plain text,
+ * markdown, CSV, JSON, code and snippets) are listed in the LLM context with
+ * their file ID; the model reads them part by part with the readFile tool,
+ * which downloads the file with the bot token (needs files:read). Anything
+ * else - images, PDFs, archives, and files that live outside Slack (Google
+ * Drive and other external files) - is listed by name, type and size only.
+ * The token is only ever sent to files.slack.com.
+ *
+ * Downloads stop at FILE_MAX_BYTES; the rest of a larger file is left out and
+ * the result says so. Extracted text is kept for a while, so reading the next
+ * part doesn't download the file again.
+ */
+
+const fetch = require('node-fetch');
+const { getSlackClient } = require('./slackClient.js');
+const { SLACK_BOT_TOKEN, FILE_MAX_BYTES, FILE_PART_CHARS } = require('./config.js');
+const logger = require('./toolUtils/logger.js');
+
+// Slack filetypes (snippets report their language here) that are plain text
+const TEXT_FILETYPES = new Set([
+  'text', 'markdown', 'csv', 'tsv', 'json', 'yaml', 'xml', 'html', 'css', 'sql', 'diff', 'log',
+  'javascript', 'typescript', 'python', 'shell', 'ruby', 'php', 'go', 'java', 'kotlin', 'scala',
+  'rust', 'c', 'cpp', 'csharp', 'swift', 'objc', 'perl', 'r', 'lua', 'dart', 'groovy', 'haskell',
+  'clojure', 'elixir', 'erlang', 'powershell', 'dockerfile', 'toml', 'ini', 'properties', 'vb', 'matlab'
+]);
+const TEXT_MIMETYPE = /^text\/|^application\/(json|xml|javascript|x-javascript|x-yaml|yaml|x-sh|sql|x-ndjson|csv|x-httpd-php|x-python)\b/;
+const EXTRACT_CACHE_TTL_MS = 10 * 60 * 1000;
+const EXTRACT_CACHE_MAX_FILES = 20;
+
+const SLACK_FILE_HOST = /^https:\/\/files\.slack\.com\//;
+
+const extracted = new Map();  // fileId -> { file, text, truncated, parts, fetchedAt }
+
+function isExternalFile(file) {
+  return file.is_external === true || file.mode === 'external';
+}
+
+/**
+ * Whether a file can be read as text
+ * @param {Object} file - Slack file object
+ * @returns {boolean}
+ */
+function isTextFile(file) {
+  // An external file's link points at another host, which must not get the bot token
+  if (isExternalFile(file)) return false;
+  if (file.mode === 'snippet') return true;
+  if (file.filetype && TEXT_FILETYPES.has(file.filetype)) return true;
+  return !!file.mimetype && TEXT_MIMETYPE.test(file.mimetype);
+}
+
+/**
+ * "12 KB", "3.4 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (!bytes && bytes !== 0) return 'unknown size';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * How a shared file is shown to the model
+ * @param {Object} file - Slack file object from a message
+ * @returns {Object} - { fileId, name, type, size, readable } plus a note for files that can't be read
+ */
+function describeFile(file) {
+  if (file.mode === 'tombstone') {
+    return { fileId: file.id, readable: false, note: 'file was deleted' };
+  }
+  if (file.mode === 'hidden_by_limit') {
+    return { fileId: file.id, readable: false, note: 'file is hidden by the workspace\'s plan limits' };
+  }
+
+  const readable = isTextFile(file);
+  const description = {
+    fileId: file.id,
+    name: file.name || file.title || file.id,
+    type: file.pretty_type || file.filetype || file.mimetype || 'unknown',
+    size: formatSize(file.size),
+    readable
+  };
+  if (file.title && file.title !== description.name) {
+    description.title = file.title;
+  }
+  if (!readable) {
+    description.note = isExternalFile(file)
+      ? 'file stored outside Slack - only this metadata is available'
+      : 'binary file - only this metadata is available';
+  }
+  return description;
+}
+
+/**
+ * One-line text form of a file description, for places that take plain text
+ * @param {Object} description - From describeFile
+ * @returns {string} - e.g. "[File: notes.md (Markdown, 3 KB, readable with readFile, fileId F0123)]"
+ */
+function formatFileLine(description) {
+  const details = [
+    description.type,
+    description.size,
+    description.readable ? `readable with readFile, fileId ${description.fileId}` : description.note
+  ].filter(Boolean).join(', ');
+  return `[File: ${description.name || description.fileId} (${details})]`;
+}
+
+/**
+ * Descriptions of all files on a message, or undefined when it has none
+ * @param {Object} message - Slack message
+ * @returns {Array<Object>|undefined}
+ */
+function describeMessageFiles(message) {
+  if (!message.files || message.files.length === 0) return undefined;
+  return message.files.map(describeFile);
+}
+
+/**
+ * Downloads at most FILE_MAX_BYTES of a private Slack file
+ * @param {string} url - url_private_download / url_private
+ * @returns {Promise<Object>} - { buffer, truncated }
+ */
+async function download(url) {
+  if (!SLACK_FILE_HOST.test(url)) {
+    throw new Error('The file is not stored on files.slack.com, so it can\'t be downloaded');
+  }
+  const response = await fetch(url, {
+    headers: { Authorization: `Bearer ${SLACK_BOT_TOKEN}` },
+    redirect: 'follow'
+  });
+  if (!response.ok) {
+    throw new Error(`Download failed with HTTP ${response.status}`);
+  }
+  // Without files:read Slack answers with its sign-in page instead of the file
+  if ((response.headers.get('content-type') || '').startsWith('text/html') && !/\.html?$/i.test(new URL(url).pathname)) {
+    throw new Error('Slack returned a sign-in page instead of the file - the app needs the files:read scope');
+  }
+
+  const chunks = [];
+  let received = 0;
+  let truncated = false;
+  for await (const chunk of response.body) {
+    const room = FILE_MAX_BYTES - received;
+    if (chunk.length > room) {
+      chunks.push(chunk.subarray(0, room));
+      received += room;
+      truncated = true;
+      break;
+    }
+    chunks.push(chunk);
+    received += chunk.length;
+  }
+  if (truncated && typeof response.body.destroy === 'function') {
+    response.body.destroy();
+  }
+
+  return { buffer: Buffer.concat(chunks), truncated };
+}
+
+/**
+ * Splits text into parts of at most FILE_PART_CHARS, breaking at line ends
+ * where possible, and records which lines each part holds
+ * @param {string} text - File text
+ * @returns {Array<Object>} - [{ text, firstLine, lastLine }]
+ */
+function splitIntoParts(text) {
+  const parts = [];
+  let current = [];
+  let length = 0;
+  let firstLine = null;
+  let lastLine = null;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    parts.push({ text: current.join('\n'), firstLine, lastLine });
+    current = [];
+    length = 0;
+    firstLine = null;
+  };
+
+  text.split('\n').forEach((line, index) => {
+    // A line longer than a part (minified code, long CSV rows) is cut into pieces
+    const pieces = [];
+    for (let start = 0; start === 0 || start < line.length; start += FILE_PART_CHARS) {
+      pieces.push(line.slice(start, start + FILE_PART_CHARS));
+    }
+
+    pieces.forEach(piece => {
+      if (length > 0 && length + piece.length + 1 > FILE_PART_CHARS) flush();
+      if (firstLine === null) firstLine = index + 1;
+      lastLine = index + 1;
+      current.push(piece);
+      length += piece.length + 1;
+    });
+  });
+  flush();
+
+  return parts;
+}
+
+/**
+ * Downloads and extracts a file's text (cached for a while)
+ * @param {string} fileId - Slack file ID (F...)
+ * @returns {Promise<Object>} - { file, text, truncated, parts }
+ */
+async function loadFileText(fileId) {
+  const cached = extracted.get(fileId);
+  if (cached && Date.now() - cached.fetchedAt < EXTRACT_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const response = await getSlackClient().files.info({ file: fileId });
+  const file = response.file;
+  if (!file) {
+    throw new Error(`File ${fileId} not found`);
+  }
+  if (isExternalFile(file)) {
+    throw new Error(`${file.name || fileId} is stored outside Slack and can't be read`);
+  }
+  if (!isTextFile(file)) {
+    throw new Error(`${file.name || fileId} is a ${file.pretty_type || file.filetype || 'binary'} file and can't be read as text`);
+  }
+
+  let buffer;
+  let truncated = false;
+  if (typeof file.content === 'string') {
+    // Snippets can come with their text inline
+    buffer = Buffer.from(file.content, 'utf8');
+    truncated = buffer.length > FILE_MAX_BYTES;
+    buffer = buffer.subarray(0, FILE_MAX_BYTES);
+  } else {
+    const url = file.url_private_download || file.url_private;
+    if (!url) {
+      throw new Error(`${file.name || fileId} has no download link`);
+    }
+    ({ buffer, truncated } = await download(url));
+  }
+
+  if (buffer.subarray(0, 8192).includes(0)) {
+    throw new Error(`${file.name || fileId} looks like a binary file and can't be read as text`);
+  }
+
+  let text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  if (truncated && text.includes('\n')) {
+    // Drop the line the cut went through
+    text = text.slice(0, text.lastIndexOf('\n'));
+  }
+  if (file.filetype === 'json' && !truncated && !text.trim().includes('\n')) {
+    // Minified JSON is one line; pretty-print it so it splits into readable parts
+    try {
+      text = JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+      // Not valid JSON after all - keep it as is
+    }
+  }
+
+  const entry = { file, text, truncated, parts: splitIntoParts(text), fetchedAt: Date.now() };
+  extracted.set(fileId, entry);
+  if (extracted.size > EXTRACT_CACHE_MAX_FILES) {
+    extracted.delete(extracted.keys().next().value);
+  }
+
+  logger.info(`📄 Read file ${file.name || fileId} (${formatSize(buffer.length)}${truncated ? ', truncated' : ''}, ${entry.parts.length} parts)`);
+  return entry;
+}
+
+/**
+ * Access check for readFile: only files shared in the current thread can be
+ * read, so a file ID can't be used to pull in files from other conversations
+ * @param {Object} args - Tool arguments ({ fileId })
+ * @param {Object} requester - From getRequester
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<true|string>}
+ */
+async function fileInThread(args, requester, threadState) {
+  // Required here: threadContextBuilder uses this module to describe files
+  const { getThreadContextBuilder } = require('./threadContextBuilder.js');
+  const context = threadState.getMetadata('context') || {};
+  const threadTs = context.threadTs || threadState.threadTs;
+  const channelId = context.channelId || threadState.channelId;
+  const builder = getThreadContextBuilder();
+
+  const isShared = (messages) => messages.some(message => (message.files || []).some(file => file.id === args.fileId));
+
+  if (isShared((await builder._getThreadInfo(threadTs, channelId)).messages)) return true;
+  // The file may have been shared after the thread was cached
+  builder.clearCache(threadTs, channelId);
+  if (isShared((await builder._getThreadInfo(threadTs, channelId)).messages)) return true;
+
+  return `file ${args.fileId} was not shared in this thread`;
+}
+
+module.exports = {
+  isTextFile,
+  describeFile,
+  describeMessageFiles,
+  formatFileLine,
+  loadFileText,
+  fileInThread
+};
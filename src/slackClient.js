@@ -3,6 +3,7 @@ const { SLACK_BOT_TOKEN } = require('./config.js');
 
 // Will be initialized in main.js and accessed by tools
 let slackClient = null;
+let authInfoPromise = null;
 
 /**
  * Sets the Slack client instance
@@ -10,6 +11,7 @@ let slackClient = null;
  */
 function setSlackClient(client) {
   slackClient = client;
+  authInfoPromise = null;
 }
 
 /**
@@ -25,7 +27,44 @@ function getSlackClient() {
   return slackClient;
 }
 
+/**
+ * Looks up the bot's identity once with auth.test
+ * @returns {Promise<Object|null>} The auth.test response, or null if the lookup failed
+ */
+function getAuthInfo() {
+  if (!slackClient) return Promise.resolve(null);
+  if (!authInfoPromise) {
+    authInfoPromise = slackClient.auth.test()
+      .catch(error => {
+        console.warn(`Could not look up the bot identity: ${error.message}`);
+        authInfoPromise = null;
+        return null;
+      });
+  }
+  return authInfoPromise;
+}
+
+/**
+ * Gets the bot's own user ID
+ * @returns {Promise<string|null>} The bot user ID, or null if the lookup failed
+ */
+async function getBotUserId() {
+  const info = await getAuthInfo();
+  return info?.user_id || null;
+}
+
+/**
+ * Gets the workspace URL, e.g. "https://acme.slack.com/"
+ * @returns {Promise<string|null>} The workspace URL, or null if the lookup failed
+ */
+async function getWorkspaceUrl() {
+  const info = await getAuthInfo();
+  return info?.url || null;
+}
+
 module.exports = {
   setSlackClient,
-  getSlackClient
+  getSlackClient,
+  getBotUserId,
+  getWorkspaceUrl
 }; 
\ No newline at end of file
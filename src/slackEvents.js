@@ -1,8 +1,12 @@
 // Setup and handlers for Slack events
 const { DEV_MODE } = require('./config.js');
-const { handleIncomingSlackMessage, handleButtonClick } = require('./orchestrator.js');
+const { handleIncomingSlackMessage, handleButtonClick, runFormSubmissionTurn } = require('./orchestrator.js');
 const { logError, handleErrorWithLLM } = require('./errors.js');
 const { getSlackClient } = require('./slackClient.js');
+const { readActionSelection } = require('./buttonUpdater.js');
+const { handleReactionEvent } = require('./polls.js');
+const { FORM_CALLBACK_ID, isFormAction, openFormModal, readFormSubmission, recordFormSubmission } = require('./forms.js');
+const { isPageAction, showPage } = require('./messagePages.js');
 const logger = require('./toolUtils/logger.js');
 
 
@@ -286,10 +290,23 @@ function setupSlackEvents(app) {
             // Acknowledge the request right away
             await ack();
             
-            // Concise button click logging
-            const buttonText = body.actions?.[0]?.text?.text || body.actions?.[0]?.value || 'unnamed';
+            // Concise button click logging (menus and date pickers arrive here too)
+            const selection = body.actions?.[0] ? readActionSelection(body.actions[0]) : {};
+            const buttonText = selection.text || 'unnamed';
             const actionId = body.actions?.[0]?.action_id || 'unknown';
-            logger.info(`📩 BUTTON: ch=${body.channel?.id}, user=${body.user?.id}, text="${buttonText}", value=${body.actions?.[0]?.value || 'none'}, ts=${body.container?.message_ts || 'none'}, thread=${body.message?.thread_ts || 'none'}`);
+            logger.info(`📩 BUTTON: ch=${body.channel?.id}, user=${body.user?.id}, text="${buttonText}", value=${selection.value || 'none'}, ts=${body.container?.message_ts || 'none'}, thread=${body.message?.thread_ts || 'none'}`);
+            
+            // Form buttons open a modal; the trigger_id is only valid for three seconds
+            if (isFormAction(actionId)) {
+                await openFormModal(body);
+                return;
+            }
+            
+            // Paging through a long reply - the model isn't involved
+            if (isPageAction(actionId)) {
+                await showPage(body);
+                return;
+            }
             
             // Check if this button is on a message created by our bot
             const BOT_USER_ID = 'U01CM7M3RLP'; // Our specific bot's ID
@@ -321,8 +338,8 @@ function setupSlackEvents(app) {
                 userId: body.user?.id,
                 isError: true,
                 isButtonClick: true,
-                buttonText: body.actions?.[0]?.text?.text || body.actions?.[0]?.value || 'unknown button',
-                actionValue: body.actions?.[0]?.value,
+                buttonText: body.actions?.[0] ? readActionSelection(body.actions[0]).text : 'unknown button',
+                actionValue: body.actions?.[0] ? readActionSelection(body.actions[0]).value : undefined,
                 errorSource: 'button_interaction'
             };
             
@@ -331,6 +348,59 @@ function setupSlackEvents(app) {
         }
     });
     
+    // Handle submitted forms (opened by openForm buttons)
+    app.view(FORM_CALLBACK_ID, async ({ ack, body, view }) => {
+        let submission = null;
+        try {
+            submission = await readFormSubmission(view);
+            if (submission.errors) {
+                await ack({ response_action: 'errors', errors: submission.errors });
+                return;
+            }
+            await ack();
+        } catch (error) {
+            logError('Error reading form submission', error, { user: body.user?.id });
+            await ack({ response_action: 'errors', errors: { [view.blocks?.[0]?.block_id]: 'Something went wrong - please try again.' } });
+            return;
+        }
+        
+        const { threadId, form, values } = submission;
+        try {
+            logger.info(`📩 FORM: ch=${form.channelId}, user=${body.user.id}, form=${form.formId}, thread=${threadId}`);
+            
+            const submitted = await recordFormSubmission(threadId, form, body.user.id, values);
+            if (submitted) {
+                await runFormSubmissionTurn(threadId, submitted);
+            }
+        } catch (error) {
+            logger.error(`Error handling form submission: ${error.message}`);
+            
+            // Route error to LLM for proper handling
+            await handleErrorWithLLM(error, {
+                channelId: form.channelId,
+                threadTs: threadId,
+                userId: body.user.id,
+                isError: true,
+                errorSource: 'form_submission'
+            });
+        }
+    });
+    
+    // Reactions on poll messages update the live tally; other reactions are ignored
+    for (const [eventName, added] of [['reaction_added', true], ['reaction_removed', false]]) {
+        app.event(eventName, async ({ event }) => {
+            try {
+                const changed = await handleReactionEvent(event, added);
+                if (changed) {
+                    logger.info(`📩 VOTE: ch=${event.item?.channel}, user=${event.user}, ${added ? '+' : '-'}${event.reaction}, ts=${event.item?.ts}`);
+                }
+            } catch (error) {
+                // Nothing to reply to - a missed event is corrected by the next recount
+                logError(`Error handling ${eventName} event`, error, { item: event.item, reaction: event.reaction });
+            }
+        });
+    }
+    
     // Log errors
     app.error(async (error) => {
         logger.error(`Slack app error: ${error.message}`);
@@ -1,5 +1,6 @@
 // Handles formatting of messages for Slack
 const logger = require('./toolUtils/logger');
+const { blockRegistry } = require('./toolUtils/blockBuilder.js');
 
 /**
  * Formats a message for Slack with consistent styling
@@ -153,38 +154,18 @@ function formatSlackMessage(options = {}) {
             
           case 'bullet_list':
             if (element.items && Array.isArray(element.items)) {
-              const bulletItems = element.items.map(item => `• ${item}`).join('\n');
-              blocks.push({
-                type: 'section',
-                text: {
-                  type: 'mrkdwn',
-                  text: bulletItems
-                }
-              });
+              blocks.push(...blockRegistry.bullets.generate({ items: element.items.map(text => ({ text, level: 0 })) }));
             }
             break;
             
           case 'numbered_list':
             if (element.items && Array.isArray(element.items)) {
-              const numberedItems = element.items.map((item, index) => `${index + 1}. ${item}`).join('\n');
-              blocks.push({
-                type: 'section',
-                text: {
-                  type: 'mrkdwn',
-                  text: numberedItems
-                }
-              });
+              blocks.push(...blockRegistry.numbered.generate({ items: element.items.map(text => ({ text, level: 0 })) }));
             }
             break;
             
           case 'quote':
-            blocks.push({
-              type: 'section',
-              text: {
-                type: 'mrkdwn',
-                text: `>${element.text.replace(/\n/g, '\n>')}`
-              }
-            });
+            blocks.push(...blockRegistry.quote.generate({ text: element.text }));
             break;
             
           case 'image':
@@ -201,14 +182,8 @@ function formatSlackMessage(options = {}) {
             break;
             
           case 'code':
-            // Format code block with triple backticks
-            blocks.push({
-              type: 'section',
-              text: {
-                type: 'mrkdwn',
-                text: `\`\`\`${element.language || ''}\n${element.code}\n\`\`\``
-              }
-            });
+            // Same rendering as #code: blocks - escaped and split to fit Slack's section limit
+            blocks.push(...blockRegistry.code.generate({ code: element.code }));
             break;
         }
       }
@@ -332,6 +307,11 @@ function buildButtons(options) {
                               option.style === 'danger' ? 'danger' : undefined;
       }
       
+      // Buttons with their own handler (e.g. form buttons) need a known action_id
+      if (option.actionId) {
+        buttonElement.action_id = option.actionId;
+      }
+
       // Add URL for link buttons
       if (option.url) {
         buttonElement.url = option.url;
@@ -454,261 +434,6 @@ function createRichHeader(options) {
   return headerBlock;
 }
 
-/**
- * Convert simplified block formats to Slack's Block Kit format
- * 
- * @param {Array} simpleBlocks - Array of simplified blocks
- * @returns {Array} - Array of Block Kit blocks
- */
-function convertSimpleBlocks(simpleBlocks) {
-  if (!Array.isArray(simpleBlocks)) {
-    return [];
-  }
-  
-  const blockKitBlocks = [];
-  
-  for (const block of simpleBlocks) {
-    let blockKitBlock = null;
-    
-    if (typeof block === 'string') {
-      // If it's just a string, create a simple section with the text
-      blockKitBlock = {
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: block
-        }
-      };
-    } else if (block && typeof block === 'object' && block.type) {
-      // Handle different block types
-      switch (block.type.toLowerCase()) {
-        case 'section':
-          blockKitBlock = createSectionBlock(block);
-          break;
-          
-        case 'context':
-          blockKitBlock = createContextBlock(block);
-          break;
-          
-        case 'actions':
-          blockKitBlock = createActionsBlock(block);
-          break;
-          
-        case 'header':
-          blockKitBlock = createHeaderBlock(block);
-          break;
-          
-        case 'image':
-          blockKitBlock = createImageBlock(block);
-          break;
-          
-        case 'divider':
-          blockKitBlock = { type: 'divider' };
-          break;
-          
-        default:
-          // Unknown block type - create a section with stringified content
-          blockKitBlock = {
-            type: 'section',
-            text: {
-              type: 'mrkdwn',
-              text: `Unknown block type: ${JSON.stringify(block)}`
-            }
-          };
-      }
-    }
-    
-    if (blockKitBlock) {
-      blockKitBlocks.push(blockKitBlock);
-    }
-  }
-  
-  return blockKitBlocks;
-}
-
-/**
- * Creates a section block from a simplified definition
- * 
- * @param {Object} block - Simplified section block
- * @returns {Object} - Slack Block Kit section block
- */
-function createSectionBlock(block) {
-  // Create base section
-  const sectionBlock = { type: 'section' };
-  
-  // Add text if provided
-  if (block.text) {
-    if (typeof block.text === 'string') {
-      sectionBlock.text = {
-        type: 'mrkdwn',
-        text: block.text
-      };
-    } else if (typeof block.text === 'object') {
-      sectionBlock.text = block.text;
-    }
-  }
-  
-  // Add fields if provided
-  if (block.fields && Array.isArray(block.fields)) {
-    sectionBlock.fields = block.fields.map(field => {
-      if (typeof field === 'string') {
-        return {
-          type: 'mrkdwn',
-          text: field
-        };
-      } else {
-        return field;
-      }
-    });
-  }
-  
-  // Add accessory if provided
-  if (block.accessory) {
-    sectionBlock.accessory = block.accessory;
-  }
-  
-  return sectionBlock;
-}
-
-/**
- * Creates a context block from a simplified definition
- * 
- * @param {Object} block - Simplified context block
- * @returns {Object} - Slack Block Kit context block
- */
-function createContextBlock(block) {
-  // Create base context block
-  const contextBlock = { type: 'context', elements: [] };
-  
-  // Add elements if provided
-  if (block.elements && Array.isArray(block.elements)) {
-    for (const element of block.elements) {
-      if (typeof element === 'string') {
-        contextBlock.elements.push({
-          type: 'mrkdwn',
-          text: element
-        });
-      } else {
-        contextBlock.elements.push(element);
-      }
-    }
-  } else if (block.text) {
-    // If no elements but text is provided, create a single text element
-    const text = typeof block.text === 'string' ? block.text : JSON.stringify(block.text);
-    contextBlock.elements.push({
-      type: 'mrkdwn',
-      text
-    });
-  }
-  
-  return contextBlock;
-}
-
-/**
- * Creates an actions block from a simplified definition
- * 
- * @param {Object} block - Simplified actions block
- * @returns {Object} - Slack Block Kit actions block
- */
-function createActionsBlock(block) {
-  // Create base actions block
-  const actionsBlock = { type: 'actions', elements: [] };
-  
-  // Add elements if provided
-  if (block.elements && Array.isArray(block.elements)) {
-    for (const element of block.elements) {
-      if (typeof element === 'string') {
-        // Simple button with just text
-        actionsBlock.elements.push({
-          type: 'button',
-          text: {
-            type: 'plain_text',
-            text: element,
-            emoji: true
-          },
-          value: element.toLowerCase().replace(/\s+/g, '_')
-        });
-      } else if (element && typeof element === 'object' && element.type) {
-        // Different element types
-        switch (element.type.toLowerCase()) {
-          case 'button':
-            actionsBlock.elements.push(createButtonElement(element));
-            break;
-            
-          case 'datepicker':
-            actionsBlock.elements.push(createDatepickerElement(element));
-            break;
-            
-          case 'overflow':
-            actionsBlock.elements.push(createOverflowElement(element));
-            break;
-            
-          case 'select':
-          case 'static_select':
-            actionsBlock.elements.push(createSelectElement(element));
-            break;
-            
-          default:
-            // Unknown element type - add as is
-            actionsBlock.elements.push(element);
-        }
-      } else {
-        // Unknown element format - add as is
-        actionsBlock.elements.push(element);
-      }
-    }
-  }
-  
-  return actionsBlock;
-}
-
-/**
- * Creates a button element from a simplified definition
- * 
- * @param {Object} element - Simplified button element
- * @returns {Object} - Slack Block Kit button element
- */
-function createButtonElement(element) {
-  // Create base button element
-  const buttonElement = {
-    type: 'button',
-    text: {
-      type: 'plain_text',
-      text: element.text || 'Button',
-      emoji: true
-    }
-  };
-  
-  // Add value if provided
-  if (element.value) {
-    buttonElement.value = element.value;
-  } else {
-    buttonElement.value = (element.text || 'Button').toLowerCase().replace(/\s+/g, '_');
-  }
-  
-  // Add action_id if provided
-  if (element.action_id) {
-    buttonElement.action_id = element.action_id;
-  }
-  
-  // Add URL if provided
-  if (element.url) {
-    buttonElement.url = element.url;
-  }
-  
-  // Add style if provided
-  if (element.style && ['primary', 'danger'].includes(element.style)) {
-    buttonElement.style = element.style;
-  }
-  
-  // Add confirm dialog if provided
-  if (element.confirm) {
-    buttonElement.confirm = element.confirm;
-  }
-  
-  return buttonElement;
-}
-
 /**
  * Creates a datepicker element from a simplified definition
  * 
@@ -841,74 +566,6 @@ function createSelectElement(element) {
   return selectElement;
 }
 
-/**
- * Creates a header block from a simplified definition
- * 
- * @param {Object} block - Simplified header block
- * @returns {Object} - Slack Block Kit header block
- */
-function createHeaderBlock(block) {
-  // Create header block
-  const headerBlock = { type: 'header' };
-  
-  // Add text if provided
-  if (block.text) {
-    if (typeof block.text === 'string') {
-      headerBlock.text = {
-        type: 'plain_text',
-        text: block.text,
-        emoji: true
-      };
-    } else if (typeof block.text === 'object') {
-      headerBlock.text = {
-        ...block.text,
-        type: 'plain_text',
-        emoji: true
-      };
-    }
-  }
-  
-  return headerBlock;
-}
-
-/**
- * Creates an image block from a simplified definition
- * 
- * @param {Object} block - Simplified image block
- * @returns {Object} - Slack Block Kit image block
- */
-function createImageBlock(block) {
-  // Create image block
-  const imageBlock = { type: 'image' };
-  
-  // Add image URL if provided
-  if (block.url || block.image_url) {
-    imageBlock.image_url = block.url || block.image_url;
-  }
-  
-  // Add alt text if provided
-  if (block.alt_text || block.alt) {
-    imageBlock.alt_text = block.alt_text || block.alt;
-  } else {
-    imageBlock.alt_text = 'Image';
-  }
-  
-  // Add title if provided
-  if (block.title) {
-    if (typeof block.title === 'string') {
-      imageBlock.title = {
-        type: 'plain_text',
-        text: block.title,
-        emoji: true
-      };
-    } else if (typeof block.title === 'object') {
-      imageBlock.title = block.title;
-    }
-  }
-  
-  return imageBlock;
-}
-
 // Export utility functions
 module.exports = {
   formatSlackMessage,
@@ -917,10 +574,7 @@ module.exports = {
   createDivider,
   createContext,
   createRichHeader,
-  convertSimpleBlocks,
-  createSectionBlock,
-  createContextBlock,
-  createActionsBlock,
-  createHeaderBlock,
-  createImageBlock
+  createSelectElement,
+  createDatepickerElement,
+  createOverflowElement
 }; 
\ No newline at end of file
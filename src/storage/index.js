@@ -0,0 +1,58 @@
+/**
+ * State store registry
+ *
+ * Picks the backend configured by STATE_STORE. All stores save and load
+ * whole-thread snapshots (see schema.js) through the same async API:
+ * `loadThread(id)`, `saveThread(id, snapshot)`, `deleteThread(id)`,
+ * `listThreads()` and `close()`. `persistent` tells callers whether
+ * snapshots survive a restart.
+ */
+
+const { STATE_STORE, STATE_STORE_PATH } = require('../config.js');
+const logger = require('../toolUtils/logger.js');
+const MemoryStore = require('./memoryStore.js');
+const JsonFileStore = require('./jsonFileStore.js');
+const SqliteStore = require('./sqliteStore.js');
+const { SCHEMA_VERSION, migrateSnapshot } = require('./schema.js');
+
+const storeClasses = {
+  memory: MemoryStore,
+  json: JsonFileStore,
+  sqlite: SqliteStore
+};
+
+let instance = null;
+
+/**
+ * Get the configured state store (created once)
+ * @returns {Object} - Store instance
+ */
+function getStore() {
+  if (!instance) {
+    const StoreClass = storeClasses[STATE_STORE];
+    if (!StoreClass) {
+      throw new Error(`Unknown STATE_STORE "${STATE_STORE}". Available: ${Object.keys(storeClasses).join(', ')}`);
+    }
+    logger.info(`Initializing state store: ${STATE_STORE}`);
+    instance = new StoreClass({ path: STATE_STORE_PATH || undefined });
+  }
+  return instance;
+}
+
+/**
+ * Replace the active store (e.g. a custom backend, or a throwaway store in scripts)
+ * @param {Object} store - Object implementing the store API
+ */
+function setStore(store) {
+  instance = store;
+}
+
+module.exports = {
+  getStore,
+  setStore,
+  MemoryStore,
+  JsonFileStore,
+  SqliteStore,
+  SCHEMA_VERSION,
+  migrateSnapshot
+};
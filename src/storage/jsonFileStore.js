@@ -0,0 +1,110 @@
+/**
+ * JSON file state store
+ *
+ * Keeps every thread snapshot in one JSON file:
+ *   { "schemaVersion": 1, "threads": { "<threadId>": snapshot } }
+ * Writes go to a temp file that is renamed over the original, so a crash
+ * mid-write never leaves a truncated file behind. Good for a single bot
+ * instance with modest traffic; use the sqlite store for anything larger.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../toolUtils/logger.js');
+const { SCHEMA_VERSION, assertSupportedVersion } = require('./schema.js');
+
+class JsonFileStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.path] - File path (default data/state.json)
+   */
+  constructor(options = {}) {
+    this.name = 'json';
+    this.persistent = true;
+    this.filePath = path.resolve(options.path || path.join('data', 'state.json'));
+    this.data = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Reads the file on first use
+   * @returns {Object} - { schemaVersion, threads }
+   */
+  load() {
+    if (this.data) return this.data;
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      assertSupportedVersion(data.schemaVersion, this.filePath);
+      this.data = { schemaVersion: data.schemaVersion || SCHEMA_VERSION, threads: data.threads || {} };
+      logger.info(`💾 Loaded state file ${this.filePath} (${Object.keys(this.data.threads).length} threads)`);
+    } else {
+      this.data = { schemaVersion: SCHEMA_VERSION, threads: {} };
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Writes the whole file; writes are serialized so they never interleave.
+   * A failed write only fails its own caller - the next one starts fresh.
+   * @returns {Promise<void>}
+   */
+  persist() {
+    const write = this.writeChain.then(async () => {
+      const data = this.load();
+      data.schemaVersion = SCHEMA_VERSION;
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(data));
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Load a thread snapshot
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object|null>} - Snapshot or null if never saved
+   */
+  async loadThread(threadId) {
+    const snapshot = this.load().threads[threadId];
+    return snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+  }
+
+  /**
+   * Save a thread snapshot (replaces any previous one)
+   * @param {string} threadId - Thread ID
+   * @param {Object} snapshot - Serializable snapshot
+   */
+  async saveThread(threadId, snapshot) {
+    this.load().threads[threadId] = JSON.parse(JSON.stringify(snapshot));
+    await this.persist();
+  }
+
+  /**
+   * Delete a thread snapshot
+   * @param {string} threadId - Thread ID
+   */
+  async deleteThread(threadId) {
+    delete this.load().threads[threadId];
+    await this.persist();
+  }
+
+  /**
+   * List saved thread IDs
+   * @returns {Promise<Array<string>>}
+   */
+  async listThreads() {
+    return Object.keys(this.load().threads);
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,51 @@
+/**
+ * In-memory state store - the default. Nothing survives a restart, so
+ * ContextBuilder skips snapshotting entirely when this store is active.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.threads = new Map();
+  }
+
+  /**
+   * Load a thread snapshot
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object|null>} - Snapshot or null if never saved
+   */
+  async loadThread(threadId) {
+    const data = this.threads.get(threadId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Save a thread snapshot (replaces any previous one)
+   * @param {string} threadId - Thread ID
+   * @param {Object} snapshot - Serializable snapshot
+   */
+  async saveThread(threadId, snapshot) {
+    this.threads.set(threadId, JSON.stringify(snapshot));
+  }
+
+  /**
+   * Delete a thread snapshot
+   * @param {string} threadId - Thread ID
+   */
+  async deleteThread(threadId) {
+    this.threads.delete(threadId);
+  }
+
+  /**
+   * List saved thread IDs
+   * @returns {Promise<Array<string>>}
+   */
+  async listThreads() {
+    return Array.from(this.threads.keys());
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
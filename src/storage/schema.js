@@ -0,0 +1,66 @@
+/**
+ * Thread snapshot schema versioning
+ *
+ * Every stored thread snapshot carries the schemaVersion it was written with.
+ * Snapshots are migrated one version at a time when they are loaded, so an
+ * upgrade never has to rewrite the whole store up front.
+ *
+ * Snapshot (version 1):
+ * {
+ *   schemaVersion: 1,
+ *   threadId: "1712345678.000100",
+ *   savedAt: ISO timestamp,
+ *   messages: [Message],                     // ContextBuilder messages, oldest first
+ *   metadata: { key: value },                // thread metadata (context, voteRegistry, rollingSummary...)
+ *   buttonStates: { actionId: { state, metadata } },
+ *   toolExecutions: [execution],             // errors stored as { name, message, code }
+ *   sequence: number                         // next timeline sequence number
+ * }
+ */
+
+const SCHEMA_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version n snapshot to version n + 1
+const MIGRATIONS = {};
+
+/**
+ * Upgrades a stored snapshot to the current schema
+ * @param {Object} snapshot - Snapshot as read from the store
+ * @returns {Object} - Snapshot at SCHEMA_VERSION
+ */
+function migrateSnapshot(snapshot) {
+  let version = snapshot.schemaVersion || 1;
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Thread ${snapshot.threadId} was saved with schema v${version}, this build only reads up to v${SCHEMA_VERSION}`);
+  }
+
+  let migrated = snapshot;
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from schema v${version} to v${version + 1}`);
+    }
+    migrated = { ...migrate(migrated), schemaVersion: version + 1 };
+    version++;
+  }
+
+  return migrated;
+}
+
+/**
+ * Refuses to open a store written by a newer build
+ * @param {number|null} storedVersion - Version recorded in the store
+ * @param {string} location - Store description for the error
+ */
+function assertSupportedVersion(storedVersion, location) {
+  if (storedVersion && storedVersion > SCHEMA_VERSION) {
+    throw new Error(`State store ${location} uses schema v${storedVersion}, this build only reads up to v${SCHEMA_VERSION}`);
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  migrateSnapshot,
+  assertSupportedVersion
+};
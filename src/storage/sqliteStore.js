@@ -0,0 +1,130 @@
+/**
+ * SQLite state store (better-sqlite3, an optional dependency)
+ *
+ * One row per thread, so saving a thread never rewrites the others.
+ * The store's schema version lives in the meta table; each row also keeps
+ * the version its snapshot was written with for lazy migration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../toolUtils/logger.js');
+const { SCHEMA_VERSION, assertSupportedVersion } = require('./schema.js');
+
+class SqliteStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.path] - Database file (default data/state.db)
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.persistent = true;
+    this.filePath = options.path === ':memory:'
+      ? ':memory:'
+      : path.resolve(options.path || path.join('data', 'state.db'));
+    this.db = null;
+  }
+
+  /**
+   * Opens the database and creates tables on first use
+   * @returns {Object} - better-sqlite3 Database
+   */
+  open() {
+    if (this.db) return this.db;
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(`STATE_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+
+    if (this.filePath !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    const db = new Database(this.filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS threads (
+        thread_id TEXT PRIMARY KEY,
+        schema_version INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get('schemaVersion');
+    assertSupportedVersion(row ? parseInt(row.value, 10) : null, this.filePath);
+    db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run('schemaVersion', String(SCHEMA_VERSION));
+
+    this.statements = {
+      load: db.prepare('SELECT data FROM threads WHERE thread_id = ?'),
+      save: db.prepare(`
+        INSERT INTO threads (thread_id, schema_version, data, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(thread_id) DO UPDATE SET
+          schema_version = excluded.schema_version,
+          data = excluded.data,
+          updated_at = excluded.updated_at
+      `),
+      delete: db.prepare('DELETE FROM threads WHERE thread_id = ?'),
+      list: db.prepare('SELECT thread_id FROM threads ORDER BY updated_at')
+    };
+
+    logger.info(`💾 Opened state database ${this.filePath}`);
+    this.db = db;
+    return db;
+  }
+
+  /**
+   * Load a thread snapshot
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object|null>} - Snapshot or null if never saved
+   */
+  async loadThread(threadId) {
+    this.open();
+    const row = this.statements.load.get(threadId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Save a thread snapshot (replaces any previous one)
+   * @param {string} threadId - Thread ID
+   * @param {Object} snapshot - Serializable snapshot
+   */
+  async saveThread(threadId, snapshot) {
+    this.open();
+    this.statements.save.run(threadId, snapshot.schemaVersion || SCHEMA_VERSION, JSON.stringify(snapshot), new Date().toISOString());
+  }
+
+  /**
+   * Delete a thread snapshot
+   * @param {string} threadId - Thread ID
+   */
+  async deleteThread(threadId) {
+    this.open();
+    this.statements.delete.run(threadId);
+  }
+
+  /**
+   * List saved thread IDs, least recently updated first
+   * @returns {Promise<Array<string>>}
+   */
+  async listThreads() {
+    this.open();
+    return this.statements.list.all().map(row => row.thread_id);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteStore;
@@ -8,6 +8,10 @@ const logger = require('./toolUtils/logger.js');
 const config = require('./config.js');
 const slack = new WebClient(config.SLACK_BOT_TOKEN);
 const ayaPrompts = require('./prompts/aya.js');
+const { getContextBuilder } = require('./contextBuilder.js');
+const { loadUsergroupNames, describeUsergroupMentions } = require('./directory.js');
+const { describeMessageFiles } = require('./sharedFiles.js');
+const { collectMessageImages, attachImages } = require('./images.js');
 
 class ThreadContextBuilder {
   constructor() {
@@ -20,6 +24,7 @@ class ThreadContextBuilder {
    * @param {string} threadTs - Thread timestamp
    * @param {string} channelId - Channel ID
    * @param {Object} options - Options for context building
+   * @param {string} [options.threadId] - Thread ID the tool executions are recorded under (defaults to threadTs)
    * @returns {Promise<Array>} - Array of context objects
    */
   async buildContext(threadTs, channelId, options = {}) {
@@ -27,6 +32,7 @@ class ThreadContextBuilder {
     
     // Get thread info and messages
     const threadInfo = await this._getThreadInfo(threadTs, channelId);
+    await loadUsergroupNames(threadInfo.messages.map(message => message.text));
     
     // Extract the most recent user ID to use in system prompt
     let currentUserId = null;
@@ -46,12 +52,52 @@ class ThreadContextBuilder {
     // Add thread info context message
     context.push(this._createThreadInfoMessage(threadInfo));
     
+    // Tool executions become native tool_calls/tool pairs. A postMessage call
+    // replaces the Slack message it produced; everything else is slotted in by time.
+    const toolCallGroups = getContextBuilder().getToolCallMessages(options.threadId || threadTs);
+    const messageTimestamps = new Set(threadInfo.messages.map(message => message.ts));
+    const groupsBySlackTs = new Map();
+    const pendingGroups = [];
+    // The other messages of a split reply are already covered by its tool call
+    const partTimestamps = new Set(toolCallGroups.flatMap(group => group.partTs));
+    
+    for (const group of toolCallGroups) {
+      if (group.slackTs && messageTimestamps.has(group.slackTs)) {
+        groupsBySlackTs.set(group.slackTs, group);
+      } else {
+        pendingGroups.push(group);
+      }
+    }
+    
+    // User messages with images, for vision-capable models
+    const imageEntries = [];
+    
     // Add messages from the thread in chronological order
     let index = context.length;
     let currentTurn = 0;
     let lastRole = null;
     
+    const pushToolCallGroup = (group) => {
+      for (const entry of group.messages) {
+        context.push({
+          index,
+          turn: currentTurn,
+          timestamp: group.timestamp,
+          ...entry
+        });
+        index++;
+      }
+      lastRole = 'assistant';
+    };
+    
     for (const message of threadInfo.messages) {
+      const messageTime = message.ts ? message.ts * 1000 : Date.now();
+      
+      // Tool calls that happened before this message
+      while (pendingGroups.length > 0 && Date.parse(pendingGroups[0].timestamp) <= messageTime) {
+        pushToolCallGroup(pendingGroups.shift());
+      }
+      
       // Determine the role
       const role = this._determineMessageRole(message);
       
@@ -60,8 +106,19 @@ class ThreadContextBuilder {
         currentTurn++;
       }
       
+      if (role === 'assistant' && groupsBySlackTs.has(message.ts)) {
+        pushToolCallGroup(groupsBySlackTs.get(message.ts));
+        continue;
+      }
+      if (role === 'assistant' && partTimestamps.has(message.ts)) {
+        continue;
+      }
+      
       // Format the message content based on role
       const content = this._formatMessageContent(message, role);
+      if (role === 'user' && collectMessageImages(message).length > 0) {
+        imageEntries.push({ content, message });
+      }
       
       // Add the message to context
       context.push({
@@ -76,12 +133,13 @@ class ThreadContextBuilder {
       lastRole = role;
     }
     
+    // Tool calls newer than the (possibly cached) Slack history
+    pendingGroups.forEach(pushToolCallGroup);
+    
+    await attachImages(imageEntries);
+    
     // Record the presence of tool executions for debugging
-    const hasToolExecutions = context.some(msg => 
-      msg.role === 'assistant' && 
-      typeof msg.content === 'object' && 
-      msg.content.toolCall
-    );
+    const hasToolExecutions = context.some(msg => msg.role === 'tool');
     
     logger.info(`Built context with ${context.length} items (${hasToolExecutions ? 'includes' : 'no'} tool executions)`);
     
@@ -173,7 +231,8 @@ class ThreadContextBuilder {
     } else if (role === 'user') {
       return {
         userid: `<@${message.user}>`,
-        text: message.text || ''
+        text: describeUsergroupMentions(message.text || ''),
+        files: describeMessageFiles(message)
       };
     } else if (role === 'assistant') {
       // Check if we can identify a tool call
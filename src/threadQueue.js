@@ -0,0 +1,234 @@
+/**
+ * ThreadQueue - one request at a time per thread
+ *
+ * Everything that drives the LLM loop for a thread (user messages, button
+ * clicks) runs through this queue, so two loops never race on the same
+ * thread's ContextBuilder state. User messages are coalesced:
+ * - while a message request is running, new messages join it and the
+ *   orchestrator picks them up before its next LLM call (takeIncoming)
+ * - while a message request is waiting in line, new messages join that one
+ * Messages that arrive after the running request's last LLM call are moved
+ * into a follow-up request so they are never dropped.
+ */
+
+const logger = require('./toolUtils/logger.js');
+
+class ThreadQueue {
+  constructor() {
+    // threadId -> { active: Task|null, tasks: Task[] }
+    this.threads = new Map();
+  }
+
+  /**
+   * Get or create the queue state for a thread
+   * @param {string} threadId - Thread ID
+   * @returns {Object} - Queue state
+   * @private
+   */
+  _getState(threadId) {
+    if (!this.threads.has(threadId)) {
+      this.threads.set(threadId, { active: null, tasks: [] });
+    }
+    return this.threads.get(threadId);
+  }
+
+  /**
+   * Logs the queue state for a thread
+   * @param {string} threadId - Thread ID
+   * @param {string} event - What just happened
+   * @private
+   */
+  _log(threadId, event) {
+    const state = this.threads.get(threadId);
+    const running = state?.active ? state.active.kind : 'idle';
+    const waiting = state ? state.tasks.length : 0;
+    logger.info(`🧵 Queue ${threadId}: ${event} (running: ${running}, waiting: ${waiting})`);
+  }
+
+  /**
+   * Creates a task record
+   * @param {string} kind - Task kind for logs ('message', 'button', ...)
+   * @param {Function} fn - Task body
+   * @returns {Object} - Task
+   * @private
+   */
+  _createTask(kind, fn) {
+    return {
+      kind,
+      fn,
+      waiters: [],      // { resolve, reject, primary }
+      items: [],        // { message, waiter } handed to fn when the task starts
+      incoming: [],     // { message, waiter } that arrived while it was running
+      acceptsMessages: false,
+      enqueuedAt: Date.now()
+    };
+  }
+
+  /**
+   * Runs a task exclusively for a thread, after everything already queued
+   * @param {string} threadId - Thread ID
+   * @param {string} kind - Task kind for logs
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} - Result of fn
+   */
+  run(threadId, kind, fn) {
+    const state = this._getState(threadId);
+    const task = this._createTask(kind, () => fn());
+
+    const done = new Promise((resolve, reject) => {
+      task.waiters.push({ resolve, reject, primary: true });
+    });
+
+    state.tasks.push(task);
+    this._log(threadId, `${kind} queued`);
+    this._drain(threadId);
+    return done;
+  }
+
+  /**
+   * Submits a user message. It joins the running message request if there is
+   * one, otherwise a queued message request, otherwise it starts a new one.
+   * @param {string} threadId - Thread ID
+   * @param {Object} message - Message context from slackEvents
+   * @param {Function} fn - async (messages) => result, called with every message the request starts with
+   * @returns {Promise<Object>} - { ok, coalesced, error? } once the request that handled the message finishes.
+   *   Only the message that started a request rejects on failure; the others resolve with ok: false.
+   */
+  submitMessage(threadId, message, fn) {
+    const state = this._getState(threadId);
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, primary: false, arrivedAt: Date.now() };
+
+      const active = state.active;
+      if (active && active.acceptsMessages) {
+        active.incoming.push({ message, waiter });
+        active.waiters.push(waiter);
+        this._log(threadId, `message coalesced into running request (${active.incoming.length} new)`);
+        return;
+      }
+
+      const queued = state.tasks.find(task => task.kind === 'message');
+      if (queued) {
+        queued.items.push({ message, waiter });
+        queued.waiters.push(waiter);
+        this._log(threadId, `message merged into queued request (${queued.items.length} messages)`);
+        return;
+      }
+
+      const task = this._createTask('message', fn);
+      waiter.primary = true;
+      task.items.push({ message, waiter });
+      task.acceptsMessages = true;
+      task.waiters.push(waiter);
+      state.tasks.push(task);
+      this._log(threadId, 'message queued');
+      this._drain(threadId);
+    });
+  }
+
+  /**
+   * Hands over messages that joined the running request since the last call.
+   * The orchestrator calls this before each LLM call.
+   * @param {string} threadId - Thread ID
+   * @returns {Array<Object>} - Message contexts, oldest first
+   */
+  takeIncoming(threadId) {
+    const active = this.threads.get(threadId)?.active;
+    if (!active || active.incoming.length === 0) return [];
+
+    const messages = active.incoming.map(entry => entry.message);
+    active.incoming = [];
+    this._log(threadId, `${messages.length} coalesced messages handed to the running request`);
+    return messages;
+  }
+
+  /**
+   * Whether a request is running for the thread
+   * @param {string} threadId - Thread ID
+   * @returns {boolean}
+   */
+  isBusy(threadId) {
+    return !!this.threads.get(threadId)?.active;
+  }
+
+  /**
+   * Starts the next task if the thread is idle
+   * @param {string} threadId - Thread ID
+   * @private
+   */
+  async _drain(threadId) {
+    const state = this.threads.get(threadId);
+    if (!state || state.active) return;
+
+    const task = state.tasks.shift();
+    if (!task) {
+      this.threads.delete(threadId);
+      return;
+    }
+
+    state.active = task;
+    const waitedMs = Date.now() - task.enqueuedAt;
+    const startedAt = Date.now();
+    this._log(threadId, `${task.kind} started after waiting ${waitedMs}ms`);
+
+    let outcome;
+    try {
+      const result = await (task.kind === 'message' ? task.fn(task.items.map(entry => entry.message)) : task.fn());
+      outcome = { ok: true, result };
+    } catch (error) {
+      outcome = { ok: false, error };
+    }
+
+    task.acceptsMessages = false;
+
+    // Messages the request never read get their own follow-up request
+    if (task.incoming.length > 0) {
+      const followUp = this._createTask('message', task.fn);
+      followUp.items = task.incoming;
+      followUp.waiters = task.incoming.map(entry => entry.waiter);
+      followUp.waiters[0].primary = true;
+      followUp.acceptsMessages = true;
+      followUp.enqueuedAt = followUp.waiters[0].arrivedAt;
+      task.waiters = task.waiters.filter(waiter => !followUp.waiters.includes(waiter));
+
+      // Keep arrival order: anything queued before the first late message goes first
+      const position = state.tasks.findIndex(queued => queued.enqueuedAt > followUp.enqueuedAt);
+      state.tasks.splice(position === -1 ? state.tasks.length : position, 0, followUp);
+      this._log(threadId, `${task.incoming.length} late messages moved to a follow-up request`);
+    }
+
+    for (const waiter of task.waiters) {
+      if (outcome.ok) {
+        waiter.resolve(task.kind === 'message' ? { ok: true, coalesced: !waiter.primary } : outcome.result);
+      } else if (waiter.primary) {
+        waiter.reject(outcome.error);
+      } else {
+        waiter.resolve({ ok: false, coalesced: true, error: outcome.error });
+      }
+    }
+
+    state.active = null;
+    this._log(threadId, `${task.kind} finished in ${Date.now() - startedAt}ms${outcome.ok ? '' : ` with error: ${outcome.error?.message}`}`);
+    this._drain(threadId);
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get the singleton instance of ThreadQueue
+ * @returns {ThreadQueue} - Singleton instance
+ */
+function getThreadQueue() {
+  if (!instance) {
+    instance = new ThreadQueue();
+  }
+  return instance;
+}
+
+module.exports = {
+  ThreadQueue,
+  getThreadQueue
+};
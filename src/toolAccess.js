@@ -0,0 +1,176 @@
+/**
+ * Tool access control
+ *
+ * A tool definition can declare who may trigger it with an `access` rule:
+ *
+ *   access: {
+ *     users: ['U0123'],          // only these users...
+ *     usergroups: ['S0123'],     // ...or members of these user groups
+ *     channels: ['C0123'],       // only in these channels
+ *     dmOnly: true,              // only in direct messages
+ *     check: (args, requester, threadState) => true | 'reason'   // per-call rule
+ *   }
+ *
+ * Every listed condition must hold. Deployments can add or override rules
+ * with TOOL_ACCESS (see tools/index.js). Tools the requester can't use are
+ * left out of the LLM request and the model is told why; executeTool checks
+ * again (including `check`, which needs the call's arguments) before running.
+ */
+
+const { getContextBuilder } = require('./contextBuilder.js');
+const { getUsergroupMembers } = require('./directory.js');
+const logger = require('./toolUtils/logger.js');
+
+/**
+ * Who is behind the current request of a thread
+ * @param {string} threadId - Thread ID
+ * @returns {Object} - { userId, channelId, isDirectMessage }
+ */
+function getRequester(threadId) {
+  const context = getContextBuilder().getMetadata(threadId, 'context') || {};
+  const channelId = context.channelId || null;
+  return {
+    userId: context.userId || null,
+    channelId,
+    // Button clicks don't carry the channel type; DM channel IDs start with D
+    isDirectMessage: context.isDirectMessage ?? (!!channelId && channelId.startsWith('D'))
+  };
+}
+
+/**
+ * Checks the static part of a rule (users, user groups, channels, DMs)
+ * @param {Object} access - Access rule (may be undefined)
+ * @param {Object} requester - From getRequester
+ * @returns {Promise<string|null>} - Why access is denied, or null when allowed
+ */
+async function evaluateAccess(access, requester) {
+  if (!access) return null;
+
+  const users = access.users || [];
+  const usergroups = access.usergroups || [];
+  if (users.length > 0 || usergroups.length > 0) {
+    let allowed = !!requester.userId && users.includes(requester.userId);
+
+    for (const groupId of usergroups) {
+      if (allowed || !requester.userId) break;
+      allowed = (await getUsergroupMembers(groupId)).has(requester.userId);
+    }
+
+    if (!allowed) {
+      const who = [
+        ...users.map(userId => `<@${userId}>`),
+        ...usergroups.map(groupId => `<!subteam^${groupId}>`)
+      ];
+      return `restricted to ${who.join(', ')}`;
+    }
+  }
+
+  if (access.channels && access.channels.length > 0 && !access.channels.includes(requester.channelId)) {
+    return `only available in ${access.channels.map(channelId => `<#${channelId}>`).join(', ')}`;
+  }
+
+  if (access.dmOnly && !requester.isDirectMessage) {
+    return 'only available in direct messages';
+  }
+
+  return null;
+}
+
+/**
+ * Splits tools into the ones a requester may use and the ones they may not
+ * @param {Array<Object>} tools - Registry entries (getToolsForLLM)
+ * @param {Object} requester - From getRequester
+ * @returns {Promise<Object>} - { tools, denied: [{ name, reason }] }
+ */
+async function filterToolsForRequester(tools, requester) {
+  const allowed = [];
+  const denied = [];
+
+  for (const tool of tools) {
+    const reason = await evaluateAccess(tool.access, requester);
+    if (reason) {
+      denied.push({ name: tool.function.name, reason });
+    } else {
+      allowed.push(tool);
+    }
+  }
+
+  if (denied.length > 0) {
+    logger.info(`🔒 Tools hidden from ${requester.userId || 'unknown user'} in ${requester.channelId || 'unknown channel'}: ${denied.map(entry => `${entry.name} (${entry.reason})`).join(', ')}`);
+  }
+
+  return { tools: allowed, denied };
+}
+
+/**
+ * System note telling the model which tools it can't use for this request
+ * @param {Array<Object>} denied - From filterToolsForRequester
+ * @returns {string|null} - Note, or null when nothing was hidden
+ */
+function describeDeniedTools(denied) {
+  if (!denied || denied.length === 0) return null;
+
+  const lines = denied.map(entry => `- ${entry.name}: ${entry.reason}`);
+  return `These tools are not available to the user in this request:\n${lines.join('\n')}\nDon't try to call them. If the user asks for something that needs one, explain that they don't have access here.`;
+}
+
+/**
+ * Full check for one call, right before it runs
+ * @param {Object} tool - Registry entry
+ * @param {Object} args - Validated call arguments
+ * @param {Object} requester - From getRequester
+ * @param {Object} threadState - Thread context handed to tools
+ * @returns {Promise<string|null>} - Why the call is denied, or null when allowed
+ */
+async function checkToolCall(tool, args, requester, threadState) {
+  const reason = await evaluateAccess(tool.access, requester);
+  if (reason) return reason;
+
+  if (tool.access && typeof tool.access.check === 'function') {
+    const result = await tool.access.check(args, requester, threadState);
+    if (result !== true) {
+      return typeof result === 'string' ? result : 'not allowed for this call';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remembers which user a bot message was posted for
+ * @param {Object} threadState - Thread context handed to tools
+ * @param {string} ts - Timestamp of the posted message
+ */
+function recordMessageOwner(threadState, ts) {
+  const userId = threadState.getMetadata('context')?.userId;
+  if (!ts || !userId) return;
+
+  const owners = threadState.getMetadata('messageOwners') || {};
+  if (!owners[ts]) {
+    threadState.setMetadata('messageOwners', { ...owners, [ts]: userId });
+  }
+}
+
+/**
+ * `check` rule: a message may only be changed on behalf of the user it was posted for.
+ * Messages posted before ownership was tracked have no owner and stay editable.
+ * @param {Object} args - Call arguments with messageTs
+ * @param {Object} requester - From getRequester
+ * @param {Object} threadState - Thread context handed to tools
+ * @returns {true|string} - true, or why the call is denied
+ */
+function onlyOwnMessages(args, requester, threadState) {
+  const owner = (threadState.getMetadata('messageOwners') || {})[args.messageTs];
+  if (!owner || owner === requester.userId) return true;
+  return `message ${args.messageTs} was posted for <@${owner}>; only they can have it changed`;
+}
+
+module.exports = {
+  getRequester,
+  evaluateAccess,
+  filterToolsForRequester,
+  describeDeniedTools,
+  checkToolCall,
+  recordMessageOwner,
+  onlyOwnMessages
+};
@@ -3,6 +3,8 @@
  * 
  * A simpler, more maintainable approach to building Slack Block Kit messages
  * using a consistent syntax designed for easier LLM integration.
+ * Message text is split into blocks by messageRenderer.js; this module
+ * holds what each block accepts and how it is turned into Block Kit JSON.
  */
 
 const { getSlackClient } = require('../slackClient.js');
@@ -88,27 +90,32 @@ const blockDefinitions = {
   section: {
     params: ['text'],
     attachmentWrapped: true,
-    description: 'Standard text section'
+    description: 'Standard text section',
+    syntax: '#section: Your regular text content'
   },
   image: {
     params: ['url', 'altText'],
     attachmentWrapped: false,
-    description: 'Standalone image'
+    description: 'Standalone image',
+    syntax: '#image: https://example.com/picture.png|Alt text'
   },
   context: {
     params: ['text'],
     attachmentWrapped: true,
-    description: 'Smaller helper text'
+    description: 'Smaller helper text',
+    syntax: '#context: Small print, sources or hints'
   },
   divider: {
     params: [],
     attachmentWrapped: true,
-    description: 'Horizontal line separator'
+    description: 'Horizontal line separator',
+    syntax: '#divider:'
   },
   header: {
     params: ['text'],
     attachmentWrapped: true,
-    description: 'Larger header text'
+    description: 'Larger header text (one line, no formatting)',
+    syntax: '#header: Your header text'
   },
   
   // Compound blocks
@@ -135,12 +142,69 @@ const blockDefinitions = {
   buttons: {
     params: ['buttons'],
     attachmentWrapped: true,
-    description: 'Interactive button set'
+    description: 'Interactive button set',
+    syntax: '#buttons: [First Option|value1|primary, Second Option|value2]'
+  },
+  select: {
+    params: ['placeholder', 'options'],
+    attachmentWrapped: true,
+    description: 'Dropdown menu to pick one option from a longer list (up to 100)',
+    syntax: '#select: Choose a dish [Feijoada|feijoada, Quinoa Salad|quinoa, Pão de Queijo|pao]'
+  },
+  datepicker: {
+    params: ['placeholder', 'initialDate'],
+    attachmentWrapped: true,
+    description: 'Date picker, optionally starting at a YYYY-MM-DD date',
+    syntax: '#datepicker: Pick a day|2026-11-02'
+  },
+  overflow: {
+    params: ['options'],
+    attachmentWrapped: true,
+    description: 'Compact "⋯" menu with 2-5 secondary actions',
+    syntax: '#overflow: [Edit|edit, Share|share, Delete|delete]'
   },
   fields: {
     params: ['fields'],
     attachmentWrapped: true,
-    description: 'Multi-column field layout'
+    description: 'Multi-column field layout for information side by side',
+    syntax: '#fields: [*Price*|$10.50, *Time*|30 minutes]'
+  },
+  
+  // Text layout blocks - these keep the indentation of their lines
+  table: {
+    params: ['rows'],
+    attachmentWrapped: true,
+    keepIndentation: true,
+    description: 'Table, one row per line with cells separated by |; the first row is the header. Shown as aligned columns, or as one card per row when it is too wide or has mentions and links',
+    syntax: '#table:\nName | Team | Since\nAna | Design | 2021\nBruno | Ops | 2023'
+  },
+  code: {
+    params: ['code'],
+    attachmentWrapped: true,
+    keepIndentation: true,
+    description: 'Code or preformatted text; an optional first line names the language',
+    syntax: '#code: python\ndef greet(name):\n    return f"Hi {name}"'
+  },
+  quote: {
+    params: ['text'],
+    attachmentWrapped: true,
+    keepIndentation: true,
+    description: 'Quoted text, can span several lines',
+    syntax: '#quote: Quoted text\nthat spans lines'
+  },
+  bullets: {
+    params: ['items'],
+    attachmentWrapped: true,
+    keepIndentation: true,
+    description: 'Bulleted list, one item per line; indent a line to nest it',
+    syntax: '#bullets:\nFirst item\n  Nested item\nSecond item'
+  },
+  numbered: {
+    params: ['items'],
+    attachmentWrapped: true,
+    keepIndentation: true,
+    description: 'Numbered list, one item per line; indent a line to nest it',
+    syntax: '#numbered:\nFirst step\nSecond step'
   }
 };
 
@@ -167,9 +231,309 @@ const paramValidators = {
   fields: (value) => Array.isArray(value) && value.every(field => 
     typeof field === 'string' || 
     (field.title && field.value && typeof field.title === 'string' && typeof field.value === 'string')
-  )
+  ),
+  placeholder: (value) => typeof value === 'string',
+  options: (value) => Array.isArray(value) && value.length > 0 && value.every(option =>
+    typeof option.text === 'string' && typeof option.value === 'string'
+  ),
+  initialDate: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+  rows: (value) => Array.isArray(value) && value.every(row => Array.isArray(row) && row.every(cell => typeof cell === 'string')),
+  code: (value) => typeof value === 'string',
+  items: (value) => Array.isArray(value) && value.every(item => typeof item.text === 'string' && Number.isInteger(item.level))
 };
 
+// Longest text Slack accepts in one section block
+const MAX_SECTION_CHARS = 3000;
+// Code blocks wider than this wrap in the Slack client, so table columns are shrunk to fit
+const MAX_TABLE_WIDTH = 72;
+const MIN_COLUMN_WIDTH = 6;
+const MAX_FIELDS_PER_SECTION = 10;
+const MAX_FIELD_CHARS = 2000;
+const BULLET_MARKERS = ['•', '◦', '▪'];
+const LIST_INDENT = '    ';
+
+/**
+ * Section blocks holding the given lines, split at line ends so that no
+ * section goes over MAX_SECTION_CHARS
+ * @param {Array<string>} lines - Text lines
+ * @param {boolean} [fenced] - Wrap each section in a ``` code block
+ * @param {number} [reserved] - Characters to leave free in each section for text the caller adds
+ * @returns {Array<Object>} - Section blocks
+ */
+function textSections(lines, fenced = false, reserved = 0) {
+  const room = MAX_SECTION_CHARS - (fenced ? 8 : 0) - reserved;
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  for (const line of lines) {
+    // A line longer than a whole section is cut into pieces
+    for (let start = 0; start === 0 || start < line.length; start += room) {
+      const piece = line.slice(start, start + room);
+      if (current.length > 0 && length + piece.length + 1 > room) {
+        chunks.push(current.join('\n'));
+        current = [];
+        length = 0;
+      }
+      current.push(piece);
+      length += piece.length + 1;
+    }
+  }
+  if (current.length > 0) chunks.push(current.join('\n'));
+
+  return chunks.map(chunk => ({
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: fenced ? `\`\`\`\n${chunk}\n\`\`\`` : chunk
+    }
+  }));
+}
+
+/**
+ * Escapes text for a code block, where Slack would otherwise still read <...> and &
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeCodeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    // A ``` inside the code would end the block early
+    .replace(/```/g, '`\u200b`\u200b`');
+}
+
+/**
+ * Columns a string takes up in a monospace font: emoji and CJK characters
+ * take two, combining marks and joiners none
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if ((code >= 0x0300 && code <= 0x036F) || (code >= 0x200B && code <= 0x200F) || (code >= 0xFE00 && code <= 0xFE0F)) {
+      continue;
+    }
+    const wide = (code >= 0x1100 && code <= 0x115F) || (code >= 0x2E80 && code <= 0xA4CF) ||
+      (code >= 0xAC00 && code <= 0xD7A3) || (code >= 0xF900 && code <= 0xFAFF) ||
+      (code >= 0xFE30 && code <= 0xFE4F) || (code >= 0xFF00 && code <= 0xFF60) ||
+      (code >= 0xFFE0 && code <= 0xFFE6) || (code >= 0x1F300 && code <= 0x1FAFF) ||
+      (code >= 0x20000 && code <= 0x3FFFD);
+    width += wide ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * Cuts text to a display width, ending with … when something was cut
+ * @param {string} text - Text
+ * @param {number} width - Columns available
+ * @returns {string}
+ */
+function truncateToWidth(text, width) {
+  if (displayWidth(text) <= width) return text;
+  let result = '';
+  let used = 0;
+  for (const char of text) {
+    const charWidth = displayWidth(char);
+    if (used + charWidth > width - 1) break;
+    result += char;
+    used += charWidth;
+  }
+  return `${result}…`;
+}
+
+/**
+ * Splits a table line into cells. Pipes inside Slack links and mentions
+ * (<https://...|text>, <@U123|name>) and escaped pipes (\|) stay in the cell.
+ * @param {string} line - "a | b | c" or "| a | b | c |"
+ * @returns {Array<string>} - Trimmed cells
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  let inLink = false;
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (char === '<' && /^<(?:[@#!]|https?:|mailto:)/.test(row.slice(i))) {
+      inLink = true;
+      cell += char;
+    } else if (char === '>' && inLink) {
+      inLink = false;
+      cell += char;
+    } else if (char === '|' && !inLink) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Reads indented list lines into items with a nesting level. Levels follow
+ * the distinct indentations used, so 2- and 4-space indents both work.
+ * @param {string} content - One item per line
+ * @returns {Array<Object>} - [{ text, level }]
+ */
+function parseListItems(content) {
+  const lines = content.split('\n').filter(line => line.trim());
+  const indentOf = line => line.match(/^[ \t]*/)[0].replace(/\t/g, '  ').length;
+  const indents = [...new Set(lines.map(indentOf))].sort((a, b) => a - b);
+
+  return lines.map(line => ({
+    // Markers the model may have typed itself ("- ", "* ", "1. ") are dropped
+    text: line.trim().replace(/^(?:[-*•◦▪]|\d+[.)])\s+/, ''),
+    level: Math.min(indents.indexOf(indentOf(line)), BULLET_MARKERS.length - 1)
+  }));
+}
+
+/**
+ * Table cell as plain text for the monospace layout (code blocks show mrkdwn as typed)
+ * @param {string} cell - Cell text
+ * @returns {string}
+ */
+function plainCell(cell) {
+  return cell.replace(/^([*_~`])(.+)\1$/, '$2');
+}
+
+/**
+ * Column widths that make a table fit MAX_TABLE_WIDTH, narrowing the widest
+ * column first. Returns null when even MIN_COLUMN_WIDTH per column is too wide.
+ * @param {Array<Array<string>>} rows - Cells, padded to the same length
+ * @returns {Array<number>|null}
+ */
+function fitColumnWidths(rows) {
+  const widths = rows[0].map((_, column) => Math.max(1, ...rows.map(row => displayWidth(row[column]))));
+  const separators = (widths.length - 1) * 3;
+
+  let total = widths.reduce((sum, width) => sum + width, 0) + separators;
+  while (total > MAX_TABLE_WIDTH) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= MIN_COLUMN_WIDTH) return null;
+    widths[widest]--;
+    total--;
+  }
+  return widths;
+}
+
+/**
+ * Table as aligned monospace columns with a rule under the header
+ * @param {Array<Array<string>>} rows - Cells, padded to the same length
+ * @param {Array<number>} widths - From fitColumnWidths
+ * @returns {Array<Object>} - Section blocks
+ */
+function monospaceTable(rows, widths) {
+  // Columns of numbers are right-aligned
+  const numeric = widths.map((_, column) => rows.length > 1 &&
+    rows.slice(1).every(row => !row[column] || /^[-+]?[\d.,]+%?$/.test(row[column])));
+
+  const formatRow = row => row.map((cell, column) => {
+    const text = truncateToWidth(cell, widths[column]);
+    const padding = ' '.repeat(widths[column] - displayWidth(text));
+    return numeric[column] ? padding + text : text + padding;
+  }).join(' | ').trimEnd();
+
+  const lines = rows.map(formatRow);
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('-+-'));
+  return textSections(lines.map(escapeCodeText), true);
+}
+
+/**
+ * Table as one field per row ("card" layout): the first cell in bold, the
+ * other cells under it with their column header. Two cards sit side by side
+ * on desktop and stack on mobile.
+ * @param {Array<Array<string>>} rows - Cells, padded to the same length
+ * @returns {Array<Object>} - Section blocks with fields
+ */
+function fieldsTable(rows) {
+  const [header, ...body] = rows.length > 1 ? rows : [[], ...rows];
+  const cards = body.map(row => {
+    const lines = [`*${row[0] || ' '}*`];
+    row.slice(1).forEach((cell, index) => {
+      if (!cell) return;
+      const label = header[index + 1];
+      lines.push(label ? `${label}: ${cell}` : cell);
+    });
+    const text = lines.join('\n');
+    return { type: 'mrkdwn', text: text.length > MAX_FIELD_CHARS ? `${text.slice(0, MAX_FIELD_CHARS - 1)}…` : text };
+  });
+
+  const blocks = [];
+  for (let i = 0; i < cards.length; i += MAX_FIELDS_PER_SECTION) {
+    blocks.push({ type: 'section', fields: cards.slice(i, i + MAX_FIELDS_PER_SECTION) });
+  }
+  return blocks;
+}
+
+// Slack's limits for menu options
+const MAX_MENU_OPTIONS = { select: 100, overflow: 5 };
+const MAX_OPTION_TEXT = 75;
+const MAX_OPTION_VALUE = 150;
+
+/**
+ * Reads a "[Label|value, Label|value]" list into menu options. A missing
+ * value is derived from the label; "quoted labels" may contain commas.
+ * @param {string} list - Text between the square brackets
+ * @returns {Array<Object>} - [{ text, value }]
+ */
+function parseMenuOptions(list) {
+  const entries = [];
+  let current = '';
+  let quoted = false;
+
+  for (const char of list) {
+    // Only double quotes group a label with commas; apostrophes are common in labels
+    if (char === '"') {
+      quoted = !quoted;
+    }
+    if (char === ',' && !quoted) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [label, value] = entry.split('|').map(part => part.trim());
+      const text = label.replace(/^"(.*)"$/, '$1');
+      return { text, value: value || text.toLowerCase().replace(/\s+/g, '_') };
+    });
+}
+
+/**
+ * Slack option object for a select or overflow menu
+ * @param {Object} option - { text, value }
+ * @returns {Object}
+ */
+function menuOption(option) {
+  return {
+    text: {
+      type: 'plain_text',
+      text: truncateToWidth(option.text, MAX_OPTION_TEXT),
+      emoji: true
+    },
+    value: option.value.substring(0, MAX_OPTION_VALUE)
+  };
+}
+
 /**
  * Block generators for each block type
  */
@@ -720,6 +1084,47 @@ const blockGenerators = {
     };
   },
   
+  select: (params) => {
+    if (!params.options || params.options.length === 0) {
+      logger.warn(`⚠️ Select menu without options skipped`);
+      return null;
+    }
+    const { createSelectElement } = require('../slackFormat.js');
+    return {
+      type: 'actions',
+      elements: [createSelectElement({
+        placeholder: params.placeholder || 'Choose an option',
+        options: params.options.slice(0, MAX_MENU_OPTIONS.select).map(menuOption)
+      })]
+    };
+  },
+
+  datepicker: (params) => {
+    const { createDatepickerElement } = require('../slackFormat.js');
+    return {
+      type: 'actions',
+      elements: [createDatepickerElement({
+        placeholder: params.placeholder || 'Pick a date',
+        initial_date: params.initialDate
+      })]
+    };
+  },
+
+  overflow: (params) => {
+    // Slack rejects overflow menus with fewer than two options
+    if (!params.options || params.options.length < 2) {
+      logger.warn(`⚠️ Overflow menu needs at least 2 options, skipped`);
+      return null;
+    }
+    const { createOverflowElement } = require('../slackFormat.js');
+    return {
+      type: 'actions',
+      elements: [createOverflowElement({
+        options: params.options.slice(0, MAX_MENU_OPTIONS.overflow).map(menuOption)
+      })]
+    };
+  },
+
   fields: (params) => {
     const fieldObjects = params.fields.map(field => {
       if (typeof field === 'string') {
@@ -739,6 +1144,39 @@ const blockGenerators = {
       type: 'section',
       fields: fieldObjects
     };
+  },
+  
+  table: (params) => {
+    const columns = Math.max(...params.rows.map(row => row.length));
+    const rows = params.rows.map(row => [...row, ...Array(columns - row.length).fill('')]);
+    
+    // Mentions, links and emoji codes only render outside code blocks
+    const hasMarkup = rows.some(row => row.some(cell => /<[@#!]|<https?:|<mailto:|:[a-z0-9_+-]*[a-z][a-z0-9_+-]*:/.test(cell)));
+    const widths = hasMarkup ? null : fitColumnWidths(rows.map(row => row.map(plainCell)));
+    
+    if (widths) {
+      return monospaceTable(rows.map(row => row.map(plainCell)), widths);
+    }
+    debugLog(`📊 Table with ${columns} columns rendered as fields`);
+    return fieldsTable(rows);
+  },
+  
+  code: (params) => textSections(params.code.split('\n').map(escapeCodeText), true),
+  
+  quote: (params) => textSections(params.text.split('\n').map(line => (line.trim() ? `> ${line}` : '>'))),
+  
+  bullets: (params) => textSections(params.items.map(item =>
+    `${LIST_INDENT.repeat(item.level)}${BULLET_MARKERS[item.level]} ${item.text}`
+  )),
+  
+  numbered: (params) => {
+    // Each level counts on its own; a shallower item restarts the deeper counters
+    const counters = [];
+    return textSections(params.items.map(item => {
+      counters.length = item.level + 1;
+      counters[item.level] = (counters[item.level] || 0) + 1;
+      return `${LIST_INDENT.repeat(item.level)}${counters[item.level]}. ${item.text}`;
+    }));
   }
 };
 
@@ -759,6 +1197,32 @@ const blockRegistry = Object.keys(blockDefinitions).reduce((registry, blockType)
   return registry;
 }, {});
 
+/**
+ * The syntax examples of every block that has one, for tool descriptions
+ * @returns {string} - One example per block, in definition order
+ */
+function formatBlockExamples() {
+  return Object.values(blockDefinitions)
+    .filter(definition => definition.syntax)
+    .map(definition => definition.syntax)
+    .join('\n');
+}
+
+/**
+ * Describes the #block syntax for the system prompt, built from the block
+ * definitions that have a syntax example
+ * @returns {string} - Code block with the examples, one line per block and the escapes
+ */
+function formatBlockGuide() {
+  const documented = Object.entries(blockDefinitions).filter(([, definition]) => definition.syntax);
+  const examples = formatBlockExamples();
+  const descriptions = documented.map(([blockType, definition]) => `- \`#${blockType}:\` ${definition.description}`);
+
+  const escapes = 'Write `\\#` for a # that should not start a block and `\\|` for a | that should not separate parameters.';
+
+  return `\`\`\`\n${examples}\n\`\`\`\n\n${descriptions.join('\n')}\n\n${escapes}`;
+}
+
 /**
  * Parse parameters from block content
  * @param {string} blockType - The type of block being parsed
@@ -1181,6 +1645,48 @@ function parseParams(blockType, content) {
     return { ...params, fields: [content] };
   }
   
+  // Menus: "Placeholder [Label|value, ...]" for selects, "[Label|value, ...]" for overflow menus
+  if (blockType === 'select' || blockType === 'overflow') {
+    const menuMatch = content.match(/^([^[]*)\[([\s\S]*)\]\s*$/);
+    if (!menuMatch) {
+      logger.warn(`⚠️ ${blockType} block without an [option, ...] list: "${content}"`);
+      return { ...params, options: [] };
+    }
+    const options = parseMenuOptions(menuMatch[2]);
+    debugLog(`📋 Parsed ${options.length} ${blockType} options`);
+    return { ...params, placeholder: menuMatch[1].replace(/\|\s*$/, '').trim(), options };
+  }
+
+  if (blockType === 'datepicker') {
+    // "Placeholder|YYYY-MM-DD", either part optional
+    const dateMatch = content.match(/^([\s\S]*?)\|?\s*(\d{4}-\d{2}-\d{2})?\s*$/);
+    return { ...params, placeholder: dateMatch[1].trim(), initialDate: dateMatch[2] };
+  }
+
+  // Text layout blocks
+  if (blockType === 'table') {
+    const rows = content.split('\n')
+      .filter(line => line.trim())
+      .map(splitTableRow)
+      // Markdown-style rules under the header ("---|:---:") aren't rows
+      .filter(row => !row.every(cell => /^:?-{2,}:?$/.test(cell)));
+    debugLog(`📊 Parsed table with ${rows.length} rows`);
+    return { ...params, rows };
+  }
+  
+  if (blockType === 'code') {
+    const [firstLine, ...rest] = content.split('\n');
+    // "#code: python" followed by the code on the next lines; the language isn't shown, Slack doesn't highlight
+    if (rest.length > 0 && /^[\w+#.-]*$/.test(firstLine.trim())) {
+      return { ...params, language: firstLine.trim(), code: rest.join('\n') };
+    }
+    return { ...params, code: content };
+  }
+  
+  if (blockType === 'bullets' || blockType === 'numbered') {
+    return { ...params, items: parseListItems(content) };
+  }
+  
   // Default case, just return the content as text parameter plus any common parameters
   return { ...params, text: content };
 }
@@ -1214,460 +1720,15 @@ function cleanForSlackApi(obj) {
   return cleaned;
 }
 
-/**
- * Parses a message with block syntax into a Slack message structure
- * @param {string} message - The message with block syntax
- * @returns {Object|Promise<Object>} - The parsed message structure with blocks and attachments
- */
-async function parseMessage(message) {
-  logger.detail(`🔄 Parsing message with block syntax`);
-  
-  // Check for standalone usercontext syntax (not inside a block)
-  const userContextRegex = /\(usercontext\)(.*?)(?:\|(.*?))?(?:\(!usercontext\))/g;
-  const userContextMatches = Array.from(message.matchAll(userContextRegex));
-  
-  if (userContextMatches.length > 0 && !message.includes('#')) {
-    logger.info(`👥 Found ${userContextMatches.length} standalone usercontext tags in message`);
-    
-    // We'll create one or more context blocks with user avatars
-    const contextBlocks = [];
-    const workspaceId = process.env.SLACK_WORKSPACE_ID || 'T02RAEMPK';
-    
-    // Try to get the Slack client
-    let slack = null;
-    try {
-      slack = getSlackClient();
-      logger.info('✅ Successfully got Slack client for userContext processing');
-    } catch (slackError) {
-      logger.error('Error getting Slack client:', slackError);
-    }
-    
-    // Process each usercontext match
-    for (const match of userContextMatches) {
-      logger.info('🔎 Processing usercontext match:', match[0]);
-      
-      // Extract and process user IDs
-      let userIdsRaw = match[1].trim();
-      
-      // Handle both comma-separated IDs and <@ID> format
-      let userIds = [];
-      
-      // Check if we have <@ID> format mentions
-      if (userIdsRaw.includes('<@')) {
-        const mentionRegex = /<@([A-Z0-9]+)>/g;
-        let idMatch;
-        while ((idMatch = mentionRegex.exec(userIdsRaw)) !== null) {
-          userIds.push(idMatch[1]);
-        }
-      } else {
-        // Process as comma-separated list
-        userIds = userIdsRaw.split(',').map(id => id.trim());
-      }
-      
-      // Note: We no longer deduplicate user IDs to allow multiple mentions of the same user
-      
-      // Extract description
-      const description = match[2] ? match[2].trim() : '';
-      
-      logger.info(`👥 Processing ${userIds.length} user IDs with description: "${description}"`);
-      
-      // Determine if we need mrkdwn or plain_text based on content
-      const needsMrkdwn = description.match(/[*_~`>]|\:[a-z0-9_\-\+]+\:|<@|<#|<http/);
-      const textType = needsMrkdwn ? 'mrkdwn' : 'plain_text';
-      
-      // Set maximum number of avatars to show
-      const MAX_AVATARS = 3;
-      const totalUsers = userIds.length;
-      const hasMoreUsers = totalUsers > MAX_AVATARS;
-      const avatarsToShow = hasMoreUsers ? MAX_AVATARS : totalUsers;
-      
-      // Create a context block
-      const contextBlock = {
-        type: 'context',
-        block_id: `uc_${Date.now().toString().slice(-6)}_${userIds.length}`,
-        elements: []
-      };
-      
-      // If we have a Slack client, try to fetch real avatars
-      if (slack) {
-        try {
-          // Use Promise.all with a timeout to fetch all user info in parallel
-          const userInfoPromises = userIds.map(userId => {
-            // Create a promise that resolves after 3 seconds with a fallback
-            const timeoutPromise = new Promise(resolve => {
-              setTimeout(() => {
-                logger.info(`⏱️ Timeout for user ${userId}, using fallback avatar`);
-                resolve({
-                  userId,
-                  name: userId,
-                  imageUrl: `https://ca.slack-edge.com/${workspaceId}-${userId}-4c812ee43716-72`
-                });
-              }, 3000); // 3 second timeout
-            });
-            
-            // Create the fetch promise
-            logger.info(`⏳ Starting API call for user ${userId} at ${new Date().toISOString()}`);
-            const startTime = Date.now();
-            
-            const fetchPromise = slack.users.info({ user: userId })
-              .then(result => {
-                const elapsed = Date.now() - startTime;
-                logger.info(`⌛ API call for user ${userId} took ${elapsed}ms`);
-                
-                if (result && result.ok && result.user && result.user.profile) {
-                  const imageUrl = result.user.profile.image_72 || 
-                                  result.user.profile.image_48 || 
-                                  `https://ca.slack-edge.com/${workspaceId}-${userId}-4c812ee43716-72`;
-                  const name = result.user.profile.display_name || result.user.real_name || userId;
-                  
-                  logger.info(`✅ Successfully fetched avatar for ${name} (${userId}): ${imageUrl}`);
-                  
-                  return {
-                    userId,
-                    name,
-                    imageUrl
-                  };
-                } else {
-                  logger.warn(`⚠️ Slack API returned ok but no user data for ${userId}`);
-                  return {
-                    userId,
-                    name: userId,
-                    imageUrl: `https://ca.slack-edge.com/${workspaceId}-${userId}-4c812ee43716-72`
-                  };
-                }
-              })
-              .catch(error => {
-                const elapsed = Date.now() - startTime;
-                logger.error(`❌ Error fetching user info for ${userId} after ${elapsed}ms:`, error);
-                logger.error(`Error details: ${error.message}`);
-                
-                if (error.data) {
-                  logger.error(`API error data:`, JSON.stringify(error.data));
-                }
-                
-                return {
-                  userId,
-                  name: userId,
-                  imageUrl: `https://ca.slack-edge.com/${workspaceId}-${userId}-4c812ee43716-72`
-                };
-              });
-            
-            // Return whichever resolves first
-            return Promise.race([fetchPromise, timeoutPromise]);
-          });
-          
-          // Wait for all user info to be fetched (with timeout protection)
-          const userInfos = await Promise.all(userInfoPromises);
-          
-          // Add image elements with real user avatars
-          for (let i = 0; i < avatarsToShow; i++) {
-            contextBlock.elements.push({
-              type: 'image',
-              image_url: userInfos[i].imageUrl,
-              alt_text: userInfos[i].name
-            });
-          }
-          
-          // Add the text element with dot character at the beginning
-          // Context blocks don't support rich text formatting in plain_text mode
-          // So we'll use mrkdwn format and include the dot as part of the text
-          const firstName = userInfos[0].name;
-          let finalText = '';
-          
-          // Create different messages based on user count
-          if (totalUsers === 1) {
-            finalText = `\u2003\u2003·\u2003\u2003*${firstName}* ${description || 'is part of this conversation'}`;
-          } else if (totalUsers === 2) {
-            finalText = `\u2003\u2003·\u2003\u2003*${firstName}* _and 1 other_ ${description || 'are part of this conversation'}`;
-          } else if (hasMoreUsers) {
-            const othersCount = totalUsers - 1;
-            finalText = `\u2003\u2003·\u2003\u2003*${firstName}* _and ${othersCount} others_ ${description || 'are part of this conversation'}`;
-          } else {
-            finalText = `\u2003\u2003·\u2003\u2003*${firstName}* _and ${totalUsers - 1} others_ ${description || 'are part of this conversation'}`;
-          }
-          
-          // Add as mrkdwn to support formatting
-          contextBlock.elements.push({
-            type: 'mrkdwn',
-            text: finalText
-          });
-          
-        } catch (error) {
-          logger.error('Error fetching user avatars:', error);
-          
-          // Fallback to placeholder avatars
-          for (let i = 0; i < avatarsToShow; i++) {
-            contextBlock.elements.push({
-              type: 'image',
-              image_url: `https://ca.slack-edge.com/${workspaceId}-${userIds[i]}-4c812ee43716-72`,
-              alt_text: `User ${userIds[i]}`
-            });
-          }
-          
-          // Add the text element with dot character at the beginning
-          const firstUserId = userIds[0];
-          let finalText = '';
-          
-          // Create different messages based on user count
-          if (totalUsers === 1) {
-            finalText = `\u2003\u2003·\u2003\u2003*${firstUserId}* ${description || 'is part of this conversation'}`;
-          } else if (totalUsers === 2) {
-            finalText = `\u2003\u2003·\u2003\u2003*${firstUserId} and 1 other* ${description || 'are part of this conversation'}`;
-          } else if (hasMoreUsers) {
-            const othersCount = totalUsers - 1;
-            finalText = `\u2003\u2003·\u2003\u2003*${firstUserId} and ${othersCount} others* ${description || 'are part of this conversation'}`;
-          } else {
-            finalText = `\u2003\u2003·\u2003\u2003*${firstUserId} and ${totalUsers - 1} others* ${description || 'are part of this conversation'}`;
-          }
-          
-          // Add as mrkdwn to support formatting
-          contextBlock.elements.push({
-            type: 'mrkdwn',
-            text: finalText
-          });
-        }
-      } else {
-        // No Slack client, use placeholder avatars
-        for (let i = 0; i < avatarsToShow; i++) {
-          contextBlock.elements.push({
-            type: 'image',
-            image_url: `https://ca.slack-edge.com/${workspaceId}-${userIds[i]}-4c812ee43716-72`,
-            alt_text: `User ${userIds[i]}`
-          });
-        }
-        
-        // Add the text element with dot character at the beginning
-        const firstUserId = userIds[0];
-        let finalText = '';
-        
-        // Create different messages based on user count
-        if (totalUsers === 1) {
-          finalText = `\u2003\u2003·\u2003\u2003*${firstUserId}* ${description || 'is part of this conversation'}`;
-        } else if (totalUsers === 2) {
-          finalText = `\u2003\u2003·\u2003\u2003*${firstUserId} and 1 other* ${description || 'are part of this conversation'}`;
-        } else if (hasMoreUsers) {
-          const othersCount = totalUsers - 1;
-          finalText = `\u2003\u2003·\u2003\u2003*${firstUserId} and ${othersCount} others* ${description || 'are part of this conversation'}`;
-        } else {
-          finalText = `\u2003\u2003·\u2003\u2003*${firstUserId} and ${totalUsers - 1} others* ${description || 'are part of this conversation'}`;
-        }
-        
-        // Add as mrkdwn to support formatting
-        contextBlock.elements.push({
-          type: 'mrkdwn',
-          text: finalText
-        });
-      }
-      
-      // Add to our list of blocks
-      contextBlocks.push(contextBlock);
-    }
-    
-    // Return all the context blocks
-    return {
-      blocks: cleanForSlackApi(contextBlocks)
-    };
-  }
-  
-  // First, properly unescape newlines in the message
-  let processedMessage = message.replace(/\\n/g, '\n');
-  
-  // Log the before and after for debugging
-  debugLog(`🔍 Original message length: ${message.length}`);
-  debugLog(`🔍 Processed message length: ${processedMessage.length}`);
-  
-  // Extract block declarations using regex
-  // Updated regex that's more flexible with newlines and whitespace
-  const blockRegex = /#([a-zA-Z]+):\s*([\s\S]*?)(?=\s*#[a-zA-Z]+:|$)/g;
-  const matches = Array.from(processedMessage.matchAll(blockRegex));
-  
-  // If no blocks found, treat as plain text but put in an attachment with colored bar
-  if (matches.length === 0) {
-    logger.info('📦 No block syntax found, creating attachment with section for plain text');
-    return { 
-      attachments: [{
-        color: defaultAttachmentColor, // Use default color for consistent experience
-        blocks: [{ 
-          type: 'section', 
-          text: { 
-            type: 'mrkdwn', 
-            text: processedMessage // Use the processed message with unescaped newlines
-          } 
-        }]
-      }]
-    };
-  }
-  
-  logger.info(`🔢 Found ${matches.length} blocks to process`);
-  
-  // Process each block
-  const blocks = [];
-  const attachments = [];
-  
-  for (const match of matches) {
-    // Get the original block type from the match
-    const rawBlockType = match[1];
-    // Convert to lowercase for case-insensitive comparison
-    const blockTypeLower = rawBlockType.toLowerCase();
-
-    // Find the actual block type in our blockDefinitions with case-sensitivity
-    const actualBlockType = Object.keys(blockDefinitions).find(key => 
-      key.toLowerCase() === blockTypeLower
-    ) || rawBlockType;
-
-    // Log the block type mapping for debugging
-    debugLog(`🔍 Block type: Original="${rawBlockType}", Actual="${actualBlockType}"`);
-
-    const content = match[2].trim();
-    
-    logger.info(`📦 Processing ${actualBlockType} block: ${content.substring(0, 40)}${content.length > 40 ? '...' : ''}`);
-    
-    // Parse parameters for this block
-    const params = parseParams(actualBlockType, content);
-    
-    // Use a variable to track the block type we'll actually use
-    let blockTypeToUse = params.blockTypeOverride || actualBlockType;
-    
-    // Determine if we need to convert section to sectionWithImage
-    if (blockTypeToUse.toLowerCase() === 'section' && params.imageUrl) {
-      debugLog(`🔄 Converting section to sectionWithImage based on parameters`);
-      blockTypeToUse = 'sectionWithImage';
-    }
-    
-    // Validate parameters
-    if (!blockDefinitions[blockTypeToUse]) {
-      logger.error(`❌ Unknown block type: ${blockTypeToUse}`);
-      continue;
-    }
-    
-    // Check if this is a standalone block or part of an attachment
-    const blockDef = blockDefinitions[blockTypeToUse];
-    debugLog(`🔍 Block definition for ${blockTypeToUse}: ${JSON.stringify(blockDef)}`);
-    
-    // Get attachment wrap status
-    const isAttachment = blockDef.attachmentWrapped === true || 
-                         (typeof blockDef.attachmentWrapped === 'function' && blockDef.attachmentWrapped(params));
-    
-    // Generate the block
-    try {
-      const generator = blockGenerators[blockTypeToUse];
-      if (!generator) {
-        logger.error(`❌ No generator for block type: ${blockTypeToUse}`);
-        continue;
-      }
-      
-      const generated = await Promise.resolve(generator(params));
-      debugLog(`✅ Generated ${blockTypeToUse} block`);
-      
-      // Ensure the generated block has a type field
-      if (!generated) {
-        logger.error(`❌ Block generator for ${blockTypeToUse} returned empty result`);
-        continue;
-      }
-      
-      // Additional debugging for header blocks to check for newline issues
-      if (generated.type === 'header') {
-        logger.detail(`🔍 Header block text before sending: "${generated.text.text}"`);
-        // Ensure we don't have any literal \n characters in header text
-        if (generated.text && typeof generated.text.text === 'string') {
-          if (generated.text.text.includes('\\n') || generated.text.text.includes('\n')) {
-            logger.warn(`⚠️ Found newlines in header text, removing...`);
-            generated.text.text = generated.text.text.replace(/\\n/g, ' ').replace(/\n/g, ' ').trim();
-            logger.info(`✅ Cleaned header text: "${generated.text.text}"`);
-          }
-        }
-      }
-      
-      // Handle array result (some generators return multiple blocks)
-      if (Array.isArray(generated)) {
-        if (isAttachment) {
-          debugLog(`📎 Adding array as attachment: ${blockTypeToUse}`);
-          attachments.push({
-            color: params.color || defaultAttachmentColor,
-            blocks: generated
-          });
-        } else {
-          debugLog(`📦 Adding array as blocks: ${blockTypeToUse}`);
-          blocks.push(...generated);
-        }
-      } else {
-        // Ensure the block has a type field
-        if (!generated.type) {
-          logger.error(`❌ Block generator for ${blockTypeToUse} returned block without type field:`, JSON.stringify(generated));
-          continue;
-        }
-        
-        if (isAttachment) {
-          debugLog(`📎 Adding as attachment: ${blockTypeToUse}`);
-          attachments.push({
-            color: params.color || defaultAttachmentColor,
-            blocks: [generated]
-          });
-        } else {
-          debugLog(`📦 Adding as block: ${blockTypeToUse}`);
-          blocks.push(generated);
-        }
-      }
-      
-      debugLog(`✅ Processed ${blockTypeToUse} block`);
-      debugLog(`📊 Blocks count: ${blocks.length}, Attachments count: ${attachments.length}`);
-      if (blockTypeToUse === 'contextWithImages') {
-        debugLog(`🔍 ContextWithImages block details:`);
-        debugLog(`📄 Text: ${params.text}`);
-        debugLog(`🖼️ Images: ${params.images ? JSON.stringify(params.images) : 'None'}`);
-        debugLog(`📊 Is attachment wrapped: ${isAttachment}`);
-      }
-    } catch (error) {
-      logger.error(`❌ Error generating block: ${blockTypeToUse}`, error);
-    }
-  }
-  
-  // Assemble the final message
-  const result = {};
-  if (blocks.length > 0) {
-    result.blocks = cleanForSlackApi(blocks);
-  }
-  if (attachments.length > 0) {
-    result.attachments = cleanForSlackApi(attachments);
-  }
-  
-  // Add debug logging of the final message structure
-  logger.info('🏁 Final message structure from parseMessage:');
-  logger.detail('Message structure:', result);
-  
-  return result;
-}
-
-/**
- * Simple utility to process user mentions in text
- * This ensures user mentions are properly formatted for Slack
- * @param {string} text - Text that may contain user mentions
- * @returns {string} - Text with properly formatted user mentions
- */
-function processUserMentions(text) {
-  if (!text) return '';
-  
-  // The Slack format for user mentions is <@USER_ID>
-  // We need to ensure all user mentions are in this format
-
-  // Regular expression to detect user mentions that might need processing
-  // This regex already matches the correct Slack format <@U...>
-  const mentionRegex = /<@([A-Z0-9]+)>/g;
-  
-  // Replace any non-standard formats with the correct Slack format
-  // But leave correctly formatted mentions as they are
-  
-  // Return the text with properly formatted mentions
-  // The correct format is preserved - do not attempt to resolve user names
-  return text;
-}
-
 module.exports = {
-  parseMessage,
   parseParams,
   blockRegistry,
   blockDefinitions,
-  processUserMentions,
+  defaultAttachmentColor,
+  formatBlockGuide,
+  formatBlockExamples,
+  textSections,
+  MAX_SECTION_CHARS,
   getUserName,
   cleanForSlackApi
 };
\ No newline at end of file
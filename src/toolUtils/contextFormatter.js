@@ -10,6 +10,7 @@ const SYMBOLS = {
   system: '[SYS]',
   user: '[USER]',
   assistant: '[ASST]',
+  tool: '[RESULT]',
   time: '[TIME]',
   toolCalls: {
     getThreadHistory: '[HIST]',
@@ -25,6 +26,7 @@ const EMOJIS = {
   system: '🧠',
   user: '👤',
   assistant: '🤖',
+  tool: '📥',
   time: '🕐',
   toolCalls: {
     getThreadHistory: '🔧',
@@ -76,6 +78,8 @@ function formatContextEntry(entry) {
       return formatUserEntry(entry);
     case 'assistant':
       return formatAssistantEntry(entry);
+    case 'tool':
+      return formatToolEntry(entry);
     default:
       return `Unknown role: ${entry.role}`;
   }
@@ -170,6 +174,20 @@ function formatAssistantEntry(entry) {
     `${timePrefix} ${entry.timestamp}`
   ];
   
+  // Native tool calls carry their arguments as a JSON string
+  if (Array.isArray(entry.tool_calls)) {
+    entry.tool_calls.forEach(toolCall => {
+      const toolName = toolCall.function?.name;
+      const toolSymbol = USE_EMOJIS
+        ? (EMOJIS.toolCalls[toolName] || EMOJIS.toolCalls.default)
+        : (SYMBOLS.toolCalls[toolName] || SYMBOLS.toolCalls.default);
+      const args = toolCall.function?.arguments || '';
+      result.push(`${toolSymbol} ${toolName || 'Unknown tool'} (${toolCall.id})`);
+      result.push(`   ${args.substring(0, 200)}${args.length > 200 ? '...' : ''}`);
+    });
+    return result.join('\n');
+  }
+  
   // Handle different content types properly
   if (typeof entry.content === 'string') {
     // Simple string content
@@ -210,6 +228,21 @@ function formatAssistantEntry(entry) {
   return result.join('\n');
 }
 
+/**
+ * Format a tool result entry
+ * @param {Object} entry - The role:"tool" entry
+ * @returns {string} Formatted tool result
+ */
+function formatToolEntry(entry) {
+  const prefix = USE_EMOJIS ? EMOJIS.tool : SYMBOLS.tool;
+  const content = typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content);
+  
+  return [
+    `${prefix} Tool result ${entry.name || ''} (${entry.tool_call_id}) [Turn ${entry.turn}]`,
+    `   ${content.substring(0, 200)}${content.length > 200 ? '...' : ''}`
+  ].join('\n');
+}
+
 /**
  * Log the context to console directly
  * @param {Array} context - The context array in JSON format
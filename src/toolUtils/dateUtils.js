@@ -210,8 +210,176 @@ function formatContextTimestamp(timestamp) {
   }
 }
 
+/**
+ * Wall-clock parts of a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA timezone (e.g. "America/Sao_Paulo")
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second, weekday (0=Sunday) }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    weekday: 'short'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Converts a wall-clock time in a timezone to the moment it happens
+ * @param {Object} local - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - The moment (a time skipped by a DST change resolves to a nearby valid time)
+ */
+function zonedTimeToDate(local, timeZone) {
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second || 0);
+
+  // Two passes: the offset at the first guess can differ from the offset at the answer around DST changes
+  let guess = asUtc;
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = getZonedParts(new Date(guess), timeZone);
+    const shownAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    guess = asUtc - (shownAsUtc - guess);
+  }
+  return new Date(guess);
+}
+
+/**
+ * Parses a date and time given by a user. Without an offset the time is read
+ * in the given timezone; with "Z" or "+hh:mm" it is taken as is.
+ * @param {string} value - "2026-10-20T10:00", "2026-10-20 10:00:30" or a full ISO string
+ * @param {string} timeZone - IANA timezone for times without an offset
+ * @returns {Date|null} - The moment, or null when the value can't be parsed
+ */
+function parseLocalDateTime(value, timeZone) {
+  const text = String(value || '').trim();
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const local = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second)
+  };
+  if (local.month < 1 || local.month > 12 || local.hour > 23 || local.minute > 59 || local.second > 59) {
+    return null;
+  }
+  // Day 0 of the next month is the last day of this one
+  const daysInMonth = new Date(Date.UTC(local.year, local.month, 0)).getUTCDate();
+  if (local.day < 1 || local.day > daysInMonth) {
+    return null;
+  }
+  return zonedTimeToDate(local, timeZone);
+}
+
+/**
+ * Formats a moment as wall-clock time in a timezone, e.g. "Tue, Oct 20, 2026, 10:00"
+ * @param {Date|string} date - Moment (Date or ISO string)
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Formatted date and time
+ */
+function formatInTimezone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(date));
+}
+
+/**
+ * Next occurrence of a repeating time, keeping the same wall-clock time in the timezone
+ * @param {Date|string} date - Current occurrence
+ * @param {string} repeat - 'daily', 'weekdays', 'weekly' or 'monthly'
+ * @param {string} timeZone - IANA timezone
+ * @param {Object} [requested] - The local time the repeat was set for: { hour, minute, second, dayOfMonth }.
+ *   Missing parts come from the current occurrence, which a DST gap may have moved
+ * @returns {Date} - Next occurrence
+ */
+function nextOccurrence(date, repeat, timeZone, requested = {}) {
+  const local = { ...getZonedParts(new Date(date), timeZone) };
+  for (const part of ['hour', 'minute', 'second']) {
+    if (Number.isInteger(requested[part])) local[part] = requested[part];
+  }
+  const dayOfMonth = requested.dayOfMonth;
+  // Do the calendar arithmetic in UTC, where days have no DST gaps
+  const calendar = new Date(Date.UTC(local.year, local.month - 1, local.day));
+
+  switch (repeat) {
+    case 'daily':
+      calendar.setUTCDate(calendar.getUTCDate() + 1);
+      break;
+    case 'weekdays':
+      do {
+        calendar.setUTCDate(calendar.getUTCDate() + 1);
+      } while (calendar.getUTCDay() === 0 || calendar.getUTCDay() === 6);
+      break;
+    case 'weekly':
+      calendar.setUTCDate(calendar.getUTCDate() + 7);
+      break;
+    case 'monthly': {
+      // A day past the end of the next month falls back to its last day. The
+      // original day comes back in longer months, so the 31st doesn't drift to the 28th
+      const targetMonth = calendar.getUTCMonth() + 1;
+      const lastDay = new Date(Date.UTC(calendar.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+      calendar.setUTCDate(1);
+      calendar.setUTCMonth(targetMonth);
+      calendar.setUTCDate(Math.min(dayOfMonth || local.day, lastDay));
+      break;
+    }
+    default:
+      throw new Error(`Unknown repeat "${repeat}"`);
+  }
+
+  return zonedTimeToDate({
+    year: calendar.getUTCFullYear(),
+    month: calendar.getUTCMonth() + 1,
+    day: calendar.getUTCDate(),
+    hour: local.hour,
+    minute: local.minute,
+    second: local.second
+  }, timeZone);
+}
+
 module.exports = {
   formatTimestamp,
   formatRelativeTime,
-  formatContextTimestamp
+  formatContextTimestamp,
+  getZonedParts,
+  zonedTimeToDate,
+  parseLocalDateTime,
+  formatInTimezone,
+  nextOccurrence
 }; 
\ No newline at end of file
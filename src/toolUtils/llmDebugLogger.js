@@ -80,13 +80,30 @@ class LlmDebugLogger {
         timestamp,
         threadId,
         request: {
-          messages,
+          messages: messages.map(msg => this.withoutImageData(msg)),
           tools
         }
       });
     }
   }
   
+  /**
+   * Replaces inline image data with its size, so log files stay readable
+   * @param {Object} msg - OpenAI-style message
+   * @returns {Object} - The message, with image parts shortened
+   */
+  withoutImageData(msg) {
+    if (!Array.isArray(msg.content)) return msg;
+    return {
+      ...msg,
+      content: msg.content.map(part => {
+        const url = part.type === 'image_url' ? part.image_url?.url || '' : '';
+        if (!url.startsWith('data:')) return part;
+        return { ...part, image_url: { ...part.image_url, url: `${url.substring(0, url.indexOf(',') + 1)}[${Math.round(url.length * 0.75 / 1024)} KB]` } };
+      })
+    };
+  }
+  
   /**
    * Log an LLM response
    * @param {string} threadId - Thread ID for the response
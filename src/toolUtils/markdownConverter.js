@@ -0,0 +1,121 @@
+/**
+ * Standard Markdown to Slack mrkdwn
+ *
+ * Models write CommonMark out of habit, and Slack shows most of it literally.
+ * The renderer converts it in two passes:
+ *
+ * - convertMarkdownBlocks() runs on the text of sections before parsing and
+ *   turns headings, tables and thematic breaks into #header:, #table: and
+ *   #divider: blocks. It only adds tags at the start of lines, so line numbers
+ *   in syntax errors still match the text the model wrote.
+ * - convertMarkdownInline() runs on each block's content: **bold**, ~~strike~~,
+ *   [text](url) links and images, and list markers.
+ *
+ * Code spans and fenced code blocks are never touched.
+ */
+
+// Fenced blocks (an unclosed fence runs to the end, as while streaming) and code spans
+const CODE_REGEX = /```[\s\S]*?(?:```|$)|`[^`\n]+`/g;
+const FENCE_REGEX = /^[ \t]*```/;
+const HEADING_REGEX = /^ {0,3}#{1,6}[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+const RULE_REGEX = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const TABLE_DELIMITER_REGEX = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)+\|?[ \t]*$/;
+const LINK_REGEX = /!?\[([^\]\n]*)\]\(\s*<?([^()\s<>]+)>?(?:\s+"[^"\n]*")?\s*\)/g;
+
+/**
+ * Turns Markdown headings, tables and thematic breaks in section text into blocks.
+ * Lines are only prefixed, never added or removed.
+ * @param {string} text - Section text (starting at a line start)
+ * @returns {string} - Text with #header:, #table:, #divider: and #section: tags
+ */
+function convertMarkdownBlocks(text) {
+  const lines = text.split('\n');
+  let inFence = false;
+  // After a table or a divider the following text needs a block of its own
+  let needsSection = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (FENCE_REGEX.test(line)) {
+      inFence = !inFence;
+    } else if (inFence || !line.trim()) {
+      continue;
+    }
+
+    const heading = !inFence && line.match(HEADING_REGEX);
+    if (heading) {
+      // The header is one line; what follows is text again
+      lines[i] = `#header: ${heading[1].replace(/\|/g, '\\|')}`;
+      needsSection = false;
+      continue;
+    }
+
+    if (!inFence && RULE_REGEX.test(line)) {
+      lines[i] = '#divider:';
+      needsSection = true;
+      continue;
+    }
+
+    if (!inFence && line.includes('|') && TABLE_DELIMITER_REGEX.test(lines[i + 1] || '')) {
+      lines[i] = `#table: ${line}`;
+      i++;
+      while (i + 1 < lines.length && lines[i + 1].trim() && lines[i + 1].includes('|')) {
+        i++;
+      }
+      needsSection = true;
+      continue;
+    }
+
+    if (needsSection) {
+      lines[i] = `#section: ${line}`;
+      needsSection = false;
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function convertInlineText(text, { plain, lists }) {
+  let converted = text.replace(LINK_REGEX, (match, label, url) => {
+    if (plain) return label || url;
+    return label ? `<${url}|${label.replace(/[<>]/g, '')}>` : `<${url}>`;
+  });
+
+  if (lists) {
+    converted = converted.replace(/^([ \t]*)[*+-][ \t]+(?=\S)/gm, '$1• ');
+  }
+
+  const strong = plain ? '$1' : '*$1*';
+  return converted
+    .replace(/\*\*\*(?=\S)([^\n]*?\S)\*\*\*/g, plain ? '$1' : '*_$1_*')
+    .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, strong)
+    .replace(/(^|\W)__(?=\S)([^\n]*?\S)__(?!\w)/g, plain ? '$1$2' : '$1*$2*')
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, plain ? '$1' : '~$1~')
+    .replace(new RegExp(HEADING_REGEX.source, 'gm'), strong);
+}
+
+/**
+ * Converts inline Markdown in a block's content to mrkdwn
+ * @param {string} text - Block content
+ * @param {Object} [options]
+ * @param {boolean} [options.plain] - For plain_text fields: drop the formatting instead of converting it
+ * @param {boolean} [options.lists] - Turn "-", "*" and "+" list markers into bullets
+ * @returns {string}
+ */
+function convertMarkdownInline(text, { plain = false, lists = false } = {}) {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(CODE_REGEX)) {
+    result += convertInlineText(text.slice(last, match.index), { plain, lists });
+    result += plain ? match[0].replace(/`/g, '') : match[0];
+    last = match.index + match[0].length;
+  }
+  return result + convertInlineText(text.slice(last), { plain, lists });
+}
+
+module.exports = {
+  CODE_REGEX,
+  convertMarkdownBlocks,
+  convertMarkdownInline
+};
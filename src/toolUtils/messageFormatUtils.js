@@ -2,8 +2,6 @@
  * Shared utilities for Slack message formatting
  * Used by postMessage and updateMessage tools
  */
-const { parseMessage, cleanForSlackApi, processUserMentions } = require('./blockBuilder');
-const { formatSlackMessage } = require('../slackFormat.js');
 const logger = require('./logger');
 
 /**
@@ -27,128 +25,6 @@ function normalizeColor(color) {
   return '#0078D7';
 }
 
-/**
- * Properly unescape newlines in text content
- * This fixes the issue where newlines are showing as "\n" in messages
- * @param {string} text - The text to process
- * @returns {string} - Text with properly unescaped newlines
- */
-function unescapeNewlines(text) {
-  if (!text) return text;
-  
-  // Replace escaped newlines with actual newlines
-  // This handles the double-escaped case: "\\n" → "\n" → actual newline
-  return text.replace(/\\n/g, '\n');
-}
-
-/**
- * Process blocks for Slack API, including user mentions and header cleaning
- * @param {Array} blocks - Array of blocks to process
- * @returns {Array} - Processed blocks
- */
-function processBlocks(blocks) {
-  if (!blocks || !Array.isArray(blocks)) return blocks;
-  
-  return blocks.map(block => {
-    // Process text fields
-    if (block.text && typeof block.text.text === 'string') {
-      // Process user mentions and emoji
-      block.text.text = processUserMentions(block.text.text);
-      
-      // Properly unescape newlines in all text fields
-      block.text.text = unescapeNewlines(block.text.text);
-      
-      // Clean newlines in header blocks (after unescaping)
-      if (block.type === 'header') {
-        block.text.text = block.text.text.replace(/\n/g, ' ').trim();
-      }
-    }
-    
-    // Process fields in section blocks
-    if (block.type === 'section' && block.fields && Array.isArray(block.fields)) {
-      block.fields = block.fields.map(field => {
-        if (field && typeof field.text === 'string') {
-          field.text = processUserMentions(field.text);
-          field.text = unescapeNewlines(field.text);
-        }
-        return field;
-      });
-    }
-    
-    // Process elements in context blocks
-    if (block.type === 'context' && block.elements && Array.isArray(block.elements)) {
-      block.elements = block.elements.map(element => {
-        if (element && element.type === 'mrkdwn' && typeof element.text === 'string') {
-          element.text = processUserMentions(element.text);
-          element.text = unescapeNewlines(element.text);
-        }
-        return element;
-      });
-    }
-    
-    return block;
-  });
-}
-
-/**
- * Process text with BlockBuilder or standard formatting based on content
- * @param {string} text - Message text to format
- * @returns {Promise<Object>} - Formatted message with blocks/attachments
- */
-async function formatMessageText(text) {
-  if (!text) {
-    return { blocks: [] };
-  }
-  
-  // Check if message has block syntax markers
-  const hasBlockSyntax = text.includes('#') || text.includes('(usercontext)');
-  
-  if (hasBlockSyntax) {
-    logger.info('Using BlockBuilder format for message');
-    return await parseMessage(text);
-  } else {
-    // Use standard message formatting
-    const formatted = formatSlackMessage(text);
-    logger.info('Using standard message format');
-    return formatted;
-  }
-}
-
-/**
- * Clean and process an entire message for Slack API
- * @param {Object} messageParams - Message parameters to process
- * @returns {Object} - Processed message parameters
- */
-function cleanAndProcessMessage(messageParams) {
-  const result = { ...messageParams };
-  
-  // Always set text to a space to prevent duplication issues
-  result.text = " ";
-  
-  // Clean and process blocks if they exist
-  if (result.blocks) {
-    result.blocks = cleanForSlackApi(result.blocks);
-    result.blocks = processBlocks(result.blocks);
-  }
-  
-  // Clean and process attachments if they exist
-  if (result.attachments) {
-    result.attachments = cleanForSlackApi(result.attachments);
-    
-    // Process blocks inside attachments
-    result.attachments.forEach(attachment => {
-      if (attachment.blocks) {
-        attachment.blocks = processBlocks(attachment.blocks);
-      }
-    });
-  }
-  
-  // Log final structure
-  logMessageStructure(result, 'PROCESSED');
-  
-  return result;
-}
-
 /**
  * Gets a color for a message based on the type or purpose
  * @param {string} type - The message type or purpose
@@ -398,66 +274,6 @@ function logMessageStructure(messageParams, label = 'MESSAGE') {
   return messageParams;
 }
 
-/**
- * Merges attachments with the same color into single attachments
- * This reduces the number of vertical colored bars displayed in Slack
- * @param {Array} attachments - Array of Slack message attachments
- * @returns {Array} - New array with merged attachments
- */
-function mergeAttachmentsByColor(attachments) {
-  if (!attachments || !Array.isArray(attachments) || attachments.length <= 1) {
-    return attachments; // Return as is if no merging needed
-  }
-  
-  logger.info(`Merging ${attachments.length} attachments by color`);
-  
-  // Group attachments by color
-  const colorGroups = {};
-  
-  attachments.forEach(attachment => {
-    const color = attachment.color || 'default';
-    
-    if (!colorGroups[color]) {
-      colorGroups[color] = [];
-    }
-    
-    colorGroups[color].push(attachment);
-  });
-  
-  // Create new merged attachments array
-  const mergedAttachments = [];
-  
-  Object.keys(colorGroups).forEach(color => {
-    const attachmentsWithSameColor = colorGroups[color];
-    
-    // If only one attachment with this color, keep as is
-    if (attachmentsWithSameColor.length === 1) {
-      mergedAttachments.push(attachmentsWithSameColor[0]);
-      return;
-    }
-    
-    // Create a single merged attachment for this color
-    const mergedAttachment = {
-      color: color === 'default' ? null : color,
-      blocks: [],
-      fallback: attachmentsWithSameColor[0].fallback || 'Message from bot'
-    };
-    
-    // Merge blocks from all attachments with this color
-    attachmentsWithSameColor.forEach(attachment => {
-      if (attachment.blocks && Array.isArray(attachment.blocks)) {
-        mergedAttachment.blocks.push(...attachment.blocks);
-      }
-    });
-    
-    mergedAttachments.push(mergedAttachment);
-    logger.info(`Merged ${attachmentsWithSameColor.length} attachments with color ${color}`);
-  });
-  
-  logger.info(`After merging: ${mergedAttachments.length} attachments`);
-  return mergedAttachments;
-}
-
 /**
  * Calculate text similarity ratio between two strings
  * @param {string} str1 - First string to compare
@@ -564,17 +380,12 @@ function levenshteinDistance(str1, str2) {
 
 module.exports = {
   normalizeColor,
-  processBlocks,
-  formatMessageText,
-  cleanAndProcessMessage,
   getColorForMessageType,
   formatFields,
   createMessageBlocks,
   getChannelId,
   getThreadTs,
   logMessageStructure,
-  unescapeNewlines,
-  mergeAttachmentsByColor,
   calculateTextSimilarity,
   levenshteinDistance
 }; 
\ No newline at end of file
@@ -0,0 +1,636 @@
+/**
+ * Message renderer for the #block syntax
+ *
+ * Rendering happens in three steps:
+ * 1. tokenize() splits the text into block tags, usercontext markers and text
+ * 2. parse() groups the tokens into block nodes that remember where they start
+ * 3. render() turns the nodes into Block Kit blocks and colored attachments,
+ *    using the parsers and generators in blockBuilder.js
+ *
+ * Problems are collected with their line and column. renderMessage() throws
+ * them as one MessageSyntaxError so the model can fix its message, or skips
+ * the broken blocks when rendering leniently (streaming previews, polls that
+ * were already accepted).
+ *
+ * Standard Markdown (headings, tables, **bold**, [text](url) links, ...) is
+ * converted first, see markdownConverter.js.
+ *
+ * Escapes: `\#` is a literal # that never starts a block, and `\|` is a
+ * literal | that doesn't separate parameters. In #code: blocks only `\#`
+ * in front of a block name is unescaped, so code keeps its backslashes.
+ */
+
+const {
+  blockRegistry,
+  blockDefinitions,
+  parseParams,
+  cleanForSlackApi,
+  defaultAttachmentColor,
+  textSections,
+  MAX_SECTION_CHARS
+} = require('./blockBuilder');
+const { CODE_REGEX, convertMarkdownBlocks, convertMarkdownInline } = require('./markdownConverter');
+const { MessageSyntaxError } = require('../errors.js');
+const logger = require('./logger');
+
+const BLOCK_NAMES = Object.keys(blockDefinitions);
+const BLOCK_NAME_PATTERN = BLOCK_NAMES.join('|');
+
+// Escapes, "#name:" tags and usercontext markers, in the order they are tried
+const TOKEN_REGEX = /\\([#|])|#([A-Za-z][A-Za-z0-9_]*):|\(usercontext\)|\(!usercontext\)/g;
+
+// Stands in for an escaped | while parameters are split, restored after rendering
+const LITERAL_PIPE = '\uE000';
+
+const MAX_HEADER_CHARS = 150;
+// Slack rejects messages with more blocks than this, attachment blocks included
+const MAX_BLOCKS_PER_MESSAGE = 50;
+const MAX_BUTTONS = 25;
+const MAX_MENU_OPTIONS = { select: 100, overflow: 5 };
+const NAMED_COLORS = ['good', 'warning', 'danger'];
+// Blocks whose content is parameters rather than text, so Markdown isn't converted
+const PARAMETER_BLOCKS = ['image', 'buttons', 'select', 'datepicker', 'overflow', 'divider'];
+
+/**
+ * Finds the block type for a tag name, ignoring case
+ * @param {string} name - Name between # and :
+ * @returns {string|null} - Block type as spelled in blockDefinitions
+ */
+function findBlockType(name) {
+  const lower = name.toLowerCase();
+  return BLOCK_NAMES.find(blockType => blockType.toLowerCase() === lower) || null;
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * @param {string} source - Message text
+ * @param {number} offset - Character offset
+ * @returns {{line: number, column: number}}
+ */
+function positionAt(source, offset) {
+  const before = source.slice(0, offset);
+  return {
+    line: before.split('\n').length,
+    column: offset - before.lastIndexOf('\n')
+  };
+}
+
+/**
+ * Splits message text into tokens. Each token has a type and the offsets of
+ * its source text:
+ * - tag: a known "#name:" at the start of a line (blockType holds the canonical name)
+ * - userContextOpen / userContextClose: the (usercontext) markers
+ * - text: everything else, escapes included; "#word:" that isn't a block
+ *   name is ordinary text ("#deploy: done")
+ * Code spans and fenced code blocks are text. Inside a #code: block only
+ * known tags are recognized.
+ * @param {string} source - Message text
+ * @returns {Array<Object>} - Tokens in source order
+ */
+function tokenize(source) {
+  const tokens = [];
+  let textStart = 0;
+  let inCode = false;
+  const codeRanges = Array.from(source.matchAll(CODE_REGEX), match => [match.index, match.index + match[0].length]);
+  const inCodeSpan = offset => codeRanges.some(([start, end]) => offset > start && offset < end);
+
+  const pushText = (end) => {
+    if (end > textStart) {
+      tokens.push({ type: 'text', start: textStart, end });
+    }
+  };
+
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(source)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    let token = null;
+
+    if (match[1] || inCodeSpan(start)) {
+      // Escapes stay part of the text; they're resolved per block
+      continue;
+    } else if (match[2]) {
+      const blockType = findBlockType(match[2]);
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      if (source.slice(lineStart, start).trim()) {
+        continue;
+      }
+      if (blockType) {
+        token = { type: 'tag', blockType, start, end };
+        inCode = blockType === 'code';
+      }
+    } else if (!inCode) {
+      token = { type: match[0] === '(usercontext)' ? 'userContextOpen' : 'userContextClose', start, end };
+    }
+
+    if (token) {
+      pushText(start);
+      tokens.push(token);
+      textStart = end;
+    }
+  }
+  pushText(source.length);
+
+  return tokens;
+}
+
+/**
+ * Groups tokens into block nodes. Text before the first tag, after a
+ * standalone usercontext or on the lines below a header becomes a section. A usercontext outside a
+ * #context: block becomes a context node of its own.
+ * @param {string} source - Message text
+ * @returns {{source: string, nodes: Array<Object>, errors: Array<Object>}} - Nodes are
+ *   { blockType, start, contentStart, end } with offsets into source
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  const nodes = [];
+  const errors = [];
+  let current = null;
+
+  const addError = (offset, message) => errors.push({ ...positionAt(source, offset), message });
+  const close = () => {
+    // A header is one line; the lines after it are text
+    const newline = current?.blockType === 'header' ? source.indexOf('\n', current.contentStart) : -1;
+    if (newline !== -1 && newline < current.end && source.slice(current.contentStart, newline).trim()) {
+      const rest = { blockType: 'section', implicit: true, start: newline + 1, contentStart: newline + 1, end: current.end };
+      nodes.push({ ...current, end: newline });
+      current = rest;
+    }
+    if (current && (!current.implicit || source.slice(current.contentStart, current.end).trim())) {
+      nodes.push(current);
+    }
+    current = null;
+  };
+  const extend = (start, end) => {
+    if (!current) {
+      current = { blockType: 'section', implicit: true, start, contentStart: start, end };
+    }
+    current.end = end;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    switch (token.type) {
+      case 'tag':
+        close();
+        current = { blockType: token.blockType, start: token.start, contentStart: token.end, end: token.end };
+        break;
+
+      case 'userContextOpen': {
+        const closeIndex = tokens.findIndex((candidate, index) => index > i && candidate.type === 'userContextClose');
+        if (closeIndex === -1) {
+          addError(token.start, '(usercontext) is never closed with (!usercontext)');
+          extend(token.start, token.end);
+          break;
+        }
+        const closeToken = tokens[closeIndex];
+        if (current?.blockType === 'context' && !current.implicit) {
+          // #context: parses its own usercontext
+          current.end = closeToken.end;
+        } else {
+          close();
+          nodes.push({ blockType: 'context', start: token.start, contentStart: token.start, end: closeToken.end });
+        }
+        i = closeIndex;
+        break;
+      }
+
+      case 'userContextClose':
+        addError(token.start, '(!usercontext) without an opening (usercontext)');
+        extend(token.start, token.end);
+        break;
+
+      default:
+        extend(token.start, token.end);
+    }
+  }
+  close();
+
+  return { source, nodes, errors };
+}
+
+/**
+ * Turns Markdown headings, tables and rules in section text into blocks.
+ * The first line of an explicit #section: is left alone so the section keeps its text.
+ * @param {string} source - Message text
+ * @returns {string} - Text to parse
+ */
+function convertMarkdown(source) {
+  const { nodes } = parse(source);
+  let converted = source;
+  for (const node of [...nodes].reverse()) {
+    if (node.blockType !== 'section') continue;
+    const newline = source.indexOf('\n', node.contentStart);
+    const start = node.implicit ? node.contentStart : newline + 1;
+    if ((!node.implicit && newline === -1) || start >= node.end) continue;
+    converted = converted.slice(0, start) + convertMarkdownBlocks(source.slice(start, node.end)) + converted.slice(node.end);
+  }
+  return converted;
+}
+
+/**
+ * Extracts a node's content with escapes resolved
+ * @param {string} source - Message text
+ * @param {Object} node - Block node from parse()
+ * @returns {string} - Content ready for parseParams
+ */
+function nodeContent(source, node) {
+  const raw = source.slice(node.contentStart, node.end);
+
+  if (node.blockType === 'code') {
+    return raw.replace(/^[ \t]*(?:\r?\n)?/, '').trimEnd()
+      .replace(new RegExp(`\\\\#(?=(?:${BLOCK_NAME_PATTERN}):)`, 'gi'), '#');
+  }
+
+  let content = blockDefinitions[node.blockType].keepIndentation
+    ? raw.replace(/^[ \t]*(?:\r?\n)?/, '').trimEnd()
+    : raw.trim();
+  if (!PARAMETER_BLOCKS.includes(node.blockType)) {
+    content = convertMarkdownInline(content, {
+      plain: node.blockType === 'header',
+      lists: node.blockType === 'section' || node.blockType === 'quote'
+    });
+  }
+
+  // Code spans and fences are kept as written; their pipes just aren't separators
+  let result = '';
+  let last = 0;
+  for (const match of content.matchAll(CODE_REGEX)) {
+    result += resolveEscapes(content.slice(last, match.index)) + match[0].replace(/\|/g, LITERAL_PIPE);
+    last = match.index + match[0].length;
+  }
+  result += resolveEscapes(content.slice(last));
+
+  if (node.blockType === 'section') {
+    // Section text is prose: only |color: and |image: start parameters, and
+    // the pipes after an image belong to it (its alt text)
+    const imageAt = result.search(/\|\s*image:/i);
+    const prose = imageAt === -1 ? result : result.slice(0, imageAt);
+    result = prose.replace(/\|(?!\s*color:)/gi, LITERAL_PIPE) + result.slice(prose.length);
+  }
+  return result;
+}
+
+function resolveEscapes(text) {
+  return text.replace(/\\#/g, '#').replace(/\\\|/g, LITERAL_PIPE)
+    // Pipes in Slack's own <url|label> and <!date^...|fallback> syntax aren't separators
+    .replace(/<[^<>\n]*>/g, markup => markup.replace(/\|/g, LITERAL_PIPE));
+}
+
+/**
+ * Offset of the first character of `search` in a node's source, or the tag
+ * itself when it isn't there
+ */
+function offsetOf(source, node, search) {
+  const index = source.slice(node.contentStart, node.end).indexOf(search);
+  return index === -1 ? node.start : node.contentStart + index;
+}
+
+/**
+ * Checks a bracketed list ("[a, b]") is present and closed
+ * @returns {Object|null} - Problem with message and offset, or null
+ */
+function checkList(source, node, content, example) {
+  if (!content.includes('[')) {
+    return { message: `needs a list like ${example}` };
+  }
+  if (!content.slice(content.indexOf('[')).includes(']')) {
+    return { message: 'has a [ list that is never closed with ]', offset: offsetOf(source, node, '[') };
+  }
+  return null;
+}
+
+/**
+ * Checks for each block type, run on the parsed parameters. They catch what
+ * Slack would reject or what would silently render nothing.
+ * Each returns null or { message, offset? }.
+ */
+const blockChecks = {
+  section: (params, content, source, node) => {
+    if (!content) return { message: 'is empty' };
+    const pipe = content.replace(/\|color:[^|]+/i, '').indexOf('|');
+    if (pipe !== -1 && !params.imageUrl) {
+      const raw = source.slice(node.contentStart, node.end);
+      const rawPipe = raw.search(/\|(?!color:)/i);
+      return {
+        message: 'has a | that would cut off the text after it; write \\| for a literal |',
+        offset: rawPipe === -1 ? node.start : node.contentStart + rawPipe
+      };
+    }
+    return null;
+  },
+  context: (params, content) => !content ? { message: 'is empty' } : null,
+  header: (params, content) => !content ? { message: 'is empty' } : null,
+  image: (params) => !/^https?:\/\//.test(params.url || '')
+    ? { message: 'needs an image URL starting with https://' }
+    : null,
+  buttons: (params, content, source, node) => {
+    const listProblem = checkList(source, node, content, '[Label|value, Other|value2]');
+    if (listProblem) return listProblem;
+    if (params.buttons.length === 0) return { message: 'has no buttons in its list' };
+    if (params.buttons.length > MAX_BUTTONS) {
+      return { message: `has ${params.buttons.length} buttons; Slack shows at most ${MAX_BUTTONS}` };
+    }
+    return null;
+  },
+  select: (params, content, source, node) => checkList(source, node, content, '[Label|value, Other|value2]') ||
+    (params.options.length === 0 ? { message: 'has no options in its list' } : null) ||
+    (params.options.length > MAX_MENU_OPTIONS.select
+      ? { message: `has ${params.options.length} options; select menus fit ${MAX_MENU_OPTIONS.select}` }
+      : null),
+  overflow: (params, content, source, node) => checkList(source, node, content, '[Edit|edit, Delete|delete]') ||
+    (params.options.length < 2 || params.options.length > MAX_MENU_OPTIONS.overflow
+      ? { message: `has ${params.options.length} option${params.options.length === 1 ? '' : 's'}; overflow menus need 2 to ${MAX_MENU_OPTIONS.overflow}` }
+      : null),
+  datepicker: (params, content, source, node) => {
+    const date = content.includes('|') ? content.slice(content.lastIndexOf('|') + 1).trim() : '';
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+      return { message: `start date "${date}" is not a YYYY-MM-DD date`, offset: offsetOf(source, node, date) };
+    }
+    return null;
+  },
+  fields: (params, content, source, node) => content.trim().startsWith('[')
+    ? checkList(source, node, content, '[*Title*|value]')
+    : (!content ? { message: 'is empty' } : null),
+  table: (params) => params.rows.length === 0 ? { message: 'needs at least one row' } : null,
+  code: (params, content) => !content ? { message: 'is empty' } : null,
+  quote: (params, content) => !content ? { message: 'is empty' } : null,
+  bullets: (params) => params.items.length === 0 ? { message: 'needs at least one item' } : null,
+  numbered: (params) => params.items.length === 0 ? { message: 'needs at least one item' } : null
+};
+
+/**
+ * Validates a |color: parameter and returns it in the form Slack accepts
+ * @param {string} color - Color as written
+ * @returns {string|null} - Normalized color, or null if it isn't valid
+ */
+function normalizeBarColor(color) {
+  const value = color.trim();
+  if (NAMED_COLORS.includes(value.toLowerCase())) return value.toLowerCase();
+  if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) return value.startsWith('#') ? value : `#${value}`;
+  return null;
+}
+
+/**
+ * The ``` line that reopens a code block cut at a section boundary
+ * @param {string} line - Line that opened the block
+ * @returns {string}
+ */
+function fenceOpening(line) {
+  const match = line.match(/^[ \t]*```([\w+#.-]*)[ \t]*$/);
+  return match ? `\`\`\`${match[1]}` : '```';
+}
+
+/**
+ * Splits section text over MAX_SECTION_CHARS at line ends. A ``` block that
+ * runs across a split is closed at the end of one part and reopened, with
+ * its language, at the start of the next, so every part renders as code.
+ * @param {string} text - mrkdwn text
+ * @returns {Array<Object>} - Section blocks
+ */
+function splitSectionText(text) {
+  const lines = text.split('\n');
+  const fenceLines = lines.filter(line => (line.match(/```/g) || []).length % 2 === 1);
+  // Room for a reopening line and the closing ```
+  const reserved = Math.max(0, ...fenceLines.map(line => fenceOpening(line).length + 5));
+
+  let openFence = null;
+  return textSections(lines, false, reserved).map(section => {
+    const prefix = openFence === null ? '' : `${openFence}\n`;
+    for (const line of section.text.text.split('\n')) {
+      if ((line.match(/```/g) || []).length % 2 === 1) {
+        openFence = openFence === null ? fenceOpening(line) : null;
+      }
+    }
+    const suffix = openFence === null ? '' : '\n```';
+    return { ...section, text: { ...section.text, text: `${prefix}${section.text.text}${suffix}` } };
+  });
+}
+
+/**
+ * Keeps a generated block inside Slack's size limits: a header that is too
+ * long becomes bold text, and a section over MAX_SECTION_CHARS is split into
+ * several sections at line ends
+ * @param {Object} block - Block Kit block
+ * @returns {Array<Object>} - One or more blocks
+ */
+function fitBlock(block) {
+  if (block.type === 'header' && typeof block.text?.text === 'string') {
+    const text = block.text.text.replace(/\\n|\n/g, ' ').trim();
+    if (text.length <= MAX_HEADER_CHARS) {
+      return [{ ...block, text: { ...block.text, text } }];
+    }
+    return textSections([`*${text}*`]);
+  }
+
+  if (block.type === 'section' && typeof block.text?.text === 'string' && block.text.text.length > MAX_SECTION_CHARS) {
+    // The first part keeps the accessory and block_id
+    return splitSectionText(block.text.text).map((section, index) => (
+      index === 0 ? { ...block, text: { ...block.text, text: section.text.text } } : section
+    ));
+  }
+
+  return [block];
+}
+
+/**
+ * Replaces the escaped-pipe placeholder everywhere in the rendered blocks
+ */
+function restorePipes(value) {
+  if (typeof value === 'string') return value.split(LITERAL_PIPE).join('|');
+  if (Array.isArray(value)) return value.map(restorePipes);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restorePipes(item)]));
+  }
+  return value;
+}
+
+/**
+ * Renders parsed nodes into Block Kit JSON. Blocks that go in attachments
+ * share one attachment with the attachment block before them when their
+ * colors match, so the message keeps the order it was written in. Slack
+ * shows top-level blocks (images) above all attachments.
+ * @param {Object} ast - Result of parse()
+ * @param {Object} [options]
+ * @param {string} [options.color] - Bar color for blocks without |color:
+ * @returns {Promise<{blocks: Array, attachments: Array, errors: Array}>} - Blocks
+ *   with problems are left out and reported in errors
+ */
+async function render(ast, { color = defaultAttachmentColor } = {}) {
+  const { source, nodes } = ast;
+  const blocks = [];
+  const attachments = [];
+  const errors = [];
+
+  for (const node of nodes) {
+    const label = node.implicit ? 'Text' : `#${node.blockType}:`;
+    const report = (problem) => errors.push({
+      ...positionAt(source, problem.offset ?? node.start),
+      message: `${label} ${problem.message}`
+    });
+
+    const content = nodeContent(source, node);
+    const params = parseParams(node.blockType, content);
+
+    if (params.color) {
+      const barColor = normalizeBarColor(params.color);
+      if (!barColor) {
+        report({ message: `has color "${params.color.trim()}"; use a hex color like #2EB67D or good, warning or danger`, offset: offsetOf(source, node, '|color:') });
+        continue;
+      }
+      params.color = barColor;
+    }
+
+    const problem = blockChecks[node.blockType]?.(params, content, source, node);
+    if (problem) {
+      report(problem);
+      continue;
+    }
+
+    let blockType = params.blockTypeOverride || node.blockType;
+    if (blockType === 'section' && params.imageUrl) {
+      blockType = 'sectionWithImage';
+    }
+
+    let generated;
+    try {
+      generated = await Promise.resolve(blockRegistry[blockType].generate(params));
+    } catch (error) {
+      report({ message: `could not be rendered: ${error.message}` });
+      continue;
+    }
+
+    const rendered = [].concat(generated || []).filter(block => block && block.type).flatMap(fitBlock);
+    if (rendered.length === 0) {
+      report({ message: 'produced no content' });
+      continue;
+    }
+
+    if (!blockDefinitions[blockType].attachmentWrapped) {
+      blocks.push(...rendered);
+      continue;
+    }
+
+    const barColor = params.color || color;
+    const previous = attachments[attachments.length - 1];
+    if (previous && previous.color === barColor) {
+      previous.blocks.push(...rendered);
+    } else {
+      attachments.push({ color: barColor, blocks: rendered });
+    }
+  }
+
+  return {
+    blocks: restorePipes(cleanForSlackApi(blocks)),
+    attachments: restorePipes(cleanForSlackApi(attachments)),
+    errors
+  };
+}
+
+/**
+ * Renders message text with #block syntax into a Slack message
+ * @param {string} text - Message text
+ * @param {Object} [options]
+ * @param {string} [options.color] - Bar color for blocks without their own |color:
+ * @param {boolean} [options.strict=true] - Throw on problems instead of skipping the broken blocks
+ * @returns {Promise<{blocks?: Array, attachments?: Array}>} - Top-level blocks and attachments, when there are any
+ * @throws {MessageSyntaxError} - In strict mode, when any block has a problem
+ */
+async function renderMessage(text, { color, strict = true } = {}) {
+  // Messages that arrive double-escaped have "\n" instead of line breaks. A
+  // message with real line breaks is left alone, so "\\n" in code survives.
+  const source = text.includes('\n') ? text : text.replace(/\\n/g, '\n');
+
+  const ast = parse(convertMarkdown(source));
+  const result = await render(ast, { color });
+  const errors = [...ast.errors, ...result.errors]
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+
+  if (errors.length > 0) {
+    if (strict) {
+      throw new MessageSyntaxError(errors);
+    }
+    logger.warn(`⚠️ Skipped ${errors.length} message syntax problem(s): ${errors.map(error => `${error.line}:${error.column} ${error.message}`).join('; ')}`);
+  }
+
+  logger.detail(`🧱 Rendered ${ast.nodes.length} blocks into ${result.blocks.length} blocks and ${result.attachments.length} attachments`);
+
+  // Like Slack's own messages, leave out what's empty
+  const message = {};
+  if (result.blocks.length > 0) message.blocks = result.blocks;
+  if (result.attachments.length > 0) message.attachments = result.attachments;
+  return message;
+}
+
+/**
+ * Splits a rendered message into pages that each fit Slack's block limit.
+ * Pages break between blocks: an attachment that doesn't fit continues on the
+ * next page in the same color, and a header is never the last block of a page.
+ * Top-level blocks come first, the way Slack shows them.
+ * @param {Object} message - Result of renderMessage()
+ * @param {number} [maxBlocks] - Blocks per page
+ * @returns {Array<Object>} - Pages with blocks and/or attachments; just the message when it fits
+ */
+function paginateMessage(message, maxBlocks = MAX_BLOCKS_PER_MESSAGE) {
+  const items = [
+    ...(message.blocks || []).map(block => ({ block })),
+    ...(message.attachments || []).flatMap((attachment, index) => attachment.blocks.map(block => ({
+      block,
+      attachmentIndex: index,
+      color: attachment.color
+    })))
+  ];
+  if (items.length <= maxBlocks) {
+    return [message];
+  }
+
+  const chunks = [];
+  for (let start = 0; start < items.length;) {
+    let end = Math.min(start + maxBlocks, items.length);
+    if (end < items.length && end - start > 1 && items[end - 1].block.type === 'header') {
+      end--;
+    }
+    chunks.push(items.slice(start, end));
+    start = end;
+  }
+
+  return chunks.map(chunk => {
+    const page = {};
+    const blocks = chunk.filter(item => item.attachmentIndex === undefined).map(item => item.block);
+    const attachments = [];
+    for (const item of chunk.filter(item => item.attachmentIndex !== undefined)) {
+      const previous = attachments[attachments.length - 1];
+      if (previous && previous.index === item.attachmentIndex) {
+        previous.blocks.push(item.block);
+      } else {
+        attachments.push({ index: item.attachmentIndex, color: item.color, blocks: [item.block] });
+      }
+    }
+    if (blocks.length > 0) page.blocks = blocks;
+    if (attachments.length > 0) page.attachments = attachments.map(({ index, ...attachment }) => attachment);
+    return page;
+  });
+}
+
+/**
+ * Escapes text so it renders literally inside a message, e.g. user input
+ * that is placed into a section
+ * @param {string} text - Plain text
+ * @returns {string} - Text with # and | escaped
+ */
+function escapeMessageSyntax(text) {
+  return String(text).replace(/[#|]/g, '\\$&');
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  render,
+  renderMessage,
+  paginateMessage,
+  escapeMessageSyntax,
+  MAX_BLOCKS_PER_MESSAGE
+};
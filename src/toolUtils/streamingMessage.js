@@ -0,0 +1,214 @@
+/**
+ * Streaming message support
+ *
+ * While the LLM streams a postMessage tool call, this keeps a placeholder
+ * Slack message in sync with the partial `text` argument. Updates are
+ * throttled to stay inside Slack's chat.update rate limits. The final
+ * message is still posted by the postMessage tool, which updates the
+ * placeholder instead of creating a new message.
+ */
+
+const { getSlackClient } = require('../slackClient.js');
+const { renderMessage } = require('./messageRenderer');
+const { getChannelId, getThreadTs } = require('./messageFormatUtils');
+const { STREAM_UPDATE_INTERVAL_MS } = require('../config.js');
+const logger = require('./logger');
+
+// Shown while the model is still writing
+const STREAMING_CURSOR = ' ▍';
+
+/**
+ * Extracts a (possibly incomplete) string property from partial JSON.
+ * Tool call arguments arrive as JSON fragments, e.g. `{"text":"#header: Hel`.
+ * @param {string} json - Partial JSON text
+ * @param {string} key - Property name to extract
+ * @returns {string|null} - Decoded value so far, or null if the key hasn't started
+ */
+function extractPartialJsonString(json, key) {
+  if (!json) return null;
+
+  const keyMatch = new RegExp(`"${key}"\\s*:\\s*"`).exec(json);
+  if (!keyMatch) return null;
+
+  let value = '';
+  for (let i = keyMatch.index + keyMatch[0].length; i < json.length; i++) {
+    const char = json[i];
+
+    if (char === '"') {
+      return value; // End of the string value
+    }
+
+    if (char !== '\\') {
+      value += char;
+      continue;
+    }
+
+    // Escape sequence - stop if it's cut off mid-way
+    const next = json[i + 1];
+    if (next === undefined) break;
+
+    if (next === 'u') {
+      const hex = json.substring(i + 2, i + 6);
+      if (hex.length < 4) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+      value += escapes[next] !== undefined ? escapes[next] : next;
+      i += 1;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Makes partial block syntax safe to render
+ * @param {string} text - Partial message text
+ * @returns {string} - Text that renderMessage can render without broken blocks
+ */
+function prepareStreamingText(text) {
+  let prepared = text
+    // Interactive blocks are only rendered in the final message
+    .replace(/#(buttons|select|overflow):[^[#]*\[[^\]]*\]?/gi, '')
+    .replace(/#datepicker:[^#]*/gi, '')
+    // A block marker that's still being typed (e.g. "#sec")
+    .replace(/#[a-zA-Z]*$/, '');
+
+  // Drop a trailing list block whose closing bracket hasn't arrived yet
+  const openList = prepared.match(/#(fields|contextWithImages):[^\]#]*\[[^\]]*$/i);
+  if (openList) {
+    prepared = prepared.substring(0, openList.index);
+  }
+
+  return prepared.trim();
+}
+
+class StreamingMessage {
+  /**
+   * @param {Object} threadContext - Thread context from orchestrator.getThreadContext
+   * @param {Object} [options] - Options
+   * @param {number} [options.intervalMs] - Minimum time between Slack updates
+   */
+  constructor(threadContext, options = {}) {
+    this.threadContext = threadContext;
+    this.channelId = getChannelId({}, threadContext);
+    this.threadTs = getThreadTs({}, threadContext);
+    this.intervalMs = options.intervalMs || STREAM_UPDATE_INTERVAL_MS;
+
+    this.toolCallIndex = null; // Index of the postMessage call being streamed
+    this.text = '';
+    this.renderedText = null;
+    this.ts = null;
+    this.lastUpdate = 0;
+    this.pending = null; // Promise of the in-flight Slack call
+    this.timer = null;
+    this.updateCount = 0;
+  }
+
+  /**
+   * Handles a streamed delta from callOpenAI
+   * @param {Object} delta - { type, index, name, arguments }
+   */
+  handleDelta(delta) {
+    if (delta.type !== 'tool_call' || delta.name !== 'postMessage') return;
+
+    // Only stream the first postMessage call of the response
+    if (this.toolCallIndex === null) {
+      this.toolCallIndex = delta.index;
+    } else if (this.toolCallIndex !== delta.index) {
+      return;
+    }
+
+    const text = extractPartialJsonString(delta.arguments, 'text');
+    if (text === null || text === this.text) return;
+
+    this.text = text;
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Schedules a throttled Slack update
+   */
+  scheduleUpdate() {
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastUpdate + this.intervalMs - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pending = (this.pending || Promise.resolve())
+        .then(() => this.render(true))
+        .catch(error => logger.warn(`Streaming update failed: ${error.message}`));
+    }, wait);
+  }
+
+  /**
+   * Renders the current text into the placeholder message
+   * @param {boolean} withCursor - Whether to append the typing cursor
+   */
+  async render(withCursor) {
+    const prepared = prepareStreamingText(this.text);
+    if (!prepared || !this.channelId) return;
+
+    const renderKey = `${prepared}${withCursor ? STREAMING_CURSOR : ''}`;
+    if (renderKey === this.renderedText) return;
+
+    // Half-written blocks are skipped; the final message is checked strictly by postMessage
+    const formatted = await renderMessage(withCursor ? prepared + STREAMING_CURSOR : prepared, { strict: false });
+    const message = { channel: this.channelId, text: ' ', ...formatted };
+    const slack = getSlackClient();
+
+    if (!this.ts) {
+      const result = await slack.chat.postMessage({ ...message, thread_ts: this.threadTs });
+      this.ts = result.ts;
+      logger.info(`📡 Posted streaming placeholder ${this.ts} in thread ${this.threadTs}`);
+    } else {
+      await slack.chat.update({ ...message, ts: this.ts });
+      logger.detail(`📡 Streaming update #${this.updateCount} for ${this.ts} (${prepared.length} chars)`);
+    }
+
+    this.renderedText = renderKey;
+    this.lastUpdate = Date.now();
+    this.updateCount++;
+  }
+
+  /**
+   * Stops scheduling updates and waits for any in-flight Slack call
+   * @returns {Promise<string|null>} - The placeholder ts, if one was posted
+   */
+  async finish() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending) {
+      await this.pending;
+    }
+    if (this.ts) {
+      logger.info(`📡 Streaming finished for ${this.ts} after ${this.updateCount} updates`);
+    }
+    return this.ts;
+  }
+
+  /**
+   * Deletes the placeholder when the streamed call was never executed
+   */
+  async discard() {
+    const ts = await this.finish();
+    if (!ts) return;
+
+    try {
+      await getSlackClient().chat.delete({ channel: this.channelId, ts });
+      logger.info(`🗑️ Deleted unused streaming placeholder ${ts}`);
+    } catch (error) {
+      logger.warn(`Could not delete streaming placeholder ${ts}: ${error.message}`);
+    }
+    this.ts = null;
+  }
+}
+
+module.exports = {
+  StreamingMessage,
+  extractPartialJsonString,
+  prepareStreamingText
+};
@@ -0,0 +1,93 @@
+/**
+ * Rolling thread summaries
+ *
+ * When ContextBuilder prunes a long thread, the dropped messages are folded
+ * into a running summary kept in thread metadata. Each pass sends the LLM the
+ * previous summary plus the newly pruned messages and asks for an updated
+ * summary, so nothing has to be re-read from the start of the thread.
+ */
+
+const { callOpenAI } = require('../openai.js');
+const { LLM_MODEL } = require('../config.js');
+const { countTokens, truncateToTokens } = require('./tokenCounter.js');
+const { formatContextTimestamp } = require('./dateUtils.js');
+const logger = require('./logger.js');
+
+const SUMMARY_CONFIG = {
+  MAX_SUMMARY_TOKENS: 500,     // Length cap for the summary itself
+  MAX_TRANSCRIPT_TOKENS: 6000, // Newly pruned messages sent per pass
+  MAX_MESSAGE_TOKENS: 400      // A single long message is cut to this
+};
+
+const SUMMARY_INSTRUCTIONS = `You maintain a running summary of a Slack conversation between users and Aya, a Slack assistant bot.
+You get the current summary (possibly empty) and older messages that are about to be removed from the conversation.
+Return an updated summary that merges both:
+- keep decisions, agreed facts, names, dates, numbers, links and open questions or pending tasks
+- drop greetings, small talk and anything later superseded
+- refer to users by their Slack mention (<@U123>) when known
+- write in the same language the conversation uses
+- plain text bullet points, no preamble, at most ${SUMMARY_CONFIG.MAX_SUMMARY_TOKENS} tokens`;
+
+/**
+ * Turns pruned context messages into a compact transcript
+ * @param {Array<Object>} messages - ContextBuilder messages (source, text, sourceId, timestamp)
+ * @returns {string} - One line per message, oldest first
+ */
+function formatTranscript(messages) {
+  const lines = messages
+    .filter(msg => msg && msg.text && msg.type !== 'system_note')
+    .map(msg => {
+      const speaker = msg.source === 'user'
+        ? (msg.sourceId ? `<@${msg.sourceId}>` : 'user')
+        : msg.source === 'tool' ? `tool ${msg.toolName || ''}`.trim() : 'Aya';
+      const text = truncateToTokens(msg.text.replace(/\s+/g, ' ').trim(), SUMMARY_CONFIG.MAX_MESSAGE_TOKENS);
+      return `[${formatContextTimestamp(msg.timestamp)}] ${speaker}: ${text}`;
+    });
+
+  // Keep the newest lines if the batch is too large for one pass
+  let transcript = lines.join('\n');
+  while (lines.length > 1 && countTokens(transcript) > SUMMARY_CONFIG.MAX_TRANSCRIPT_TOKENS) {
+    lines.shift();
+    transcript = lines.join('\n');
+  }
+  return transcript;
+}
+
+/**
+ * Folds newly pruned messages into the previous summary
+ * @param {string|null} previousSummary - Current summary text, if any
+ * @param {Array<Object>} messages - Messages being pruned, oldest first
+ * @returns {Promise<string>} - Updated summary (the previous one if there was nothing to add)
+ */
+async function updateSummary(previousSummary, messages) {
+  const transcript = formatTranscript(messages);
+  if (!transcript) {
+    return previousSummary || '';
+  }
+
+  const response = await callOpenAI({
+    model: LLM_MODEL,
+    messages: [
+      { role: 'system', content: SUMMARY_INSTRUCTIONS },
+      {
+        role: 'user',
+        content: `Current summary:\n${previousSummary || '(none yet)'}\n\nMessages to fold in:\n${transcript}`
+      }
+    ],
+    temperature: 0.2,
+    max_tokens: SUMMARY_CONFIG.MAX_SUMMARY_TOKENS
+  });
+
+  const summary = response?.choices?.[0]?.message?.content?.trim();
+  if (!summary) {
+    throw new Error('LLM returned an empty summary');
+  }
+
+  logger.info(`📝 Thread summary updated with ${messages.length} messages (${countTokens(summary)} tokens)`);
+  return truncateToTokens(summary, SUMMARY_CONFIG.MAX_SUMMARY_TOKENS);
+}
+
+module.exports = {
+  updateSummary,
+  formatTranscript
+};
@@ -0,0 +1,146 @@
+/**
+ * Token counting with a bundled BPE tokenizer (gpt-tokenizer, works offline)
+ *
+ * Message overheads follow OpenAI's chat format accounting: every message
+ * costs a few framing tokens on top of its content, and every reply is
+ * primed with 3 more. Images can't be tokenized; each one is counted at
+ * the cost of a full-size image (width x height / 750, as Anthropic bills
+ * them, which is above OpenAI's tile-based cost at the same size).
+ */
+
+const { getModelInfo } = require('../llmProviders/modelRegistry.js');
+const { VISION_MAX_IMAGE_PX } = require('../config.js');
+const logger = require('./logger.js');
+
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+const TOKENS_PER_TOOL = 8; // Framing around each tool definition
+const TOKENS_PER_IMAGE = Math.ceil((VISION_MAX_IMAGE_PX * VISION_MAX_IMAGE_PX) / 750);
+
+// Encoders are loaded lazily - each vocabulary is a few MB
+const encoders = new Map();
+
+/**
+ * Get the encoder module for a BPE encoding
+ * @param {string} encoding - Encoding name (o200k_base, cl100k_base)
+ * @returns {Object|null} - gpt-tokenizer encoding module, or null if unavailable
+ */
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    try {
+      encoders.set(encoding, require(`gpt-tokenizer/encoding/${encoding}`));
+    } catch (error) {
+      logger.warn(`Tokenizer encoding ${encoding} unavailable, falling back to estimates: ${error.message}`);
+      encoders.set(encoding, null);
+    }
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Counts tokens in a piece of text
+ * @param {string} text - Text to count
+ * @param {string} [model] - Model name (defaults to LLM_MODEL)
+ * @returns {number} - Token count
+ */
+function countTokens(text, model) {
+  if (!text) return 0;
+
+  const encoder = getEncoder(getModelInfo(model).encoding);
+  if (!encoder) {
+    // Rough fallback: ~3 characters per token covers pt-BR better than 4
+    return Math.ceil(text.length / 3);
+  }
+
+  return encoder.countTokens(text);
+}
+
+/**
+ * Counts tokens in a single OpenAI-style message, including tool calls
+ * @param {Object} message - { role, content, tool_calls?, tool_call_id? }
+ * @param {string} [model] - Model name
+ * @returns {number} - Token count
+ */
+function countMessageTokens(message, model) {
+  if (!message) return 0;
+
+  let tokens = TOKENS_PER_MESSAGE + countTokens(message.role, model);
+
+  if (typeof message.content === 'string') {
+    tokens += countTokens(message.content, model);
+  } else if (Array.isArray(message.content)) {
+    // Content parts: text is counted, images are estimated
+    for (const part of message.content) {
+      tokens += part.type === 'text' ? countTokens(part.text, model) : TOKENS_PER_IMAGE;
+    }
+  } else if (message.content) {
+    tokens += countTokens(JSON.stringify(message.content), model);
+  }
+
+  for (const toolCall of message.tool_calls || []) {
+    tokens += countTokens(toolCall.function?.name, model);
+    tokens += countTokens(toolCall.function?.arguments, model);
+    tokens += TOKENS_PER_MESSAGE;
+  }
+
+  if (message.tool_call_id) {
+    tokens += countTokens(message.tool_call_id, model);
+  }
+
+  return tokens;
+}
+
+/**
+ * Counts tokens for a whole message list, including reply priming
+ * @param {Array} messages - OpenAI-style messages
+ * @param {string} [model] - Model name
+ * @returns {number} - Token count
+ */
+function countMessagesTokens(messages, model) {
+  if (!Array.isArray(messages) || messages.length === 0) return 0;
+  return messages.reduce((total, message) => total + countMessageTokens(message, model), TOKENS_PER_REPLY);
+}
+
+/**
+ * Counts tokens taken by tool definitions
+ * @param {Array} tools - Tools in OpenAI function format
+ * @param {string} [model] - Model name
+ * @returns {number} - Token count
+ */
+function countToolTokens(tools, model) {
+  if (!Array.isArray(tools)) return 0;
+
+  return tools.reduce((total, tool) => {
+    const fn = tool.function || {};
+    return total + TOKENS_PER_TOOL +
+      countTokens(fn.name, model) +
+      countTokens(fn.description, model) +
+      countTokens(JSON.stringify(fn.parameters || {}), model);
+  }, 0);
+}
+
+/**
+ * Cuts text down to a token budget
+ * @param {string} text - Text to truncate
+ * @param {number} maxTokens - Token budget
+ * @param {string} [model] - Model name
+ * @returns {string} - Text that fits the budget
+ */
+function truncateToTokens(text, maxTokens, model) {
+  if (!text || countTokens(text, model) <= maxTokens) return text;
+
+  const encoder = getEncoder(getModelInfo(model).encoding);
+  if (!encoder) {
+    return text.substring(0, Math.max(0, maxTokens * 3));
+  }
+
+  return encoder.decode(encoder.encode(text).slice(0, Math.max(0, maxTokens)));
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens,
+  countMessagesTokens,
+  countToolTokens,
+  truncateToTokens
+};
@@ -0,0 +1,135 @@
+/**
+ * Tool Response Formatter - Serializes tool results for `role: "tool"` messages
+ *
+ * Every result is a compact single-line JSON object with the same envelope:
+ *   { "ok": true|false, ...tool-specific fields }
+ * Failed calls always carry an `error` string. Long strings and arrays are
+ * truncated so one large result can't crowd out the rest of the context.
+ */
+
+// Limits for values included in tool results
+const MAX_STRING_LENGTH = 1000;
+const MAX_HISTORY_LENGTH = 4000; // Thread history is the point of getThreadHistory, so allow more
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 4;
+
+// Fields that only matter to our own bookkeeping, never to the model
+const OMITTED_FIELDS = ['reasoning', 'metadata', 'response_metadata', 'scopes', 'acceptedScopes', 'headers'];
+
+/**
+ * Truncates a string, noting how much was cut
+ * @param {string} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string} - Truncated text
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength
+    ? `${text.substring(0, maxLength)}… (${text.length - maxLength} more chars)`
+    : text;
+}
+
+/**
+ * Recursively trims a value to the configured limits
+ * @param {*} value - Value to compact
+ * @param {number} depth - Current depth
+ * @returns {*} - Compacted value
+ */
+function compactValue(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    return truncate(value, MAX_STRING_LENGTH);
+  }
+
+  if (typeof value !== 'object') return value;
+
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[${value.length} items]` : '{…}';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => compactValue(item, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      items.push(`… ${value.length - MAX_ARRAY_ITEMS} more items`);
+    }
+    return items;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (OMITTED_FIELDS.includes(key) || item === undefined || typeof item === 'function') continue;
+    result[key] = compactValue(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Formats a tool response for the LLM
+ * @param {string} toolName - Name of the tool
+ * @param {Object} args - Tool arguments
+ * @param {Object} response - Tool response
+ * @param {Error|Object} [error] - Error thrown by the tool, if any
+ * @returns {string} - Compact JSON string
+ */
+function formatToolResponse(toolName, args, response, error = null) {
+  try {
+    let formattedResponse;
+
+    if (error) {
+      formattedResponse = {
+        ok: false,
+        error: error.message || String(error),
+        code: error.code || error.details?.code,
+        // Argument validation failures list every problem so the model can fix the call
+        errors: error.details?.errors ? compactValue(error.details.errors) : undefined
+      };
+    } else if (response && (response.error === true || response.status === 'error' || response.ok === false)) {
+      // Tools report handled failures in their result rather than throwing
+      formattedResponse = {
+        ...compactValue(response),
+        ok: false,
+        error: response.message || (typeof response.error === 'string' ? response.error : 'Tool reported an error')
+      };
+    } else if (toolName === 'postMessage') {
+      // The text is already in the tool call arguments; only confirm delivery
+      formattedResponse = { ok: true, ts: response?.ts };
+    } else if (toolName === 'getThreadHistory') {
+      if (response?.loopDetected) {
+        formattedResponse = {
+          ok: false,
+          error: response.warning || 'getThreadHistory called too many times. Use the history you already have.',
+          recommendation: response.recommendation
+        };
+      } else {
+        formattedResponse = {
+          ok: true,
+          messages_count: response?.messagesRetrieved || 0,
+          from_cache: response?.fromCache || false,
+          history: truncate(response?.formattedHistoryText || '', MAX_HISTORY_LENGTH)
+        };
+      }
+    } else if (toolName === 'readFile' && response && typeof response.text === 'string') {
+      // A file part is already sized by FILE_PART_CHARS; cutting it would leave most of the file unreadable
+      const { text, ...details } = response;
+      formattedResponse = { ok: true, ...compactValue(details), text };
+    } else if (toolName === 'getUsergroupMembers' && Array.isArray(response?.otherMemberIds)) {
+      // Members without a profile are listed by ID only, which keeps even large groups short
+      const { otherMemberIds, ...details } = response;
+      formattedResponse = { ok: true, ...compactValue(details), otherMemberIds };
+    } else if (toolName === 'finishRequest') {
+      formattedResponse = { ok: true, completed: true };
+    } else if (response && typeof response === 'object') {
+      formattedResponse = { ok: true, ...compactValue(response) };
+    } else {
+      formattedResponse = { ok: true, result: compactValue(response) };
+    }
+
+    return JSON.stringify(formattedResponse);
+  } catch (e) {
+    // Fallback if there's an error formatting the response
+    return JSON.stringify({ ok: true, error_formatting: e.message });
+  }
+}
+
+module.exports = {
+  formatToolResponse,
+  compactValue
+};
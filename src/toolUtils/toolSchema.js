@@ -0,0 +1,241 @@
+/**
+ * Tool schema checks
+ *
+ * Every tool is sent to the LLM with `strict: true`. Strict mode only accepts
+ * schemas where each object lists all of its properties in `required` and
+ * sets `additionalProperties: false` - optional values are described as
+ * optional instead of being left out of `required`. The registry runs these
+ * checks at startup so a bad schema stops the bot instead of failing on the
+ * first LLM call.
+ *
+ * validateArguments checks a tool call's arguments against the same schemas
+ * before the tool runs. Each problem is reported as { path, expected, got }
+ * so the model can see exactly which argument to fix.
+ */
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Checks one schema node (and its children) against strict-mode rules
+ * @param {Object} schema - JSON schema node
+ * @param {string} path - Location for error messages (e.g. "parameters.options.items")
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateSchemaNode(schema, path, errors) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    errors.push(`${path} must be a schema object`);
+    return;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!schema.type || types.some(type => !JSON_TYPES.includes(type))) {
+    errors.push(`${path} has an invalid type ${JSON.stringify(schema.type)}`);
+    return;
+  }
+
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    errors.push(`${path}.enum must be a non-empty array`);
+  }
+
+  if (types.includes('object')) {
+    if (!schema.properties || typeof schema.properties !== 'object') {
+      errors.push(`${path} is an object without properties`);
+      return;
+    }
+    if (schema.additionalProperties !== false) {
+      errors.push(`${path} must set additionalProperties: false`);
+    }
+
+    const propertyNames = Object.keys(schema.properties);
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const missing = propertyNames.filter(name => !required.includes(name));
+    const unknown = required.filter(name => !propertyNames.includes(name));
+    if (missing.length > 0) {
+      errors.push(`${path}.required is missing ${missing.join(', ')} (strict mode needs every property listed)`);
+    }
+    if (unknown.length > 0) {
+      errors.push(`${path}.required lists undefined properties ${unknown.join(', ')}`);
+    }
+
+    for (const name of propertyNames) {
+      validateSchemaNode(schema.properties[name], `${path}.${name}`, errors);
+    }
+  }
+
+  if (types.includes('array')) {
+    if (!schema.items) {
+      errors.push(`${path} is an array without items`);
+    } else {
+      validateSchemaNode(schema.items, `${path}.items`, errors);
+    }
+  }
+}
+
+/**
+ * Validates an access rule (see src/toolAccess.js)
+ * @param {Object} access - { users, usergroups, channels, dmOnly, check }
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateAccessRule(access) {
+  if (!access || typeof access !== 'object' || Array.isArray(access)) {
+    return ['access must be an object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(access)) {
+    if (['users', 'usergroups', 'channels'].includes(key)) {
+      if (!Array.isArray(value) || value.some(id => typeof id !== 'string')) {
+        errors.push(`access.${key} must be an array of Slack IDs`);
+      }
+    } else if (key === 'dmOnly') {
+      if (typeof value !== 'boolean') errors.push('access.dmOnly must be a boolean');
+    } else if (key === 'check') {
+      if (typeof value !== 'function') errors.push('access.check must be a function');
+    } else {
+      errors.push(`access.${key} is not a known rule`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a registry entry: { type: 'function', function: {...}, implementation, parallel, access }
+ * @param {Object} definition - Tool definition exported by a tool file
+ * @returns {Array<string>} - Problems found (empty when valid)
+ */
+function validateToolDefinition(definition) {
+  const errors = [];
+
+  if (!definition || definition.type !== 'function' || !definition.function) {
+    return ['must be { type: "function", function: { name, description, parameters, strict } }'];
+  }
+
+  const { name, description, parameters, strict } = definition.function;
+
+  if (typeof name !== 'string' || !TOOL_NAME_PATTERN.test(name)) {
+    errors.push(`name ${JSON.stringify(name)} must match ${TOOL_NAME_PATTERN}`);
+  }
+  if (typeof description !== 'string' || !description.trim()) {
+    errors.push('description is empty');
+  }
+  if (strict !== true) {
+    errors.push('strict must be true');
+  }
+  if (typeof definition.implementation !== 'function') {
+    errors.push('implementation is not a function');
+  }
+  if (definition.parallel !== undefined && typeof definition.parallel !== 'boolean') {
+    errors.push('parallel must be a boolean');
+  }
+  if (definition.access !== undefined) {
+    errors.push(...validateAccessRule(definition.access));
+  }
+
+  if (!parameters || parameters.type !== 'object') {
+    errors.push('parameters must be an object schema');
+    return errors;
+  }
+
+  validateSchemaNode(parameters, 'parameters', errors);
+
+  // Every tool explains itself - the reasoning ends up in logs and the context
+  const reasoning = parameters.properties && parameters.properties.reasoning;
+  if (!reasoning) {
+    errors.push('parameters.reasoning is missing');
+  } else if (reasoning.type !== 'string') {
+    errors.push('parameters.reasoning must be a string');
+  }
+
+  return errors;
+}
+
+/**
+ * Names the JSON type of a value the way schemas do
+ * @param {*} value - Any value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', ...
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value matches one JSON schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
+  }
+}
+
+/**
+ * Validates tool call arguments against a parameters schema
+ * @param {Object} schema - JSON schema (the tool's `function.parameters`)
+ * @param {*} value - Arguments from the LLM
+ * @param {string} [path] - Location of value ('$' is the arguments object)
+ * @returns {Array<Object>} - { path, expected, got } for each problem (empty when valid)
+ */
+function validateArguments(schema, value, path = '$') {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const matchedType = types.find(type => matchesType(value, type));
+
+  if (!matchedType) {
+    return [{ path, expected: types.join(' or '), got: describeType(value) }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, expected: `one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`, got: JSON.stringify(value) }];
+  }
+
+  const errors = [];
+
+  if (matchedType === 'object' && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        const property = schema.properties[name];
+        const expected = Array.isArray(property.type) ? property.type.join(' or ') : property.type;
+        errors.push({ path: `${path}.${name}`, expected, got: 'missing' });
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (!schema.properties[name]) {
+        if (schema.additionalProperties === false) {
+          errors.push({ path: `${path}.${name}`, expected: 'no such property', got: describeType(item) });
+        }
+        continue;
+      }
+      errors.push(...validateArguments(schema.properties[name], item, `${path}.${name}`));
+    }
+  }
+
+  if (matchedType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateArguments(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateToolDefinition,
+  validateSchemaNode,
+  validateAccessRule,
+  validateArguments,
+  describeType
+};
@@ -182,7 +182,55 @@ async function addReaction(args, threadState) {
   }
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'addReaction',
+      description: 'Adds an emoji reaction to a message',
+      parameters: {
+        type: 'object',
+        properties: {
+          emoji: {
+            type: ['string', 'array'],
+            description: 'Emoji name to add as reaction (without colons, e.g. "thumbsup") or array of emoji names',
+            items: {
+              type: 'string'
+            }
+          },
+          messageTs: {
+            type: 'string',
+            description: 'Timestamp of the message to react to (optional)'
+          },
+          message_ts: {
+            type: 'string',
+            description: 'Alternative parameter name for messageTs (optional)'
+          },
+          message_id: {
+            type: 'string',
+            description: 'ID of the message to react to from the context (optional)'
+          },
+          channel_id: {
+            type: 'string',
+            description: 'Channel ID where the message is located (optional, will use current channel if not specified)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are adding this reaction'
+          }
+        },
+        required: ['emoji', 'reasoning', 'messageTs', 'message_ts', 'message_id', 'channel_id'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: addReaction,
+    parallel: true
+  }
+];
+
 module.exports = {
   addReaction,
-  availableEmojis: AVAILABLE_EMOJIS
-}; 
\ No newline at end of file
+  availableEmojis: AVAILABLE_EMOJIS,
+  toolDefinitions
+};
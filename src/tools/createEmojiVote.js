@@ -1,8 +1,18 @@
-// Tool for creating emoji-based voting messages
-const { formatSlackMessage } = require('../slackFormat.js');
-const { getSlackClient } = require('../slackClient.js');
+// Tools for running emoji polls (lifecycle lives in src/polls.js)
+const { getSlackClient, getBotUserId } = require('../slackClient.js');
 const { logError } = require('../errors.js');
 const logger = require('../toolUtils/logger.js');
+const { recordMessageOwner } = require('../toolAccess.js');
+const {
+  findPoll,
+  tallyPoll,
+  renderPoll,
+  registerPoll,
+  syncPollFromSlack,
+  closePoll,
+  normalizeEmoji,
+  onlyPollCreator
+} = require('../polls.js');
 
 
 /**
@@ -11,6 +21,8 @@ const logger = require('../toolUtils/logger.js');
  * @param {Object} args - Arguments for the emoji vote message
  * @param {string} args.text - Vote description/question with [header] for title
  * @param {Array} args.options - Array of emoji voting options
+ * @param {boolean} args.multipleChoice - Whether people may vote for several options
+ * @param {number} args.closesInMinutes - Minutes until the poll closes (0 = stays open)
  * @param {string} args.color - Color of the message sidebar (optional)
  * @param {string} args.threadTs - Thread timestamp to reply in (optional)
  * @param {Object} threadState - Current thread state
@@ -18,7 +30,7 @@ const logger = require('../toolUtils/logger.js');
  */
 async function createEmojiVote(args, threadState) {
   try {
-    const { text, options, color, threadTs } = args;
+    const { text, options, color, threadTs, multipleChoice = false, closesInMinutes = 0 } = args;
     
     // Get context from metadata
     const context = threadState.getMetadata('context');
@@ -30,104 +42,86 @@ async function createEmojiVote(args, threadState) {
       throw new Error('Channel ID not available in thread context');
     }
     
-    // Parse options if provided as string
-    let parsedOptions = options;
-    if (typeof options === 'string') {
-      try {
-        parsedOptions = JSON.parse(options);
-      } catch (error) {
-        throw new Error(`Invalid options JSON: ${error.message}`);
-      }
+    // executeTool has already checked the shape against the schema; strict mode can't express minItems
+    if (options.length === 0) {
+      throw new Error('Options must be a non-empty array');
     }
     
-    // Validate options
-    if (!Array.isArray(parsedOptions) || parsedOptions.length === 0) {
-      throw new Error('Options must be a non-empty array');
+    // Tallies match reactions by name, so two options can't share an emoji
+    const emojiNames = options.map(option => normalizeEmoji(option.emoji));
+    const duplicate = emojiNames.find((name, index) => !name || emojiNames.indexOf(name) !== index);
+    if (duplicate !== undefined) {
+      throw new Error(duplicate ? `Emoji :${duplicate}: is used for more than one option` : 'Every option needs an emoji');
     }
     
-    // Format options as a list with emojis
-    const optionsText = parsedOptions.map((option, index) => {
-      const emoji = option.emoji || `:${index + 1}️⃣:`; // Default to number emojis
-      return `${emoji} - ${option.text}`;
-    }).join('\n');
+    if (closesInMinutes < 0) {
+      throw new Error('closesInMinutes must be 0 (no deadline) or a positive number of minutes');
+    }
     
-    // Create the full message text with instructions
-    const fullText = `${text}\n\n*Options:*\n${optionsText}\n\n_React with the emoji next to your preferred option to vote._`;
+    const threadTimestamp = threadTs || context?.threadTs;
+    const poll = {
+      voteId: `vote_${Date.now()}`,
+      text,
+      options: options.map(option => ({ text: option.text, emoji: `:${normalizeEmoji(option.emoji)}:` })),
+      color: color || '#0078D7',
+      channelId,
+      threadTs: threadTimestamp || null,
+      createdBy: context?.userId || null,
+      timestamp: new Date().toISOString(),
+      multipleChoice,
+      closesAt: closesInMinutes > 0 ? new Date(Date.now() + closesInMinutes * 60 * 1000).toISOString() : null,
+      closed: false,
+      votes: {}
+    };
     
-    // Format the message
-    const message = formatSlackMessage({
-      text: fullText,
-      color: color || '#0078D7'
-    });
+    // The poll message shows the (empty) tally from the start; syntax errors in the question go back to the model
+    const message = await renderPoll(poll, { strict: true });
     
-    // Prepare message options
     const messageParams = {
       channel: channelId,
       text: message.text,
-      blocks: message.blocks
+      blocks: message.blocks,
+      attachments: message.attachments
     };
-    
-    // Add thread_ts if provided or from thread context
-    const threadTimestamp = threadTs || context?.threadTs;
     if (threadTimestamp) {
       messageParams.thread_ts = threadTimestamp;
     }
     
-    // Get Slack client
     const slackClient = getSlackClient();
-    
-    // Send the message
     const response = await slackClient.chat.postMessage(messageParams);
     
-    // Store vote metadata in thread state for later retrieval
-    if (!threadState.voteRegistry) {
-      threadState.voteRegistry = {};
-    }
-    
-    // Generate a unique vote ID
-    const voteId = `vote_${Date.now()}`;
-    
-    // Register this vote
-    threadState.voteRegistry[voteId] = {
-      text,
-      options: parsedOptions,
-      messageTs: response.ts,
-      channelId,
-      timestamp: new Date().toISOString(),
-      // Automatically add reactions for each option
-      reactions: parsedOptions.map(option => option.emoji || '')
-    };
+    poll.messageTs = response.ts;
+    poll.botUserId = await getBotUserId();
+    registerPoll(threadState.threadId, poll);
     
-    // Add initial reactions to the message for each option
+    // Seed one reaction per option so voting is a single click
     try {
-      // Add each emoji as a reaction
-      for (const option of parsedOptions) {
-        if (option.emoji) {
-          // Remove colons from emoji if present
-          const emojiName = option.emoji.replace(/:/g, '');
-          
-          // Wait a small amount to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 300));
-          
-          await slackClient.reactions.add({
-            channel: channelId,
-            timestamp: response.ts,
-            name: emojiName
-          });
-        }
+      for (const name of emojiNames) {
+        // Wait a small amount to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 300));
+        
+        await slackClient.reactions.add({
+          channel: channelId,
+          timestamp: response.ts,
+          name
+        });
       }
     } catch (reactionError) {
       logger.warn(`Error adding initial reactions: ${reactionError.message}`);
       // Non-fatal error, continue
     }
     
+    recordMessageOwner(threadState, response.ts);
+    
     // Return relevant information
     return {
       ok: response.ok,
       ts: response.ts,
       channel: response.channel,
-      voteId,
-      options: parsedOptions.map(o => ({ text: o.text, emoji: o.emoji }))
+      voteId: poll.voteId,
+      multipleChoice,
+      closesAt: poll.closesAt,
+      options: poll.options
     };
   } catch (error) {
     logError('Error creating emoji vote', error, { args });
@@ -148,98 +142,202 @@ async function getVoteResults(args, threadState) {
   try {
     const { voteId, messageTs } = args;
     
-    // Get context from metadata
-    const context = threadState.getMetadata('context');
-    
-    // Get channel ID from context
-    const channelId = context?.channelId;
-    
-    if (!channelId) {
-      throw new Error('Channel ID not available in thread context');
-    }
-    
     // Need either voteId or messageTs
     if (!voteId && !messageTs) {
       throw new Error('Either voteId or messageTs is required');
     }
     
-    // Find the vote in the registry
-    const voteRegistry = threadState.voteRegistry || {};
-    let voteInfo = null;
-    let messageTimestamp = messageTs;
-    
-    if (voteId && voteRegistry[voteId]) {
-      voteInfo = voteRegistry[voteId];
-      messageTimestamp = voteInfo.messageTs;
-    } else if (messageTs) {
-      // Search for the vote by message timestamp
-      for (const [regVoteId, regVoteInfo] of Object.entries(voteRegistry)) {
-        if (regVoteInfo.messageTs === messageTs) {
-          voteInfo = regVoteInfo;
-          break;
-        }
-      }
+    let poll = findPoll(threadState.threadId, { voteId, messageTs });
+    if (!poll) {
+      throw new Error('Vote not found in this thread');
     }
     
-    if (!voteInfo && !messageTimestamp) {
-      throw new Error('Vote not found in registry');
+    // Closed polls keep their final tally; open ones are recounted from Slack
+    if (!poll.closed) {
+      try {
+        poll = await syncPollFromSlack(threadState.threadId, poll);
+      } catch (syncError) {
+        logger.warn(`Using tracked tally for ${poll.voteId}: ${syncError.message}`);
+      }
     }
     
-    // Get reactions from the message
-    const slackClient = getSlackClient();
-    const reactionsResponse = await slackClient.reactions.get({
-      channel: channelId,
-      timestamp: messageTimestamp,
-      full: true
-    });
+    const tally = tallyPoll(poll);
     
-    if (!reactionsResponse.ok || !reactionsResponse.message) {
-      throw new Error('Could not retrieve reactions');
-    }
+    return {
+      voteId: poll.voteId,
+      messageTs: poll.messageTs,
+      multipleChoice: !!poll.multipleChoice,
+      closed: !!poll.closed,
+      closesAt: poll.closesAt || null,
+      closedAt: poll.closedAt || null,
+      results: tally.results,
+      totalVotes: tally.totalVotes,
+      voters: tally.voters,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logError('Error getting vote results', error, { args });
+    throw error;
+  }
+}
+
+/**
+ * Closes a poll before its deadline and posts the final results in its thread
+ * 
+ * @param {Object} args - Arguments for closing the vote
+ * @param {string} args.voteId - ID of the vote to close
+ * @param {string} args.messageTs - Timestamp of the vote message (alternative to voteId)
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - Final results
+ */
+async function closeVote(args, threadState) {
+  try {
+    const { voteId, messageTs } = args;
     
-    // Extract vote counts from reactions
-    const reactions = reactionsResponse.message.reactions || [];
-    const results = [];
+    if (!voteId && !messageTs) {
+      throw new Error('Either voteId or messageTs is required');
+    }
     
-    // If we have vote info, map reactions to options
-    if (voteInfo && voteInfo.options) {
-      // Process each option
-      for (const option of voteInfo.options) {
-        const emoji = option.emoji ? option.emoji.replace(/:/g, '') : '';
-        const reaction = reactions.find(r => r.name === emoji);
-        
-        results.push({
-          text: option.text,
-          emoji: option.emoji,
-          count: reaction ? reaction.count - 1 : 0, // Subtract 1 for the bot's own reaction
-          users: reaction ? reaction.users.filter(user => user !== reactionsResponse.message.user) : []
-        });
-      }
-    } else {
-      // If we don't have vote info, just return all reactions
-      for (const reaction of reactions) {
-        results.push({
-          emoji: `:${reaction.name}:`,
-          count: reaction.count - 1, // Subtract 1 for the bot's own reaction if it added it
-          users: reaction.users
-        });
-      }
+    const poll = findPoll(threadState.threadId, { voteId, messageTs });
+    if (!poll) {
+      throw new Error('Vote not found in this thread');
     }
     
-    // Return the results
+    const requester = threadState.getMetadata('context')?.userId || null;
+    const result = await closePoll(threadState.threadId, poll.voteId, { closedBy: requester });
+    
     return {
-      results,
-      timestamp: new Date().toISOString(),
-      totalVotes: results.reduce((sum, result) => sum + result.count, 0),
-      message: reactionsResponse.message
+      ok: true,
+      voteId: poll.voteId,
+      alreadyClosed: result.alreadyClosed,
+      resultsTs: result.poll.resultsTs || null,
+      results: result.tally.results,
+      totalVotes: result.tally.totalVotes,
+      voters: result.tally.voters
     };
   } catch (error) {
-    logError('Error getting vote results', error, { args });
+    logError('Error closing emoji vote', error, { args });
     throw error;
   }
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'createEmojiVote',
+      description: 'Creates an emoji poll. The poll message shows a live tally; a poll with a deadline closes itself and posts the results in the thread',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: {
+            type: 'string',
+            description: 'Vote description/question in the same block syntax as postMessage, e.g. #header: for the title'
+          },
+          options: {
+            type: 'array',
+            description: 'Array of emoji voting options with text and emoji properties',
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string' },
+                emoji: { type: 'string' }
+              },
+              required: ['text', 'emoji'],
+              additionalProperties: false
+            }
+          },
+          multipleChoice: {
+            type: 'boolean',
+            description: 'true lets people vote for several options; false counts only each person\'s latest reaction'
+          },
+          closesInMinutes: {
+            type: 'integer',
+            description: 'Minutes until the poll closes and results are posted; 0 keeps it open until closeVote is called'
+          },
+          color: {
+            type: 'string',
+            description: 'Color of the message sidebar (use hex code like #842BFF or named colors: good=green, warning=yellow, danger=red)'
+          },
+          threadTs: {
+            type: 'string',
+            description: 'Thread timestamp to reply in (optional)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are creating this emoji vote'
+          }
+        },
+        required: ['text', 'options', 'multipleChoice', 'closesInMinutes', 'color', 'reasoning', 'threadTs'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: createEmojiVote
+  },
+  {
+    type: "function",
+    function: {
+      name: 'getVoteResults',
+      description: 'Gets the current results for an emoji vote (open or closed)',
+      parameters: {
+        type: 'object',
+        properties: {
+          voteId: {
+            type: 'string',
+            description: 'ID of the vote to get results for (optional if messageTs provided)'
+          },
+          messageTs: {
+            type: 'string',
+            description: 'Timestamp of the vote message (optional if voteId provided)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are requesting vote results'
+          }
+        },
+        required: ['reasoning', 'voteId', 'messageTs'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: getVoteResults,
+    parallel: true
+  },
+  {
+    type: "function",
+    function: {
+      name: 'closeVote',
+      description: 'Closes an emoji vote now and posts the final results in its thread',
+      parameters: {
+        type: 'object',
+        properties: {
+          voteId: {
+            type: 'string',
+            description: 'ID of the vote to close (optional if messageTs provided)'
+          },
+          messageTs: {
+            type: 'string',
+            description: 'Timestamp of the vote message (optional if voteId provided)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are closing this vote'
+          }
+        },
+        required: ['reasoning', 'voteId', 'messageTs'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: closeVote,
+    access: { check: onlyPollCreator }
+  }
+];
+
 module.exports = {
   createEmojiVote,
-  getVoteResults
-}; 
\ No newline at end of file
+  getVoteResults,
+  closeVote,
+  toolDefinitions
+};
@@ -124,6 +124,38 @@ async function finishRequest(args = {}, threadState) {
   };
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'finishRequest',
+      description: 'Signals the end of processing for a user request',
+      parameters: {
+        type: 'object',
+        properties: {
+          summary: {
+            type: 'string',
+            description: 'Optional summary of the completed task or final thoughts (optional)'
+          },
+          clearCache: {
+            type: 'boolean',
+            description: 'Whether to clear the thread history cache for this thread (optional, default: false)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why the conversation is being ended (optional)'
+          }
+        },
+        required: ['summary', 'clearCache', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: finishRequest
+  }
+];
+
 module.exports = {
-  finishRequest
-}; 
\ No newline at end of file
+  finishRequest,
+  toolDefinitions
+};
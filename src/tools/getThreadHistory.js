@@ -4,6 +4,7 @@ const { logError } = require('../errors.js');
 const logger = require('../toolUtils/logger.js');
 const { formatTimestamp, formatRelativeTime } = require('../toolUtils/dateUtils.js');
 const { getThreadContextBuilder } = require('../threadContextBuilder.js');
+const { describeMessageFiles } = require('../sharedFiles.js');
 
 // Add a simple in-memory cache to prevent redundant calls
 const threadHistoryCache = new Map();
@@ -111,16 +112,23 @@ async function getThreadHistory(args = {}, threadContext) {
         ).join('');
       }
       
+      // Shared files - text files can be opened with readFile
+      const files = describeMessageFiles(msg) || [];
+      const fileText = files.map(file =>
+        `\n    📄 ${file.name || file.fileId} (${[file.type, file.size].filter(Boolean).join(', ')}): ${file.readable ? `fileId ${file.fileId}` : file.note}`
+      ).join('');
+      
       // Format final message text
       return {
         index,
-        text: `${prefix}${userIdentifier} (${timestamp}):\n${msg.text || ''}${attachmentText}`,
+        text: `${prefix}${userIdentifier} (${timestamp}):\n${msg.text || ''}${attachmentText}${fileText}`,
         isUser,
         isSystem,
         user: msg.user,
         timestamp: msg.ts,
         hasAttachments: !!msg.attachments?.length,
-        hasBlocks: !!msg.blocks?.length
+        hasBlocks: !!msg.blocks?.length,
+        files: files.length > 0 ? files : undefined
       };
     });
     
@@ -264,10 +272,53 @@ function clearThreadCache(threadId) {
   return true;
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'getThreadHistory',
+      description: 'Retrieves the conversation history from the current thread. Results are cached for 30 seconds to prevent redundant API calls.',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of messages to retrieve (default: 20)'
+          },
+          includeParent: {
+            type: 'boolean',
+            description: 'Whether to include the parent message (first message) in the thread (default: true)'
+          },
+          order: {
+            type: 'string',
+            description: 'Message ordering: "chronological" (oldest first) or "reverse_chronological" (newest first). Default is "chronological".',
+            enum: ['chronological', 'reverse_chronological']
+          },
+          forceRefresh: {
+            type: 'boolean',
+            description: 'Force a refresh of thread history, ignoring cached results (default: false)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why thread history is needed'
+          }
+        },
+        required: ['limit', 'includeParent', 'order', 'forceRefresh', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: getThreadHistory,
+    // No side effects that other calls depend on - safe to run alongside them
+    parallel: true
+  }
+];
+
 // Export the main function
 module.exports = getThreadHistory;
 
 // Also export the internal function and cache clearing function
 module.exports.loadThreadHistory = loadThreadHistory;
 module.exports.clearThreadCache = clearThreadCache;
-module.exports.callCounter = callCounter; 
\ No newline at end of file
+module.exports.callCounter = callCounter;
+module.exports.toolDefinitions = toolDefinitions;
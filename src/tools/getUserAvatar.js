@@ -4,12 +4,14 @@ const logger = require('../toolUtils/logger.js');
 
 /**
  * Gets a user's avatar URL from their Slack user ID
- * @param {string} userId - Slack user ID to get avatar for
- * @param {string} [size=512] - Avatar size (one of: 24, 32, 48, 72, 192, 512, 1024)
+ * @param {Object} args - Arguments
+ * @param {string} args.userId - Slack user ID to get avatar for
+ * @param {string} [args.size=512] - Avatar size (one of: 24, 32, 48, 72, 192, 512, 1024)
  * @param {Object} threadContext - Thread context with connection info
  * @returns {Promise<Object>} - Object containing the avatar URL
  */
-async function getUserAvatar(userId, size = 512, threadContext) {
+async function getUserAvatar(args = {}, threadContext) {
+  const { userId, size = 512 } = args;
   try {
     if (!userId) {
       return { 
@@ -65,5 +67,38 @@ async function getUserAvatar(userId, size = 512, threadContext) {
   }
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'getUserAvatar',
+      description: 'Gets a user\'s avatar URL from their Slack user ID',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'The Slack user ID to get avatar for (required)'
+          },
+          size: {
+            type: 'string',
+            description: 'Size of the avatar to return (24, 32, 48, 72, 192, 512, 1024, or "original", default: 192)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you need this user\'s avatar'
+          }
+        },
+        required: ['userId', 'reasoning', 'size'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: getUserAvatar,
+    parallel: true
+  }
+];
+
 // Export the function directly to avoid circular dependencies
-module.exports = getUserAvatar; 
\ No newline at end of file
+module.exports = getUserAvatar;
+module.exports.toolDefinitions = toolDefinitions;
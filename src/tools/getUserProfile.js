@@ -0,0 +1,199 @@
+// Directory tools: user profiles and user group members (lookups live in src/directory.js)
+const directory = require('../directory.js');
+const { getRequester } = require('../toolAccess.js');
+const { formatInTimezone } = require('../toolUtils/dateUtils.js');
+const { logError } = require('../errors.js');
+
+// Each member is a users.info call, and tool results keep 20 list items;
+// larger groups list the rest by ID only
+const MAX_MEMBER_PROFILES = 20;
+
+function parseUserId(value) {
+  const match = String(value || '').trim().match(/^<@([A-Z0-9]+)(?:\|[^>]*)?>$|^@?([UW][A-Z0-9]+)$/);
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Gets a user's profile: name, title, timezone, local time and status
+ *
+ * @param {Object} args - Arguments for the lookup
+ * @param {string} args.userId - Slack user ID (U0123 or <@U0123>)
+ * @param {boolean} args.includeEmail - Whether to include the email address (subject to USER_EMAIL_VISIBILITY)
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - Profile
+ */
+async function getUserProfile(args, threadState) {
+  try {
+    const userId = parseUserId(args.userId);
+    if (!userId) {
+      throw new Error(`"${args.userId}" is not a Slack user ID (expected U0123ABCD or <@U0123ABCD>)`);
+    }
+
+    const user = await directory.getUserInfo(userId);
+    const profile = user.profile || {};
+    const expiresAt = profile.status_expiration ? new Date(profile.status_expiration * 1000).toISOString() : null;
+
+    const result = {
+      ok: true,
+      ...directory.summarizeUser(user),
+      localTime: user.tz ? formatInTimezone(new Date(), user.tz) : null,
+      timezoneLabel: user.tz_label || null,
+      status: profile.status_text || profile.status_emoji
+        ? { text: profile.status_text || '', emoji: profile.status_emoji || '', expiresAt }
+        : null
+    };
+
+    if (args.includeEmail) {
+      const withheld = directory.emailWithheldReason(getRequester(threadState.threadId), userId);
+      if (withheld) {
+        result.emailWithheld = withheld;
+      } else {
+        result.email = profile.email || null;
+      }
+    }
+
+    return result;
+  } catch (error) {
+    logError('Error getting user profile', error, { args });
+    throw error;
+  }
+}
+
+/**
+ * Lists the members of a user group
+ *
+ * @param {Object} args - Arguments for the lookup
+ * @param {string} args.usergroup - Group ID, <!subteam^ID> mention, @handle or name
+ * @param {boolean} args.includeEmails - Whether to include email addresses (subject to USER_EMAIL_VISIBILITY)
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - Group and members
+ */
+async function getUsergroupMembers(args, threadState) {
+  try {
+    const group = await directory.findUsergroup(args.usergroup);
+    if (!group) {
+      throw new Error(`No user group matches "${args.usergroup}"`);
+    }
+
+    let memberIds;
+    try {
+      memberIds = Array.from(await directory.fetchUsergroupMembers(group.id));
+    } catch (lookupError) {
+      // Not an empty group - the model shouldn't report it as one
+      logError('Error listing user group members', lookupError, { args });
+      return {
+        error: true,
+        message: `Could not list the members of ${group.handle ? `@${group.handle}` : group.id}: ${lookupError.message}`
+      };
+    }
+
+    let emailWithheld = null;
+    if (args.includeEmails) {
+      // 'self' can't apply to a whole group
+      emailWithheld = directory.emailWithheldReason(getRequester(threadState.threadId));
+    }
+    const showEmails = args.includeEmails && !emailWithheld;
+
+    const members = [];
+    for (const userId of memberIds.slice(0, MAX_MEMBER_PROFILES)) {
+      try {
+        const user = await directory.getUserInfo(userId);
+        const { name, realName, title, deleted } = directory.summarizeUser(user);
+        const member = { userId, name, realName, title, deleted };
+        if (showEmails) member.email = user.profile?.email || null;
+        members.push(member);
+      } catch (lookupError) {
+        members.push({ userId, error: lookupError.message });
+      }
+    }
+
+    const result = {
+      ok: true,
+      usergroupId: group.id,
+      handle: group.handle,
+      name: group.name,
+      description: group.description,
+      disabled: group.disabled,
+      memberCount: memberIds.length,
+      members
+    };
+    if (memberIds.length > MAX_MEMBER_PROFILES) {
+      result.otherMemberIds = memberIds.slice(MAX_MEMBER_PROFILES);
+    }
+    if (emailWithheld) {
+      result.emailWithheld = emailWithheld;
+    }
+
+    return result;
+  } catch (error) {
+    logError('Error getting user group members', error, { args });
+    throw error;
+  }
+}
+
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'getUserProfile',
+      description: 'Gets a user\'s profile: name, title, timezone, current local time and status',
+      parameters: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'Slack user ID, e.g. U0123ABCD or <@U0123ABCD>'
+          },
+          includeEmail: {
+            type: 'boolean',
+            description: 'Whether to include the email address. Only set it when the user asked for it; workspace rules may withhold it (the result then says why)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you need this profile'
+          }
+        },
+        required: ['userId', 'includeEmail', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: getUserProfile,
+    parallel: true
+  },
+  {
+    type: "function",
+    function: {
+      name: 'getUsergroupMembers',
+      description: 'Lists the members of a Slack user group (@handle) with their names and titles',
+      parameters: {
+        type: 'object',
+        properties: {
+          usergroup: {
+            type: 'string',
+            description: 'User group ID (S0123ABCD), <!subteam^S0123ABCD> mention, @handle or group name'
+          },
+          includeEmails: {
+            type: 'boolean',
+            description: 'Whether to include email addresses. Only set it when the user asked for them; workspace rules may withhold them (the result then says why)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you need this group\'s members'
+          }
+        },
+        required: ['usergroup', 'includeEmails', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: getUsergroupMembers,
+    parallel: true
+  }
+];
+
+module.exports = {
+  getUserProfile,
+  getUsergroupMembers,
+  toolDefinitions
+};
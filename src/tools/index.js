@@ -1,336 +1,148 @@
-// Tool Registry - Maintains metadata about all available tools
-const crypto = require('crypto');
+// Tool Registry - Loads every tool plugin in this directory
+//
+// Each file in src/tools/ (other than this one) exports `toolDefinitions`:
+// registry entries in OpenAI function format with the implementation attached
+//   { type: 'function', function: { name, description, parameters, strict: true }, implementation, parallel }
+// Definitions are validated when the registry loads; an invalid schema, a
+// duplicate name or a missing `reasoning` parameter stops startup.
+const fs = require('fs');
+const path = require('path');
+const { TOOLS_ENABLED, TOOLS_DISABLED, TOOL_ACCESS } = require('../config.js');
+const { BotError } = require('../errors.js');
+const logger = require('../toolUtils/logger.js');
+const { validateToolDefinition, validateArguments } = require('../toolUtils/toolSchema.js');
+const { availableEmojis } = require('./addReaction.js');
 
-// Import all tools
-const { postMessage } = require('./postMessage.js');
-const { finishRequest } = require('./finishRequest.js');
-const getThreadHistoryTool = require('./getThreadHistory.js');
-const { updateMessage } = require('./updateMessage.js');
-const { createEmojiVote, getVoteResults } = require('./createEmojiVote.js');
-const getUserAvatar = require('./getUserAvatar.js');
-const { addReaction, availableEmojis } = require('./addReaction.js');
-const { removeReaction } = require('./removeReaction.js');
+// The orchestrator can't complete a request without these
+const REQUIRED_TOOLS = ['postMessage', 'finishRequest'];
 
-// Tool registry with metadata - Using modern OpenAI function format
-const toolRegistry = {
-  postMessage: {
-    type: "function",
-    function: {
-      name: 'postMessage',
-      description: 'Posts a message to Slack with rich formatting options. Always use this tool for all user responses. Use special block syntax within the text parameter for formatting.',
-      parameters: {
-        type: 'object',
-        properties: {
-          text: {
-            type: 'string',
-            description: 'Main message content with special formatting syntax. Use these block formats:\n#header: Title text\n#section: Regular text content\n#context: Smaller helper text\n#divider: (adds a line separator)\n#image: URL | altText:Description\n#contextWithImages: Text | images:[URL1|Alt text 1, URL2|Alt text 2]\n#userContext: <@USER_ID> <@USER_ID2> | description text\n#buttons: [Button 1|value1|primary, Button 2|value2|danger]\n#fields: [*Title 1*|Value 1, *Title 2*|Value 2]'
-          },
-          color: {
-            type: 'string',
-            description: 'Color for the message sidebar (optional, use hex code like #842BFF or named colors: good=green, warning=yellow, danger=red)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why you are sending this message'
-          }
-        },
-        required: ['text', 'reasoning', 'color'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    // Keep implementation reference for executing the tool
-    implementation: postMessage
-  },
-  finishRequest: {
-    type: "function",
-    function: {
-      name: 'finishRequest',
-      description: 'Signals the end of processing for a user request',
-      parameters: {
-        type: 'object',
-        properties: {
-          summary: {
-            type: 'string',
-            description: 'Optional summary of the completed task or final thoughts (optional)'
-          },
-          clearCache: {
-            type: 'boolean',
-            description: 'Whether to clear the thread history cache for this thread (optional, default: false)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why the conversation is being ended (optional)'
-          }
-        },
-        required: ['summary', 'clearCache', 'reasoning'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: finishRequest
-  },
-  getThreadHistory: {
-    type: "function",
-    function: {
-      name: 'getThreadHistory',
-      description: 'Retrieves the conversation history from the current thread. Results are cached for 30 seconds to prevent redundant API calls.',
-      parameters: {
-        type: 'object',
-        properties: {
-          limit: {
-            type: 'integer',
-            description: 'Maximum number of messages to retrieve (default: 20)'
-          },
-          includeParent: {
-            type: 'boolean',
-            description: 'Whether to include the parent message (first message) in the thread (default: true)'
-          },
-          order: {
-            type: 'string',
-            description: 'Message ordering: "chronological" (oldest first) or "reverse_chronological" (newest first). Default is "chronological".',
-            enum: ['chronological', 'reverse_chronological']
-          },
-          forceRefresh: {
-            type: 'boolean',
-            description: 'Force a refresh of thread history, ignoring cached results (default: false)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why thread history is needed'
-          }
-        },
-        required: ['limit', 'includeParent', 'order', 'forceRefresh', 'reasoning'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: getThreadHistoryTool
-  },
-  updateMessage: {
-    type: "function",
-    function: {
-      name: 'updateMessage',
-      description: 'Updates an existing message in Slack',
-      parameters: {
-        type: 'object',
-        properties: {
-          messageTs: {
-            type: 'string',
-            description: 'Timestamp of the message to update'
-          },
-          text: {
-            type: 'string',
-            description: 'New text content for the message with special formatting syntax. Use these block formats:\n#header: Title text\n#section: Regular text content\n#context: Smaller helper text\n#divider: (adds a line separator)\n#image: URL | altText:Description\n#contextWithImages: Text | images:[URL1|Alt text 1, URL2|Alt text 2]\n#userContext: <@USER_ID> <@USER_ID2> | description text\n#buttons: [Button 1|value1|primary, Button 2|value2|danger]\n#fields: [*Title 1*|Value 1, *Title 2*|Value 2]'
-          },
-          color: {
-            type: 'string',
-            description: 'Color for the message sidebar (optional, use hex code like #842BFF or named colors: good=green, warning=yellow, danger=red)'
-          },
-          removeButtons: {
-            type: 'boolean',
-            description: 'Whether to remove all buttons (optional)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why you are updating this message'
-          }
-        },
-        required: ['messageTs', 'text', 'reasoning', 'color', 'removeButtons'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: updateMessage
-  },
-  createEmojiVote: {
-    type: "function",
-    function: {
-      name: 'createEmojiVote',
-      description: 'Creates a message with emoji voting options',
-      parameters: {
-        type: 'object',
-        properties: {
-          text: {
-            type: 'string',
-            description: 'Vote description/question with #header: for title'
-          },
-          options: {
-            type: 'array',
-            description: 'Array of emoji voting options with text and emoji properties',
-            items: {
-              type: 'object',
-              properties: {
-                text: { type: 'string' },
-                emoji: { type: 'string' }
-              },
-              required: ['text', 'emoji'],
-              additionalProperties: false
-            }
-          },
-          color: {
-            type: 'string',
-            description: 'Color of the message sidebar (use hex code like #842BFF or named colors: good=green, warning=yellow, danger=red)'
-          },
-          threadTs: {
-            type: 'string',
-            description: 'Thread timestamp to reply in (optional)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why you are creating this emoji vote'
-          }
-        },
-        required: ['text', 'options', 'color', 'reasoning', 'threadTs'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: createEmojiVote
-  },
-  getVoteResults: {
-    type: "function",
-    function: {
-      name: 'getVoteResults',
-      description: 'Gets the current results for an emoji vote',
-      parameters: {
-        type: 'object',
-        properties: {
-          voteId: {
-            type: 'string',
-            description: 'ID of the vote to get results for (optional if messageTs provided)'
-          },
-          messageTs: {
-            type: 'string',
-            description: 'Timestamp of the vote message (optional if voteId provided)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why you are requesting vote results'
-          }
-        },
-        required: ['reasoning', 'voteId', 'messageTs'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: getVoteResults
-  },
-  getUserAvatar: {
-    type: "function",
-    function: {
-      name: 'getUserAvatar',
-      description: 'Gets a user\'s avatar URL from their Slack user ID',
-      parameters: {
-        type: 'object',
-        properties: {
-          userId: {
-            type: 'string',
-            description: 'The Slack user ID to get avatar for (required)'
-          },
-          size: {
-            type: 'string',
-            description: 'Size of the avatar to return (24, 32, 48, 72, 192, 512, 1024, or "original", default: 192)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why you need this user\'s avatar'
-          }
-        },
-        required: ['userId', 'reasoning', 'size'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: getUserAvatar
-  },
-  addReaction: {
-    type: "function",
-    function: {
-      name: 'addReaction',
-      description: 'Adds an emoji reaction to a message',
-      parameters: {
-        type: 'object',
-        properties: {
-          emoji: {
-            type: ['string', 'array'],
-            description: 'Emoji name to add as reaction (without colons, e.g. "thumbsup") or array of emoji names',
-            items: {
-              type: 'string'
-            }
-          },
-          messageTs: {
-            type: 'string',
-            description: 'Timestamp of the message to react to (optional)'
-          },
-          message_ts: {
-            type: 'string',
-            description: 'Alternative parameter name for messageTs (optional)'
-          },
-          message_id: {
-            type: 'string',
-            description: 'ID of the message to react to from the context (optional)'
-          },
-          channel_id: {
-            type: 'string',
-            description: 'Channel ID where the message is located (optional, will use current channel if not specified)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why you are adding this reaction'
-          }
-        },
-        required: ['emoji', 'reasoning', 'messageTs', 'message_ts', 'message_id', 'channel_id'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: addReaction
-  },
-  removeReaction: {
-    type: "function",
-    function: {
-      name: 'removeReaction',
-      description: 'Removes an emoji reaction from a message',
-      parameters: {
-        type: 'object',
-        properties: {
-          emoji: {
-            type: ['string', 'array'],
-            description: 'Emoji name to remove (without colons, e.g. "thumbsup") or array of emoji names',
-            items: {
-              type: 'string'
-            }
-          },
-          messageTs: {
-            type: 'string',
-            description: 'Timestamp of the message to remove reaction from (optional)'
-          },
-          message_ts: {
-            type: 'string',
-            description: 'Alternative parameter name for messageTs (optional)'
-          },
-          message_id: {
-            type: 'string',
-            description: 'ID of the message to remove reaction from (optional)'
-          },
-          channel_id: {
-            type: 'string',
-            description: 'Channel ID where the message is located (optional, will use current channel if not specified)'
-          },
-          reasoning: {
-            type: 'string',
-            description: 'Explanation for why you are removing this reaction'
-          }
-        },
-        required: ['emoji', 'reasoning', 'messageTs', 'message_ts', 'message_id', 'channel_id'],
-        additionalProperties: false
-      },
-      strict: true
-    },
-    implementation: removeReaction
+/**
+ * Parses a comma-separated tool list from config
+ * @param {string} value - e.g. "createEmojiVote,getVoteResults"
+ * @returns {Array<string>} - Tool names
+ */
+function parseToolList(value) {
+  return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Parses TOOL_ACCESS (JSON object of tool name -> access rule)
+ * @param {string} value - Raw config value
+ * @returns {Object} - Access overrides by tool name
+ * @throws {BotError} - When the value isn't a JSON object
+ */
+function parseAccessOverrides(value) {
+  if (!value) return {};
+  try {
+    const overrides = JSON.parse(value);
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('expected an object keyed by tool name');
+    }
+    return overrides;
+  } catch (error) {
+    throw new BotError(`TOOL_ACCESS is not valid: ${error.message}`);
   }
-};
+}
+
+/**
+ * Requires every tool file in a directory and collects its definitions
+ * @param {string} [dir] - Directory to scan (defaults to this one)
+ * @returns {Array<Object>} - { file, definition } for each exported tool
+ */
+function discoverToolDefinitions(dir = __dirname) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  const discovered = [];
+  for (const file of files) {
+    const definitions = require(path.join(dir, file)).toolDefinitions;
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new BotError(`Tool file ${file} does not export any toolDefinitions`, { file });
+    }
+    definitions.forEach(definition => discovered.push({ file, definition }));
+  }
+  return discovered;
+}
+
+/**
+ * Validates discovered tools and builds the registry
+ * @param {Array<Object>} discovered - { file, definition } entries
+ * @param {Object} [options] - Deployment settings
+ * @param {Array<string>} [options.enabled] - Only register these tools (empty = all)
+ * @param {Array<string>} [options.disabled] - Never register these tools
+ * @param {Object} [options.access] - Access rules by tool name, merged over the tools' own rules
+ * @returns {Object} - Registry keyed by tool name
+ * @throws {BotError} - Listing every problem found
+ */
+function buildToolRegistry(discovered, options = {}) {
+  const enabled = options.enabled || [];
+  const disabled = options.disabled || [];
+  const accessOverrides = options.access || {};
+  const errors = [];
+  const sources = {};
+  const registry = {};
+
+  for (const entry of discovered) {
+    const { file } = entry;
+    const name = entry.definition?.function?.name;
+    if (name && accessOverrides[name]) {
+      entry.definition = { ...entry.definition, access: { ...entry.definition.access, ...accessOverrides[name] } };
+    }
+    const definition = entry.definition;
+    validateToolDefinition(definition).forEach(error => errors.push(`${file} (${name || 'unnamed'}): ${error}`));
+
+    if (name && sources[name]) {
+      errors.push(`${file}: duplicate tool name "${name}" (already defined in ${sources[name]})`);
+    } else if (name) {
+      sources[name] = file;
+    }
+  }
+
+  for (const name of [...enabled, ...disabled]) {
+    if (!sources[name]) {
+      errors.push(`TOOLS_ENABLED/TOOLS_DISABLED names unknown tool "${name}"`);
+    }
+  }
+
+  for (const name of Object.keys(accessOverrides)) {
+    if (!sources[name]) {
+      errors.push(`TOOL_ACCESS names unknown tool "${name}"`);
+    }
+  }
+
+  for (const name of REQUIRED_TOOLS) {
+    if (disabled.includes(name) || (enabled.length > 0 && !enabled.includes(name))) {
+      errors.push(`${name} is required and cannot be disabled`);
+    }
+    if (accessOverrides[name]) {
+      errors.push(`${name} is required and cannot be restricted with TOOL_ACCESS`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new BotError(`Invalid tool registry:\n  - ${errors.join('\n  - ')}`, { errors });
+  }
+
+  for (const { definition } of discovered) {
+    const name = definition.function.name;
+    if ((enabled.length === 0 || enabled.includes(name)) && !disabled.includes(name)) {
+      registry[name] = definition;
+    }
+  }
+
+  return registry;
+}
+
+// Tool registry with metadata - Using modern OpenAI function format
+const toolRegistry = buildToolRegistry(discoverToolDefinitions(), {
+  enabled: parseToolList(TOOLS_ENABLED),
+  disabled: parseToolList(TOOLS_DISABLED),
+  access: parseAccessOverrides(TOOL_ACCESS)
+});
+
+const disabledTools = parseToolList(TOOLS_DISABLED);
+logger.info(`🧰 Registered ${Object.keys(toolRegistry).length} tools: ${Object.keys(toolRegistry).join(', ')}${disabledTools.length ? ` (disabled: ${disabledTools.join(', ')})` : ''}`);
 
 /**
  * Check if a parameter schema can support strict mode
@@ -343,12 +155,6 @@ function canUseStrictMode(parameters) {
     return false;
   }
   
-  // Add detailed logging for debugging
-  console.log('DEBUG: canUseStrictMode check for schema:', JSON.stringify({
-    properties: Object.keys(parameters.properties),
-    required: parameters.required || []
-  }));
-  
   // Check if additionalProperties is already false
   const hasAdditionalPropsFalse = parameters.additionalProperties === false;
   
@@ -357,8 +163,6 @@ function canUseStrictMode(parameters) {
   const allPropsAreRequired = parameters.required && 
     Object.keys(parameters.properties).every(prop => parameters.required.includes(prop));
   
-  console.log(`DEBUG: canUseStrictMode result: hasAdditionalPropsFalse=${hasAdditionalPropsFalse}, allPropsAreRequired=${allPropsAreRequired}`);
-  
   return hasAdditionalPropsFalse && allPropsAreRequired;
 }
 
@@ -415,7 +219,8 @@ function createToolSchema(fn, metadata) {
       parameters: metadata.parameters || parametersSchema,
       strict: canUseStrictMode(parametersSchema)
     },
-    implementation: fn
+    implementation: fn,
+    parallel: metadata.parallel === true
   };
 }
 
@@ -484,12 +289,22 @@ function registerTool(fn, metadata = {}) {
   // Override with explicit metadata where provided
   if (metadata.parameters) {
     schema.function.parameters = metadata.parameters;
+    schema.function.strict = true;
   }
   
   if (metadata.description) {
     schema.function.description = metadata.description;
   }
   
+  // Same rules as tools loaded at startup
+  const errors = validateToolDefinition(schema);
+  if (toolRegistry[schema.function.name]) {
+    errors.push(`duplicate tool name "${schema.function.name}"`);
+  }
+  if (errors.length > 0) {
+    throw new BotError(`Cannot register tool ${schema.function.name}: ${errors.join('; ')}`, { errors });
+  }
+  
   // Register the tool in the registry
   toolRegistry[schema.function.name] = schema;
   
@@ -500,12 +315,6 @@ function registerTool(fn, metadata = {}) {
   };
 }
 
-// Register getUserAvatar with the new utility function
-toolRegistry.getUserAvatar = createToolSchema(getUserAvatar, {
-  name: 'getUserAvatar',
-  description: 'Gets a user\'s avatar URL from their Slack user ID'
-});
-
 /**
  * Get a tool by name
  * @param {string} name - Name of the tool to get
@@ -519,6 +328,36 @@ function getTool(name) {
   return toolRegistry[name].implementation;
 }
 
+/**
+ * Whether a tool can run concurrently with other calls from the same response
+ * @param {string} name - Name of the tool
+ * @returns {boolean} - True for independent tools (reactions, lookups, history fetches)
+ */
+function isParallelTool(name) {
+  return toolRegistry[name]?.parallel === true;
+}
+
+/**
+ * Validates a call's arguments against the tool's registry schema
+ * @param {string} name - Name of the tool
+ * @param {*} args - Arguments from the LLM
+ * @returns {Array<Object>} - { path, expected, got } for each problem (empty when valid or the tool is unknown)
+ */
+function validateToolArguments(name, args) {
+  const tool = toolRegistry[name];
+  if (!tool) return [];
+  return validateArguments(tool.function.parameters, args);
+}
+
+/**
+ * Get a tool's registry entry (schema, implementation and metadata such as access)
+ * @param {string} name - Name of the tool
+ * @returns {Object|null} - Registry entry
+ */
+function getToolDefinition(name) {
+  return toolRegistry[name] || null;
+}
+
 /**
  * Get all tools in LLM-compatible format
  * @returns {Array} - Array of tool schemas for the LLM
@@ -530,10 +369,15 @@ function getToolsForLLM() {
 // Export utilities
 module.exports = {
   getTool,
+  getToolDefinition,
   getToolsForLLM,
+  isParallelTool,
+  validateToolArguments,
   toolRegistry,
   availableEmojis,
   registerTool,
+  discoverToolDefinitions,
+  buildToolRegistry,
   createToolSchema,
   extractJSDocComment,
   extractJSDocDescription,
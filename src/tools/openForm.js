@@ -0,0 +1,168 @@
+// Tool for collecting input through a Slack modal (views and submissions live in src/forms.js)
+const { getSlackClient } = require('../slackClient.js');
+const { logError } = require('../errors.js');
+const { recordMessageOwner } = require('../toolAccess.js');
+const { FIELD_TYPES, validateFormSpec, renderFormMessage, registerForm } = require('../forms.js');
+
+/**
+ * Posts a message with a button that opens a modal form. The answers come
+ * back as a new turn in this thread once someone submits the form.
+ *
+ * @param {Object} args - Arguments for the form
+ * @param {string} args.title - Modal title (max 24 characters)
+ * @param {string} args.text - Message posted in the thread above the button
+ * @param {string} args.buttonText - Label of the button ('' = "Open form")
+ * @param {string} args.submitLabel - Label of the submit button ('' = "Submit")
+ * @param {Array<Object>} args.fields - Field specs: name, label, type, options, optional, placeholder, initialValue
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - formId and the form message's timestamp
+ */
+async function openForm(args, threadState) {
+  try {
+    const context = threadState.getMetadata('context');
+    const channelId = context?.channelId;
+    if (!channelId) {
+      throw new Error('Channel ID not available in thread context');
+    }
+
+    const form = {
+      formId: `form_${Date.now()}`,
+      title: args.title.trim(),
+      text: args.text,
+      buttonText: args.buttonText,
+      submitLabel: args.submitLabel,
+      color: '#0078D7',
+      fields: args.fields.map(field => ({
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        options: field.options || [],
+        optional: !!field.optional,
+        placeholder: field.placeholder,
+        initialValue: field.initialValue
+      })),
+      channelId,
+      threadTs: context.threadTs || null,
+      createdBy: context.userId || null,
+      timestamp: new Date().toISOString(),
+      submission: null
+    };
+
+    const problems = validateFormSpec(form);
+    if (problems.length > 0) {
+      throw new Error(`The form can't be shown: ${problems.join('; ')}`);
+    }
+
+    const message = renderFormMessage(form);
+    const messageParams = {
+      channel: channelId,
+      text: message.text,
+      blocks: message.blocks,
+      attachments: message.attachments
+    };
+    if (form.threadTs) {
+      messageParams.thread_ts = form.threadTs;
+    }
+
+    const response = await getSlackClient().chat.postMessage(messageParams);
+    form.messageTs = response.ts;
+    registerForm(threadState.threadId, form);
+    recordMessageOwner(threadState, response.ts);
+
+    return {
+      ok: response.ok,
+      ts: response.ts,
+      channel: response.channel,
+      formId: form.formId,
+      note: 'The form is waiting for someone to open and submit it. Finish this request now; the answers arrive as a new turn in this thread.'
+    };
+  } catch (error) {
+    logError('Error opening form', error, { args });
+    throw error;
+  }
+}
+
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'openForm',
+      description: 'Collects free text or several values at once through a Slack form. Posts a message with a button that opens the form; when someone submits it, the answers are shown in the thread and you get a new turn with them. A form takes one submission. Use buttons instead for a simple choice',
+      parameters: {
+        type: 'object',
+        properties: {
+          title: {
+            type: 'string',
+            description: 'Form title shown at the top of the modal (max 24 characters)'
+          },
+          text: {
+            type: 'string',
+            description: 'Message posted in the thread above the button, explaining what the form is for'
+          },
+          buttonText: {
+            type: 'string',
+            description: 'Label of the button that opens the form. Empty string for "Open form"'
+          },
+          submitLabel: {
+            type: 'string',
+            description: 'Label of the submit button (max 24 characters). Empty string for "Submit"'
+          },
+          fields: {
+            type: 'array',
+            description: 'Form fields in display order (1-20)',
+            items: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Key for this answer, e.g. "start_date" (letters, digits, _)'
+                },
+                label: {
+                  type: 'string',
+                  description: 'Label shown above the field'
+                },
+                type: {
+                  type: 'string',
+                  enum: FIELD_TYPES,
+                  description: 'text (one line), multiline, number, email, url, date (date picker), select (one option), multiselect'
+                },
+                options: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Choices for select and multiselect (max 75 characters each); empty array for other types'
+                },
+                optional: {
+                  type: 'boolean',
+                  description: 'true if the field may be left empty'
+                },
+                placeholder: {
+                  type: 'string',
+                  description: 'Hint shown in the empty field. Empty string for none'
+                },
+                initialValue: {
+                  type: 'string',
+                  description: 'Prefilled value (an option for select, YYYY-MM-DD for date). Empty string for none'
+                }
+              },
+              required: ['name', 'label', 'type', 'options', 'optional', 'placeholder', 'initialValue'],
+              additionalProperties: false
+            }
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you need a form'
+          }
+        },
+        required: ['title', 'text', 'buttonText', 'submitLabel', 'fields', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: openForm
+  }
+];
+
+module.exports = {
+  openForm,
+  toolDefinitions
+};
@@ -6,20 +6,19 @@
 // 3. Never place content directly in blocks at the top level, always use attachments with blocks inside
 //
 const { formatSlackMessage } = require('../slackFormat.js');
-const { logError } = require('../errors.js');
+const { logError, MessageSyntaxError } = require('../errors.js');
 const { getSlackClient } = require('../slackClient.js');
-const { parseMessage, cleanForSlackApi } = require('../toolUtils/blockBuilder');
+const { renderMessage } = require('../toolUtils/messageRenderer');
+const { formatBlockExamples } = require('../toolUtils/blockBuilder');
 const { 
   normalizeColor, 
-  formatMessageText, 
-  cleanAndProcessMessage, 
   getChannelId, 
   getThreadTs, 
-  logMessageStructure,
-  processBlocks,
-  mergeAttachmentsByColor
+  logMessageStructure
 } = require('../toolUtils/messageFormatUtils');
 const { getContextBuilder } = require('../contextBuilder.js');
+const { recordMessageOwner } = require('../toolAccess.js');
+const { postPagedMessage } = require('../messagePages.js');
 const logger = require('../toolUtils/logger');
 
 /**
@@ -343,15 +342,10 @@ async function postMessage(args, threadState) {
       }
     }
     
-    // Format the message text using our shared utility
-    let formattedMessage;
-    
-    // Check if we have text to format
-    if (args.text) {
-      formattedMessage = await formatMessageText(args.text);
-    } else {
-      formattedMessage = { blocks: [] };
-    }
+    // Render the #block syntax; problems come back to the model with their position
+    const formattedMessage = args.text
+      ? await renderMessage(args.text, { color: args.color ? normalizeColor(args.color) : undefined })
+      : {};
     
     // Get required context info
     const context = threadState.getMetadata('context');
@@ -372,39 +366,6 @@ async function postMessage(args, threadState) {
     // ALWAYS use a single space to avoid duplicating content visibly outside of blocks/attachments
     messageParams.text = " ";
     
-    // Apply color from args to attachments
-    if (args.color && messageParams.attachments && messageParams.attachments.length > 0) {
-      const normalizedColor = normalizeColor(args.color);
-      logger.info(`Applying color ${normalizedColor} from args to attachments`);
-      
-      messageParams.attachments.forEach(attachment => {
-        // Always override the attachment color with the specified color
-        const defaultColor = "#842BFF"; // The default Slack blue
-        const isDefaultColor = attachment.color === defaultColor;
-        
-        // Apply the color if attachment has default color or no color
-        if (isDefaultColor || !attachment.color) {
-          logger.info(`Replacing color ${attachment.color || 'none'} with ${normalizedColor}`);
-          attachment.color = normalizedColor;
-        } else {
-          logger.info(`Keeping existing color ${attachment.color} (not default)`);
-        }
-      });
-    }
-    
-    // Merge attachments with same color to reduce number of visual bars
-    if (messageParams.attachments && messageParams.attachments.length > 1) {
-      logger.info(`Before merging: ${messageParams.attachments.length} attachments`);
-      messageParams.attachments = mergeAttachmentsByColor(messageParams.attachments);
-      logger.info(`After merging: ${messageParams.attachments.length} attachments`);
-    }
-    
-    // Clean and process the message using our shared utility
-    const cleanedMessage = cleanAndProcessMessage(messageParams);
-    
-    // Log the final message structure
-    logMessageStructure(cleanedMessage);
-    
     // Final message params have been prepared, log them for inspection
     logger.info("Final message params prepared for Slack API:");
     if (messageParams.text) {
@@ -434,12 +395,25 @@ async function postMessage(args, threadState) {
       });
     }
     
-    // Post the message
-    const slack = getSlackClient();
-    
     logMessageStructure(messageParams, 'POSTING_MESSAGE');
     
-    const result = await slack.chat.postMessage(cleanedMessage);
+    // A streamed reply already has a placeholder message - finalize it in place
+    const streamingTs = threadState.getMetadata ? threadState.getMetadata('streamingMessageTs') : null;
+    if (streamingTs) {
+      if (threadState.setMetadata) {
+        threadState.setMetadata('streamingMessageTs', null);
+      }
+      logger.info(`Finalizing streamed message ${streamingTs}`);
+    }
+    
+    // Replies over Slack's block limit go out as several pages of one reply
+    const { channel, thread_ts, text, ...content } = messageParams;
+    const result = await postPagedMessage(content, {
+      channel: channelId,
+      threadTs,
+      replaceTs: streamingTs,
+      threadId: threadState.threadId
+    });
     
     // Debug log the full message result structure
     logger.detail('Message result structure from Slack:', result);
@@ -475,6 +449,8 @@ async function postMessage(args, threadState) {
           threadTs: threadTs,
           slackTs: result.ts,
           update: false,
+          streamed: !!streamingTs,
+          parts: result.parts,
           buttons: null,
           color: normalizeColor(args.color),
           actions: [],
@@ -486,8 +462,12 @@ async function postMessage(args, threadState) {
       logger.warn(`Error adding message to context builder: ${err.message}`);
     }
     
+    for (const ts of [result.ts, ...result.parts]) {
+      recordMessageOwner(threadState, ts);
+    }
+    
     // Return a summary of what was posted
-    return {
+    const summary = {
       ok: result.ok,
       ts: result.ts,
       message: {
@@ -496,9 +476,24 @@ async function postMessage(args, threadState) {
         thread_ts: threadTs
       }
     };
+    if (result.pages > 1) {
+      summary.pages = result.pages;
+      summary.parts = result.parts;
+    }
+    return summary;
   } catch (error) {
     logError('Error posting message', error, { args });
     
+    // Nothing was posted - the model fixes the listed lines and calls postMessage again
+    if (error instanceof MessageSyntaxError) {
+      return {
+        error: true,
+        code: error.code,
+        message: error.message,
+        errors: error.details.errors
+      };
+    }
+    
     // Create a friendly error response for the LLM
     const errorResponse = {
       error: true,
@@ -537,10 +532,43 @@ async function postMessage(args, threadState) {
   }
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'postMessage',
+      description: 'Posts a message to Slack with rich formatting options. Always use this tool for all user responses. Use special block syntax within the text parameter for formatting.',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: {
+            type: 'string',
+            description: `Main message content with special formatting syntax. Use these block formats:\n${formatBlockExamples()}\nStandard Markdown (**bold**, [text](url), # headings, tables) is converted to these blocks. Write \\# or \\| for a literal # or |. Syntax errors are returned with their line and column`
+          },
+          color: {
+            type: 'string',
+            description: 'Color for the message sidebar (optional, use hex code like #842BFF or named colors: good=green, warning=yellow, danger=red)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are sending this message'
+          }
+        },
+        required: ['text', 'reasoning', 'color'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    // Keep implementation reference for executing the tool
+    implementation: postMessage
+  }
+];
+
 // Export the postMessage function
 module.exports = {
   postMessage,
   getUserProfilePicture,
   stripMarkdownForNotification,
-  extractUserIds
+  extractUserIds,
+  toolDefinitions
 };
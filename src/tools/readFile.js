@@ -0,0 +1,83 @@
+// Tool for reading text files shared in the thread (download and extraction live in src/sharedFiles.js)
+const { logError } = require('../errors.js');
+const { loadFileText, fileInThread } = require('../sharedFiles.js');
+const { FILE_MAX_BYTES } = require('../config.js');
+
+/**
+ * Reads one part of a text file shared in the thread
+ *
+ * @param {Object} args - Arguments for reading
+ * @param {string} args.fileId - File ID from the thread context (F0123ABCD)
+ * @param {number} args.part - Part to read, starting at 1
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - The part's text, its line range and how many parts there are
+ */
+async function readFile(args, threadState) {
+  try {
+    const { file, truncated, parts } = await loadFileText(args.fileId);
+    const partNumber = args.part || 1;
+
+    if (partNumber < 1 || partNumber > parts.length) {
+      throw new Error(`${file.name} has ${parts.length} part${parts.length === 1 ? '' : 's'}; part ${partNumber} doesn't exist`);
+    }
+
+    const part = parts[partNumber - 1];
+    const result = {
+      ok: true,
+      fileId: args.fileId,
+      name: file.name,
+      type: file.pretty_type || file.filetype,
+      part: partNumber,
+      totalParts: parts.length,
+      lines: `${part.firstLine}-${part.lastLine}`,
+      text: part.text
+    };
+
+    if (truncated && partNumber === parts.length) {
+      result.note = `The file is larger than ${Math.round(FILE_MAX_BYTES / 1024)} KB; only its beginning could be read.`;
+    }
+
+    return result;
+  } catch (error) {
+    logError('Error reading file', error, { args });
+    throw error;
+  }
+}
+
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'readFile',
+      description: 'Reads a text file (text, markdown, CSV, JSON, code, snippets) that was shared in this thread. Files are listed with their fileId on the message they were shared with. Long files come in parts; read part 1 first, then further parts only as needed',
+      parameters: {
+        type: 'object',
+        properties: {
+          fileId: {
+            type: 'string',
+            description: 'File ID from the thread context, e.g. F0123ABCD'
+          },
+          part: {
+            type: 'integer',
+            description: 'Which part to read, starting at 1 (the result says how many parts there are)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you need to read this file'
+          }
+        },
+        required: ['fileId', 'part', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: readFile,
+    parallel: true,
+    access: { check: fileInThread }
+  }
+];
+
+module.exports = {
+  readFile,
+  toolDefinitions
+};
@@ -161,6 +161,54 @@ async function removeReaction(args, threadState) {
   }
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'removeReaction',
+      description: 'Removes an emoji reaction from a message',
+      parameters: {
+        type: 'object',
+        properties: {
+          emoji: {
+            type: ['string', 'array'],
+            description: 'Emoji name to remove (without colons, e.g. "thumbsup") or array of emoji names',
+            items: {
+              type: 'string'
+            }
+          },
+          messageTs: {
+            type: 'string',
+            description: 'Timestamp of the message to remove reaction from (optional)'
+          },
+          message_ts: {
+            type: 'string',
+            description: 'Alternative parameter name for messageTs (optional)'
+          },
+          message_id: {
+            type: 'string',
+            description: 'ID of the message to remove reaction from (optional)'
+          },
+          channel_id: {
+            type: 'string',
+            description: 'Channel ID where the message is located (optional, will use current channel if not specified)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are removing this reaction'
+          }
+        },
+        required: ['emoji', 'reasoning', 'messageTs', 'message_ts', 'message_id', 'channel_id'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: removeReaction,
+    parallel: true
+  }
+];
+
 module.exports = {
-  removeReaction
-}; 
\ No newline at end of file
+  removeReaction,
+  toolDefinitions
+};
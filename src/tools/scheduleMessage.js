@@ -0,0 +1,201 @@
+// Tools for scheduled messages and reminders (scheduling lives in src/scheduler.js)
+const { logError } = require('../errors.js');
+const { formatInTimezone } = require('../toolUtils/dateUtils.js');
+const {
+  REPEAT_OPTIONS,
+  MODES,
+  getUserTimezone,
+  scheduleEntry,
+  listEntries,
+  findEntryThread,
+  cancelEntry,
+  onlyScheduleCreator
+} = require('../scheduler.js');
+
+/**
+ * Schedules a message or reminder in the current thread
+ *
+ * @param {Object} args - Arguments for scheduling
+ * @param {string} args.text - Message to post, or instructions for a 'prompt' reminder
+ * @param {string} args.sendAt - Local date and time (YYYY-MM-DDTHH:mm) in the requesting user's timezone
+ * @param {string} args.repeat - 'none', 'daily', 'weekdays', 'weekly' or 'monthly'
+ * @param {string} args.mode - 'message' posts the text; 'prompt' runs an LLM turn at that time
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - The scheduled entry
+ */
+async function scheduleMessage(args, threadState) {
+  try {
+    const context = threadState.getMetadata('context');
+    const channelId = context?.channelId;
+
+    if (!channelId) {
+      throw new Error('Channel ID not available in thread context');
+    }
+
+    const scheduled = await scheduleEntry(threadState.threadId, {
+      text: args.text,
+      sendAt: args.sendAt,
+      repeat: args.repeat,
+      mode: args.mode,
+      channelId,
+      threadTs: context.threadTs || threadState.threadTs,
+      userId: context.userId
+    });
+
+    return { ok: true, ...scheduled };
+  } catch (error) {
+    logError('Error scheduling message', error, { args });
+    throw error;
+  }
+}
+
+/**
+ * Lists pending scheduled messages and reminders
+ *
+ * @param {Object} args - Arguments for listing
+ * @param {string} args.scope - 'thread' (this thread) or 'channel' (every thread of this channel)
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - Pending entries plus the user's timezone and current local time
+ */
+async function listScheduled(args, threadState) {
+  try {
+    const context = threadState.getMetadata('context');
+    const timezone = await getUserTimezone(context?.userId);
+
+    const scheduled = listEntries(threadState.threadId, {
+      channelId: args.scope === 'channel' ? context?.channelId : null
+    });
+
+    return {
+      ok: true,
+      timezone,
+      now: formatInTimezone(new Date(), timezone),
+      scheduled
+    };
+  } catch (error) {
+    logError('Error listing scheduled messages', error, { args });
+    throw error;
+  }
+}
+
+/**
+ * Cancels a pending scheduled message or reminder
+ *
+ * @param {Object} args - Arguments for cancelling
+ * @param {string} args.id - ID returned by scheduleMessage / listScheduled
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - The cancelled entry
+ */
+async function cancelScheduled(args, threadState) {
+  try {
+    const threadId = findEntryThread(args.id, threadState.threadId);
+    if (!threadId) {
+      throw new Error(`Scheduled message ${args.id} not found`);
+    }
+
+    const cancelled = await cancelEntry(threadId, args.id);
+    return { ok: true, ...cancelled };
+  } catch (error) {
+    logError('Error cancelling scheduled message', error, { args });
+    throw error;
+  }
+}
+
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'scheduleMessage',
+      description: 'Schedules a message or reminder in this thread, once or repeating. Times are in the requesting user\'s timezone (listScheduled shows it and their current local time)',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: {
+            type: 'string',
+            description: 'For mode "message": the exact message to post (Slack formatting). For mode "prompt": instructions for yourself at that time (e.g. "Remind <@U123> to submit the report and summarize open questions in this thread")'
+          },
+          sendAt: {
+            type: 'string',
+            description: 'When to send, as local date and time in the user\'s timezone: YYYY-MM-DDTHH:mm (e.g. 2026-10-20T10:00). For a repeating reminder, the first occurrence'
+          },
+          repeat: {
+            type: 'string',
+            enum: REPEAT_OPTIONS,
+            description: 'How often to repeat: none, daily, weekdays (Mon-Fri), weekly or monthly'
+          },
+          mode: {
+            type: 'string',
+            enum: MODES,
+            description: '"message" posts text as written. "prompt" wakes you up at that time with text as instructions - use it when the reminder needs fresh information or a decision'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are scheduling this'
+          }
+        },
+        required: ['text', 'sendAt', 'repeat', 'mode', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: scheduleMessage
+  },
+  {
+    type: "function",
+    function: {
+      name: 'listScheduled',
+      description: 'Lists pending scheduled messages and reminders, with the user\'s timezone and current local time',
+      parameters: {
+        type: 'object',
+        properties: {
+          scope: {
+            type: 'string',
+            enum: ['thread', 'channel'],
+            description: '"thread" for this thread only, "channel" for every thread in this channel'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are listing scheduled messages'
+          }
+        },
+        required: ['scope', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: listScheduled,
+    parallel: true
+  },
+  {
+    type: "function",
+    function: {
+      name: 'cancelScheduled',
+      description: 'Cancels a pending scheduled message or reminder (only the user who scheduled it can cancel it)',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'ID from scheduleMessage or listScheduled (e.g. sched_1760000000000_ab12)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are cancelling this'
+          }
+        },
+        required: ['id', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: cancelScheduled,
+    access: { check: onlyScheduleCreator }
+  }
+];
+
+module.exports = {
+  scheduleMessage,
+  listScheduled,
+  cancelScheduled,
+  toolDefinitions
+};
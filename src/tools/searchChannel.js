@@ -0,0 +1,165 @@
+// Tool for searching a channel's history (scanning and caching live in src/channelSearch.js)
+const { logError } = require('../errors.js');
+const { getRequester } = require('../toolAccess.js');
+const { getUserTimezone } = require('../scheduler.js');
+const { parseLocalDateTime, formatInTimezone } = require('../toolUtils/dateUtils.js');
+const { searchChannel: runSearch, parseChannelId, searchableChannel } = require('../channelSearch.js');
+
+const MAX_RESULTS = 50;
+
+function parseUserId(value) {
+  const match = String(value || '').trim().match(/^<@([A-Z0-9]+)(?:\|[^>]*)?>$|^@?([UW][A-Z0-9]+)$/);
+  return match ? (match[1] || match[2]) : null;
+}
+
+/**
+ * Reads a date filter in the user's timezone. A bare date as `before` means
+ * the end of that day, so "before 2026-10-20" includes the 20th
+ * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm" ('' = no filter)
+ * @param {string} timezone - User's timezone
+ * @param {boolean} endOfDay - Whether a bare date means the end of the day
+ * @returns {Date|null}
+ */
+function parseDateFilter(value, timezone, endOfDay) {
+  if (!value) return null;
+  const date = parseLocalDateTime(value, timezone);
+  if (!date) {
+    throw new Error(`"${value}" is not a date (expected YYYY-MM-DD or YYYY-MM-DDTHH:mm)`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    const [year, month, day] = value.trim().split('-').map(Number);
+    return parseLocalDateTime(new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10), timezone);
+  }
+  return date;
+}
+
+/**
+ * Searches messages and thread replies in this or another allowed channel
+ *
+ * @param {Object} args - Search arguments
+ * @param {string} args.query - Keywords that must all appear ('' to match any text)
+ * @param {string} args.channel - Channel ID or <#C0123> mention ('' = this conversation)
+ * @param {string} args.author - Only messages by this user ('' = anyone)
+ * @param {string} args.after - Only messages from this local date/time on ('' = no limit)
+ * @param {string} args.before - Only messages before this local date/time ('' = no limit)
+ * @param {number} args.limit - Maximum results (1-50)
+ * @param {Object} threadState - Current thread state
+ * @returns {Promise<Object>} - Matches with snippets and permalinks, and how much history was searched
+ */
+async function searchChannel(args, threadState) {
+  try {
+    const requester = getRequester(threadState.threadId);
+    const channelId = args.channel ? parseChannelId(args.channel) : requester.channelId || threadState.channelId;
+    if (!channelId) {
+      throw new Error('Channel ID not available in thread context');
+    }
+
+    let userId = null;
+    if (args.author) {
+      userId = parseUserId(args.author);
+      if (!userId) {
+        throw new Error(`"${args.author}" is not a Slack user ID (expected U0123ABCD or <@U0123ABCD>)`);
+      }
+    }
+
+    if (!args.query && !userId && !args.after && !args.before) {
+      throw new Error('Give at least one of query, author, after or before');
+    }
+
+    const timezone = await getUserTimezone(requester.userId);
+    const after = parseDateFilter(args.after, timezone, false);
+    const before = parseDateFilter(args.before, timezone, true);
+    if (after && before && after >= before) {
+      throw new Error('"after" must be earlier than "before"');
+    }
+
+    const search = await runSearch(channelId, {
+      query: args.query,
+      userId,
+      after,
+      before,
+      limit: Math.min(Math.max(args.limit || 20, 1), MAX_RESULTS)
+    });
+
+    const result = {
+      ok: true,
+      channel: `<#${channelId}>`,
+      timezone,
+      matches: search.matches,
+      results: search.results.map(({ postedAt, ...match }) => ({
+        ...match,
+        postedAt: formatInTimezone(postedAt, timezone)
+      })),
+      searchedFrom: search.coverage.from ? formatInTimezone(search.coverage.from, timezone) : null,
+      reachedChannelStart: search.coverage.reachedChannelStart
+    };
+
+    const searchedFrom = search.coverage.from ? new Date(search.coverage.from) : null;
+    if (!search.coverage.reachedChannelStart && searchedFrom && (!after || searchedFrom > after)) {
+      result.note = `History was only searched back to ${result.searchedFrom}. Search again to look further back.`;
+    }
+    if (search.threadsSkipped > 0) {
+      const threads = search.threadsSkipped === 1 ? '1 thread was' : `${search.threadsSkipped} threads were`;
+      result.note = `${result.note ? `${result.note} ` : ''}${threads} not read yet; search again to include their replies.`;
+    }
+
+    return result;
+  } catch (error) {
+    logError('Error searching channel', error, { args });
+    throw error;
+  }
+}
+
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'searchChannel',
+      description: 'Searches messages and thread replies in this conversation (or another allowed channel) by keywords, author and date range. Returns the newest matches first as short snippets with permalinks',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Keywords that must all appear, case-insensitive; use "double quotes" for exact phrases (e.g. "deploy freeze"). Empty string to match any text'
+          },
+          channel: {
+            type: 'string',
+            description: 'Channel to search as an ID or <#C0123ABCD> mention. Empty string for this conversation'
+          },
+          author: {
+            type: 'string',
+            description: 'Only messages by this user (U0123ABCD or <@U0123ABCD>). Empty string for anyone'
+          },
+          after: {
+            type: 'string',
+            description: 'Only messages from this date on, in the user\'s timezone: YYYY-MM-DD or YYYY-MM-DDTHH:mm. Empty string for no limit'
+          },
+          before: {
+            type: 'string',
+            description: 'Only messages before this date, in the user\'s timezone: YYYY-MM-DD (that whole day included) or YYYY-MM-DDTHH:mm. Empty string for no limit'
+          },
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of results (1-50, usually 10-20)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are searching'
+          }
+        },
+        required: ['query', 'channel', 'author', 'after', 'before', 'limit', 'reasoning'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: searchChannel,
+    parallel: true,
+    access: { check: searchableChannel }
+  }
+];
+
+module.exports = {
+  searchChannel,
+  toolDefinitions
+};
@@ -2,17 +2,16 @@
 const { formatSlackMessage } = require('../slackFormat.js');
 const { getSlackClient } = require('../slackClient.js');
 const { logError } = require('../errors.js');
-const { parseMessage } = require('../toolUtils/blockBuilder');
+const { renderMessage } = require('../toolUtils/messageRenderer');
+const { formatBlockExamples } = require('../toolUtils/blockBuilder');
 const logger = require('../toolUtils/logger.js');
+const { onlyOwnMessages } = require('../toolAccess.js');
 
 const { 
   normalizeColor, 
-  formatMessageText, 
-  cleanAndProcessMessage, 
   getChannelId,
   getThreadTs, 
-  logMessageStructure,
-  mergeAttachmentsByColor
+  logMessageStructure
 } = require('../toolUtils/messageFormatUtils');
 
 /**
@@ -83,6 +82,11 @@ async function updateMessage(args, threadState) {
       throw new Error('Either text or fields must be provided');
     }
     
+    // Render before touching the message, so a syntax error leaves it as it was
+    const formattedMessage = text
+      ? await renderMessage(text, { color: formattedColor })
+      : {};
+    
     // Get valid channel ID
     const channelId = getChannelId(args, threadState);
     
@@ -169,17 +173,11 @@ async function updateMessage(args, threadState) {
       };
     }
     
-    // Format the message text using our shared utility
-    let formattedMessage;
-    if (text) {
-      formattedMessage = await formatMessageText(text);
-    } else {
-      formattedMessage = { blocks: [] };
-    }
-    
     // Determine if and how to update actions/buttons
     let formattedActions = actions;
     let contextText = null;
+    // Fields, the selection note and buttons go below the rendered text
+    const extraBlocks = [];
     
     if (removeButtons) {
       // If removeButtons is true, remove all buttons
@@ -215,7 +213,7 @@ async function updateMessage(args, threadState) {
         };
       });
       
-      formattedMessage.blocks.push({
+      extraBlocks.push({
         type: 'section',
         fields: formattedFields
       });
@@ -223,7 +221,7 @@ async function updateMessage(args, threadState) {
     
     // Add context text if provided (for selected button text)
     if (contextText) {
-      formattedMessage.blocks.push({
+      extraBlocks.push({
         type: 'context',
         elements: [
           {
@@ -236,7 +234,7 @@ async function updateMessage(args, threadState) {
     
     // Add actions/buttons if provided
     if (formattedActions && Array.isArray(formattedActions) && formattedActions.length > 0) {
-      formattedMessage.blocks.push({
+      extraBlocks.push({
         type: 'actions',
         elements: formattedActions.map((button, index) => ({
           type: 'button',
@@ -259,52 +257,25 @@ async function updateMessage(args, threadState) {
       text: " ", // Empty text to prevent duplication
     };
     
-    // If we have attachments from parseMessage, use them
-    if (formattedMessage.attachments && formattedMessage.attachments.length > 0) {
-      updateOptions.attachments = formattedMessage.attachments;
-    } else {
-      // Otherwise, create a new attachment with our blocks
-      updateOptions.attachments = [{
-        color: formattedColor,
-        blocks: formattedMessage.blocks,
-        fallback: text || "Updated message"
-      }];
-    }
-    
-    // Apply color from args to attachments
-    if (color && updateOptions.attachments && updateOptions.attachments.length > 0) {
-      logger.info(`Applying color ${formattedColor} from args to attachments`);
-      
-      updateOptions.attachments.forEach(attachment => {
-        // Always override the attachment color with the specified color
-        const defaultColor = "#842BFF"; // The default Slack blue
-        const isDefaultColor = attachment.color === defaultColor;
-        
-        // Apply the color if attachment has default color or no color
-        if (isDefaultColor || !attachment.color) {
-          logger.info(`Replacing color ${attachment.color || 'none'} with ${formattedColor}`);
-          attachment.color = formattedColor;
-        } else {
-          logger.info(`Keeping existing color ${attachment.color} (not default)`);
-        }
-      });
+    if (formattedMessage.blocks) {
+      updateOptions.blocks = formattedMessage.blocks;
     }
-    
-    // Merge attachments with same color to reduce number of visual bars
-    if (updateOptions.attachments && updateOptions.attachments.length > 1) {
-      logger.info(`Before merging: ${updateOptions.attachments.length} attachments`);
-      updateOptions.attachments = mergeAttachmentsByColor(updateOptions.attachments);
-      logger.info(`After merging: ${updateOptions.attachments.length} attachments`);
+    updateOptions.attachments = formattedMessage.attachments || [];
+    
+    if (extraBlocks.length > 0) {
+      const lastAttachment = updateOptions.attachments[updateOptions.attachments.length - 1];
+      if (lastAttachment && lastAttachment.color === formattedColor) {
+        lastAttachment.blocks.push(...extraBlocks);
+      } else {
+        updateOptions.attachments.push({ color: formattedColor, blocks: extraBlocks });
+      }
     }
     
-    // Clean and process all blocks and attachments for Slack API
-    const cleanedMessage = cleanAndProcessMessage(updateOptions);
-    
     // Log the final message structure
-    logMessageStructure(cleanedMessage, 'UPDATE');
+    logMessageStructure(updateOptions, 'UPDATE');
     
     // Update the message
-    const response = await slackClient.chat.update(cleanedMessage);
+    const response = await slackClient.chat.update(updateOptions);
     
     // Store that we've updated this message to prevent duplicate updates
     if (!threadState.updatedMessages) {
@@ -383,7 +354,49 @@ async function finalizeMessageUpdate(args, threadState) {
   }
 }
 
+const toolDefinitions = [
+  {
+    type: "function",
+    function: {
+      name: 'updateMessage',
+      description: 'Updates an existing message in Slack',
+      parameters: {
+        type: 'object',
+        properties: {
+          messageTs: {
+            type: 'string',
+            description: 'Timestamp of the message to update'
+          },
+          text: {
+            type: 'string',
+            description: `New text content for the message with special formatting syntax. Use these block formats:\n${formatBlockExamples()}\nStandard Markdown (**bold**, [text](url), # headings, tables) is converted to these blocks. Write \\# or \\| for a literal # or |. Syntax errors are returned with their line and column`
+          },
+          color: {
+            type: 'string',
+            description: 'Color for the message sidebar (optional, use hex code like #842BFF or named colors: good=green, warning=yellow, danger=red)'
+          },
+          removeButtons: {
+            type: 'boolean',
+            description: 'Whether to remove all buttons (optional)'
+          },
+          reasoning: {
+            type: 'string',
+            description: 'Explanation for why you are updating this message'
+          }
+        },
+        required: ['messageTs', 'text', 'reasoning', 'color', 'removeButtons'],
+        additionalProperties: false
+      },
+      strict: true
+    },
+    implementation: updateMessage,
+    // A message posted for one user can't be rewritten at another user's request
+    access: { check: onlyOwnMessages }
+  }
+];
+
 module.exports = {
   updateMessage,
-  finalizeMessageUpdate
-}; 
\ No newline at end of file
+  finalizeMessageUpdate,
+  toolDefinitions
+};